@@ -0,0 +1,284 @@
+/* eslint-env node */
+const AlertEngine = require('../src/AlertEngine.js');
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { delay } = require('../src/utils.js');
+
+// 2017-05-01T00:00:00Z (Monday)
+const T0 = 1493596800;
+const HOUR = 3600;
+const WEEK = 7 * 24 * HOUR;
+
+function at(timestamp) {
+  return new Date(timestamp * 1000);
+}
+
+function findStream(fixtures, streamId) {
+  return fixtures.feeds[0].streams.filter(stream => stream.id === streamId)[0];
+}
+
+// Hourly meter readings from 4 weeks before T0 to a day after it. Each hour
+// consumes 105 Wh in even weeks and 95 Wh in odd weeks, except for the
+// consumption passed by the hour after T0.
+function createReadings(consumptionAfterT0) {
+  const dataPoints = [];
+  let reading = 0;
+
+  for (let time = T0 - 4 * WEEK; time <= T0 + 24 * HOUR; time += HOUR) {
+    const week = Math.floor((time - (T0 - 4 * WEEK)) / WEEK);
+    const hour = (time - T0) / HOUR;
+
+    dataPoints.push([time, reading]);
+    reading +=
+      consumptionAfterT0[hour] !== undefined
+        ? consumptionAfterT0[hour]
+        : 100 + (week % 2 === 0 ? 5 : -5);
+  }
+
+  return dataPoints;
+}
+
+describe('AlertEngine', () => {
+  const fixtures = createFixtures({ timeFrom: at(T0 - HOUR), timeTo: at(T0), period: HOUR });
+  const power = [100, 200, 200, 200, 140, 160, 210, 110, 200, 100, 200, 100];
+  findStream(fixtures, 'stpower').data = power.map((value, index) => [T0 + index * 60, value]);
+  findStream(fixtures, 'sttemp').data = [[T0, 10], [T0 + 60, 8], [T0 + 120, 4], [T0 + 180, 3]];
+  findStream(fixtures, 'stenergy').data = createReadings({ 10: 300, 12: 112 });
+
+  const highPower = {
+    id: 'high-power',
+    feedId: 'fddemo',
+    streamId: 'stpower',
+    condition: 'above',
+    threshold: 150,
+    clearThreshold: 120,
+    duration: 2 * 60 * 1000,
+    severity: 'warning'
+  };
+  const frost = {
+    id: 'frost',
+    feedId: 'fddemo',
+    streamId: 'sttemp',
+    condition: 'below',
+    threshold: 5
+  };
+
+  let server;
+  let em;
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+    em = new Energomonitor(undefined, undefined, server.url);
+    await em.authorize('demo', 'demo');
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.fixtures.feeds = JSON.parse(JSON.stringify(fixtures.feeds));
+  });
+
+  describe('evaluate', () => {
+    it('opens alerts after the duration and resolves them with hysteresis', async () => {
+      const engine = new AlertEngine(em, [highPower, frost]);
+      const alerts = await engine.evaluate(at(T0), at(T0 + 720));
+
+      expect(alerts).toEqual([
+        {
+          ruleId: 'high-power',
+          rule: highPower,
+          feedId: 'fddemo',
+          streamId: 'stpower',
+          state: 'resolved',
+          openedAt: at(T0 + 60),
+          resolvedAt: at(T0 + 420),
+          value: 200,
+          extremeValue: 210,
+          lastValue: 110
+        },
+        {
+          ruleId: 'frost',
+          rule: frost,
+          feedId: 'fddemo',
+          streamId: 'sttemp',
+          state: 'open',
+          openedAt: at(T0 + 120),
+          resolvedAt: null,
+          value: 4,
+          extremeValue: 3,
+          lastValue: 3
+        }
+      ]);
+    });
+
+    it('evaluates aggregated values', async () => {
+      const engine = new AlertEngine(em, [
+        Object.assign({}, highPower, { interval: 300, aggregation: 'max', duration: 0 })
+      ]);
+      const alerts = await engine.evaluate(at(T0), at(T0 + 720));
+
+      // The last 5-minute bucket is not complete.
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        openedAt: at(T0),
+        state: 'open',
+        value: 200,
+        extremeValue: 210
+      });
+    });
+
+    it('detects anomalies against the baseline of the hour of the week', async () => {
+      const engine = new AlertEngine(em, [
+        {
+          id: 'unusual',
+          feedId: 'fddemo',
+          streamId: 'stenergy',
+          condition: 'anomaly',
+          aggregation: 'consumption'
+        }
+      ]);
+      const alerts = await engine.evaluate(at(T0), at(T0 + 24 * HOUR));
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({
+        ruleId: 'unusual',
+        state: 'resolved',
+        openedAt: at(T0 + 10 * HOUR),
+        resolvedAt: at(T0 + 11 * HOUR),
+        value: 300
+      });
+    });
+
+    it('validates the rules and the options', () => {
+      [
+        [],
+        [{ feedId: 'fddemo', streamId: 'stpower', condition: 'above', threshold: 1 }],
+        [highPower, highPower],
+        [Object.assign({}, highPower, { condition: 'between' })],
+        [Object.assign({}, highPower, { threshold: '150' })],
+        [Object.assign({}, highPower, { clearThreshold: 160 })],
+        [Object.assign({}, highPower, { duration: -1 })],
+        [Object.assign({}, highPower, { interval: 'fortnight' })],
+        [Object.assign({}, highPower, { aggregation: 'median' })],
+        [Object.assign({}, frost, { condition: 'anomaly', clearDeviations: 4 })],
+        [Object.assign({}, frost, { condition: 'anomaly', direction: 'sideways' })],
+        [Object.assign({}, frost, { condition: 'anomaly', baselineWeeks: 0 })]
+      ].forEach(rules => {
+        expect(() => new AlertEngine(em, rules)).toThrow(TypeError);
+      });
+      expect(() => new AlertEngine(em, [frost], { timeZone: 'Mars/Olympus' })).toThrow(
+        new TypeError('Unknown timezone: Mars/Olympus.')
+      );
+    });
+  });
+
+  describe('start', () => {
+    it('delivers deduplicated alerts while polling', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const delivered = [];
+      const events = [];
+      const engine = new AlertEngine(em, [Object.assign({}, highPower, { duration: 0 })], {
+        onAlert: alert => delivered.push(alert)
+      });
+      const stream = findStream(server.fixtures, 'stpower');
+      const add = values =>
+        values.forEach(value =>
+          stream.data.push([stream.data[stream.data.length - 1][0] + 60, value])
+        );
+
+      stream.data = [[now, 100]];
+      engine.on('open', alert => events.push(['open', alert.value]));
+      engine.on('resolve', alert => events.push(['resolve', alert.lastValue]));
+
+      try {
+        await engine.start();
+        add([200, 300]);
+        await engine.poll();
+
+        expect(engine.getOpenAlerts()).toHaveLength(1);
+        expect(engine.getOpenAlerts()[0]).toMatchObject({
+          ruleId: 'high-power',
+          extremeValue: 300
+        });
+
+        add([130, 100, 180]);
+        await engine.poll();
+      } finally {
+        await engine.stop();
+      }
+
+      expect(events).toEqual([['open', 200], ['resolve', 100], ['open', 180]]);
+      expect(delivered.map(alert => alert.state)).toEqual(['open', 'resolved', 'open']);
+      expect(delivered[1].openedAt).toEqual(at(now + 60));
+      expect(delivered[1].resolvedAt).toEqual(at(now + 240));
+      expect(engine.getOpenAlerts().map(alert => alert.openedAt)).toEqual([at(now + 300)]);
+    });
+
+    it('emits errors of the callback', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const engine = new AlertEngine(em, [Object.assign({}, frost)], {
+        onAlert: () => Promise.reject(new Error('Delivery failed.'))
+      });
+      const errors = [];
+      engine.on('error', error => errors.push(error.message));
+      findStream(server.fixtures, 'sttemp').data = [[now + 60, 1]];
+
+      try {
+        await engine.start();
+        await engine.poll();
+      } finally {
+        await engine.stop();
+      }
+
+      expect(errors).toEqual(['Delivery failed.']);
+    });
+
+    it('can be started again after a failed start', async () => {
+      const engine = new AlertEngine(em, [
+        { id: 'usage', feedId: 'fddemo', streamId: 'stenergy', condition: 'anomaly' }
+      ]);
+      const authorizations = server.fixtures.authorizations;
+      server.fixtures.authorizations = [];
+
+      try {
+        await expect(engine.start()).rejects.toHaveProperty('status', 401);
+        server.fixtures.authorizations = authorizations;
+        await engine.start();
+
+        expect(engine._subscription).not.toBeNull();
+      } finally {
+        server.fixtures.authorizations = authorizations;
+        await engine.stop();
+      }
+    });
+
+    it('ignores failures without an error listener', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      const unhandled = jest.fn();
+      process.on('unhandledRejection', unhandled);
+      const engine = new AlertEngine(
+        em,
+        [frost, Object.assign({}, frost, { id: 'missing', streamId: 'stmissing' })],
+        {
+          onAlert: () => Promise.reject(new Error('Delivery failed.')),
+          subscription: { minInterval: 10, maxInterval: 10 }
+        }
+      );
+      findStream(server.fixtures, 'sttemp').data = [[now + 60, 1]];
+
+      try {
+        await engine.start();
+        await engine.poll();
+        await delay(30);
+
+        expect(engine.getOpenAlerts()).toHaveLength(1);
+        expect(unhandled).not.toHaveBeenCalled();
+      } finally {
+        process.removeListener('unhandledRejection', unhandled);
+        await engine.stop();
+      }
+    });
+  });
+});
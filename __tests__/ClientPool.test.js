@@ -0,0 +1,169 @@
+const ClientPool = require('../src/ClientPool.js');
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const RequestLimiter = require('../src/RequestLimiter.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { AuthenticationError, ForbiddenError, InvalidArgumentError } = require('../src/errors.js');
+const { MemoryStore } = require('../src/stores.js');
+const { Feed } = require('../src/models.js');
+
+describe('ClientPool', () => {
+  const fixtures = createFixtures();
+  fixtures.users.push({
+    id: 'usother',
+    username: 'other',
+    email: 'other@example.com',
+    password: 'other',
+    feeds: [],
+    notifications: []
+  });
+
+  const credentials = {
+    usdemo: { username: 'demo', password: 'demo' },
+    usother: { username: 'other', password: 'other' },
+    uswrong: { username: 'wrong', password: 'wrong' }
+  };
+
+  let server;
+  let pool;
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.seed(fixtures);
+    pool = new ClientPool({
+      apiURL: server.url,
+      concurrency: 2,
+      credentials: userId => credentials[userId]
+    });
+  });
+
+  afterEach(() => pool.close());
+
+  it('creates a client per account sharing the limiter and the agents', () => {
+    const demo = pool.add('usdemo');
+    const other = pool.add('usother');
+
+    expect(demo).toBeInstanceOf(Energomonitor);
+    expect(pool.get('usdemo')).toBe(demo);
+    expect(pool.userIds).toEqual(['usdemo', 'usother']);
+    expect(demo._limiter).toBe(pool.limiter);
+    expect(other._limiter).toBe(pool.limiter);
+    expect(demo.getAxiosInstance().defaults.httpAgent).toBe(pool.httpAgent);
+    expect(other.getAxiosInstance().defaults.httpsAgent).toBe(pool.httpsAgent);
+  });
+
+  it('manages the accounts', () => {
+    pool.add('usdemo');
+
+    expect(() => pool.add('usdemo')).toThrow(
+      new InvalidArgumentError('The pool already has an account usdemo.')
+    );
+    expect(() => pool.add('')).toThrow(InvalidArgumentError);
+    expect(pool.has('usdemo')).toBe(true);
+    expect(pool.remove('usdemo')).toBe(true);
+    expect(pool.remove('usdemo')).toBe(false);
+    expect(() => pool.get('usdemo')).toThrow(
+      new InvalidArgumentError('The pool has no account usdemo.')
+    );
+  });
+
+  it('authorizes each account independently', async () => {
+    const tokens = {};
+    pool.on('tokenChange', ({ userId, token }) => (tokens[userId] = token));
+    pool.add('usdemo');
+    pool.add('usother');
+
+    const { results, failures } = await pool.getUsers();
+
+    expect(failures).toEqual([]);
+    expect(results.map(result => result.value.username)).toEqual(['demo', 'other']);
+    expect(Object.keys(tokens).sort()).toEqual(['usdemo', 'usother']);
+    expect(tokens.usdemo).not.toBe(tokens.usother);
+  });
+
+  it('collects per-account failures without failing the batch', async () => {
+    pool.add('usdemo');
+    pool.add('uswrong');
+
+    const { results, failures } = await pool.getFeeds();
+
+    expect(results).toHaveLength(1);
+    expect(results[0].userId).toBe('usdemo');
+    expect(results[0].value.map(feed => feed.id)).toEqual(['fddemo']);
+    expect(failures).toHaveLength(1);
+    expect(failures[0].userId).toBe('uswrong');
+    expect(failures[0].error).toBeInstanceOf(AuthenticationError);
+  });
+
+  it('runs functions for selected accounts', async () => {
+    pool.add('usdemo');
+    pool.add('usother');
+
+    const { results, failures } = await pool.map(
+      (client, userId) => {
+        if (userId === 'usother') {
+          throw new Error('Skipped.');
+        }
+
+        return client.getNotificationCount(userId);
+      },
+      { userIds: ['usdemo', 'usother', 'usmissing'] }
+    );
+
+    expect(results).toEqual([{ userId: 'usdemo', value: { read: 1, unread: 1, total: 2 } }]);
+    expect(failures.map(failure => failure.error.message)).toEqual([
+      'Skipped.',
+      'The pool has no account usmissing.'
+    ]);
+  });
+
+  it('keeps cached responses of accounts sharing a cache store apart', async () => {
+    const store = new MemoryStore();
+    const shared = new ClientPool({
+      apiURL: server.url,
+      credentials: userId => credentials[userId],
+      clientOptions: { cache: { store } }
+    });
+
+    try {
+      const demo = shared.add('usdemo');
+      const other = shared.add('usother');
+
+      expect((await demo.getFeed('fddemo')).id).toBe('fddemo');
+      await expect(other.getFeed('fddemo')).rejects.toBeInstanceOf(ForbiddenError);
+      expect(demo._cacheOptions.namespace).toBe('usdemo:');
+      expect(other._cacheOptions.namespace).toBe('usother:');
+    } finally {
+      shared.close();
+    }
+  });
+
+  it('uses account options, the shared token store and a shared limiter', async () => {
+    const store = new MemoryStore();
+    const limiter = new RequestLimiter();
+    const shared = new ClientPool({
+      apiURL: server.url,
+      limiter,
+      clientOptions: { tokenStore: store, models: true }
+    });
+
+    try {
+      const client = shared.add('usdemo', { credentials: () => credentials.usdemo });
+
+      expect(client._limiter).toBe(limiter);
+      await client.getUser('usdemo');
+      expect((await store.get('token:usdemo')).token).toBe(client._token);
+
+      const restored = shared.add('usother', { tokenStoreKey: 'token:usdemo' });
+      expect(await restored.getFeed('fddemo')).toBeInstanceOf(Feed);
+    } finally {
+      shared.close();
+    }
+  });
+});
@@ -2,8 +2,35 @@ const axios = require('axios');
 const MockAdapter = require('axios-mock-adapter');
 
 const Energomonitor = require('../src/Energomonitor.js');
+const {
+  MissingTokenError,
+  InvalidArgumentError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError
+} = require('../src/errors.js');
+const { MemoryStore } = require('../src/stores.js');
+const { delay } = require('../src/utils.js');
+const RequestLimiter = require('../src/RequestLimiter.js');
+const { parseTimeRange } = require('../src/timeRanges.js');
 const mockData = require('./mock-data/mockData.json');
 
+// Returns an axios-mock-adapter reply function failing the request the way
+// axios does when no response is received. The adapter's own `networkError`
+// and `timeout` helpers return promises from another realm under Jest, which
+// the adapter does not recognize.
+function failRequest(message, code) {
+  return function() {
+    const error = new Error(message);
+    error.code = code;
+    throw error;
+  };
+}
+
 describe('Energomonitor', () => {
   let energomonitorAuthorized;
   let axiosMockAuthorized;
@@ -153,13 +180,33 @@ describe('Energomonitor', () => {
         Authorization: 'Bearer test-123456789'
       });
     });
+
+    it('saves the token expiration after successful auth', async () => {
+      axiosMock.onPost('/authorizations').reply(200, mockData.authorization);
+
+      await energomonitor.authorize('test_user', 'test_pw');
+      expect(energomonitor.getTokenExpiration()).toEqual(new Date('2017-03-01T12:30:00+00:00'));
+    });
+
+    it('emits a tokenChange event after successful auth', async () => {
+      const listener = jest.fn();
+      energomonitor.on('tokenChange', listener);
+      axiosMock.onPost('/authorizations').reply(200, mockData.authorization);
+
+      await energomonitor.authorize('test_user', 'test_pw');
+      energomonitor.removeListener('tokenChange', listener);
+
+      expect(listener).toHaveBeenCalledWith({
+        token: 'test-123456789',
+        expiresAt: new Date('2017-03-01T12:30:00+00:00')
+      });
+    });
   });
 
   describe('.getFeed', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getFeed(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getFeed('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -170,15 +217,14 @@ describe('Energomonitor', () => {
         return [200, mockData.feed];
       });
 
-      await energomonitorAuthorized.getFeed(1);
+      await energomonitorAuthorized.getFeed('1');
     });
   });
 
   describe('.getFeeds', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getFeeds(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getFeeds('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -189,15 +235,14 @@ describe('Energomonitor', () => {
         return [200, mockData.feeds];
       });
 
-      await energomonitorAuthorized.getFeeds(1);
+      await energomonitorAuthorized.getFeeds('1');
     });
   });
 
   describe('.getNotification', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getNotification(1, 2)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getNotification('1', 2)).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -210,15 +255,14 @@ describe('Energomonitor', () => {
         return [200, mockData.notification];
       });
 
-      await energomonitorAuthorized.getNotification(1, 2);
+      await energomonitorAuthorized.getNotification('1', 2);
     });
   });
 
   describe('.getNotificationCount', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getNotificationCount(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getNotificationCount('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -231,15 +275,14 @@ describe('Energomonitor', () => {
         return [200, mockData.notificationCount];
       });
 
-      await energomonitorAuthorized.getNotificationCount(1);
+      await energomonitorAuthorized.getNotificationCount('1');
     });
   });
 
   describe('.getNotifications', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getNotifications(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getNotifications('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -252,7 +295,7 @@ describe('Energomonitor', () => {
         return [200, mockData.notifications];
       });
 
-      await energomonitorAuthorized.getNotifications(1);
+      await energomonitorAuthorized.getNotifications('1');
     });
 
     it('does not pass unset parameters to axios config.params', async () => {
@@ -262,7 +305,7 @@ describe('Energomonitor', () => {
         return [200, mockData.notifications];
       });
 
-      await energomonitorAuthorized.getNotifications(1);
+      await energomonitorAuthorized.getNotifications('1');
     });
 
     it('converts the createdAtFrom parameter to ISO 8601 and passes it to axios config.params', async () => {
@@ -277,15 +320,14 @@ describe('Energomonitor', () => {
         return [200, mockData.notifications];
       });
 
-      await energomonitorAuthorized.getNotifications(1, createdAtFromDate);
+      await energomonitorAuthorized.getNotifications('1', createdAtFromDate);
     });
   });
 
   describe('.getRelatedStreams', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getRelatedStreams(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getRelatedStreams('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -298,15 +340,14 @@ describe('Energomonitor', () => {
         return [200, mockData.relatedStreams];
       });
 
-      await energomonitorAuthorized.getRelatedStreams(1);
+      await energomonitorAuthorized.getRelatedStreams('1');
     });
   });
 
   describe('.getStream', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getStream(1, 2)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getStream('1', '2')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -319,15 +360,14 @@ describe('Energomonitor', () => {
         return [200, mockData.stream];
       });
 
-      await energomonitorAuthorized.getStream(1, 2);
+      await energomonitorAuthorized.getStream('1', '2');
     });
   });
 
   describe('.getStreamData', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getStreamData(1, 2)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getStreamData('1', '2')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -340,7 +380,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streamData];
       });
 
-      await energomonitorAuthorized.getStreamData(1, 2);
+      await energomonitorAuthorized.getStreamData('1', '2');
     });
 
     it('does not pass unset parameters to axios config.params', async () => {
@@ -350,7 +390,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streamData];
       });
 
-      await energomonitorAuthorized.getStreamData(1, 2);
+      await energomonitorAuthorized.getStreamData('1', '2');
     });
 
     it('converts the timeFrom parameter to a timestamp and passes it to axios config.params', async () => {
@@ -366,7 +406,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streamData];
       });
 
-      await energomonitorAuthorized.getStreamData(1, 2, timeFromDate);
+      await energomonitorAuthorized.getStreamData('1', '2', timeFromDate);
     });
 
     it('converts the timeTo parameter to a timestamp and passes it to axios config.params', async () => {
@@ -382,7 +422,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streamData];
       });
 
-      await energomonitorAuthorized.getStreamData(1, 2, undefined, timeToDate);
+      await energomonitorAuthorized.getStreamData('1', '2', undefined, timeToDate);
     });
 
     it('passes the limit parameter to axios config.params', async () => {
@@ -394,15 +434,29 @@ describe('Energomonitor', () => {
         return [200, mockData.streamData];
       });
 
-      await energomonitorAuthorized.getStreamData(1, 2, undefined, undefined, 50);
+      await energomonitorAuthorized.getStreamData('1', '2', undefined, undefined, 50);
+    });
+
+    it('resamples the data points when the resample option is set', async () => {
+      axiosMockAuthorized.onGet('/feeds/1/streams/2/data').reply(200, mockData.streamData);
+
+      const dataPoints = await energomonitorAuthorized.getStreamData(
+        '1',
+        '2',
+        undefined,
+        undefined,
+        undefined,
+        { resample: { interval: 'hour', aggregation: 'max' } }
+      );
+
+      expect(dataPoints).toEqual([[1496066400, 57]]);
     });
   });
 
   describe('.getStreams', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getStreams(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getStreams('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -415,7 +469,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1);
+      await energomonitorAuthorized.getStreams('1');
     });
 
     it('does not pass unset parameters to axios config.params', async () => {
@@ -425,7 +479,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1);
+      await energomonitorAuthorized.getStreams('1');
     });
 
     it('passes the types parameter to axios config.params', async () => {
@@ -437,7 +491,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1, ['raw', 'processed']);
+      await energomonitorAuthorized.getStreams('1', ['raw', 'processed']);
     });
 
     it('passes the channels parameter to axios config.params', async () => {
@@ -447,7 +501,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1, undefined, [1, 2, 3]);
+      await energomonitorAuthorized.getStreams('1', undefined, [1, 2, 3]);
     });
 
     it('converts the dataTimeFrom parameter to a timestamp and passes it to axios config.params', async () => {
@@ -463,7 +517,7 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1, undefined, undefined, dataTimeFromDate);
+      await energomonitorAuthorized.getStreams('1', undefined, undefined, dataTimeFromDate);
     });
 
     it('converts the dataTimeTo parameter to a timestamp and passes it to axios config.params', async () => {
@@ -479,15 +533,20 @@ describe('Energomonitor', () => {
         return [200, mockData.streams];
       });
 
-      await energomonitorAuthorized.getStreams(1, undefined, undefined, undefined, dataTimeToDate);
+      await energomonitorAuthorized.getStreams(
+        '1',
+        undefined,
+        undefined,
+        undefined,
+        dataTimeToDate
+      );
     });
   });
 
   describe('.getUser', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.getUser(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.getUser('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -498,15 +557,14 @@ describe('Energomonitor', () => {
         return [200, mockData.user];
       });
 
-      await energomonitorAuthorized.getUser(1);
+      await energomonitorAuthorized.getUser('1');
     });
   });
 
   describe('.updateNotification', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.updateNotification(1, 2)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.updateNotification('1', 2)).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -519,7 +577,7 @@ describe('Energomonitor', () => {
         return [200, mockData.notification];
       });
 
-      await energomonitorAuthorized.updateNotification(1, 2);
+      await energomonitorAuthorized.updateNotification('1', 2);
     });
 
     it('does not pass unset parameters to axios config.data', async () => {
@@ -529,15 +587,805 @@ describe('Energomonitor', () => {
         return [200, mockData.notification];
       });
 
-      await energomonitorAuthorized.updateNotification(1, 2);
+      await energomonitorAuthorized.updateNotification('1', 2);
+    });
+  });
+
+  describe('error handling', () => {
+    it('rejects with MissingTokenError carrying the endpoint and method', async () => {
+      const error = await energomonitorUnauthorized.getStream('1', '2').catch(e => e);
+
+      expect(error).toBeInstanceOf(MissingTokenError);
+      expect(error.endpoint).toBe('/feeds/1/streams/2');
+      expect(error.method).toBe('GET');
+    });
+
+    it('rejects with AuthenticationError on 401', async () => {
+      axiosMockAuthorized.onGet('/users/1').reply(401, { message: 'Invalid token.' });
+
+      const error = await energomonitorAuthorized.getUser('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.message).toBe('GET /users/1 failed with status 401: Invalid token.');
+      expect(error.status).toBe(401);
+      expect(error.retryable).toBe(false);
+    });
+
+    it('rejects with AuthenticationError when authorize fails', async () => {
+      const energomonitor = new Energomonitor();
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      axiosMock.onPost('/authorizations').reply(401);
+
+      const error = await energomonitor.authorize('test_user', 'wrong_pw').catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.method).toBe('POST');
+      expect(error.endpoint).toBe('/authorizations');
+    });
+
+    it('rejects with NotFoundError on 404', async () => {
+      axiosMockAuthorized.onGet('/feeds/1').reply(404);
+
+      const error = await energomonitorAuthorized.getFeed('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.endpoint).toBe('/feeds/1');
+    });
+
+    it('rejects with ValidationError carrying the API error body on 400', async () => {
+      const apiError = {
+        code: 400,
+        message: 'Invalid parameters.',
+        errors: [{ field: 'limit', message: 'Must be at most 10000.' }]
+      };
+      axiosMockAuthorized.onGet('/feeds/1/streams/2/data').reply(400, apiError);
+
+      const error = await energomonitorAuthorized
+        .getStreamData('1', '2', undefined, undefined, 100000)
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.apiError).toEqual(apiError);
+    });
+
+    it('rejects with RateLimitError carrying Retry-After on 429', async () => {
+      axiosMockAuthorized.onGet('/users/1/feeds').reply(429, {}, { 'retry-after': '30' });
+
+      const error = await energomonitorAuthorized.getFeeds('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.retryAfter).toBe(30000);
+      expect(error.retryable).toBe(true);
+    });
+
+    it('rejects with ServerError on 5xx', async () => {
+      axiosMockAuthorized.onPatch('/users/1/notifications/2').reply(502);
+
+      const error = await energomonitorAuthorized
+        .updateNotification('1', 2, { read: true })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(ServerError);
+      expect(error.method).toBe('PATCH');
+      expect(error.status).toBe(502);
+    });
+
+    it('rejects with NetworkError when no response is received', async () => {
+      axiosMockAuthorized.onGet('/feeds/1/related_streams').reply(failRequest('Network Error'));
+
+      const error = await energomonitorAuthorized.getRelatedStreams('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.status).toBeUndefined();
+      expect(error.retryable).toBe(true);
+    });
+
+    it('rejects with TimeoutError when the request times out', async () => {
+      axiosMockAuthorized
+        .onGet('/users/1/notification_count')
+        .reply(failRequest('timeout of 1000ms exceeded', 'ECONNABORTED'));
+
+      const error = await energomonitorAuthorized.getNotificationCount('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('retries', () => {
+    let energomonitor;
+    let axiosMock;
+
+    beforeAll(() => {
+      energomonitor = new Energomonitor('my-token', undefined, undefined, {
+        retry: { maxAttempts: 3, baseDelay: 1, jitter: 0 }
+      });
+      axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+    });
+
+    beforeEach(() => {
+      axiosMock.reset();
+      energomonitor.removeAllListeners();
+    });
+
+    it('does not retry requests when retries are disabled', async () => {
+      axiosMockAuthorized
+        .onGet('/feeds/1')
+        .replyOnce(502)
+        .onGet('/feeds/1')
+        .replyOnce(200, mockData.feed);
+
+      await expect(energomonitorAuthorized.getFeed('1')).rejects.toBeInstanceOf(ServerError);
+    });
+
+    it('retries GET requests failing with a retryable status', async () => {
+      axiosMock
+        .onGet('/feeds/1/streams/2/data')
+        .replyOnce(502)
+        .onGet('/feeds/1/streams/2/data')
+        .replyOnce(503)
+        .onGet('/feeds/1/streams/2/data')
+        .replyOnce(200, mockData.streamData);
+
+      await expect(energomonitor.getStreamData('1', '2')).resolves.toEqual(mockData.streamData);
+    });
+
+    it('retries GET requests failing without a response', async () => {
+      axiosMock
+        .onGet('/feeds/1/streams')
+        .replyOnce(failRequest('socket hang up', 'ECONNRESET'))
+        .onGet('/feeds/1/streams')
+        .replyOnce(200, mockData.streams);
+
+      await expect(energomonitor.getStreams('1')).resolves.toEqual(mockData.streams);
+    });
+
+    it('rejects with the last error after maxAttempts', async () => {
+      let attempts = 0;
+      axiosMock.onGet('/feeds/1').reply(() => {
+        attempts++;
+        return [500];
+      });
+
+      await expect(energomonitor.getFeed('1')).rejects.toBeInstanceOf(ServerError);
+      expect(attempts).toBe(3);
+    });
+
+    it('does not retry non-retryable statuses', async () => {
+      let attempts = 0;
+      axiosMock.onGet('/feeds/1').reply(() => {
+        attempts++;
+        return [404];
+      });
+
+      await expect(energomonitor.getFeed('1')).rejects.toBeInstanceOf(NotFoundError);
+      expect(attempts).toBe(1);
+    });
+
+    it('does not retry notification updates by default', async () => {
+      let attempts = 0;
+      axiosMock.onPatch('/users/1/notifications').reply(() => {
+        attempts++;
+        return [503];
+      });
+
+      await expect(energomonitor.updateNotifications('1', { read: true })).rejects.toBeInstanceOf(
+        ServerError
+      );
+      expect(attempts).toBe(1);
+    });
+
+    it('retries notification updates when retryUpdates is set', async () => {
+      const energomonitorRetryingUpdates = new Energomonitor('my-token', undefined, undefined, {
+        retry: { baseDelay: 1, retryUpdates: true }
+      });
+      new MockAdapter(energomonitorRetryingUpdates.getAxiosInstance())
+        .onPatch('/users/1/notifications/2')
+        .replyOnce(503)
+        .onPatch('/users/1/notifications/2')
+        .replyOnce(200, mockData.notification);
+
+      await expect(
+        energomonitorRetryingUpdates.updateNotification('1', 2, { read: true })
+      ).resolves.toEqual(mockData.notification);
+    });
+
+    it('emits a retry event before each repeated attempt', async () => {
+      const events = [];
+      energomonitor.on('retry', event => events.push(event));
+      axiosMock
+        .onGet('/users/1')
+        .replyOnce(429, {}, { 'retry-after': '0' })
+        .onGet('/users/1')
+        .replyOnce(500)
+        .onGet('/users/1')
+        .replyOnce(200, mockData.user);
+
+      await energomonitor.getUser('1');
+
+      expect(
+        events.map(event => [event.method, event.endpoint, event.attempt, event.delay])
+      ).toEqual([['GET', '/users/1', 2, 1], ['GET', '/users/1', 3, 2]]);
+      expect(events[0].error).toBeInstanceOf(RateLimitError);
+      expect(events[1].error).toBeInstanceOf(ServerError);
+    });
+  });
+
+  describe('token lifecycle', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    function authorizationExpiringIn(ms, token = 'new-token') {
+      return Object.assign({}, mockData.authorization, {
+        token,
+        expires_at: new Date(Date.now() + ms).toISOString()
+      });
+    }
+
+    function credentials() {
+      return { username: 'test_user', password: 'test_pw', validMinutes: 60 };
+    }
+
+    it('authorizes using the credentials when there is no token', async () => {
+      const energomonitor = new Energomonitor(undefined, undefined, undefined, { credentials });
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      axiosMock.onPost('/authorizations').reply(config => {
+        expect(config.auth).toEqual({ username: 'test_user', password: 'test_pw' });
+        expect(config.data).toBe('{"valid_minutes":60}');
+
+        return [200, authorizationExpiringIn(HOUR)];
+      });
+      axiosMock.onGet('/users/1').reply(config => {
+        expect(config.headers['Authorization']).toBe('Bearer new-token');
+
+        return [200, mockData.user];
+      });
+
+      await expect(energomonitor.getUser('1')).resolves.toEqual(mockData.user);
+    });
+
+    it('authorizes again when the token is about to expire', async () => {
+      const energomonitor = new Energomonitor('old-token', undefined, undefined, {
+        credentials,
+        tokenExpiresAt: new Date(Date.now() + 30 * 1000)
+      });
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      axiosMock.onPost('/authorizations').reply(200, authorizationExpiringIn(HOUR));
+      axiosMock.onGet('/users/1').reply(config => {
+        expect(config.headers['Authorization']).toBe('Bearer new-token');
+
+        return [200, mockData.user];
+      });
+
+      await energomonitor.getUser('1');
+    });
+
+    it('does not authorize again when the token is valid long enough', async () => {
+      const energomonitor = new Energomonitor('old-token', undefined, undefined, {
+        credentials,
+        tokenExpiresAt: new Date(Date.now() + HOUR)
+      });
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      axiosMock.onGet('/users/1').reply(config => {
+        expect(config.headers['Authorization']).toBe('Bearer old-token');
+
+        return [200, mockData.user];
+      });
+
+      await energomonitor.getUser('1');
+    });
+
+    it('sends a single authorization request for concurrent requests', async () => {
+      const energomonitor = new Energomonitor(undefined, undefined, undefined, { credentials });
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      let authorizations = 0;
+      axiosMock.onPost('/authorizations').reply(() => {
+        authorizations++;
+        return [200, authorizationExpiringIn(HOUR)];
+      });
+      axiosMock.onGet('/users/1').reply(200, mockData.user);
+      axiosMock.onGet('/users/1/feeds').reply(200, mockData.feeds);
+
+      await Promise.all([energomonitor.getUser('1'), energomonitor.getFeeds('1')]);
+
+      expect(authorizations).toBe(1);
+    });
+
+    it('authorizes again and repeats the request when the token is rejected', async () => {
+      const energomonitor = new Energomonitor('old-token', undefined, undefined, { credentials });
+      const axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      axiosMock.onPost('/authorizations').reply(200, authorizationExpiringIn(HOUR));
+      axiosMock.onGet('/users/1').reply(config => {
+        return config.headers['Authorization'] === 'Bearer new-token'
+          ? [200, mockData.user]
+          : [401, { message: 'Token expired.' }];
+      });
+
+      await expect(energomonitor.getUser('1')).resolves.toEqual(mockData.user);
+    });
+
+    it('rejects with AuthenticationError when the token is rejected without credentials', async () => {
+      const energomonitor = new Energomonitor('old-token');
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet('/users/1').reply(401);
+
+      await expect(energomonitor.getUser('1')).rejects.toBeInstanceOf(AuthenticationError);
+    });
+
+    it('rejects when the credentials are rejected', async () => {
+      const energomonitor = new Energomonitor(undefined, undefined, undefined, { credentials });
+      new MockAdapter(energomonitor.getAxiosInstance()).onPost('/authorizations').reply(401);
+
+      const error = await energomonitor.getUser('1').catch(e => e);
+
+      expect(error).toBeInstanceOf(AuthenticationError);
+      expect(error.endpoint).toBe('/authorizations');
+    });
+
+    it('loads the token from the token store', async () => {
+      const tokenStore = new MemoryStore();
+      await tokenStore.set('token', {
+        token: 'stored-token',
+        expiresAt: '2030-01-01T00:00:00.000Z'
+      });
+      const energomonitor = new Energomonitor(undefined, undefined, undefined, { tokenStore });
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet('/users/1').reply(config => {
+        expect(config.headers['Authorization']).toBe('Bearer stored-token');
+
+        return [200, mockData.user];
+      });
+
+      await energomonitor.getUser('1');
+      expect(energomonitor.getTokenExpiration()).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+    });
+
+    it('saves new tokens to the token store', async () => {
+      const tokenStore = new MemoryStore();
+      const energomonitor = new Energomonitor(undefined, undefined, undefined, {
+        tokenStore,
+        tokenStoreKey: 'account-1'
+      });
+      new MockAdapter(energomonitor.getAxiosInstance())
+        .onPost('/authorizations')
+        .reply(200, mockData.authorization);
+
+      await energomonitor.authorize('test_user', 'test_pw');
+
+      expect(await tokenStore.get('account-1')).toEqual({
+        token: 'test-123456789',
+        expiresAt: '2017-03-01T12:30:00.000Z'
+      });
+    });
+  });
+
+  describe('caching', () => {
+    let energomonitor;
+    let axiosMock;
+    let requests;
+    let urls;
+
+    function createClient(cache) {
+      energomonitor = new Energomonitor('my-token', undefined, undefined, { cache });
+      axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+      requests = 0;
+      urls = [];
+      energomonitor.getAxiosInstance().interceptors.request.use(config => {
+        urls.push(config.url.replace(config.baseURL, ''));
+        return config;
+      });
+      axiosMock.onGet('/feeds/1').reply(() => {
+        requests++;
+        return [200, Object.assign({}, mockData.feed, { requests })];
+      });
+    }
+
+    it('does not cache by default', async () => {
+      createClient(undefined);
+
+      await energomonitor.getFeed('1');
+      await energomonitor.getFeed('1');
+
+      expect(requests).toBe(2);
+    });
+
+    it('returns cached responses until they expire', async () => {
+      createClient({ ttl: { feed: 50 } });
+
+      expect((await energomonitor.getFeed('1')).requests).toBe(1);
+      expect((await energomonitor.getFeed('1')).requests).toBe(1);
+
+      await delay(60);
+
+      expect((await energomonitor.getFeed('1')).requests).toBe(2);
+    });
+
+    it('shares concurrent requests', async () => {
+      createClient(true);
+
+      await Promise.all([energomonitor.getFeed('1'), energomonitor.getFeed('1')]);
+
+      expect(requests).toBe(1);
+    });
+
+    it('caches responses per parameters', async () => {
+      createClient(true);
+      axiosMock.onGet('/feeds/1/streams').reply(config => [200, [config.params.type]]);
+
+      expect(await energomonitor.getStreams('1', 'raw')).toEqual(['raw']);
+      expect(await energomonitor.getStreams('1', 'system')).toEqual(['system']);
+      expect(await energomonitor.getStreams('1', 'raw')).toEqual(['raw']);
+      expect(urls).toHaveLength(2);
+    });
+
+    it('returns stale responses while revalidating them', async () => {
+      createClient({ ttl: { feed: 0 }, staleWhileRevalidate: 60000 });
+
+      expect((await energomonitor.getFeed('1')).requests).toBe(1);
+      expect((await energomonitor.getFeed('1')).requests).toBe(1);
+
+      await delay(10);
+
+      expect(requests).toBe(2);
+      expect((await energomonitor.getFeed('1')).requests).toBe(2);
+    });
+
+    it('invalidates a feed and its streams', async () => {
+      createClient(true);
+      axiosMock.onGet('/feeds/1/streams/2').reply(200, mockData.stream);
+      axiosMock.onGet('/feeds/3').reply(200, mockData.feed);
+
+      await Promise.all([
+        energomonitor.getFeed('1'),
+        energomonitor.getStream('1', '2'),
+        energomonitor.getFeed('3')
+      ]);
+      await energomonitor.invalidateCache({ feedId: 1 });
+      await Promise.all([
+        energomonitor.getFeed('1'),
+        energomonitor.getStream('1', '2'),
+        energomonitor.getFeed('3')
+      ]);
+
+      expect(urls).toEqual([
+        '/feeds/1',
+        '/feeds/1/streams/2',
+        '/feeds/3',
+        '/feeds/1',
+        '/feeds/1/streams/2'
+      ]);
+    });
+
+    it('invalidates all responses', async () => {
+      createClient(true);
+
+      await energomonitor.getFeed('1');
+      await energomonitor.invalidateCache();
+      await energomonitor.getFeed('1');
+
+      expect(requests).toBe(2);
+    });
+
+    it('caches data points only in closed time ranges', async () => {
+      createClient(true);
+      axiosMock.onGet('/feeds/1/streams/2/data').reply(200, mockData.streamData);
+
+      const timeFrom = new Date('2017-05-29T00:00:00Z');
+      const timeTo = new Date('2017-05-30T00:00:00Z');
+      await energomonitor.getStreamData('1', '2', timeFrom, timeTo);
+      const cached = await energomonitor.getStreamData('1', '2', timeFrom, timeTo);
+      await energomonitor.getStreamData('1', '2', timeFrom);
+      await energomonitor.getStreamData('1', '2', timeFrom);
+      await energomonitor.getStreamData('1', '2', timeFrom, new Date());
+
+      expect(cached).toEqual(mockData.streamData);
+      expect(urls).toHaveLength(4);
+    });
+
+    it('caches streams filtered by data time only in closed time ranges', async () => {
+      createClient(true);
+      axiosMock.onGet('/feeds/1/streams').reply(200, mockData.streams);
+
+      const dataTimeFrom = new Date('2017-05-29T00:00:00Z');
+      const dataTimeTo = new Date('2017-05-30T00:00:00Z');
+      await energomonitor.getStreams('1', undefined, undefined, dataTimeFrom, dataTimeTo);
+      await energomonitor.getStreams('1', undefined, undefined, dataTimeFrom, dataTimeTo);
+      await energomonitor.getStreams('1', undefined, undefined, dataTimeFrom);
+      await energomonitor.getStreams('1', undefined, undefined, dataTimeFrom);
+
+      expect(urls).toHaveLength(3);
+    });
+
+    it('emits cacheError and falls back to the API when the store fails', async () => {
+      const store = {
+        get: () => Promise.reject(new Error('Store unavailable.')),
+        set: () => Promise.reject(new Error('Store unavailable.')),
+        delete: () => Promise.resolve()
+      };
+      createClient({ store });
+      const listener = jest.fn();
+      energomonitor.on('cacheError', listener);
+
+      expect((await energomonitor.getFeed('1')).requests).toBe(1);
+      expect(listener).toHaveBeenCalledWith({
+        key: 'https://api.energomonitor.com/v1/feeds/1?',
+        error: new Error('Store unavailable.')
+      });
+    });
+  });
+
+  describe('request limiting', () => {
+    it('limits the number of concurrent requests', async () => {
+      const energomonitor = new Energomonitor('my-token', undefined, undefined, {
+        concurrency: 2
+      });
+      let running = 0;
+      let maxRunning = 0;
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet(/\/feeds\/\d+$/).reply(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+
+        return [200, mockData.feed];
+      });
+
+      await Promise.all(['1', '2', '3', '4', '5'].map(feedId => energomonitor.getFeed(feedId)));
+
+      expect(maxRunning).toBe(2);
+    });
+
+    it('sends requests of clients with higher priorities first', async () => {
+      const limiter = new RequestLimiter({ concurrency: 1 });
+      const batch = new Energomonitor('my-token', undefined, undefined, { limiter, priority: -1 });
+      const interactive = new Energomonitor('my-token', undefined, undefined, {
+        limiter,
+        priority: 1
+      });
+      const urls = [];
+      [batch, interactive].forEach(energomonitor => {
+        new MockAdapter(energomonitor.getAxiosInstance()).onGet(/\/feeds\/\d+$/).reply(config => {
+          urls.push(config.url);
+          return [200, mockData.feed];
+        });
+      });
+
+      await Promise.all([
+        batch.getFeed('1'),
+        batch.getFeed('2'),
+        batch.getFeed('3'),
+        interactive.getFeed('4')
+      ]);
+
+      expect(urls).toEqual(['/feeds/1', '/feeds/4', '/feeds/2', '/feeds/3']);
+    });
+
+    it('sends requests with higher per-call priorities first', async () => {
+      const energomonitor = new Energomonitor('my-token', undefined, undefined, {
+        concurrency: 1,
+        priority: -1
+      });
+      const urls = [];
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet(/\/feeds\/\d+/).reply(config => {
+        urls.push(config.url);
+        return [200, []];
+      });
+      energomonitor.use({
+        beforeRequest(context) {
+          if (context.args.feedId === '4') {
+            context.priority = 5;
+          }
+        }
+      });
+
+      await Promise.all([
+        energomonitor.getStreamData('1', '1'),
+        energomonitor.getStreamData('2', '1'),
+        energomonitor.getAllStreamData('3', '1', '2017-05-01T00:00:00Z', '2017-05-01T00:00:01Z', {
+          priority: 10
+        }),
+        energomonitor.getFeed('4'),
+        energomonitor.getStreamData({ feedId: '5', streamId: '1', priority: 1 })
+      ]);
+
+      expect(urls).toEqual([
+        '/feeds/1/streams/1/data',
+        '/feeds/3/streams/1/data',
+        '/feeds/4',
+        '/feeds/5/streams/1/data',
+        '/feeds/2/streams/1/data'
+      ]);
+      await expect(
+        energomonitor.getStreamData('1', '1', undefined, undefined, undefined, { priority: 'high' })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+    });
+
+    it('shares identical GET requests in progress when dedupe is set', async () => {
+      const energomonitor = new Energomonitor('my-token', undefined, undefined, { dedupe: true });
+      let requests = 0;
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet('/feeds/1').reply(() => {
+        requests++;
+        return [200, mockData.feed];
+      });
+
+      const feeds = await Promise.all([energomonitor.getFeed('1'), energomonitor.getFeed('1')]);
+      await energomonitor.getFeed('1');
+
+      expect(feeds[0]).toBe(feeds[1]);
+      expect(requests).toBe(2);
+    });
+
+    it('does not share requests by default', async () => {
+      const energomonitor = new Energomonitor('my-token');
+      let requests = 0;
+      new MockAdapter(energomonitor.getAxiosInstance()).onGet('/feeds/1').reply(() => {
+        requests++;
+        return [200, mockData.feed];
+      });
+
+      await Promise.all([energomonitor.getFeed('1'), energomonitor.getFeed('1')]);
+
+      expect(requests).toBe(2);
+    });
+  });
+
+  describe('middleware', () => {
+    let energomonitor;
+    let axiosMock;
+
+    beforeEach(() => {
+      energomonitor = new Energomonitor('my-token', undefined, undefined, {
+        retry: { maxAttempts: 2, baseDelay: 1, jitter: 0 }
+      });
+      axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+    });
+
+    it('passes the operation, its arguments, the endpoint and timing to the hooks', async () => {
+      const contexts = [];
+      let headers;
+      axiosMock.onGet('/feeds/1/streams/2/data').reply(config => {
+        headers = config.headers;
+        return [200, mockData.streamData];
+      });
+      energomonitor.use({
+        beforeRequest(context) {
+          context.headers['X-Request-Id'] = 'request-1';
+        },
+        afterResponse(context) {
+          contexts.push(context);
+        }
+      });
+
+      await energomonitor.getStreamData('1', '2', '2017-05-01T00:00:00Z', undefined, 10);
+
+      expect(headers['X-Request-Id']).toBe('request-1');
+      expect(headers['Authorization']).toBe('Bearer my-token');
+      expect(contexts).toHaveLength(1);
+      expect(contexts[0]).toMatchObject({
+        operation: 'getStreamData',
+        args: {
+          feedId: '1',
+          streamId: '2',
+          timeFrom: new Date('2017-05-01T00:00:00Z'),
+          limit: 10
+        },
+        attempt: 1,
+        method: 'GET',
+        endpoint: '/feeds/1/streams/2/data',
+        url: 'https://api.energomonitor.com/v1/feeds/1/streams/2/data',
+        params: { limit: 10, time_from: 1493596800 },
+        shortCircuited: false,
+        error: null
+      });
+      expect(contexts[0].startedAt).toBeInstanceOf(Date);
+      expect(contexts[0].duration).toBeGreaterThanOrEqual(0);
+      expect(contexts[0].response.status).toBe(200);
+    });
+
+    it('short-circuits requests with a response returned by beforeRequest', async () => {
+      const seen = [];
+      energomonitor.use({
+        beforeRequest(context) {
+          return context.endpoint === '/feeds/1' ? { data: mockData.feed } : undefined;
+        }
+      });
+      energomonitor.use({
+        beforeRequest() {
+          seen.push('inner');
+        },
+        afterResponse(context) {
+          seen.push(context.shortCircuited);
+        }
+      });
+
+      await expect(energomonitor.getFeed('1')).resolves.toEqual(mockData.feed);
+      expect(axiosMock.handlers.get).toHaveLength(0);
+      expect(seen).toEqual([true]);
+    });
+
+    it('transforms the results in reverse order', async () => {
+      axiosMock.onGet('/users/1/notification_count').reply(200, { read: 1, unread: 2, total: 3 });
+      energomonitor.use({
+        afterResponse: context =>
+          Promise.resolve(Object.assign({ outer: true }, context.response.data))
+      });
+      energomonitor.use({
+        afterResponse: context =>
+          Object.assign({ inner: !context.response.data.outer }, context.response.data)
+      });
+
+      await expect(energomonitor.getNotificationCount('1')).resolves.toEqual({
+        read: 1,
+        unread: 2,
+        total: 3,
+        inner: true,
+        outer: true
+      });
+    });
+
+    it('calls onError for each attempt and lets it recover or replace the error', async () => {
+      const attempts = [];
+      axiosMock.onGet('/feeds/1').reply(503);
+      axiosMock.onGet('/feeds/2').reply(404);
+      energomonitor.use({
+        onError(context) {
+          attempts.push([context.operation, context.attempt, context.error.status]);
+
+          if (context.endpoint === '/feeds/2') {
+            throw new Error('Feed 2 is gone.');
+          }
+          return context.attempt === 2 ? mockData.feed : undefined;
+        }
+      });
+
+      await expect(energomonitor.getFeed('1')).resolves.toEqual(mockData.feed);
+      await expect(energomonitor.getFeed('2')).rejects.toEqual(new Error('Feed 2 is gone.'));
+      expect(attempts).toEqual([['getFeed', 1, 503], ['getFeed', 2, 503], ['getFeed', 1, 404]]);
+    });
+
+    it('adds middleware passed to the constructor and removes middleware', async () => {
+      const operations = [];
+      const middleware = {
+        beforeRequest(context) {
+          operations.push(context.operation);
+        }
+      };
+      const withMiddleware = new Energomonitor(undefined, undefined, undefined, {
+        middleware: [middleware]
+      });
+      new MockAdapter(withMiddleware.getAxiosInstance())
+        .onPost('/authorizations')
+        .reply(200, mockData.authorization);
+
+      await withMiddleware.authorize('user', 'password');
+      const remove = withMiddleware.use({
+        beforeRequest() {
+          operations.push('removed');
+        }
+      });
+      remove();
+      remove();
+      await withMiddleware.createScopedToken(
+        'user',
+        'password',
+        [{ type: 'feed', name: '1', permissions: ['r'] }],
+        60,
+        'Kiosk'
+      );
+
+      expect(operations).toEqual(['authorize', 'createScopedToken']);
+    });
+
+    it('validates the middleware', () => {
+      [undefined, null, {}, { beforeRequest: true }, 'middleware'].forEach(middleware => {
+        expect(() => energomonitor.use(middleware)).toThrow(TypeError);
+      });
+      expect(
+        () => new Energomonitor(undefined, undefined, undefined, { middleware: [{}] })
+      ).toThrow(TypeError);
     });
   });
 
   describe('.updateNotifications', () => {
     it('returns a rejected promise when token is not set', () => {
-      return expect(energomonitorUnauthorized.updateNotifications(1)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(energomonitorUnauthorized.updateNotifications('1')).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -550,7 +1398,263 @@ describe('Energomonitor', () => {
         return [205];
       });
 
-      await energomonitorAuthorized.updateNotifications(1);
+      await energomonitorAuthorized.updateNotifications('1');
+    });
+  });
+
+  describe('argument validation', () => {
+    let requestCount;
+
+    beforeEach(() => {
+      requestCount = 0;
+      axiosMockAuthorized.onAny().reply(() => {
+        requestCount++;
+
+        return [200, []];
+      });
+    });
+
+    it('accepts a single options object instead of positional arguments', async () => {
+      axiosMockAuthorized.reset();
+      axiosMockAuthorized.onGet('/feeds/1/streams/2/data').reply(function(config) {
+        expect(config.params).toEqual({ limit: 2, time_from: 1444626600, time_to: 1444630200 });
+
+        return [200, [[1444626600, 1], [1444626660, 3]]];
+      });
+
+      const dataPoints = await energomonitorAuthorized.getStreamData({
+        feedId: '1',
+        streamId: '2',
+        timeFrom: new Date(Date.UTC(2015, 9, 12, 5, 10, 0)),
+        timeTo: '2015-10-12T06:10:00Z',
+        limit: 2,
+        resample: { interval: 'hour', aggregation: 'sum' }
+      });
+
+      expect(dataPoints).toEqual([[1444626000, 4]]);
+    });
+
+    it('accepts ISO 8601 strings as times', async () => {
+      axiosMockAuthorized.reset();
+      axiosMockAuthorized.onGet('/feeds/1/streams').reply(function(config) {
+        expect(config.params).toEqual({ data_time_from: 1444626600 });
+
+        return [200, mockData.streams];
+      });
+
+      await energomonitorAuthorized.getStreams('1', undefined, undefined, '2015-10-12T05:10:00Z');
+    });
+
+    it('rejects invalid IDs without sending a request', async () => {
+      const error = await energomonitorAuthorized.getFeed(42).catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidArgumentError);
+      expect(error.message).toBe('feedId must be a non-empty string, got 42.');
+      expect(error.argument).toBe('feedId');
+      await expect(energomonitorAuthorized.getStream('1', '')).rejects.toBeInstanceOf(
+        InvalidArgumentError
+      );
+      await expect(energomonitorAuthorized.getUser()).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects invalid times', async () => {
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', new Date('invalid'))
+      ).rejects.toEqual(
+        new InvalidArgumentError(
+          'timeFrom must be a valid Date or an ISO 8601 string, got an invalid Date.'
+        )
+      );
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', undefined, 1444626600)
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      await expect(
+        energomonitorAuthorized.getNotifications('1', 'yesterday')
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects ranges ending before they start', async () => {
+      const timeFrom = new Date(Date.UTC(2015, 9, 12));
+      const timeTo = new Date(Date.UTC(2015, 9, 11));
+
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', timeFrom, timeTo)
+      ).rejects.toEqual(new InvalidArgumentError('timeFrom must not be later than timeTo.'));
+      await expect(
+        energomonitorAuthorized.getStreams({
+          feedId: '1',
+          dataTimeFrom: timeFrom,
+          dataTimeTo: timeTo
+        })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(() => energomonitorAuthorized.iterateStreamData('1', '2', timeFrom, timeTo)).toThrow(
+        InvalidArgumentError
+      );
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects limits that are not positive integers', async () => {
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', undefined, undefined, 0)
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      await expect(
+        energomonitorAuthorized.getStreamData({ feedId: '1', streamId: '2', limit: 1.5 })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects notification updates of other properties', async () => {
+      await expect(
+        energomonitorAuthorized.updateNotification('1', '2', { read: true, title: 'Hi' })
+      ).rejects.toEqual(
+        new InvalidArgumentError('data must only contain read or archived, got title.')
+      );
+      await expect(
+        energomonitorAuthorized.updateNotifications('1', { archived: true })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      await expect(
+        energomonitorAuthorized.updateNotification('1', '2', { read: 'yes' })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects unknown properties of options objects', async () => {
+      await expect(energomonitorAuthorized.getFeed({ feedId: '1', streamId: '2' })).rejects.toEqual(
+        new InvalidArgumentError('Unknown argument: streamId.')
+      );
+      expect(requestCount).toBe(0);
+    });
+
+    it('rejects unknown options', async () => {
+      const error = await energomonitorAuthorized
+        .getStreamData({ feedId: '1', streamId: '2', limt: 10 })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(InvalidArgumentError);
+      expect(error.message).toBe('Unknown option: limt.');
+      expect(error.argument).toBe('options.limt');
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', undefined, undefined, 10, { pageSize: 10 })
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+      expect(() => energomonitorAuthorized.watchNotifications('1', { interval: 1000 })).toThrow(
+        new InvalidArgumentError('Unknown option: interval.')
+      );
+      expect(requestCount).toBe(0);
+    });
+
+    it('validates arguments of iterators and watchers synchronously', () => {
+      expect(() => energomonitorAuthorized.iterateStreamData('1', '2')).toThrow(
+        InvalidArgumentError
+      );
+      expect(() =>
+        energomonitorAuthorized.iterateStreamData('1', '2', undefined, undefined, { cursor: 0 })
+      ).not.toThrow();
+      expect(() =>
+        energomonitorAuthorized.watchNotifications({ userId: '1', minInterval: -1 })
+      ).toThrow(InvalidArgumentError);
+      expect(() => energomonitorAuthorized.subscribe([{ feedId: '1' }])).toThrow(
+        InvalidArgumentError
+      );
+    });
+  });
+
+  describe('time ranges', () => {
+    // [2017-03-26T00:00:00+01:00, 2017-03-27T00:00:00+02:00), 23 hours.
+    const day = { from: '2017-03-25T23:00:00Z', to: '2017-03-26T22:00:00Z' };
+
+    it('converts a range to inclusive times', async () => {
+      axiosMockAuthorized.onGet('/feeds/1/streams/2/data').reply(function(config) {
+        expect(config.params).toMatchObject({ time_from: 1490482800, time_to: 1490565599 });
+
+        return [200, []];
+      });
+
+      await energomonitorAuthorized.getStreamData('1', '2', day);
+      await energomonitorAuthorized.getStreamData({ feedId: '1', streamId: '2', range: day });
+      await energomonitorAuthorized.getAllStreamData('1', '2', day);
+    });
+
+    it('resolves range names in the timezone of the client', async () => {
+      const client = new Energomonitor('my-token', undefined, undefined, {
+        timeZone: 'Europe/Prague'
+      });
+      const axiosMock = new MockAdapter(client.getAxiosInstance());
+      const yesterday = parseTimeRange('yesterday', { timeZone: 'Europe/Prague' });
+
+      axiosMock.onGet('/feeds/1/streams').reply(function(config) {
+        expect(config.params).toEqual({
+          data_time_from: yesterday.from.getTime() / 1000,
+          data_time_to: yesterday.to.getTime() / 1000 - 1
+        });
+
+        return [200, mockData.streams];
+      });
+
+      await client.getStreams({ feedId: '1', range: 'yesterday' });
+    });
+
+    it('resamples calendar intervals in the timezone of the client', async () => {
+      const client = new Energomonitor('my-token', undefined, undefined, {
+        timeZone: 'Europe/Prague'
+      });
+      const axiosMock = new MockAdapter(client.getAxiosInstance());
+
+      axiosMock
+        .onGet('/feeds/1/streams/2/data')
+        .reply(200, [[1490479200, 1], [1490482800, 2], [1490565600, 3]]);
+
+      expect(
+        await client.getStreamData('1', '2', undefined, undefined, undefined, {
+          resample: { interval: 'day', aggregation: 'sum' }
+        })
+      ).toEqual([[1490396400, 1], [1490482800, 2], [1490565600, 3]]);
+      expect(
+        await client.getStreamData('1', '2', undefined, undefined, undefined, {
+          resample: { interval: 'day', aggregation: 'sum', timeZone: 'UTC' }
+        })
+      ).toEqual([[1490400000, 3], [1490486400, 3]]);
+    });
+
+    it('rejects invalid ranges', async () => {
+      axiosMockAuthorized.onGet('/feeds/1/streams/2/data').reply(200, []);
+
+      await expect(
+        energomonitorAuthorized.getStreamData('1', '2', 'last-fortnight')
+      ).rejects.toEqual(
+        new InvalidArgumentError(
+          'timeFrom must be a time range name (e.g. last-7-days) or an object, got "last-fortnight".'
+        )
+      );
+      await expect(
+        energomonitorAuthorized.getStreamData({ feedId: '1', streamId: '2', range: day, limit: 1 })
+      ).resolves.toEqual([]);
+      await expect(
+        energomonitorAuthorized.getStreamData({
+          feedId: '1',
+          streamId: '2',
+          range: day,
+          timeTo: new Date()
+        })
+      ).rejects.toEqual(
+        new InvalidArgumentError('range must not be combined with timeFrom or timeTo.')
+      );
+      await expect(
+        energomonitorAuthorized.getStreams({ feedId: '1', range: { from: day.to, to: day.from } })
+      ).rejects.toEqual(new InvalidArgumentError('range.from must be earlier than range.to.'));
+      expect(() =>
+        energomonitorAuthorized.iterateStreamData('1', '2', { from: 'yesterday', to: day.to })
+      ).toThrow(InvalidArgumentError);
+      await expect(energomonitorAuthorized.getFeed({ feedId: '1', range: day })).rejects.toEqual(
+        new InvalidArgumentError('Unknown argument: range.')
+      );
+    });
+
+    it('rejects unknown timezones', () => {
+      expect(
+        () => new Energomonitor('my-token', undefined, undefined, { timeZone: 'Mars' })
+      ).toThrow(new TypeError('Unknown timezone: Mars.'));
     });
   });
 });
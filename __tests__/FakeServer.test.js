@@ -0,0 +1,251 @@
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('../src/errors');
+const { buildAuthorizedRequestHeaders } = require('../src/utils.js');
+
+describe('FakeServer', () => {
+  const timeFrom = new Date('2017-01-01T00:00:00Z');
+  const timeTo = new Date('2017-01-02T00:00:00Z');
+  const fixtures = createFixtures({ timeFrom, timeTo });
+
+  let server;
+  let energomonitor;
+  let token;
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    server.seed(fixtures);
+    energomonitor = new Energomonitor(undefined, undefined, server.url);
+    token = (await energomonitor.authorize('demo', 'demo')).token;
+  });
+
+  describe('authorizations', () => {
+    it('creates a token with Basic auth', async () => {
+      const authorization = await energomonitor.authorize('demo', 'demo', 'Test', undefined, 60);
+
+      expect(authorization).toMatchObject({ user_id: 'usdemo', note: 'Test' });
+      expect(new Date(authorization.expires_at).getTime()).toBeGreaterThan(Date.now());
+      expect(server.fixtures.authorizations).toHaveLength(2);
+    });
+
+    it('rejects invalid credentials', async () => {
+      await expect(energomonitor.authorize('demo', 'wrong')).rejects.toBeInstanceOf(
+        AuthenticationError
+      );
+    });
+
+    it('rejects invalid and expired tokens', async () => {
+      server.fixtures.authorizations.push({
+        user_id: 'usdemo',
+        token: 'expired',
+        expires_at: '2017-01-01T00:00:00Z'
+      });
+
+      await expect(
+        new Energomonitor('unknown', undefined, server.url).getUser('usdemo')
+      ).rejects.toBeInstanceOf(AuthenticationError);
+      await expect(
+        new Energomonitor('expired', undefined, server.url).getUser('usdemo')
+      ).rejects.toBeInstanceOf(AuthenticationError);
+    });
+
+    it('accepts tokens from the fixture set', async () => {
+      server.fixtures.authorizations.push({ user_id: 'usdemo', token: 'fixed', expires_at: null });
+
+      await expect(
+        new Energomonitor('fixed', undefined, server.url).getUser('usdemo')
+      ).resolves.toMatchObject({ id: 'usdemo' });
+    });
+
+    it('restricts access to the token’s resources', async () => {
+      await energomonitor.authorize('demo', 'demo', undefined, []);
+
+      await expect(energomonitor.getFeed('fddemo')).rejects.toBeInstanceOf(ForbiddenError);
+    });
+  });
+
+  describe('users and feeds', () => {
+    it('returns the user without private properties', async () => {
+      expect(await energomonitor.getUser('usdemo')).toEqual({
+        id: 'usdemo',
+        username: 'demo',
+        email: 'demo@example.com'
+      });
+    });
+
+    it('denies access to other users', async () => {
+      server.fixtures.users.push({ id: 'usother', username: 'other', password: 'other' });
+
+      await expect(energomonitor.getUser('usother')).rejects.toBeInstanceOf(ForbiddenError);
+      await expect(energomonitor.getUser('usnone')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('returns feeds', async () => {
+      const feeds = await energomonitor.getFeeds('usdemo');
+
+      expect(feeds.map(feed => feed.id)).toEqual(['fddemo']);
+      expect(feeds[0].streams).toBeUndefined();
+      expect(await energomonitor.getFeed('fddemo')).toEqual(feeds[0]);
+    });
+  });
+
+  describe('streams', () => {
+    it('filters streams by type and channel', async () => {
+      const byType = await energomonitor.getStreams('fddemo', ['raw', 'system']);
+      const byChannel = await energomonitor.getStreams('fddemo', undefined, [1, 2]);
+
+      expect(byType.map(stream => stream.id)).toEqual(['straw', 'stsystem']);
+      expect(byChannel.map(stream => stream.id)).toEqual(['stpower', 'stenergy', 'sttemp']);
+      expect(byChannel[0].data).toBeUndefined();
+    });
+
+    it('filters streams by data time', async () => {
+      server.fixtures.feeds[0].streams[0].data = [];
+
+      const streams = await energomonitor.getStreams(
+        'fddemo',
+        undefined,
+        undefined,
+        timeFrom,
+        timeTo
+      );
+
+      expect(streams.map(stream => stream.id)).not.toContain('stpower');
+      expect(streams).toHaveLength(4);
+    });
+
+    it('returns a stream', async () => {
+      expect(await energomonitor.getStream('fddemo', 'sttemp')).toMatchObject({
+        id: 'sttemp',
+        channel: 2
+      });
+      await expect(energomonitor.getStream('fddemo', 'unknown')).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+    });
+
+    it('returns data points in a range', async () => {
+      const dataPoints = await energomonitor.getStreamData(
+        'fddemo',
+        'stpower',
+        new Date('2017-01-01T01:00:00Z'),
+        new Date('2017-01-01T02:00:00Z')
+      );
+
+      expect(dataPoints).toHaveLength(13);
+      expect(dataPoints[0][0]).toBe(1483232400);
+    });
+
+    it('returns the newest data points when the limit is exceeded', async () => {
+      const dataPoints = await energomonitor.getStreamData(
+        'fddemo',
+        'stpower',
+        undefined,
+        undefined,
+        2
+      );
+
+      expect(dataPoints.map(dataPoint => dataPoint[0])).toEqual([1483314900, 1483315200]);
+    });
+
+    it('works with the data iterator', async () => {
+      const dataPoints = await energomonitor.getAllStreamData(
+        'fddemo',
+        'stpower',
+        timeFrom,
+        timeTo,
+        {
+          pageSize: 100,
+          windowSize: 3600
+        }
+      );
+
+      expect(dataPoints).toEqual(fixtures.feeds[0].streams[0].data);
+    });
+
+    it('returns data points added to the server', async () => {
+      server.addDataPoints('fddemo', 'stpower', [[1483315500, 1000]]);
+
+      expect(await energomonitor.getStreamData('fddemo', 'stpower', timeTo)).toEqual([
+        [1483315200, fixtures.feeds[0].streams[0].data[288][1]],
+        [1483315500, 1000]
+      ]);
+    });
+
+    it('returns related streams', async () => {
+      expect(await energomonitor.getRelatedStreams('fddemo')).toEqual([['stpower', 'stenergy']]);
+    });
+  });
+
+  describe('notifications', () => {
+    it('returns notifications', async () => {
+      const notifications = await energomonitor.getNotifications('usdemo');
+      const recent = await energomonitor.getNotifications('usdemo', timeTo);
+
+      expect(notifications.map(notification => notification.id)).toEqual([2, 1]);
+      expect(recent.map(notification => notification.id)).toEqual([2]);
+      expect(await energomonitor.getNotification('usdemo', 1)).toMatchObject({ read: true });
+    });
+
+    it('updates notifications', async () => {
+      const notification = await energomonitor.updateNotification('usdemo', 2, {
+        read: true,
+        archived: true
+      });
+
+      expect(notification).toMatchObject({ id: 2, read: true, archived: true });
+      expect(await energomonitor.getNotificationCount('usdemo')).toEqual({
+        read: 2,
+        unread: 0,
+        total: 2
+      });
+
+      await energomonitor.updateNotifications('usdemo', { read: false });
+
+      expect(await energomonitor.getNotificationCount('usdemo')).toEqual({
+        read: 0,
+        unread: 2,
+        total: 2
+      });
+    });
+
+    it('rejects invalid updates', async () => {
+      // The client validates updates itself, send them directly.
+      const patch = (url, data) =>
+        energomonitor
+          .getAxiosInstance()
+          .patch(url, data, { headers: buildAuthorizedRequestHeaders(token) })
+          .catch(error => error.response.status);
+
+      expect(await patch('/users/usdemo/notifications/2', { read: 'yes' })).toBe(400);
+      expect(await patch('/users/usdemo/notifications', { archived: true })).toBe(400);
+    });
+  });
+
+  it('logs received requests', async () => {
+    await energomonitor.getStreamData('fddemo', 'stpower', undefined, undefined, 5);
+
+    expect(server.requests[server.requests.length - 1]).toEqual({
+      method: 'GET',
+      path: '/v1/feeds/fddemo/streams/stpower/data',
+      query: { limit: '5' }
+    });
+  });
+
+  it('responds with 404 to unknown routes', async () => {
+    const response = await energomonitor
+      .getAxiosInstance()
+      .get('/unknown')
+      .catch(error => error.response);
+
+    expect(response.status).toBe(404);
+    expect(response.data).toEqual({ message: 'Not found.' });
+  });
+});
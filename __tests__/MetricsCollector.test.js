@@ -0,0 +1,98 @@
+const MetricsCollector = require('../src/MetricsCollector.js');
+
+function createRecord(properties) {
+  return Object.assign(
+    {
+      operation: 'getFeed',
+      status: 200,
+      duration: 20,
+      size: 100,
+      retries: 0,
+      shortCircuited: false,
+      error: null
+    },
+    properties
+  );
+}
+
+describe('MetricsCollector', () => {
+  it('aggregates the records per operation', () => {
+    const metrics = new MetricsCollector({ buckets: [50, 100] });
+
+    metrics.record(createRecord());
+    metrics.record(createRecord({ duration: 80 }));
+    metrics.record(createRecord({ duration: 300, status: 503, size: 0, error: 'Failed.' }));
+    metrics.record(createRecord({ status: null, duration: 5, retries: 1, error: 'Timeout.' }));
+    metrics.record(createRecord({ operation: 'getUser', duration: null, shortCircuited: true }));
+
+    expect(metrics.getMetrics()).toEqual({
+      operations: {
+        getFeed: {
+          requests: 4,
+          errors: 2,
+          retries: 1,
+          shortCircuited: 0,
+          statuses: { 200: 2, 503: 1 },
+          bytes: 300,
+          latency: {
+            count: 4,
+            sum: 405,
+            min: 5,
+            max: 300,
+            mean: 101.25,
+            buckets: [{ le: 50, count: 2 }, { le: 100, count: 3 }, { le: Infinity, count: 4 }]
+          }
+        },
+        getUser: {
+          requests: 1,
+          errors: 0,
+          retries: 0,
+          shortCircuited: 1,
+          statuses: { 200: 1 },
+          bytes: 100,
+          latency: {
+            count: 0,
+            sum: 0,
+            min: null,
+            max: null,
+            mean: null,
+            buckets: [{ le: 50, count: 0 }, { le: 100, count: 0 }, { le: Infinity, count: 0 }]
+          }
+        }
+      }
+    });
+
+    metrics.reset();
+    expect(metrics.getMetrics()).toEqual({ operations: {} });
+  });
+
+  it('exposes the metrics in the Prometheus format', () => {
+    const metrics = new MetricsCollector({ buckets: [50], prefix: 'em' });
+
+    metrics.record(createRecord());
+    metrics.record(createRecord({ duration: 70, status: 503, error: 'Failed.' }));
+
+    const text = metrics.toPrometheus();
+
+    expect(text).toContain(
+      '# TYPE em_requests_total counter\nem_requests_total{operation="getFeed"} 2\n'
+    );
+    expect(text).toContain('em_responses_total{operation="getFeed",status="503"} 1\n');
+    expect(text).toContain('em_request_errors_total{operation="getFeed"} 1\n');
+    expect(text).toContain('# TYPE em_request_duration_milliseconds histogram\n');
+    expect(text).toContain(
+      'em_request_duration_milliseconds_bucket{operation="getFeed",le="50"} 1\n'
+    );
+    expect(text).toContain(
+      'em_request_duration_milliseconds_bucket{operation="getFeed",le="+Inf"} 2\n'
+    );
+    expect(text).toContain('em_request_duration_milliseconds_sum{operation="getFeed"} 90\n');
+    expect(text).toContain('em_request_duration_milliseconds_count{operation="getFeed"} 2\n');
+  });
+
+  it('validates the buckets', () => {
+    [[], [100, 50], ['10'], 100].forEach(buckets => {
+      expect(() => new MetricsCollector({ buckets })).toThrow(TypeError);
+    });
+  });
+});
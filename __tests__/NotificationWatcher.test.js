@@ -0,0 +1,175 @@
+/* eslint-env node */
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { MemoryStore } = require('../src/stores.js');
+const { delay } = require('../src/utils.js');
+
+describe('NotificationWatcher', () => {
+  const fixtures = createFixtures({
+    timeFrom: new Date('2017-01-01T00:00:00Z'),
+    timeTo: new Date('2017-01-02T00:00:00Z'),
+    period: 3600
+  });
+
+  let server;
+  let energomonitor;
+  let watcher;
+
+  function addNotification(id, createdAt) {
+    server.fixtures.users[0].notifications.push({
+      id,
+      title: `Notification ${id}`,
+      content: '',
+      feed_title: 'Demo',
+      created_at: createdAt,
+      read: false,
+      archived: false
+    });
+  }
+
+  function collect(emitter, event) {
+    const events = [];
+    emitter.on(event, value => events.push(value));
+
+    return events;
+  }
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    server.seed(fixtures);
+    energomonitor = new Energomonitor(undefined, undefined, server.url);
+    await energomonitor.authorize('demo', 'demo');
+  });
+
+  afterEach(() => watcher.stop());
+
+  it('emits notifications created after the cursor', async () => {
+    watcher = energomonitor.watchNotifications('usdemo', {
+      createdAtFrom: new Date('2017-01-01T12:00:00Z')
+    });
+    const notifications = collect(watcher, 'notification');
+
+    await watcher.poll();
+    expect(notifications.map(notification => notification.id)).toEqual([2]);
+
+    addNotification(4, '2017-01-03T00:00:00+00:00');
+    addNotification(3, '2017-01-02T12:00:00+00:00');
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(notifications.map(notification => notification.id)).toEqual([2, 3, 4]);
+    expect(watcher.cursor).toEqual(new Date('2017-01-03T00:00:00Z'));
+  });
+
+  it('does not deliver existing notifications by default', async () => {
+    watcher = energomonitor.watchNotifications('usdemo');
+    const notifications = collect(watcher, 'notification');
+
+    await watcher.poll();
+
+    expect(notifications).toEqual([]);
+  });
+
+  it('delivers notifications created at the same time as the cursor once', async () => {
+    watcher = energomonitor.watchNotifications('usdemo', {
+      createdAtFrom: new Date('2017-01-02T00:00:00Z')
+    });
+    const notifications = collect(watcher, 'notification');
+
+    await watcher.poll();
+    addNotification(3, '2017-01-02T00:00:00+00:00');
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(notifications.map(notification => notification.id)).toEqual([2, 3]);
+  });
+
+  it('emits countChanged when the count changes', async () => {
+    watcher = energomonitor.watchNotifications('usdemo');
+    const changes = collect(watcher, 'countChanged');
+
+    await watcher.poll();
+    await energomonitor.updateNotification('usdemo', 2, { read: true });
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(changes).toEqual([
+      { previous: { read: 1, unread: 1, total: 2 }, current: { read: 2, unread: 0, total: 2 } }
+    ]);
+  });
+
+  it('persists the cursor in the store', async () => {
+    const store = new MemoryStore();
+    const options = { store, createdAtFrom: new Date('2017-01-01T12:00:00Z') };
+    watcher = energomonitor.watchNotifications('usdemo', options);
+    await watcher.poll();
+
+    watcher = energomonitor.watchNotifications('usdemo', options);
+    const notifications = collect(watcher, 'notification');
+    addNotification(3, '2017-01-02T12:00:00+00:00');
+    await watcher.poll();
+
+    expect(notifications.map(notification => notification.id)).toEqual([3]);
+    expect(await store.get('notifications:usdemo')).toEqual({
+      cursor: '2017-01-02T12:00:00.000Z',
+      seenIds: [3],
+      count: { read: 1, unread: 2, total: 3 }
+    });
+  });
+
+  it('emits errors and backs off', async () => {
+    watcher = energomonitor.watchNotifications('usdemo', { minInterval: 100, backoff: 3 });
+    const errors = collect(watcher, 'error');
+
+    await watcher.poll();
+    expect(watcher.interval).toBe(300);
+
+    server.fixtures.authorizations = [];
+    await watcher.poll();
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].status).toBe(401);
+    expect(watcher.interval).toBe(900);
+  });
+
+  it('keeps polling without an error listener', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    watcher = energomonitor.watchNotifications('usdemo', { minInterval: 20, maxInterval: 20 });
+
+    try {
+      server.fixtures.authorizations = [];
+      await expect(watcher.start()).rejects.toHaveProperty('status', 401);
+      const requests = server.requests.length;
+      await delay(70);
+
+      expect(server.requests.length).toBeGreaterThan(requests);
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.removeListener('unhandledRejection', unhandled);
+    }
+  });
+
+  it('polls periodically until stopped', async () => {
+    watcher = energomonitor.watchNotifications('usdemo', {
+      minInterval: 20,
+      maxInterval: 20
+    });
+
+    await watcher.start();
+    await delay(70);
+    await watcher.stop();
+    const requests = server.requests.length;
+    await delay(40);
+
+    expect(requests).toBeGreaterThanOrEqual(6);
+    expect(server.requests).toHaveLength(requests);
+  });
+});
@@ -0,0 +1,92 @@
+const RequestLimiter = require('../src/RequestLimiter.js');
+const { delay } = require('../src/utils.js');
+
+// Returns a task whose promise is resolved by calling `release()`.
+function createTask(log, name) {
+  let release;
+  const task = () => {
+    log.push(name);
+    return new Promise(resolve => (release = () => resolve(name)));
+  };
+
+  return { task, release: () => release() };
+}
+
+describe('RequestLimiter', () => {
+  it('limits the number of running tasks', async () => {
+    const limiter = new RequestLimiter({ concurrency: 2 });
+    const log = [];
+    const tasks = ['a', 'b', 'c'].map(name => createTask(log, name));
+    const results = tasks.map(({ task }) => limiter.schedule(task));
+
+    await delay(0);
+    expect(log).toEqual(['a', 'b']);
+    expect([limiter.running, limiter.pending]).toEqual([2, 1]);
+
+    tasks[0].release();
+    await results[0];
+    await delay(0);
+    expect(log).toEqual(['a', 'b', 'c']);
+
+    tasks[1].release();
+    tasks[2].release();
+    expect(await Promise.all(results)).toEqual(['a', 'b', 'c']);
+    expect(limiter.running).toBe(0);
+  });
+
+  it('starts tasks with higher priorities first', async () => {
+    const limiter = new RequestLimiter({ concurrency: 1 });
+    const log = [];
+    const first = createTask(log, 'first');
+
+    const results = [limiter.schedule(first.task)];
+    ['low', 'high', 'normal', 'high 2'].forEach((name, index) => {
+      const priority = [-1, 10, 0, 10][index];
+      results.push(limiter.schedule(() => log.push(name), priority));
+    });
+    await delay(0);
+    first.release();
+    await Promise.all(results);
+
+    expect(log).toEqual(['first', 'high', 'high 2', 'normal', 'low']);
+  });
+
+  it('passes rejections through and continues', async () => {
+    const limiter = new RequestLimiter({ concurrency: 1 });
+
+    await expect(limiter.schedule(() => Promise.reject(new Error('Failed.')))).rejects.toEqual(
+      new Error('Failed.')
+    );
+    await expect(limiter.schedule(() => 'next')).resolves.toBe('next');
+  });
+
+  it('limits the request rate', async () => {
+    const limiter = new RequestLimiter({ rateLimit: { requests: 2, interval: 50 } });
+    const startedAt = [];
+    const start = Date.now();
+
+    await Promise.all(
+      [1, 2, 3, 4].map(() => limiter.schedule(() => startedAt.push(Date.now() - start)))
+    );
+
+    expect(startedAt[1]).toBeLessThan(20);
+    expect(startedAt[2]).toBeGreaterThanOrEqual(20);
+    expect(startedAt[3]).toBeGreaterThanOrEqual(45);
+  });
+
+  it('rejects limits that are not positive', () => {
+    [
+      { concurrency: 0 },
+      { rateLimit: {} },
+      { rateLimit: { requests: 0 } },
+      { rateLimit: { requests: -1 } },
+      { rateLimit: { requests: 10, interval: 0 } },
+      { rateLimit: { requests: 10, burst: '5' } }
+    ].forEach(options => {
+      expect(() => new RequestLimiter(options)).toThrow(TypeError);
+    });
+    expect(() => new RequestLimiter({ rateLimit: { requests: 0 } })).toThrow(
+      new TypeError('The rateLimit.requests option must be a positive number.')
+    );
+  });
+});
@@ -0,0 +1,180 @@
+const MockAdapter = require('axios-mock-adapter');
+
+const Energomonitor = require('../src/Energomonitor.js');
+const { EnergomonitorError } = require('../src/errors.js');
+
+// 2017-01-01T00:00:00Z
+const START = 1483228800;
+
+// Data points measured every 10 seconds during the first day of 2017.
+const DATA_POINTS = Array.from({ length: 8640 }, (value, index) => [START + index * 10, index]);
+
+// Emulates the data endpoint, including returning only the newest data points
+// when there are more of them than the limit.
+function replyWithDataPoints(requests) {
+  return function(config) {
+    const { time_from, time_to, limit } = config.params;
+    requests.push(config.params);
+
+    const matching = DATA_POINTS.filter(
+      dataPoint => dataPoint[0] >= time_from && dataPoint[0] <= time_to
+    );
+
+    return [200, matching.slice(Math.max(0, matching.length - limit))];
+  };
+}
+
+describe('StreamDataIterator', () => {
+  let energomonitor;
+  let axiosMock;
+  let requests;
+
+  beforeAll(() => {
+    energomonitor = new Energomonitor('my-token');
+    axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+  });
+
+  beforeEach(() => {
+    requests = [];
+    axiosMock.reset();
+    axiosMock.onGet('/feeds/1/streams/2/data').reply(replyWithDataPoints(requests));
+  });
+
+  it('retrieves all data points in chronological order', async () => {
+    const dataPoints = await energomonitor.getAllStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 86400) * 1000),
+      { pageSize: 500, windowSize: 86400 }
+    );
+
+    expect(dataPoints).toEqual(DATA_POINTS);
+  });
+
+  it('splits windows that come back full', async () => {
+    await energomonitor.getAllStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 3 * 3600 - 1) * 1000),
+      { pageSize: 500, windowSize: 3 * 3600 }
+    );
+
+    expect(requests.map(params => params.time_to - params.time_from + 1)).toEqual([
+      10800,
+      5400,
+      2700,
+      2700,
+      2700,
+      2700
+    ]);
+  });
+
+  it('rejects when a window of the minimum size comes back full', async () => {
+    const iterator = energomonitor.iterateStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 3600) * 1000),
+      { pageSize: 5, windowSize: 600, minWindowSize: 60 }
+    );
+
+    await expect(iterator.next()).rejects.toEqual(
+      new EnergomonitorError(
+        `Data points of stream 2 from ${START} to ${START + 59} exceed the page size of 5 ` +
+          'and the window cannot be split further. Increase pageSize or decrease minWindowSize.'
+      )
+    );
+    expect(iterator.cursor).toBe(START);
+  });
+
+  it('grows windows that come back sparse', async () => {
+    await energomonitor.getAllStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 700 - 1) * 1000),
+      { pageSize: 1000, windowSize: 100 }
+    );
+
+    expect(requests.map(params => params.time_to - params.time_from + 1)).toEqual([100, 200, 400]);
+  });
+
+  it('resolves each step to a non-empty window of data points', async () => {
+    const iterator = energomonitor.iterateStreamData(
+      '1',
+      '2',
+      new Date((START - 3600) * 1000),
+      new Date((START + 59) * 1000),
+      { pageSize: 1000, windowSize: 3600 }
+    );
+
+    const first = await iterator.next();
+    expect(first).toEqual({ value: DATA_POINTS.slice(0, 6), done: false });
+
+    const second = await iterator.next();
+    expect(second).toEqual({ value: undefined, done: true });
+  });
+
+  it('does not return data points on window boundaries twice', async () => {
+    // Emulates an API including points measured exactly at the previous
+    // window end.
+    axiosMock.reset();
+    axiosMock.onGet('/feeds/1/streams/2/data').reply(config => {
+      const { time_from, time_to } = config.params;
+
+      return [
+        200,
+        DATA_POINTS.filter(dataPoint => dataPoint[0] >= time_from - 10 && dataPoint[0] <= time_to)
+      ];
+    });
+
+    const dataPoints = await energomonitor.getAllStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 99) * 1000),
+      { windowSize: 20, maxWindowSize: 20 }
+    );
+
+    expect(dataPoints).toEqual(DATA_POINTS.slice(0, 10));
+  });
+
+  it('resumes the iteration from a cursor', async () => {
+    const timeFrom = new Date(START * 1000);
+    const timeTo = new Date((START + 599) * 1000);
+    const options = { windowSize: 300, maxWindowSize: 300 };
+
+    const iterator = energomonitor.iterateStreamData('1', '2', timeFrom, timeTo, options);
+    await iterator.next();
+    expect(iterator.cursor).toBe(START + 300);
+
+    const resumed = energomonitor.iterateStreamData(
+      '1',
+      '2',
+      timeFrom,
+      timeTo,
+      Object.assign({ cursor: iterator.cursor }, options)
+    );
+
+    expect(await resumed.next()).toEqual({ value: DATA_POINTS.slice(30, 60), done: false });
+    expect(await resumed.next()).toEqual({ value: undefined, done: true });
+  });
+
+  it('stops after return is called', async () => {
+    const iterator = energomonitor.iterateStreamData(
+      '1',
+      '2',
+      new Date(START * 1000),
+      new Date((START + 599) * 1000),
+      { windowSize: 300, maxWindowSize: 300 }
+    );
+
+    await iterator.next();
+    await iterator.return();
+
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    expect(requests.length).toBe(1);
+  });
+});
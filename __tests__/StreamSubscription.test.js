@@ -0,0 +1,220 @@
+/* eslint-env node */
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { NotFoundError } = require('../src/errors.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { delay } = require('../src/utils.js');
+
+describe('StreamSubscription', () => {
+  const timeTo = new Date('2017-01-02T00:00:00Z');
+  const fixtures = createFixtures({
+    timeFrom: new Date('2017-01-01T00:00:00Z'),
+    timeTo,
+    period: 3600
+  });
+  // Just after the last generated data point.
+  const start = timeTo.getTime() / 1000 + 1;
+  const options = { timeFrom: new Date(start * 1000), staleAfter: Infinity };
+
+  let server;
+  let energomonitor;
+  let subscription;
+
+  function collect(emitter, event) {
+    const events = [];
+    emitter.on(event, value => events.push(value));
+
+    return events;
+  }
+
+  function requestedPaths() {
+    return server.requests.map(request => request.path);
+  }
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    server.seed(fixtures);
+    energomonitor = new Energomonitor(undefined, undefined, server.url);
+    await energomonitor.authorize('demo', 'demo');
+  });
+
+  afterEach(() => subscription.stop());
+
+  it('delivers only new data points', async () => {
+    subscription = energomonitor.subscribe([{ feedId: 'fddemo', streamId: 'stpower' }], options);
+    const data = collect(subscription, 'data');
+
+    await subscription.poll();
+    expect(data).toEqual([]);
+
+    server.addDataPoints('fddemo', 'stpower', [[start + 60, 2], [start, 1]]);
+    await subscription.poll();
+    server.addDataPoints('fddemo', 'stpower', [[start + 120, 3]]);
+    await subscription.poll();
+    await subscription.poll();
+
+    expect(data).toEqual([
+      { feedId: 'fddemo', streamId: 'stpower', dataPoints: [[start, 1], [start + 60, 2]] },
+      { feedId: 'fddemo', streamId: 'stpower', dataPoints: [[start + 120, 3]] }
+    ]);
+  });
+
+  it('asks only for data points after the last delivered one', async () => {
+    subscription = energomonitor.subscribe([{ feedId: 'fddemo', streamId: 'stpower' }], options);
+
+    server.addDataPoints('fddemo', 'stpower', [[start + 60, 1]]);
+    await subscription.poll();
+    server.requests.length = 0;
+    await subscription.poll();
+
+    expect(server.requests).toEqual([
+      {
+        method: 'GET',
+        path: '/v1/feeds/fddemo/streams/stpower/data',
+        query: { time_from: String(start + 61), limit: '1000' }
+      }
+    ]);
+  });
+
+  it('polls streams of the same feed together', async () => {
+    subscription = energomonitor.subscribe(
+      [
+        { feedId: 'fddemo', streamId: 'stpower' },
+        { feedId: 'fddemo', streamId: 'sttemp' },
+        { feedId: 'fddemo', streamId: 'straw' }
+      ],
+      options
+    );
+    const data = collect(subscription, 'data');
+
+    server.requests.length = 0;
+    await subscription.poll();
+    expect(requestedPaths()).toEqual(['/v1/feeds/fddemo/streams']);
+
+    server.addDataPoints('fddemo', 'sttemp', [[start, 21.5]]);
+    server.requests.length = 0;
+    await subscription.poll();
+
+    expect(requestedPaths()).toEqual([
+      '/v1/feeds/fddemo/streams',
+      '/v1/feeds/fddemo/streams/sttemp/data'
+    ]);
+    expect(data).toEqual([{ feedId: 'fddemo', streamId: 'sttemp', dataPoints: [[start, 21.5]] }]);
+  });
+
+  it('retrieves all new data points when there are more than a page', async () => {
+    subscription = energomonitor.subscribe(
+      [{ feedId: 'fddemo', streamId: 'stpower' }],
+      Object.assign({ pageSize: 2 }, options)
+    );
+    const data = collect(subscription, 'data');
+    const dataPoints = [0, 1, 2, 3, 4].map(index => [start + index * 60, index]);
+
+    server.addDataPoints('fddemo', 'stpower', dataPoints);
+    await subscription.poll();
+
+    expect(data).toEqual([{ feedId: 'fddemo', streamId: 'stpower', dataPoints }]);
+  });
+
+  it('backs off while there are no new data points', async () => {
+    subscription = energomonitor.subscribe(
+      [{ feedId: 'fddemo', streamId: 'stpower' }],
+      Object.assign({ minInterval: 20, maxInterval: 1000, backoff: 2 }, options)
+    );
+
+    server.requests.length = 0;
+    await subscription.start();
+    await delay(300);
+
+    // Polls at 0, 40, 120 and 280 ms instead of every 20 ms.
+    expect(server.requests.length).toBeGreaterThanOrEqual(2);
+    expect(server.requests.length).toBeLessThanOrEqual(5);
+  });
+
+  it('emits stale and resumed events', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    subscription = energomonitor.subscribe([{ feedId: 'fddemo', streamId: 'stpower' }], {
+      timeFrom: new Date((now - 60) * 1000),
+      staleAfter: 30 * 1000
+    });
+    const stale = collect(subscription, 'stale');
+    const resumed = collect(subscription, 'resumed');
+
+    await subscription.poll();
+    await subscription.poll();
+    expect(stale).toEqual([{ feedId: 'fddemo', streamId: 'stpower', lastTimestamp: null }]);
+
+    server.addDataPoints('fddemo', 'stpower', [[now, 1]]);
+    await subscription.poll();
+
+    expect(resumed).toEqual([{ feedId: 'fddemo', streamId: 'stpower' }]);
+    expect(stale.length).toBe(1);
+  });
+
+  it('can be iterated', async () => {
+    subscription = energomonitor.subscribe(
+      [{ feedId: 'fddemo', streamId: 'stpower' }],
+      Object.assign({ minInterval: 10, maxInterval: 10 }, options)
+    );
+
+    const first = subscription.next();
+    server.addDataPoints('fddemo', 'stpower', [[start, 1]]);
+
+    expect(await first).toEqual({
+      value: { feedId: 'fddemo', streamId: 'stpower', dataPoints: [[start, 1]] },
+      done: false
+    });
+
+    const second = subscription.next();
+    await subscription.return();
+
+    expect(await second).toEqual({ value: undefined, done: true });
+
+    const requests = server.requests.length;
+    expect(await subscription.next()).toEqual({ value: undefined, done: true });
+    await delay(30);
+    expect(server.requests).toHaveLength(requests);
+  });
+
+  it('rejects the iteration step when polling fails without an error listener', async () => {
+    subscription = energomonitor.subscribe([{ feedId: 'fddemo', streamId: 'stmissing' }], options);
+
+    await expect(subscription.next()).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  it('emits polling failures as error events', async () => {
+    subscription = energomonitor.subscribe([{ feedId: 'fddemo', streamId: 'stmissing' }], options);
+    const errors = collect(subscription, 'error');
+
+    await subscription.poll();
+
+    expect(errors.length).toBe(1);
+    expect(errors[0]).toBeInstanceOf(NotFoundError);
+  });
+
+  it('keeps polling after failures without an error listener', async () => {
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    subscription = energomonitor.subscribe(
+      [{ feedId: 'fddemo', streamId: 'stmissing' }],
+      Object.assign({ minInterval: 10, maxInterval: 10 }, options)
+    );
+
+    try {
+      await expect(subscription.start()).rejects.toBeInstanceOf(NotFoundError);
+      const requests = server.requests.length;
+      await delay(50);
+
+      expect(server.requests.length).toBeGreaterThan(requests);
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.removeListener('unhandledRejection', unhandled);
+    }
+  });
+});
@@ -0,0 +1,66 @@
+const { DEFAULT_CACHE_OPTIONS, normalizeCacheOptions, Cache } = require('../src/cache');
+const { MemoryStore, LruStore } = require('../src/stores');
+
+describe('cache', () => {
+  describe('normalizeCacheOptions', () => {
+    it('disables caching by default', () => {
+      expect(normalizeCacheOptions(undefined)).toBeNull();
+      expect(normalizeCacheOptions(false)).toBeNull();
+    });
+
+    it('merges the options with the defaults', () => {
+      const store = new MemoryStore();
+      const options = normalizeCacheOptions({ store, ttl: { feed: 1000 } });
+
+      expect(options.store).toBe(store);
+      expect(options.ttl).toEqual(Object.assign({}, DEFAULT_CACHE_OPTIONS.ttl, { feed: 1000 }));
+      expect(normalizeCacheOptions(true).store).toBeInstanceOf(LruStore);
+    });
+  });
+
+  describe('Cache', () => {
+    const createCache = store =>
+      new Cache(normalizeCacheOptions({ store }), ({ error }) => {
+        throw error;
+      });
+
+    it('applies invalidations recorded by another instance sharing the store', async () => {
+      const store = new MemoryStore();
+      const load = jest.fn(() => Promise.resolve('value'));
+
+      await createCache(store).fetch('feed', 'key', ['feed:1'], load);
+      await createCache(store).invalidate('feed:1');
+      await createCache(store).fetch('feed', 'key', ['feed:1'], load);
+
+      expect(load).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not keep values loaded during an invalidation', async () => {
+      const cache = createCache(new MemoryStore());
+      let resolveLoad;
+      const pending = cache.fetch(
+        'feed',
+        'key',
+        ['feed:1'],
+        () => new Promise(resolve => (resolveLoad = resolve))
+      );
+
+      await cache.invalidate('feed:1');
+      resolveLoad('old');
+
+      expect(await pending).toBe('old');
+      expect(await cache.fetch('feed', 'key', ['feed:1'], () => Promise.resolve('new'))).toBe(
+        'new'
+      );
+    });
+
+    it('does not cache failed loads', async () => {
+      const cache = createCache(new MemoryStore());
+
+      await expect(
+        cache.fetch('feed', 'key', [], () => Promise.reject(new Error('Failed.')))
+      ).rejects.toEqual(new Error('Failed.'));
+      expect(await cache.fetch('feed', 'key', [], () => Promise.resolve('value'))).toBe('value');
+    });
+  });
+});
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FakeServer = require('../src/FakeServer.js');
+const { parseArguments, formatTable, run } = require('../src/cli.js');
+const { createFixtures } = require('../src/fixtures.js');
+
+describe('cli', () => {
+  describe('parseArguments', () => {
+    const types = {
+      json: 'boolean',
+      user: 'string',
+      limit: 'integer',
+      from: 'time',
+      type: 'string[]'
+    };
+
+    it('parses positional arguments and options', () => {
+      expect(
+        parseArguments(
+          ['fddemo', '--limit', '10', '--user=usdemo', '--json', '--type', 'raw', '--type=system'],
+          types
+        )
+      ).toEqual({
+        positional: ['fddemo'],
+        options: { limit: 10, user: 'usdemo', json: true, type: ['raw', 'system'] }
+      });
+    });
+
+    it('parses times', () => {
+      const now = Date.now();
+
+      expect(parseArguments(['--from', '2017-01-01T00:00:00Z'], types).options.from).toEqual(
+        new Date('2017-01-01T00:00:00Z')
+      );
+      expect(parseArguments(['--from', '1483228800'], types).options.from).toEqual(
+        new Date('2017-01-01T00:00:00Z')
+      );
+
+      const relative = parseArguments(['--from', '-2h'], types).options.from.getTime();
+      expect(relative).toBeGreaterThanOrEqual(now - 2 * 60 * 60 * 1000);
+      expect(relative).toBeLessThanOrEqual(Date.now() - 2 * 60 * 60 * 1000);
+    });
+
+    it('treats arguments after -- as positional', () => {
+      expect(parseArguments(['--', '--json'], types)).toEqual({
+        positional: ['--json'],
+        options: {}
+      });
+    });
+
+    it('rejects invalid options', () => {
+      expect(() => parseArguments(['--unknown'], types)).toThrow('Unknown option: --unknown.');
+      expect(() => parseArguments(['--limit'], types)).toThrow('Option --limit requires a value.');
+      expect(() => parseArguments(['--limit', 'ten'], types)).toThrow(
+        'Option --limit must be an integer, got "ten".'
+      );
+      expect(() => parseArguments(['--from', 'yesterday'], types)).toThrow(
+        'Option --from must be a time, got "yesterday".'
+      );
+      expect(() => parseArguments(['--json=yes'], types)).toThrow(
+        'Option --json does not take a value.'
+      );
+    });
+  });
+
+  describe('formatTable', () => {
+    it('aligns columns', () => {
+      expect(formatTable(['ID', 'TITLE'], [['fddemo', 'Demo'], ['fd2', null], ['fd3', true]])).toBe(
+        'ID      TITLE\nfddemo  Demo\nfd2\nfd3     yes\n'
+      );
+    });
+  });
+
+  describe('run', () => {
+    const fixtures = createFixtures({
+      timeFrom: new Date('2017-01-01T00:00:00Z'),
+      timeTo: new Date('2017-01-02T00:00:00Z'),
+      period: 3600
+    });
+
+    let server;
+    let directory;
+    let configFilename;
+
+    function createOutput() {
+      const output = { text: '' };
+      output.write = chunk => {
+        output.text += chunk;
+      };
+
+      return output;
+    }
+
+    async function cli(...argv) {
+      const stdout = createOutput();
+      const stderr = createOutput();
+      const code = await run(argv.concat(['--config', configFilename]), {
+        stdout,
+        stderr,
+        env: {}
+      });
+
+      return { code, stdout: stdout.text, stderr: stderr.text };
+    }
+
+    beforeAll(async () => {
+      server = new FakeServer(fixtures);
+      await server.listen();
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'energomonitor-cli-'));
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(async () => {
+      server.seed(fixtures);
+      configFilename = path.join(directory, `config-${Date.now()}-${Math.random()}.json`);
+    });
+
+    async function login() {
+      const result = await cli(
+        'login',
+        '--username',
+        'demo',
+        '--password',
+        'demo',
+        '--api-url',
+        server.url
+      );
+
+      expect(result.code).toBe(0);
+    }
+
+    it('prints usage', async () => {
+      const result = await cli('help');
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toMatch(/^Usage:/);
+      expect(result.stdout).toMatch(/energomonitor streams <feed>/);
+    });
+
+    it('logs in and saves the token, user ID and API URL', async () => {
+      const result = await cli(
+        'login',
+        '--username',
+        'demo',
+        '--password',
+        'demo',
+        '--api-url',
+        server.url
+      );
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toMatch(/^Logged in as usdemo/);
+
+      const config = JSON.parse(fs.readFileSync(configFilename, 'utf8'));
+      expect(config.userId).toBe('usdemo');
+      expect(config.apiURL).toBe(server.url);
+      expect(server.fixtures.authorizations.map(auth => auth.token)).toContain(config.token.token);
+    });
+
+    it('fails to log in with invalid credentials', async () => {
+      const result = await cli(
+        'login',
+        '--username',
+        'demo',
+        '--password',
+        'wrong',
+        '--api-url',
+        server.url
+      );
+
+      expect(result.code).toBe(1);
+      expect(result.stderr).toMatch(/^energomonitor: /);
+    });
+
+    it('asks to log in when there is no token', async () => {
+      const result = await cli('feeds', '--user', 'usdemo', '--api-url', server.url);
+
+      expect(result).toEqual({
+        code: 1,
+        stdout: '',
+        stderr: 'energomonitor: Not logged in. Run "energomonitor login" first.\n'
+      });
+    });
+
+    it('reports usage errors', async () => {
+      const result = await cli('streams');
+
+      expect(result.code).toBe(2);
+      expect(result.stderr).toMatch(/^energomonitor: Usage: energomonitor streams <feed>/);
+      expect((await cli('unknown')).stderr).toMatch(/^energomonitor: Unknown command: unknown\./);
+    });
+
+    it('prints the user', async () => {
+      await login();
+      const result = await cli('user');
+
+      expect(result.code).toBe(0);
+      expect(result.stdout).toMatch(/^PROPERTY +VALUE\nid +usdemo\n/);
+    });
+
+    it('lists feeds', async () => {
+      await login();
+
+      expect((await cli('feeds')).stdout).toBe(
+        'ID      TITLE  TIMEZONE\nfddemo  Demo   Europe/Prague\n'
+      );
+      expect(JSON.parse((await cli('feeds', '--json')).stdout)[0].id).toBe('fddemo');
+    });
+
+    it('prints the last currently valid configuration', async () => {
+      const renamed = JSON.parse(JSON.stringify(fixtures));
+      renamed.feeds[0].configs.push(
+        Object.assign({}, renamed.feeds[0].configs[0], { title: 'Home' })
+      );
+      server.seed(renamed);
+      await login();
+
+      expect((await cli('feeds')).stdout).toBe(
+        'ID      TITLE  TIMEZONE\nfddemo  Home   Europe/Prague\n'
+      );
+    });
+
+    it('lists streams filtered by type and channel', async () => {
+      await login();
+      const result = await cli('streams', 'fddemo', '--type', 'processed', '--channel', '1');
+
+      expect(result.stdout).toBe(
+        [
+          'ID        TYPE       CHANNEL  TITLE                        UNIT',
+          'stpower   processed  1        Electricity - Main           W',
+          'stenergy  processed  1        Electricity - Main (energy)  Wh',
+          ''
+        ].join('\n')
+      );
+    });
+
+    it('prints stream data as a table, CSV and JSON', async () => {
+      await login();
+      const range = ['--from', '2017-01-01T00:00:00Z', '--to', '2017-01-01T01:00:00Z'];
+      const dataPoints = fixtures.feeds[0].streams[0].data.slice(0, 2);
+
+      const table = await cli('data', 'fddemo', 'stpower', ...range);
+      expect(table.stdout).toBe(
+        [
+          'TIME                  VALUE',
+          `2017-01-01T00:00:00Z  ${dataPoints[0][1]}`,
+          `2017-01-01T01:00:00Z  ${dataPoints[1][1]}`,
+          ''
+        ].join('\n')
+      );
+
+      const csv = await cli('data', 'fddemo', 'stpower', ...range, '--format', 'csv');
+      expect(csv.stdout).toBe(
+        [
+          'time,value',
+          `2017-01-01T00:00:00Z,${dataPoints[0][1]}`,
+          `2017-01-01T01:00:00Z,${dataPoints[1][1]}`,
+          ''
+        ].join('\n')
+      );
+
+      const json = await cli('data', 'fddemo', 'stpower', ...range, '--json');
+      expect(JSON.parse(json.stdout)).toEqual(dataPoints);
+    });
+
+    it('prints times in the selected timezone', async () => {
+      await login();
+      const result = await cli(
+        'data',
+        'fddemo',
+        'stpower',
+        '--from',
+        '2017-01-01T00:00:00Z',
+        '--limit',
+        '1',
+        '--to',
+        '2017-01-01T00:00:00Z',
+        '--time-zone',
+        'Europe/Prague'
+      );
+
+      expect(result.stdout).toMatch(/\n2017-01-01T01:00:00\+01:00 /);
+    });
+
+    it('lists related streams', async () => {
+      await login();
+
+      expect((await cli('related', 'fddemo')).stdout).toBe(
+        'GROUP  STREAMS\n1      stpower, stenergy\n'
+      );
+    });
+
+    it('lists, counts, reads and archives notifications', async () => {
+      await login();
+
+      expect((await cli('notifications', '--unread')).stdout).toBe(
+        [
+          'ID  CREATED               READ  ARCHIVED  TITLE',
+          "2   2017-01-02T00:00:00Z  no    no        'Demo' homebase doesn't send data.",
+          ''
+        ].join('\n')
+      );
+      expect((await cli('notifications', 'count')).stdout).toBe(
+        'READ  UNREAD  TOTAL\n1     1       2\n'
+      );
+
+      const archived = await cli('notifications', 'archive', '1', '--json');
+      expect(JSON.parse(archived.stdout)[0]).toMatchObject({ id: 1, archived: true });
+
+      expect((await cli('notifications', 'read', '--all')).stdout).toBe(
+        'All notifications marked as read.\n'
+      );
+      expect(JSON.parse((await cli('notifications', 'count', '--json')).stdout)).toMatchObject({
+        unread: 0
+      });
+    });
+
+    it('requires notification IDs or --all', async () => {
+      await login();
+
+      expect((await cli('notifications', 'read')).code).toBe(2);
+      expect((await cli('notifications', 'archive', '--all')).code).toBe(2);
+    });
+  });
+});
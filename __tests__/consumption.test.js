@@ -0,0 +1,120 @@
+const { getCurrentConfig, isCumulativeStream, toConsumption } = require('../src/consumption');
+const mockData = require('./mock-data/mockData.json');
+
+function streamWithUnit(unit) {
+  return {
+    id: 'embnos',
+    type: 'processed',
+    channel: 4,
+    configs: [
+      {
+        title: 'Old',
+        unit: 'W',
+        valid_from: '2000-01-01T00:00:00+00:00',
+        valid_to: '2017-01-01T00:00:00+00:00'
+      },
+      { title: 'Meter', unit, valid_from: '2017-01-01T00:00:00+00:00', valid_to: null }
+    ]
+  };
+}
+
+describe('consumption', () => {
+  describe('getCurrentConfig', () => {
+    it('returns the configuration without valid_to', () => {
+      expect(getCurrentConfig(streamWithUnit('kWh')).title).toBe('Meter');
+    });
+
+    it('returns undefined for streams without configurations', () => {
+      expect(getCurrentConfig(mockData.streams[1])).toBeUndefined();
+    });
+  });
+
+  describe('isCumulativeStream', () => {
+    it('detects streams with energy and volume units', () => {
+      expect(isCumulativeStream(streamWithUnit('kWh'))).toBe(true);
+      expect(isCumulativeStream(streamWithUnit('Wh'))).toBe(true);
+      expect(isCumulativeStream(streamWithUnit('m3'))).toBe(true);
+    });
+
+    it('does not detect streams with instantaneous values', () => {
+      expect(isCumulativeStream(mockData.stream)).toBe(false);
+      expect(isCumulativeStream(streamWithUnit('°C'))).toBe(false);
+    });
+
+    it('does not detect raw and system streams', () => {
+      expect(isCumulativeStream(mockData.streams[1])).toBe(false);
+      expect(isCumulativeStream(Object.assign(streamWithUnit('kWh'), { type: 'system' }))).toBe(
+        false
+      );
+    });
+  });
+
+  describe('toConsumption', () => {
+    const meter = streamWithUnit('kWh');
+
+    it('computes differences of cumulative readings', () => {
+      expect(toConsumption(meter, [[0, 100], [60, 102], [120, 102.5]])).toEqual([
+        [0, 2],
+        [60, 0.5]
+      ]);
+    });
+
+    it('handles counter resets', () => {
+      expect(toConsumption(meter, [[0, 100], [60, 102], [120, 1], [180, 3]])).toEqual([
+        [0, 2],
+        [60, 1],
+        [120, 2]
+      ]);
+    });
+
+    it('handles counter rollovers', () => {
+      expect(toConsumption(meter, [[0, 99998], [60, 2]], { rollover: 100000 })).toEqual([[0, 4]]);
+    });
+
+    it('handles device replacements using maxRate', () => {
+      const dataPoints = [[0, 100], [60, 102], [120, 5000], [180, 5003], [240, 300], [300, 302]];
+
+      expect(toConsumption(meter, dataPoints, { maxRate: 1 })).toEqual([
+        [0, 2],
+        [60, 0],
+        [120, 3],
+        [180, 0],
+        [240, 2]
+      ]);
+    });
+
+    it('assigns the consumption of a gap to a single interval by default', () => {
+      expect(toConsumption(meter, [[0, 0], [60, 1], [120, 2], [420, 7]])).toEqual([
+        [0, 1],
+        [60, 1],
+        [120, 5]
+      ]);
+    });
+
+    it('spreads the consumption of a gap when spreadGaps is set', () => {
+      expect(
+        toConsumption(meter, [[0, 0], [60, 1], [120, 2], [420, 7]], { spreadGaps: true })
+      ).toEqual([[0, 1], [60, 1], [120, 1], [180, 1], [240, 1], [300, 1], [360, 1]]);
+    });
+
+    it('uses the period option for gap detection', () => {
+      expect(toConsumption(meter, [[0, 0], [120, 2]], { spreadGaps: true, period: 60 })).toEqual([
+        [0, 1],
+        [60, 1]
+      ]);
+    });
+
+    it('integrates instantaneous values over time in hours', () => {
+      expect(toConsumption(mockData.stream, [[0, 1000], [1800, 2000], [5400, 0]])).toEqual([
+        [0, 500],
+        [1800, 2000]
+      ]);
+    });
+
+    it('respects the cumulative option', () => {
+      expect(toConsumption(mockData.stream, [[0, 10], [60, 15]], { cumulative: true })).toEqual([
+        [0, 5]
+      ]);
+    });
+  });
+});
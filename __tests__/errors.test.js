@@ -0,0 +1,89 @@
+const {
+  EnergomonitorError,
+  ApiError,
+  ValidationError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  parseRetryAfter,
+  toEnergomonitorError
+} = require('../src/errors');
+
+describe('errors', () => {
+  describe('parseRetryAfter', () => {
+    it('returns undefined for missing values', () => {
+      expect(parseRetryAfter(undefined)).toBeUndefined();
+      expect(parseRetryAfter('')).toBeUndefined();
+    });
+
+    it('converts seconds to milliseconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+    });
+
+    it('converts an HTTP date to a delay relative to now', () => {
+      const now = new Date(Date.UTC(2017, 3, 22, 16, 30, 0));
+
+      expect(parseRetryAfter('Sat, 22 Apr 2017 16:30:10 GMT', now)).toBe(10000);
+      expect(parseRetryAfter('Sat, 22 Apr 2017 16:29:00 GMT', now)).toBe(0);
+    });
+
+    it('returns undefined for invalid values', () => {
+      expect(parseRetryAfter('soon')).toBeUndefined();
+    });
+  });
+
+  describe('toEnergomonitorError', () => {
+    const request = { method: 'get', url: '/feeds/1' };
+
+    it('returns instances of EnergomonitorError unchanged', () => {
+      const error = new ValidationError('Invalid.');
+
+      expect(toEnergomonitorError(error, request)).toBe(error);
+    });
+
+    it('converts errors with a response to an ApiError subclass', () => {
+      const axiosError = new Error('Request failed with status code 503');
+      axiosError.response = { status: 503, data: { message: 'Maintenance.' }, headers: {} };
+
+      const error = toEnergomonitorError(axiosError, request);
+
+      expect(error).toBeInstanceOf(ServerError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toBeInstanceOf(EnergomonitorError);
+      expect(error.name).toBe('ServerError');
+      expect(error.message).toBe('GET /feeds/1 failed with status 503: Maintenance.');
+      expect(error.endpoint).toBe('/feeds/1');
+      expect(error.method).toBe('GET');
+      expect(error.status).toBe(503);
+      expect(error.apiError).toEqual({ message: 'Maintenance.' });
+      expect(error.cause).toBe(axiosError);
+    });
+
+    it('converts unknown error statuses to ApiError', () => {
+      const axiosError = new Error('Request failed with status code 409');
+      axiosError.response = { status: 409, data: null, headers: {} };
+
+      const error = toEnergomonitorError(axiosError, request);
+
+      expect(error.constructor).toBe(ApiError);
+      expect(error.retryable).toBe(false);
+    });
+
+    it('converts errors without a response to NetworkError', () => {
+      const axiosError = new Error('socket hang up');
+      axiosError.code = 'ECONNRESET';
+
+      const error = toEnergomonitorError(axiosError, request);
+
+      expect(error.constructor).toBe(NetworkError);
+      expect(error.message).toBe('GET /feeds/1 failed: socket hang up');
+    });
+
+    it('converts aborted requests to TimeoutError', () => {
+      const axiosError = new Error('timeout of 1000ms exceeded');
+      axiosError.code = 'ECONNABORTED';
+
+      expect(toEnergomonitorError(axiosError, request)).toBeInstanceOf(TimeoutError);
+    });
+  });
+});
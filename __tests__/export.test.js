@@ -0,0 +1,241 @@
+/* eslint-env node */
+const { Writable } = require('stream');
+const MockAdapter = require('axios-mock-adapter');
+
+const Energomonitor = require('../src/Energomonitor.js');
+const { exportStreamData } = require('../src/export');
+const { InvalidArgumentError } = require('../src/errors.js');
+
+// 2017-01-01T00:00:00Z
+const START = 1483228800;
+
+const STREAMS = [
+  { id: 'power', type: 'power', channel: 1 },
+  { id: 'temp', type: 'temperature', channel: 2 }
+];
+
+const DATA_POINTS = {
+  power: [[START, 1.5], [START + 60, 2], [START + 120, 2.5]],
+  temp: [[START + 60, 21.25], [START + 180, 21.5]]
+};
+
+// Collects everything written to it.
+class CollectingStream extends Writable {
+  constructor(options) {
+    super(options);
+    this.output = '';
+  }
+
+  _write(chunk, encoding, callback) {
+    this.output += chunk.toString();
+    callback();
+  }
+}
+
+describe('exportStreamData', () => {
+  let energomonitor;
+  let axiosMock;
+
+  beforeAll(() => {
+    energomonitor = new Energomonitor('my-token');
+    axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+  });
+
+  beforeEach(() => {
+    axiosMock.reset();
+    axiosMock.onGet('/feeds/1/streams').reply(200, STREAMS);
+    Object.keys(DATA_POINTS).forEach(streamId => {
+      axiosMock.onGet(`/feeds/1/streams/${streamId}/data`).reply(config => {
+        const { time_from, time_to } = config.params;
+
+        return [
+          200,
+          DATA_POINTS[streamId].filter(
+            dataPoint => dataPoint[0] >= time_from && dataPoint[0] <= time_to
+          )
+        ];
+      });
+    });
+  });
+
+  function exportToString(options) {
+    const output = new CollectingStream();
+    const defaults = {
+      timeFrom: new Date(START * 1000),
+      timeTo: new Date((START + 3600) * 1000)
+    };
+
+    return exportStreamData(energomonitor, '1', output, Object.assign(defaults, options)).then(
+      summary => ({ summary, output: output.output })
+    );
+  }
+
+  it('exports streams in the wide layout', () =>
+    exportToString().then(({ summary, output }) => {
+      expect(summary).toEqual({ streams: 2, rows: 4 });
+      expect(output).toBe(
+        'time,power,temp\r\n' +
+          '2017-01-01T00:00:00Z,1.5,\r\n' +
+          '2017-01-01T00:01:00Z,2,21.25\r\n' +
+          '2017-01-01T00:02:00Z,2.5,\r\n' +
+          '2017-01-01T00:03:00Z,,21.5\r\n'
+      );
+    }));
+
+  it('exports streams in the long layout', () =>
+    exportToString({ layout: 'long', timestamps: 'unix' }).then(({ summary, output }) => {
+      expect(summary).toEqual({ streams: 2, rows: 5 });
+      expect(output.split('\r\n').slice(0, 3)).toEqual([
+        'time,feed,stream,type,channel,value',
+        `${START},1,power,power,1,1.5`,
+        `${START + 60},1,power,power,1,2`
+      ]);
+      expect(output.split('\r\n')[4]).toBe(`${START + 60},1,temp,temperature,2,21.25`);
+    }));
+
+  it('exports selected streams as NDJSON', () =>
+    exportToString({ format: 'ndjson', streams: ['temp'], timeZone: 'Europe/Prague' }).then(
+      ({ output }) => {
+        expect(output.split('\n').map(line => line && JSON.parse(line))).toEqual([
+          { time: '2017-01-01T01:01:00+01:00', temp: 21.25 },
+          { time: '2017-01-01T01:03:00+01:00', temp: 21.5 },
+          ''
+        ]);
+      }
+    ));
+
+  it('writes null values of missing data points in wide NDJSON', () =>
+    exportToString({ format: 'ndjson', timestamps: 'unix' }).then(({ output }) => {
+      expect(JSON.parse(output.split('\n')[0])).toEqual({ time: START, power: 1.5, temp: null });
+    }));
+
+  it('uses the delimiter and the decimal separator', () =>
+    exportToString({ delimiter: ';', decimalSeparator: ',', header: false }).then(({ output }) => {
+      expect(output.split('\r\n')[1]).toBe('2017-01-01T00:01:00Z;2;21,25');
+    }));
+
+  it('quotes fields containing the delimiter', () =>
+    exportToString({ decimalSeparator: ',' }).then(({ output }) => {
+      expect(output.split('\r\n')[2]).toBe('2017-01-01T00:01:00Z,2,"21,25"');
+    }));
+
+  it('aligns streams across pages', () =>
+    exportToString({ iteratorOptions: { windowSize: 60 } }).then(({ summary, output }) => {
+      expect(summary.rows).toBe(4);
+      expect(output.split('\r\n')[4]).toBe('2017-01-01T00:03:00Z,,21.5');
+    }));
+
+  it('respects backpressure of the output stream', () => {
+    const output = new CollectingStream({ highWaterMark: 1 });
+    const points = Array.from({ length: 20000 }, (value, index) => [START + index, index]);
+    axiosMock.reset();
+    axiosMock.onGet('/feeds/1/streams').reply(200, STREAMS);
+    axiosMock.onGet('/feeds/1/streams/power/data').reply(config => {
+      const { time_from, time_to } = config.params;
+
+      return [
+        200,
+        points.filter(dataPoint => dataPoint[0] >= time_from && dataPoint[0] <= time_to)
+      ];
+    });
+
+    return exportStreamData(energomonitor, '1', output, {
+      streams: ['power'],
+      timeFrom: new Date(START * 1000),
+      timeTo: new Date((START + 20000) * 1000),
+      timestamps: 'unix',
+      iteratorOptions: { pageSize: 5000, windowSize: 5000 }
+    }).then(summary => {
+      expect(summary.rows).toBe(20000);
+      expect(output.output.split('\r\n')[20000]).toBe(`${START + 19999},19999`);
+    });
+  });
+
+  it('does not end the output when end is false', () => {
+    const output = new CollectingStream();
+    const finish = jest.fn();
+    output.on('finish', finish);
+
+    return exportStreamData(energomonitor, '1', output, {
+      timeFrom: new Date(START * 1000),
+      end: false
+    }).then(() => {
+      expect(finish).not.toHaveBeenCalled();
+    });
+  });
+
+  it('rejects unknown streams', () =>
+    Promise.all([
+      expect(exportToString({ streams: ['unknown'] })).rejects.toBeInstanceOf(InvalidArgumentError),
+      expect(exportToString({ streams: ['unknown'] })).rejects.toEqual(
+        new InvalidArgumentError('Stream unknown does not exist in feed 1.', 'streams')
+      )
+    ]));
+
+  it('rejects when the output stream fails or is closed', () => {
+    const options = { timeFrom: new Date(START * 1000), timeTo: new Date((START + 3600) * 1000) };
+    const failing = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        callback(new Error('Disk full.'));
+      }
+    });
+    const closing = new Writable({
+      highWaterMark: 1,
+      write() {
+        this.destroy();
+      }
+    });
+
+    return Promise.all([
+      expect(exportStreamData(energomonitor, '1', failing, options)).rejects.toEqual(
+        new Error('Disk full.')
+      ),
+      expect(exportStreamData(energomonitor, '1', closing, options)).rejects.toEqual(
+        new Error('The output stream was closed.')
+      )
+    ]);
+  });
+
+  it('rejects when the output stream fails after accepting a write', () => {
+    const failing = new Writable({
+      write(chunk, encoding, callback) {
+        setTimeout(() => callback(new Error('Disk full.')), 10);
+      }
+    });
+
+    return expect(
+      exportStreamData(energomonitor, '1', failing, { timeFrom: new Date(START * 1000) })
+    ).rejects.toEqual(new Error('Disk full.'));
+  });
+
+  it('resolves once the output stream has finished', () => {
+    const output = new CollectingStream();
+    output._write = function(chunk, encoding, callback) {
+      setTimeout(() => {
+        this.output += chunk.toString();
+        callback();
+      }, 10);
+    };
+
+    return exportStreamData(energomonitor, '1', output, {
+      timeFrom: new Date(START * 1000),
+      timeTo: new Date((START + 3600) * 1000)
+    }).then(summary => {
+      expect(output.output.split('\r\n').length).toBe(summary.rows + 2);
+    });
+  });
+
+  it('validates options', () =>
+    Promise.all([
+      expect(
+        exportStreamData(energomonitor, '1', new CollectingStream(), {})
+      ).rejects.toBeInstanceOf(TypeError),
+      expect(
+        exportStreamData(energomonitor, '1', new CollectingStream(), {
+          timeFrom: new Date(),
+          format: 'xml'
+        })
+      ).rejects.toEqual(new TypeError('Invalid format option: xml. Use one of: csv, ndjson.'))
+    ]));
+});
@@ -0,0 +1,72 @@
+const { generateDataPoints, createFixtures } = require('../src/fixtures');
+
+describe('fixtures', () => {
+  // 2017-01-01T00:00:00Z
+  const timeFrom = new Date('2017-01-01T00:00:00Z');
+  const timeTo = new Date('2017-01-02T00:00:00Z');
+
+  describe('generateDataPoints', () => {
+    it('generates data points spaced by the period', () => {
+      const dataPoints = generateDataPoints({ timeFrom, timeTo, period: 3600 });
+
+      expect(dataPoints).toHaveLength(25);
+      expect(dataPoints[0][0]).toBe(1483228800);
+      expect(dataPoints[24][0]).toBe(1483315200);
+    });
+
+    it('follows the daily cycle', () => {
+      const dataPoints = generateDataPoints({
+        timeFrom,
+        timeTo,
+        period: 6 * 3600,
+        base: 100,
+        amplitude: 50,
+        noise: 0
+      });
+
+      expect(dataPoints.map(dataPoint => dataPoint[1])).toEqual([50, 100, 150, 100, 50]);
+    });
+
+    it('is deterministic for a seed', () => {
+      const options = { timeFrom, timeTo, period: 600 };
+
+      expect(generateDataPoints(Object.assign({ seed: 7 }, options))).toEqual(
+        generateDataPoints(Object.assign({ seed: 7 }, options))
+      );
+      expect(generateDataPoints(Object.assign({ seed: 7 }, options))).not.toEqual(
+        generateDataPoints(Object.assign({ seed: 8 }, options))
+      );
+    });
+
+    it('generates increasing readings of a cumulative counter', () => {
+      const dataPoints = generateDataPoints({
+        timeFrom,
+        timeTo,
+        period: 3600,
+        base: 1000,
+        amplitude: 0,
+        noise: 0,
+        cumulative: true
+      });
+
+      expect(dataPoints[0][1]).toBe(1000);
+      expect(dataPoints[24][1]).toBe(25000);
+    });
+  });
+
+  describe('createFixtures', () => {
+    it('creates a user with a feed and streams with data', () => {
+      const fixtures = createFixtures({ timeFrom, timeTo });
+
+      expect(fixtures.users[0]).toMatchObject({ username: 'demo', feeds: ['fddemo'] });
+      expect(fixtures.feeds[0].streams.map(stream => stream.id)).toEqual([
+        'stpower',
+        'stenergy',
+        'sttemp',
+        'straw',
+        'stsystem'
+      ]);
+      expect(fixtures.feeds[0].streams[0].data).toHaveLength(24 * 12 + 1);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { findGaps, fillGaps } = require('../src/gaps');
+
+describe('gaps', () => {
+  const dataPoints = [[0, 1], [60, 2], [120, 3], [360, 7], [420, 8], [480, 9]];
+
+  describe('findGaps', () => {
+    it('finds gaps using the inferred period', () => {
+      expect(findGaps(dataPoints)).toEqual([{ from: 180, to: 300, missingPoints: 3 }]);
+    });
+
+    it('uses the period option', () => {
+      expect(findGaps([[0, 1], [120, 2]], { period: 60 })).toEqual([
+        { from: 60, to: 60, missingPoints: 1 }
+      ]);
+    });
+
+    it('tolerates small irregularities', () => {
+      expect(findGaps([[0, 1], [60, 2], [140, 3], [200, 4]], { period: 60 })).toEqual([]);
+      expect(
+        findGaps([[0, 1], [60, 2], [140, 3], [200, 4]], { period: 60, tolerance: 1.2 })
+      ).toEqual([{ from: 120, to: 120, missingPoints: 1 }]);
+    });
+
+    it('finds gaps at the start and the end of the range', () => {
+      expect(
+        findGaps(dataPoints, { timeFrom: new Date(-180 * 1000), timeTo: new Date(700 * 1000) })
+      ).toEqual([
+        { from: -180, to: -60, missingPoints: 3 },
+        { from: 180, to: 300, missingPoints: 3 },
+        { from: 540, to: 660, missingPoints: 3 }
+      ]);
+    });
+
+    it('reports the whole range when there are no data points', () => {
+      expect(
+        findGaps([], { period: 60, timeFrom: new Date(0), timeTo: new Date(300 * 1000) })
+      ).toEqual([{ from: 0, to: 300, missingPoints: 6 }]);
+    });
+
+    it('returns no gaps when the period cannot be determined', () => {
+      expect(findGaps([[0, 1]])).toEqual([]);
+    });
+  });
+
+  describe('fillGaps', () => {
+    it('fills gaps with null by default', () => {
+      expect(fillGaps(dataPoints)).toEqual([
+        [0, 1],
+        [60, 2],
+        [120, 3],
+        [180, null],
+        [240, null],
+        [300, null],
+        [360, 7],
+        [420, 8],
+        [480, 9]
+      ]);
+    });
+
+    it('fills gaps with the previous value', () => {
+      expect(fillGaps(dataPoints, { strategy: 'previous' }).slice(3, 6)).toEqual([
+        [180, 3],
+        [240, 3],
+        [300, 3]
+      ]);
+    });
+
+    it('fills gaps using linear interpolation', () => {
+      expect(fillGaps(dataPoints, { strategy: 'linear' }).slice(3, 6)).toEqual([
+        [180, 4],
+        [240, 5],
+        [300, 6]
+      ]);
+    });
+
+    it('fills gaps with zero', () => {
+      expect(fillGaps(dataPoints, { strategy: 'zero' }).slice(3, 6)).toEqual([
+        [180, 0],
+        [240, 0],
+        [300, 0]
+      ]);
+    });
+
+    it('fills gaps at the start and the end of the range', () => {
+      expect(
+        fillGaps([[60, 1], [120, 2]], {
+          strategy: 'previous',
+          timeFrom: new Date(0),
+          timeTo: new Date(240 * 1000),
+          tolerance: 0.5
+        })
+      ).toEqual([[0, null], [60, 1], [120, 2], [180, 2], [240, 2]]);
+    });
+
+    it('returns a copy of the data points when there are no gaps', () => {
+      const result = fillGaps([[0, 1], [60, 2]]);
+
+      expect(result).toEqual([[0, 1], [60, 2]]);
+    });
+
+    it('throws on unknown strategies', () => {
+      expect(() => fillGaps(dataPoints, { strategy: 'spline' })).toThrow(TypeError);
+    });
+  });
+});
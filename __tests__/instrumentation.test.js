@@ -0,0 +1,150 @@
+const MockAdapter = require('axios-mock-adapter');
+
+const Energomonitor = require('../src/Energomonitor.js');
+const MetricsCollector = require('../src/MetricsCollector.js');
+const { redact, createInstrumentation } = require('../src/instrumentation.js');
+const mockData = require('./mock-data/mockData.json');
+
+function createLogger() {
+  const entries = [];
+  const logger = {};
+
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, record) => entries.push({ level, message, record });
+  });
+
+  return { logger, entries };
+}
+
+describe('instrumentation', () => {
+  describe('redact', () => {
+    it('hides authorization headers and passwords', () => {
+      expect(
+        redact({ Authorization: 'Bearer token', Accept: 'application/json', password: 'secret' })
+      ).toEqual({
+        Authorization: '[REDACTED]',
+        Accept: 'application/json',
+        password: '[REDACTED]'
+      });
+      expect(redact({ password: undefined })).toEqual({ password: undefined });
+    });
+  });
+
+  describe('createInstrumentation', () => {
+    it('validates the logger and the collector', () => {
+      expect(() => createInstrumentation({ logger: { info() {} } })).toThrow(
+        new TypeError('Logger must be an object with debug, info, warn and error methods.')
+      );
+      expect(() => createInstrumentation({ metrics: {} })).toThrow(TypeError);
+      expect(
+        () =>
+          new Energomonitor(undefined, undefined, undefined, {
+            logger: createLogger().logger,
+            metrics: null
+          })
+      ).toThrow(new TypeError('Metrics collector must be an object with a record method.'));
+    });
+  });
+
+  describe('Energomonitor with a logger and metrics', () => {
+    let energomonitor;
+    let axiosMock;
+    let entries;
+    let metrics;
+
+    beforeEach(() => {
+      const created = createLogger();
+      entries = created.entries;
+      metrics = new MetricsCollector();
+      energomonitor = new Energomonitor('my-token', undefined, undefined, {
+        logger: created.logger,
+        metrics,
+        retry: { maxAttempts: 2, baseDelay: 1, jitter: 0 }
+      });
+      axiosMock = new MockAdapter(energomonitor.getAxiosInstance());
+    });
+
+    it('logs requests without secrets', async () => {
+      axiosMock.onGet('/feeds/1').reply(200, mockData.feed, { 'content-length': '321' });
+      axiosMock.onPost('/authorizations').reply(200, mockData.authorization);
+
+      await energomonitor.getFeed('1');
+      await energomonitor.authorize('user', 'secret');
+
+      expect(entries.map(entry => entry.level)).toEqual(['debug', 'info', 'debug', 'info']);
+      expect(entries[0]).toMatchObject({
+        message: 'Sending GET /feeds/1 (getFeed)',
+        record: { headers: { Authorization: '[REDACTED]' }, args: { feedId: '1' } }
+      });
+      expect(entries[1].message).toMatch(/^GET \/feeds\/1 \(getFeed\): 200 in \d+ ms$/);
+      expect(entries[1].record).toMatchObject({
+        operation: 'getFeed',
+        method: 'GET',
+        endpoint: '/feeds/1',
+        status: 200,
+        size: 321,
+        retries: 0,
+        shortCircuited: false,
+        error: null
+      });
+      expect(entries[3].record.args).toMatchObject({ username: 'user', password: '[REDACTED]' });
+      expect(JSON.stringify(entries)).not.toMatch(/secret|my-token/);
+    });
+
+    it('records failures and retries', async () => {
+      axiosMock
+        .onGet('/feeds/1/streams/2/data')
+        .replyOnce(503)
+        .onGet('/feeds/1/streams/2/data')
+        .replyOnce(200, mockData.streamData, { 'content-length': '42' });
+      axiosMock.onGet('/feeds/3').reply(404);
+
+      await energomonitor.getStreamData('1', '2');
+      await expect(energomonitor.getFeed('3')).rejects.toBeDefined();
+
+      expect(entries.filter(entry => entry.level !== 'debug').map(entry => entry.message)).toEqual([
+        'GET /feeds/1/streams/2/data (getStreamData) failed: GET /feeds/1/streams/2/data failed with status 503',
+        'Repeating GET /feeds/1/streams/2/data (getStreamData), attempt 2',
+        expect.stringMatching(/^GET \/feeds\/1\/streams\/2\/data \(getStreamData\): 200 in/),
+        'GET /feeds/3 (getFeed) failed: GET /feeds/3 failed with status 404'
+      ]);
+
+      const operations = metrics.getMetrics().operations;
+      expect(operations.getStreamData).toMatchObject({
+        requests: 2,
+        errors: 1,
+        retries: 1,
+        statuses: { 200: 1, 503: 1 },
+        bytes: 42
+      });
+      expect(operations.getStreamData.latency.count).toBe(2);
+      expect(operations.getFeed).toMatchObject({ requests: 1, errors: 1, statuses: { 404: 1 } });
+    });
+
+    it('records requests answered or recovered by a middleware', async () => {
+      axiosMock.onGet('/feeds/1').reply(503);
+      axiosMock.onGet('/feeds/2').reply(200, mockData.feed);
+      energomonitor.use({
+        beforeRequest: context => (context.args.feedId === '3' ? { data: {} } : undefined),
+        onError: () => ({ id: '1' })
+      });
+
+      await energomonitor.getFeed('1');
+      await energomonitor.getFeed('2');
+      await energomonitor.getFeed('3');
+
+      expect(entries.filter(entry => entry.level !== 'debug').map(entry => entry.message)).toEqual([
+        'GET /feeds/1 (getFeed) failed: GET /feeds/1 failed with status 503 (recovered by a middleware)',
+        expect.stringMatching(/^GET \/feeds\/2 \(getFeed\): 200 in/),
+        'GET /feeds/3 (getFeed): 200 short-circuited'
+      ]);
+      expect(entries[entries.length - 1].record).toMatchObject({ size: null, recovered: false });
+      expect(metrics.getMetrics().operations.getFeed).toMatchObject({
+        requests: 3,
+        errors: 1,
+        shortCircuited: 1,
+        statuses: { 200: 2, 503: 1 }
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { validateMiddleware, runMiddleware } = require('../src/middleware.js');
+
+function createContext() {
+  return { headers: {}, startedAt: null, duration: null, response: null, error: null };
+}
+
+function sendWith(result) {
+  return context => {
+    context.startedAt = new Date();
+    return result;
+  };
+}
+
+describe('middleware', () => {
+  describe('validateMiddleware', () => {
+    it('accepts objects with hooks', () => {
+      const middleware = { onError() {} };
+
+      expect(validateMiddleware(middleware)).toBe(middleware);
+    });
+
+    it('rejects other values', () => {
+      expect(() => validateMiddleware({ before: () => {} })).toThrow(
+        new TypeError(
+          'Middleware must be an object with a beforeRequest, afterResponse or onError function.'
+        )
+      );
+      expect(() => validateMiddleware({ afterResponse: 'log' })).toThrow(
+        new TypeError('Middleware afterResponse must be a function.')
+      );
+    });
+  });
+
+  describe('runMiddleware', () => {
+    it('calls the hooks around the request', async () => {
+      const calls = [];
+      const trace = name => ({
+        beforeRequest: () => {
+          calls.push(`before ${name}`);
+        },
+        afterResponse: () => {
+          calls.push(`after ${name}`);
+        }
+      });
+      const context = createContext();
+
+      const response = await runMiddleware(
+        [trace('outer'), trace('inner')],
+        context,
+        sendWith(Promise.resolve({ status: 200, data: 1 }))
+      );
+
+      expect(response).toEqual({ status: 200, data: 1 });
+      expect(calls).toEqual(['before outer', 'before inner', 'after inner', 'after outer']);
+      expect(context.duration).toBeGreaterThanOrEqual(0);
+    });
+
+    it('stops at the first hook returning a value', async () => {
+      const send = jest.fn();
+      const later = jest.fn();
+      const context = createContext();
+
+      const response = await runMiddleware(
+        [{ beforeRequest: () => Promise.resolve({ data: 'cached' }) }, { beforeRequest: later }],
+        context,
+        send
+      );
+
+      expect(response).toEqual({ status: 200, statusText: 'OK', headers: {}, data: 'cached' });
+      expect(context.shortCircuited).toBe(true);
+      expect(context.startedAt).toBeNull();
+      expect(send).not.toHaveBeenCalled();
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    it('ignores values returned by beforeRequest that are not responses', async () => {
+      const context = createContext();
+      const later = jest.fn();
+
+      const response = await runMiddleware(
+        [
+          { beforeRequest: ctx => (ctx.headers['X-Trace'] = 'abc') },
+          { beforeRequest: () => ({ status: 304 }) },
+          { beforeRequest: later }
+        ],
+        context,
+        sendWith(Promise.resolve({ status: 200, data: 1 }))
+      );
+
+      expect(response).toEqual({ status: 200, data: 1 });
+      expect(context.headers).toEqual({ 'X-Trace': 'abc' });
+      expect(context.shortCircuited).toBeUndefined();
+      expect(later).toHaveBeenCalled();
+    });
+
+    it('rejects with the error unless a hook recovers', async () => {
+      const error = new Error('Request failed.');
+      const failing = () => sendWith(Promise.reject(error));
+
+      await expect(
+        runMiddleware([{ onError: () => undefined }], createContext(), failing())
+      ).rejects.toBe(error);
+      await expect(
+        runMiddleware(
+          [{ onError: () => 'outer' }, { onError: () => 'inner' }],
+          createContext(),
+          failing()
+        )
+      ).resolves.toMatchObject({ data: 'inner' });
+    });
+  });
+});
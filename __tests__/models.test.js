@@ -0,0 +1,140 @@
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { User, Feed, Stream, Notification } = require('../src/models.js');
+
+describe('models', () => {
+  const timeFrom = new Date('2017-01-01T00:00:00Z');
+  const timeTo = new Date('2017-01-02T00:00:00Z');
+  const fixtures = createFixtures({ timeFrom, timeTo, period: 3600 });
+
+  let server;
+  let energomonitor;
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    server.seed(fixtures);
+    energomonitor = new Energomonitor(undefined, undefined, server.url, { models: true });
+    await energomonitor.authorize('demo', 'demo');
+  });
+
+  it('returns plain objects by default', async () => {
+    const plain = new Energomonitor(undefined, undefined, server.url);
+    await plain.authorize('demo', 'demo');
+
+    const feed = await plain.getFeed('fddemo');
+
+    expect(feed).not.toBeInstanceOf(Feed);
+    expect(Object.getPrototypeOf(feed)).toBe(Object.prototype);
+  });
+
+  it('returns models holding the client and the API object properties', async () => {
+    const user = await energomonitor.getUser('usdemo');
+
+    expect(user).toBeInstanceOf(User);
+    expect(user.energomonitor).toBe(energomonitor);
+    expect(user.username).toBe('demo');
+    expect(JSON.parse(JSON.stringify(user))).toEqual({
+      id: 'usdemo',
+      username: 'demo',
+      email: 'demo@example.com'
+    });
+  });
+
+  it('navigates from a user to feeds and streams', async () => {
+    const user = await energomonitor.getUser('usdemo');
+    const feeds = await user.feeds();
+
+    expect(feeds).toHaveLength(1);
+    expect(feeds[0]).toBeInstanceOf(Feed);
+
+    const streams = await feeds[0].streams({ types: 'processed' });
+
+    expect(streams.map(stream => stream.id)).toEqual(['stpower', 'stenergy', 'sttemp']);
+    expect(streams[0]).toBeInstanceOf(Stream);
+    expect(streams[0].feedId).toBe('fddemo');
+    expect(Object.keys(streams[0])).not.toContain('feedId');
+
+    const stream = await feeds[0].stream('sttemp');
+
+    expect(stream.configs[0].unit).toBe('°C');
+    expect((await stream.feed()).id).toBe('fddemo');
+  });
+
+  it('resolves related stream groups to streams', async () => {
+    const feed = await energomonitor.getFeed('fddemo');
+    const groups = await feed.relatedStreamGroups();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].map(stream => stream.id)).toEqual(['stpower', 'stenergy']);
+    expect(groups[0][0]).toBeInstanceOf(Stream);
+  });
+
+  it('retrieves data of a stream', async () => {
+    const stream = await energomonitor.getStream('fddemo', 'stpower');
+    const dataPoints = await stream.data({
+      from: '2017-01-01T00:00:00Z',
+      to: '2017-01-01T05:00:00Z',
+      resample: { interval: 7200 }
+    });
+
+    expect(dataPoints.map(([timestamp]) => timestamp)).toEqual([
+      1483228800,
+      1483236000,
+      1483243200
+    ]);
+
+    const iterator = stream.iterate({ from: timeFrom, pageSize: 10 });
+
+    expect((await iterator.next()).value[0][0]).toBe(1483228800);
+  });
+
+  it('retrieves the newest data point of a stream', async () => {
+    const stream = await energomonitor.getStream('fddemo', 'stpower');
+    const data = fixtures.feeds[0].streams[0].data;
+
+    expect(await stream.latest()).toEqual(data[data.length - 1]);
+
+    server.fixtures.feeds[0].streams[0].data = [];
+
+    expect(await stream.latest()).toBeNull();
+  });
+
+  it('updates notifications', async () => {
+    const user = await energomonitor.getUser('usdemo');
+    const notifications = await user.notifications();
+
+    expect(notifications[0]).toBeInstanceOf(Notification);
+    expect(notifications[0].userId).toBe('usdemo');
+
+    const notification = notifications.find(notification => notification.id === 2);
+
+    expect(await notification.markRead()).toBe(notification);
+    expect(notification.read).toBe(true);
+    await notification.archive();
+    expect(notification.archived).toBe(true);
+    expect((await energomonitor.getNotification('usdemo', 2)).archived).toBe(true);
+    expect(await user.notificationCount()).toEqual({ read: 2, unread: 0, total: 2 });
+  });
+
+  it('keeps cached responses plain', async () => {
+    const cached = new Energomonitor(undefined, undefined, server.url, {
+      models: true,
+      cache: true
+    });
+    await cached.authorize('demo', 'demo');
+
+    const first = await cached.getFeed('fddemo');
+    const second = await cached.getFeed('fddemo');
+
+    expect(second).toBeInstanceOf(Feed);
+    expect(second).not.toBe(first);
+    expect(second).toEqual(first);
+  });
+});
@@ -0,0 +1,252 @@
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { createReport, renderReportJSON, renderReportHTML } = require('../src/reports.js');
+
+const TIME_FROM = new Date('2017-04-20T00:00:00Z');
+const TIME_TO = new Date('2017-05-10T00:00:00Z');
+
+// Reported week: 2017-05-01 – 2017-05-07 in Prague (UTC+2).
+const DATE = new Date('2017-05-10T12:00:00Z');
+
+// Hourly meter readings consuming 100 Wh per hour, 50 Wh from 3:00 and
+// 300 Wh from 12:00 local time.
+function createReadings() {
+  const dataPoints = [];
+  let reading = 1000;
+
+  for (let time = TIME_FROM.getTime() / 1000; time <= TIME_TO.getTime() / 1000; time += 3600) {
+    const hour = (new Date(time * 1000).getUTCHours() + 2) % 24;
+
+    dataPoints.push([time, reading]);
+    reading += hour === 3 ? 50 : hour === 12 ? 300 : 100;
+  }
+
+  return dataPoints;
+}
+
+describe('reports', () => {
+  const fixtures = createFixtures({ timeFrom: TIME_FROM, timeTo: TIME_TO, period: 3600 });
+  fixtures.feeds[0].streams.filter(stream => stream.id === 'stenergy')[0].data = createReadings();
+
+  let server;
+  let em;
+
+  beforeAll(async () => {
+    server = new FakeServer(fixtures);
+    await server.listen();
+    em = new Energomonitor(undefined, undefined, server.url);
+    await em.authorize('demo', 'demo');
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    server.fixtures.feeds = JSON.parse(JSON.stringify(fixtures.feeds));
+  });
+
+  describe('createReport', () => {
+    it('reports on the previous period of a feed in its timezone', async () => {
+      const report = await createReport(em, { feedId: 'fddemo', unit: 'week', date: DATE });
+
+      expect(report.unit).toBe('week');
+      expect(report.userId).toBeNull();
+      expect(report.generatedAt).toBeInstanceOf(Date);
+      expect(report.feeds).toHaveLength(1);
+
+      const feed = report.feeds[0];
+      expect(feed).toMatchObject({
+        feedId: 'fddemo',
+        title: 'Demo',
+        timeZone: 'Europe/Prague',
+        period: {
+          from: new Date('2017-05-01T00:00:00+02:00'),
+          to: new Date('2017-05-08T00:00:00+02:00')
+        },
+        previousPeriod: {
+          from: new Date('2017-04-24T00:00:00+02:00'),
+          to: new Date('2017-05-01T00:00:00+02:00')
+        },
+        lastYearPeriod: {
+          from: new Date('2016-05-01T00:00:00+02:00'),
+          to: new Date('2016-05-08T00:00:00+02:00')
+        },
+        completeness: 100
+      });
+
+      // The power stream is related to the energy stream.
+      expect(feed.streams.map(stream => stream.streamId)).toEqual(['stenergy']);
+      expect(feed.totals).toEqual([
+        {
+          medium: 'energy',
+          unit: 'Wh',
+          total: 17850,
+          previous: { total: 17850, change: 0 },
+          lastYear: { total: null, change: null }
+        }
+      ]);
+    });
+
+    it('computes the profiles, the peak and the base load', async () => {
+      const report = await createReport(em, { feedId: 'fddemo', unit: 'week', date: DATE });
+      const stream = report.feeds[0].streams[0];
+
+      expect(stream).toMatchObject({
+        title: 'Electricity - Main (energy)',
+        medium: 'energy',
+        unit: 'Wh',
+        total: 17850,
+        completeness: 100,
+        peak: { time: new Date('2017-05-01T12:00:00+02:00'), value: 300 },
+        baseLoad: 50,
+        previous: { total: 17850, completeness: 100, change: 0 },
+        lastYear: { total: null, completeness: 0, change: null }
+      });
+      expect(stream.daily).toHaveLength(7);
+      expect(stream.daily[0]).toEqual({ date: '2017-05-01', value: 2550 });
+      expect(stream.daily[6]).toEqual({ date: '2017-05-07', value: 2550 });
+      expect(stream.hourly).toHaveLength(24);
+      expect(stream.hourly[0]).toBe(100);
+      expect(stream.hourly[3]).toBe(50);
+      expect(stream.hourly[12]).toBe(300);
+    });
+
+    it('reports the completeness of the data', async () => {
+      const stream = server.fixtures.feeds[0].streams.filter(
+        candidate => candidate.id === 'stenergy'
+      )[0];
+      const dayFrom = new Date('2017-05-02T00:00:00+02:00').getTime() / 1000;
+      stream.data = stream.data.filter(
+        ([timestamp]) => timestamp < dayFrom || timestamp >= dayFrom + 86400
+      );
+
+      const report = await createReport(em, {
+        feedId: 'fddemo',
+        unit: 'week',
+        date: DATE,
+        compare: false
+      });
+      const feed = report.feeds[0];
+
+      expect(feed.completeness).toBeCloseTo(6 / 7 * 100, 5);
+      expect(feed.streams[0].total).toBe(17850);
+      expect(feed.streams[0].previous).toBeNull();
+      expect(feed.previousPeriod).toBeNull();
+      expect(feed.totals[0].lastYear).toBeNull();
+    });
+
+    it('reports on selected streams and all feeds of a user', async () => {
+      const report = await createReport(em, {
+        userId: 'usdemo',
+        unit: 'day',
+        date: DATE,
+        timeZone: 'UTC',
+        nightHours: [1, 2]
+      });
+
+      expect(report.userId).toBe('usdemo');
+      expect(report.feeds[0].period).toEqual({
+        from: new Date('2017-05-09T00:00:00Z'),
+        to: new Date('2017-05-10T00:00:00Z')
+      });
+      // 1:00 UTC is 3:00 in Prague.
+      expect(report.feeds[0].streams[0].baseLoad).toBe(50);
+
+      const selected = await createReport(em, {
+        feedId: 'fddemo',
+        streams: ['stpower', 'stenergy'],
+        date: DATE
+      });
+
+      expect(selected.feeds[0].streams.map(stream => stream.unit)).toEqual(['Wh', 'Wh']);
+      await expect(createReport(em, { feedId: 'fddemo', streams: ['sttemp'] })).rejects.toEqual(
+        new Error('Stream sttemp of feed fddemo does not measure consumption.')
+      );
+    });
+
+    it('does not count the combined stream of phases twice', async () => {
+      const createPhase = (id, channel, step, combined) => ({
+        id,
+        type: 'processed',
+        channel,
+        combined,
+        configs: [
+          {
+            title: id,
+            medium: 'energy',
+            unit: 'Wh',
+            valid_from: '2000-01-01T00:00:00Z',
+            valid_to: null
+          }
+        ],
+        data: createReadings().map(([time], index) => [time, index * step])
+      });
+      const feed = server.fixtures.feeds[0];
+      feed.streams = [
+        createPhase('stl1', 1, 100, false),
+        createPhase('stl2', 2, 100, false),
+        createPhase('stl3', 3, 100, false),
+        createPhase('stsum', 4, 300, true)
+      ];
+      feed.relatedStreams = [['stl1', 'stl2', 'stl3', 'stsum']];
+      const options = { feedId: 'fddemo', unit: 'week', date: DATE, compare: false };
+
+      const report = await createReport(em, options);
+      expect(report.feeds[0].streams.map(stream => stream.streamId)).toEqual([
+        'stl1',
+        'stl2',
+        'stl3'
+      ]);
+      expect(report.feeds[0].totals[0].total).toBe(50400);
+
+      const selected = await createReport(
+        em,
+        Object.assign({ streams: ['stsum', 'stl1', 'stl2', 'stl3'] }, options)
+      );
+      expect(selected.feeds[0].streams).toHaveLength(4);
+      expect(selected.feeds[0].totals[0].total).toBe(50400);
+    });
+
+    it('validates the options', () =>
+      Promise.all(
+        [
+          {},
+          { feedId: 'fddemo', userId: 'usdemo' },
+          { userId: 'usdemo', streams: ['stpower'] },
+          { feedId: 'fddemo', unit: 'fortnight' },
+          { feedId: 'fddemo', timeZone: 'Mars/Olympus' },
+          { feedId: 'fddemo', nightHours: [5, 1] },
+          { feedId: 'fddemo', nightHours: [0, 25] }
+        ].map(options => expect(createReport(em, options)).rejects.toBeInstanceOf(TypeError))
+      ));
+  });
+
+  describe('rendering', () => {
+    let report;
+
+    beforeAll(async () => {
+      report = await createReport(em, { feedId: 'fddemo', unit: 'week', date: DATE });
+    });
+
+    it('renders JSON', () => {
+      const parsed = JSON.parse(renderReportJSON(report));
+
+      expect(parsed.feeds[0].period.from).toBe('2017-04-30T22:00:00.000Z');
+      expect(parsed.feeds[0].streams[0].total).toBe(17850);
+    });
+
+    it('renders a standalone HTML page', () => {
+      const html = renderReportHTML(report, { title: 'Week <18>' });
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<title>Week &lt;18&gt;</title>');
+      expect(html).toContain('<h3>Electricity - Main (energy)</h3>');
+      expect(html).toContain('<tr><td>Total</td><td>17850</td></tr>');
+      expect(html).toContain('2017-05-01T00:00:00+02:00 – 2017-05-08T00:00:00+02:00');
+      expect(html).toContain(
+        '<tr><td>Peak hour</td><td>300 at 2017-05-01T12:00:00+02:00</td></tr>'
+      );
+      expect(html).not.toContain('<script');
+    });
+  });
+});
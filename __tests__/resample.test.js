@@ -0,0 +1,176 @@
+const { getBucketStart, getNextBucketStart, resample } = require('../src/resample');
+
+// 2017-04-19T10:20:30Z (Wednesday)
+const T = 1492597230;
+
+function timestamp(iso) {
+  return new Date(iso).getTime() / 1000;
+}
+
+describe('resample', () => {
+  describe('getBucketStart', () => {
+    it('aligns fixed-length intervals', () => {
+      expect(getBucketStart(T, 'minute')).toBe(timestamp('2017-04-19T10:20:00Z'));
+      expect(getBucketStart(T, '15minutes')).toBe(timestamp('2017-04-19T10:15:00Z'));
+      expect(getBucketStart(T, 'hour')).toBe(timestamp('2017-04-19T10:00:00Z'));
+      expect(getBucketStart(T, 'day')).toBe(timestamp('2017-04-19T00:00:00Z'));
+      expect(getBucketStart(T, 300)).toBe(timestamp('2017-04-19T10:20:00Z'));
+    });
+
+    it('aligns weeks to Monday', () => {
+      expect(getBucketStart(T, 'week')).toBe(timestamp('2017-04-17T00:00:00Z'));
+      expect(getBucketStart(timestamp('2017-04-17T00:00:00Z'), 'week')).toBe(
+        timestamp('2017-04-17T00:00:00Z')
+      );
+      expect(getBucketStart(timestamp('2017-04-16T23:59:59Z'), 'week')).toBe(
+        timestamp('2017-04-10T00:00:00Z')
+      );
+    });
+
+    it('aligns months to calendar months', () => {
+      expect(getBucketStart(T, 'month')).toBe(timestamp('2017-04-01T00:00:00Z'));
+    });
+
+    it('aligns calendar intervals to local midnight in a timezone', () => {
+      expect(getBucketStart(T, 'day', 'Europe/Prague')).toBe(
+        timestamp('2017-04-19T00:00:00+02:00')
+      );
+      expect(getBucketStart(T, 'week', 'America/New_York')).toBe(
+        timestamp('2017-04-17T00:00:00-04:00')
+      );
+      expect(getBucketStart(T, 'month', 'Asia/Tokyo')).toBe(timestamp('2017-04-01T00:00:00+09:00'));
+      expect(getBucketStart(T, 'hour', 'Asia/Kolkata')).toBe(timestamp('2017-04-19T10:00:00Z'));
+    });
+  });
+
+  describe('getNextBucketStart', () => {
+    it('handles months of different lengths', () => {
+      expect(getNextBucketStart(timestamp('2017-02-01T00:00:00Z'), 'month')).toBe(
+        timestamp('2017-03-01T00:00:00Z')
+      );
+      expect(getNextBucketStart(timestamp('2017-12-01T00:00:00Z'), 'month')).toBe(
+        timestamp('2018-01-01T00:00:00Z')
+      );
+    });
+
+    it('adds the interval length for other intervals', () => {
+      expect(getNextBucketStart(0, 'hour')).toBe(3600);
+      expect(getNextBucketStart(timestamp('2017-04-17T00:00:00Z'), 'week')).toBe(
+        timestamp('2017-04-24T00:00:00Z')
+      );
+    });
+
+    it('follows DST transitions in a timezone', () => {
+      expect(
+        getNextBucketStart(timestamp('2017-03-26T00:00:00+01:00'), 'day', 'Europe/Prague')
+      ).toBe(timestamp('2017-03-27T00:00:00+02:00'));
+    });
+  });
+
+  describe('resample', () => {
+    const dataPoints = [[0, 1], [10, 3], [50, 2], [60, 10], [100, 4], [200, 6]];
+
+    it('aggregates values in each bucket', () => {
+      const expected = {
+        sum: [[0, 6], [60, 14], [180, 6]],
+        mean: [[0, 2], [60, 7], [180, 6]],
+        min: [[0, 1], [60, 4], [180, 6]],
+        max: [[0, 3], [60, 10], [180, 6]],
+        first: [[0, 1], [60, 10], [180, 6]],
+        last: [[0, 2], [60, 4], [180, 6]],
+        count: [[0, 3], [60, 2], [180, 1]]
+      };
+
+      Object.keys(expected).forEach(aggregation => {
+        expect(resample(dataPoints, { interval: 'minute', aggregation })).toEqual(
+          expected[aggregation]
+        );
+      });
+    });
+
+    it('uses the mean by default', () => {
+      expect(resample([[0, 1], [30, 2]], { interval: 'minute' })).toEqual([[0, 1.5]]);
+    });
+
+    it('computes the time-weighted mean', () => {
+      expect(
+        resample([[0, 1], [10, 3], [50, 2], [60, 10], [100, 4], [200, 6]], {
+          interval: 'minute',
+          aggregation: 'timeWeightedMean'
+        })
+      ).toEqual([
+        // 1 for 10 s, 3 for 40 s, 2 for 10 s
+        [0, (1 * 10 + 3 * 40 + 2 * 10) / 60],
+        // 10 for 40 s, 4 for 20 s (the rest of the bucket)
+        [60, (10 * 40 + 4 * 20) / 60],
+        // 4 carried over for 20 s, 6 for 40 s (until the end of the bucket)
+        [180, (4 * 20 + 6 * 40) / 60]
+      ]);
+    });
+
+    it('skips the empty buckets of a gap in the time-weighted mean', () => {
+      const year = 365 * 24 * 3600;
+
+      // Ten years of one-second buckets would not fit in memory.
+      expect(
+        resample([[0, 1], [10 * year, 2]], { interval: 1, aggregation: 'timeWeightedMean' })
+      ).toEqual([[0, 1], [10 * year, 2]]);
+      expect(
+        resample([[0, 1], [year + 30, 3]], { interval: 'minute', aggregation: 'timeWeightedMean' })
+      ).toEqual([
+        [0, 1],
+        // 1 carried over for 30 s, 3 for 30 s
+        [year, (1 * 30 + 3 * 30) / 60]
+      ]);
+    });
+
+    it('buckets days by local midnight in a timezone', () => {
+      const points = [
+        [timestamp('2017-10-28T23:30:00+02:00'), 1],
+        [timestamp('2017-10-29T00:30:00+02:00'), 2],
+        [timestamp('2017-10-29T23:30:00+01:00'), 3],
+        [timestamp('2017-10-30T00:30:00+01:00'), 4]
+      ];
+
+      expect(
+        resample(points, { interval: 'day', aggregation: 'sum', timeZone: 'Europe/Prague' })
+      ).toEqual([
+        [timestamp('2017-10-28T00:00:00+02:00'), 1],
+        [timestamp('2017-10-29T00:00:00+02:00'), 5],
+        [timestamp('2017-10-30T00:00:00+01:00'), 4]
+      ]);
+      expect(resample(points, { interval: 'day', aggregation: 'count' })).toEqual([
+        [timestamp('2017-10-28T00:00:00Z'), 2],
+        [timestamp('2017-10-29T00:00:00Z'), 2]
+      ]);
+    });
+
+    it('weights values by the length of local days', () => {
+      // The day DST ends is 25 hours long.
+      const start = timestamp('2017-10-29T00:00:00+02:00');
+      const points = [[start, 1], [start + 24 * 3600, 26]];
+
+      expect(
+        resample(points, {
+          interval: 'day',
+          aggregation: 'timeWeightedMean',
+          timeZone: 'Europe/Prague'
+        })
+      ).toEqual([[start, (1 * 24 + 26) / 25]]);
+    });
+
+    it('returns an empty array for no data points', () => {
+      expect(resample([], { interval: 'hour', aggregation: 'sum' })).toEqual([]);
+      expect(resample([], { interval: 'hour', aggregation: 'timeWeightedMean' })).toEqual([]);
+    });
+
+    it('throws on unknown intervals and aggregations', () => {
+      expect(() => resample([], { interval: 'fortnight' })).toThrow(TypeError);
+      expect(() => resample([], { interval: -60 })).toThrow(TypeError);
+      expect(() => resample([], { interval: 'hour', aggregation: 'median' })).toThrow(TypeError);
+      expect(() => resample([], { interval: 'day', timeZone: 'Mars/Olympus' })).toThrow(
+        new TypeError('Unknown timezone: Mars/Olympus.')
+      );
+    });
+  });
+});
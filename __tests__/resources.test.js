@@ -0,0 +1,225 @@
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const {
+  ResourceBuilder,
+  getAuthorizationScope,
+  authorizationCovers,
+  validateResources,
+  validateScopedResources
+} = require('../src/resources.js');
+const { ForbiddenError, InvalidArgumentError } = require('../src/errors.js');
+
+describe('resources', () => {
+  const authorization = {
+    id: 1,
+    user_id: 'usdemo',
+    token: 'token',
+    note: 'Kiosk',
+    resources: [
+      { type: 'user', name: 'usdemo', permissions: ['r', 'w'] },
+      { type: 'feed', name: 'fddemo', permissions: ['r'] },
+      { type: 'stream', name: 'stpower', permissions: ['r'] }
+    ],
+    last_used_at: null,
+    expires_at: '2017-05-18T12:00:00Z'
+  };
+
+  describe('ResourceBuilder', () => {
+    it('builds resources', () => {
+      const resources = new ResourceBuilder()
+        .user('usdemo', ['w'])
+        .feed('fddemo')
+        .stream('stpower')
+        .user('usdemo')
+        .build();
+
+      expect(resources).toEqual([
+        { type: 'user', name: 'usdemo', permissions: ['r', 'w'] },
+        { type: 'feed', name: 'fddemo', permissions: ['r'] },
+        { type: 'stream', name: 'stpower', permissions: ['r'] }
+      ]);
+    });
+
+    it('validates the arguments', () => {
+      const builder = new ResourceBuilder();
+
+      expect(() => builder.feed('')).toThrow(InvalidArgumentError);
+      expect(() => builder.stream()).toThrow(InvalidArgumentError);
+      expect(() => builder.user('usdemo', [])).toThrow(
+        new InvalidArgumentError('permissions must be a non-empty array of r and w.')
+      );
+      expect(() => builder.user('usdemo', ['x'])).toThrow(InvalidArgumentError);
+      expect(builder.build()).toEqual([]);
+    });
+  });
+
+  describe('getAuthorizationScope', () => {
+    it('describes the scope', () => {
+      expect(getAuthorizationScope(authorization)).toEqual({
+        userId: 'usdemo',
+        note: 'Kiosk',
+        expiresAt: new Date('2017-05-18T12:00:00Z'),
+        unrestricted: false,
+        users: [{ userId: 'usdemo', permissions: ['r', 'w'] }],
+        feeds: [{ feedId: 'fddemo', permissions: ['r'] }],
+        streams: [{ streamId: 'stpower', permissions: ['r'] }]
+      });
+    });
+
+    it('recognizes unrestricted authorizations', () => {
+      const scope = getAuthorizationScope({ user_id: 'usdemo', expires_at: null });
+
+      expect(scope.unrestricted).toBe(true);
+      expect(scope.expiresAt).toBeNull();
+      expect(scope.feeds).toEqual([]);
+    });
+  });
+
+  describe('authorizationCovers', () => {
+    it('checks the resources and the permission', () => {
+      expect(authorizationCovers(authorization, { userId: 'usdemo' }, 'w')).toBe(true);
+      expect(authorizationCovers(authorization, { userId: 'usother' })).toBe(false);
+      expect(authorizationCovers(authorization, { feedId: 'fddemo' })).toBe(true);
+      expect(authorizationCovers(authorization, { feedId: 'fddemo' }, 'w')).toBe(false);
+      expect(authorizationCovers(authorization, { feedId: 'fdother' })).toBe(false);
+    });
+
+    it('covers streams by their own or their feed’s resource', () => {
+      expect(authorizationCovers(authorization, { feedId: 'fddemo', streamId: 'sttemp' })).toBe(
+        true
+      );
+      expect(authorizationCovers(authorization, { feedId: 'fdother', streamId: 'stpower' })).toBe(
+        true
+      );
+      expect(authorizationCovers(authorization, { feedId: 'fdother', streamId: 'sttemp' })).toBe(
+        false
+      );
+      expect(authorizationCovers(authorization, { streamId: 'stpower' })).toBe(true);
+    });
+
+    it('covers everything when no resources are listed', () => {
+      expect(authorizationCovers({ user_id: 'usdemo' }, { feedId: 'fdother' }, 'w')).toBe(true);
+    });
+  });
+
+  describe('validateResources', () => {
+    it('accepts arrays and builders', () => {
+      const resources = [{ type: 'feed', name: 'fddemo', permissions: ['r'] }];
+
+      expect(validateResources(resources, 'resources')).toBe(resources);
+      expect(validateResources(new ResourceBuilder().feed('fddemo'), 'resources')).toEqual(
+        resources
+      );
+      expect(validateResources(new ResourceBuilder(), 'resources')).toEqual([]);
+    });
+
+    it('rejects invalid resources', () => {
+      [
+        [],
+        new ResourceBuilder(),
+        'fddemo',
+        [null],
+        [{ type: 'device', name: 'fddemo', permissions: ['r'] }],
+        [{ type: 'feed', name: '', permissions: ['r'] }],
+        [{ type: 'feed', name: 'fddemo' }]
+      ].forEach(value => {
+        expect(() => validateScopedResources(value, 'resources')).toThrow(InvalidArgumentError);
+      });
+      expect(() => validateResources('fddemo', 'resources')).toThrow(
+        new InvalidArgumentError('resources must be an array of resources or a ResourceBuilder.')
+      );
+    });
+  });
+
+  describe('Energomonitor#authorize', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = new FakeServer(createFixtures());
+      await server.listen();
+    });
+
+    afterAll(() => server.close());
+
+    it('accepts a resource builder', async () => {
+      const em = new Energomonitor(undefined, undefined, server.url);
+      const authorization = await em.authorize({
+        username: 'demo',
+        password: 'demo',
+        resources: new ResourceBuilder().stream('stpower')
+      });
+
+      expect(authorization.resources).toEqual([
+        { type: 'stream', name: 'stpower', permissions: ['r'] }
+      ]);
+      expect((await em.getStreamData('fddemo', 'stpower')).length).toBeGreaterThan(0);
+      await expect(em.getStream('fddemo', 'sttemp')).rejects.toBeInstanceOf(ForbiddenError);
+    });
+
+    it('validates the resources', async () => {
+      const em = new Energomonitor(undefined, undefined, server.url);
+
+      await expect(
+        em.authorize('demo', 'demo', undefined, [{ type: 'feed', name: 'fddemo' }])
+      ).rejects.toBeInstanceOf(InvalidArgumentError);
+    });
+  });
+
+  describe('Energomonitor#createScopedToken', () => {
+    let server;
+    let em;
+
+    beforeAll(async () => {
+      server = new FakeServer();
+      await server.listen();
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(async () => {
+      server.seed(createFixtures());
+      em = new Energomonitor(undefined, undefined, server.url);
+      await em.authorize('demo', 'demo');
+    });
+
+    it('creates a token limited to the resources', async () => {
+      const token = em._token;
+      const scoped = await em.createScopedToken({
+        username: 'demo',
+        password: 'demo',
+        resources: new ResourceBuilder().stream('stpower'),
+        validMinutes: 180,
+        note: 'Lobby display'
+      });
+
+      expect(em._token).toBe(token);
+      expect(scoped.token).not.toBe(token);
+      expect(scoped.note).toBe('Lobby display');
+      expect(getAuthorizationScope(scoped).streams).toEqual([
+        { streamId: 'stpower', permissions: ['r'] }
+      ]);
+
+      const kiosk = new Energomonitor(scoped.token, undefined, server.url);
+      expect((await kiosk.getStream('fddemo', 'stpower')).id).toBe('stpower');
+      await expect(kiosk.getStream('fddemo', 'sttemp')).rejects.toBeInstanceOf(ForbiddenError);
+      await expect(kiosk.getFeed('fddemo')).rejects.toBeInstanceOf(ForbiddenError);
+    });
+
+    it('requires the resources, the validity and the note', async () => {
+      const resources = new ResourceBuilder().feed('fddemo');
+
+      await expect(
+        em.createScopedToken('demo', 'demo', resources, undefined, 'Kiosk')
+      ).rejects.toEqual(
+        new InvalidArgumentError('validMinutes must be a positive integer, got undefined.')
+      );
+      await expect(em.createScopedToken('demo', 'demo', resources, 60)).rejects.toBeInstanceOf(
+        InvalidArgumentError
+      );
+      await expect(em.createScopedToken('demo', 'demo', [], 60, 'Kiosk')).rejects.toBeInstanceOf(
+        InvalidArgumentError
+      );
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  DEFAULT_RETRY_OPTIONS,
+  normalizeRetryOptions,
+  isRetryableError,
+  computeRetryDelay,
+  withRetry
+} = require('../src/retry');
+const {
+  MissingTokenError,
+  NotFoundError,
+  ServerError,
+  RateLimitError,
+  NetworkError
+} = require('../src/errors');
+
+describe('retry', () => {
+  describe('normalizeRetryOptions', () => {
+    it('returns null when retries are disabled', () => {
+      expect(normalizeRetryOptions(undefined)).toBeNull();
+      expect(normalizeRetryOptions(false)).toBeNull();
+    });
+
+    it('returns the default policy for true', () => {
+      expect(normalizeRetryOptions(true)).toEqual(DEFAULT_RETRY_OPTIONS);
+    });
+
+    it('overrides the default policy with passed options', () => {
+      const policy = normalizeRetryOptions({ maxAttempts: 5 });
+
+      expect(policy.maxAttempts).toBe(5);
+      expect(policy.baseDelay).toBe(DEFAULT_RETRY_OPTIONS.baseDelay);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    const policy = normalizeRetryOptions(true);
+
+    it('retries errors with statuses listed in the policy', () => {
+      expect(isRetryableError(new ServerError('', { status: 502 }), policy)).toBe(true);
+      expect(isRetryableError(new ServerError('', { status: 501 }), policy)).toBe(false);
+      expect(isRetryableError(new NotFoundError('', { status: 404 }), policy)).toBe(false);
+    });
+
+    it('retries network errors unless disabled', () => {
+      const error = new NetworkError('');
+
+      expect(isRetryableError(error, policy)).toBe(true);
+      expect(isRetryableError(error, normalizeRetryOptions({ retryNetworkErrors: false }))).toBe(
+        false
+      );
+    });
+
+    it('never retries missing token errors', () => {
+      expect(isRetryableError(new MissingTokenError(), policy)).toBe(false);
+    });
+  });
+
+  describe('computeRetryDelay', () => {
+    const policy = normalizeRetryOptions({ baseDelay: 100, maxDelay: 1000, jitter: 0.5 });
+    const error = new ServerError('', { status: 503 });
+
+    it('grows the delay exponentially', () => {
+      expect(computeRetryDelay(1, error, policy, () => 0)).toBe(100);
+      expect(computeRetryDelay(2, error, policy, () => 0)).toBe(200);
+      expect(computeRetryDelay(3, error, policy, () => 0)).toBe(400);
+    });
+
+    it('applies the jitter', () => {
+      expect(computeRetryDelay(2, error, policy, () => 0.5)).toBe(150);
+    });
+
+    it('caps the delay at maxDelay', () => {
+      expect(computeRetryDelay(10, error, policy, () => 0)).toBe(1000);
+    });
+
+    it('waits at least as long as Retry-After asks for', () => {
+      const rateLimitError = new RateLimitError('', { status: 429, retryAfter: 700 });
+
+      expect(computeRetryDelay(1, rateLimitError, policy, () => 0)).toBe(700);
+      expect(
+        computeRetryDelay(
+          1,
+          rateLimitError,
+          Object.assign({}, policy, { respectRetryAfter: false }),
+          () => 0
+        )
+      ).toBe(100);
+    });
+  });
+
+  describe('withRetry', () => {
+    const policy = normalizeRetryOptions({ maxAttempts: 3, baseDelay: 1, jitter: 0 });
+
+    it('resolves to the result of the first successful attempt', async () => {
+      const attempts = [];
+      const f = attempt => {
+        attempts.push(attempt);
+        return attempt < 3 ? Promise.reject(new NetworkError('')) : Promise.resolve('ok');
+      };
+
+      await expect(withRetry(f, policy)).resolves.toBe('ok');
+      expect(attempts).toEqual([1, 2, 3]);
+    });
+
+    it('rejects with the last error after maxAttempts', async () => {
+      const errors = [new NetworkError('1'), new NetworkError('2'), new NetworkError('3')];
+      const f = attempt => Promise.reject(errors[attempt - 1]);
+
+      await expect(withRetry(f, policy)).rejects.toBe(errors[2]);
+    });
+
+    it('does not retry non-retryable errors', async () => {
+      const error = new NotFoundError('', { status: 404 });
+      const f = jest.fn(() => Promise.reject(error));
+
+      await expect(withRetry(f, policy)).rejects.toBe(error);
+      expect(f).toHaveBeenCalledTimes(1);
+    });
+
+    it('calls onRetry before each repeated attempt', async () => {
+      const error = new ServerError('', { status: 500 });
+      const onRetry = jest.fn();
+      const f = attempt => (attempt === 1 ? Promise.reject(error) : Promise.resolve('ok'));
+
+      await withRetry(f, policy, onRetry);
+
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(onRetry).toHaveBeenCalledWith({ attempt: 2, delay: 1, error });
+    });
+  });
+});
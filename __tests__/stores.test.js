@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryStore, LruStore, JsonFileStore, DirectoryStore } = require('../src/stores');
+
+describe('stores', () => {
+  describe('MemoryStore', () => {
+    it('saves, retrieves and deletes values', async () => {
+      const store = new MemoryStore();
+
+      expect(await store.get('key')).toBeUndefined();
+
+      await store.set('key', { a: 1 });
+      expect(await store.get('key')).toEqual({ a: 1 });
+
+      await store.delete('key');
+      expect(await store.get('key')).toBeUndefined();
+    });
+  });
+
+  describe('LruStore', () => {
+    it('evicts the least recently used values', async () => {
+      const store = new LruStore({ maxEntries: 2 });
+
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.get('a');
+      await store.set('c', 3);
+
+      expect([await store.get('a'), await store.get('b'), await store.get('c')]).toEqual([
+        1,
+        undefined,
+        3
+      ]);
+    });
+
+    it('deletes values', async () => {
+      const store = new LruStore();
+
+      await store.set('a', 1);
+      await store.delete('a');
+
+      expect(await store.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('JsonFileStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'energomonitor-'));
+    });
+
+    it('returns undefined when the file does not exist', async () => {
+      const store = new JsonFileStore(path.join(directory, 'store.json'));
+
+      expect(await store.get('key')).toBeUndefined();
+    });
+
+    it('persists values in the file', async () => {
+      const filename = path.join(directory, 'nested', 'store.json');
+
+      await new JsonFileStore(filename).set('key', { a: 1 });
+
+      expect(JSON.parse(fs.readFileSync(filename, 'utf8'))).toEqual({ key: { a: 1 } });
+      expect(await new JsonFileStore(filename).get('key')).toEqual({ a: 1 });
+    });
+
+    it('does not lose concurrent writes', async () => {
+      const store = new JsonFileStore(path.join(directory, 'store.json'));
+
+      await Promise.all([store.set('a', 1), store.set('b', 2), store.set('c', 3)]);
+
+      expect([await store.get('a'), await store.get('b'), await store.get('c')]).toEqual([1, 2, 3]);
+    });
+
+    it('deletes values', async () => {
+      const store = new JsonFileStore(path.join(directory, 'store.json'));
+
+      await store.set('a', 1);
+      await store.delete('a');
+
+      expect(await store.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('DirectoryStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'energomonitor-')), 'cache');
+    });
+
+    it('persists values in separate files', async () => {
+      await new DirectoryStore(directory).set('https://example.com/?a=1', { a: 1 });
+      await new DirectoryStore(directory).set('b', [1, 2]);
+
+      expect(fs.readdirSync(directory)).toHaveLength(2);
+      expect(await new DirectoryStore(directory).get('https://example.com/?a=1')).toEqual({ a: 1 });
+      expect(await new DirectoryStore(directory).get('c')).toBeUndefined();
+    });
+
+    it('deletes values', async () => {
+      const store = new DirectoryStore(directory);
+
+      await store.set('a', 1);
+      await store.delete('a');
+      await store.delete('b');
+
+      expect(await store.get('a')).toBeUndefined();
+    });
+  });
+});
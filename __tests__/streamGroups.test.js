@@ -0,0 +1,209 @@
+const Energomonitor = require('../src/Energomonitor.js');
+const FakeServer = require('../src/FakeServer.js');
+const { createFixtures } = require('../src/fixtures.js');
+const { InvalidArgumentError } = require('../src/errors.js');
+const { Stream } = require('../src/models.js');
+const {
+  identifyGroupRole,
+  resolveStreamGroups,
+  findRedundantStreams,
+  alignDataPoints
+} = require('../src/streamGroups.js');
+
+function createStream(id, channel, medium, unit, properties) {
+  return Object.assign(
+    {
+      id,
+      type: 'processed',
+      channel,
+      combined: false,
+      configs: [{ title: id, medium, unit, valid_from: '2000-01-01T00:00:00Z', valid_to: null }]
+    },
+    properties
+  );
+}
+
+const phases = [
+  createStream('stl1', 1, 'power', 'W'),
+  createStream('stl2', 2, 'power', 'W'),
+  createStream('stl3', 3, 'power', 'W')
+];
+const combined = createStream('stsum', 4, 'power', 'W', { combined: true });
+
+describe('streamGroups', () => {
+  describe('identifyGroupRole', () => {
+    it('identifies phases of a multi-phase measurement', () => {
+      expect(identifyGroupRole(phases)).toBe('phases');
+      expect(identifyGroupRole(phases.concat([combined]))).toBe('phases');
+    });
+
+    it('identifies paired power and energy streams', () => {
+      expect(
+        identifyGroupRole([
+          createStream('stpower', 1, 'power', 'W'),
+          createStream('stenergy', 1, 'energy', 'Wh')
+        ])
+      ).toBe('powerEnergy');
+    });
+
+    it('returns null when the metadata do not match a known role', () => {
+      expect(identifyGroupRole([phases[0]])).toBeNull();
+      expect(
+        identifyGroupRole([phases[0], createStream('sttemp', 2, 'temperature', '°C')])
+      ).toBeNull();
+      expect(identifyGroupRole([phases[0], createStream('stl1b', 1, 'power', 'W')])).toBeNull();
+      expect(identifyGroupRole([{ id: 'r1', type: 'raw' }, { id: 'r2', type: 'raw' }])).toBeNull();
+    });
+  });
+
+  describe('resolveStreamGroups', () => {
+    it('replaces stream IDs with stream objects', () => {
+      const groups = resolveStreamGroups(
+        [['stl1', 'stl2', 'stl3', 'stsum'], ['stl1', 'stmissing']],
+        phases.concat([combined])
+      );
+
+      expect(groups).toEqual([
+        { role: 'phases', streams: phases.concat([combined]), combined },
+        { role: null, streams: [phases[0]], combined: null }
+      ]);
+    });
+  });
+
+  describe('findRedundantStreams', () => {
+    const groups = resolveStreamGroups(
+      [['stl1', 'stl2', 'stl3', 'stsum']],
+      phases.concat([combined])
+    );
+
+    it('finds combined streams listed with their phases', () => {
+      expect(findRedundantStreams(groups, ['stsum', 'stl1', 'stl2'])).toEqual(['stsum']);
+      expect(findRedundantStreams(groups, ['stsum'])).toEqual([]);
+      expect(findRedundantStreams(groups, ['stl1', 'stl2', 'stl3'])).toEqual([]);
+    });
+  });
+
+  describe('alignDataPoints', () => {
+    const series = [[[0, 1], [60, 2]], [[0, 10], [120, 30]]];
+
+    it('aligns the data points by timestamps', () => {
+      expect(alignDataPoints(series)).toEqual([[0, 1, 10], [60, 2, null], [120, null, 30]]);
+    });
+
+    it('appends the total when requested', () => {
+      expect(alignDataPoints(series, { total: true })).toEqual([
+        [0, 1, 10, 11],
+        [60, 2, null, null],
+        [120, null, 30, null]
+      ]);
+    });
+
+    it('leaves excluded series out of the total', () => {
+      expect(alignDataPoints(series, { total: true, exclude: [1] })).toEqual([
+        [0, 1, 10, 1],
+        [60, 2, null, 2],
+        [120, null, 30, null]
+      ]);
+    });
+  });
+
+  describe('Energomonitor', () => {
+    const timeFrom = new Date('2017-01-01T00:00:00Z');
+    const timeTo = new Date('2017-01-01T06:00:00Z');
+    const fixtures = createFixtures({ timeFrom, timeTo, period: 3600 });
+    fixtures.feeds[0].streams = fixtures.feeds[0].streams.concat(
+      phases.map((stream, index) =>
+        Object.assign({}, stream, {
+          data: [[1483228800, index + 1], [1483232400, index + 2], [1483236000, index + 3]]
+        })
+      ),
+      [
+        Object.assign({}, combined, {
+          data: [[1483228800, 6], [1483232400, 9], [1483236000, 12]]
+        })
+      ]
+    );
+    fixtures.feeds[0].relatedStreams.push(['stl1', 'stl2', 'stl3', 'stsum']);
+
+    let server;
+    let energomonitor;
+
+    beforeAll(async () => {
+      server = new FakeServer(fixtures);
+      await server.listen();
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(async () => {
+      server.seed(fixtures);
+      energomonitor = new Energomonitor(undefined, undefined, server.url);
+      await energomonitor.authorize('demo', 'demo');
+    });
+
+    it('retrieves related stream groups with their roles', async () => {
+      const groups = await energomonitor.getRelatedStreamGroups('fddemo');
+
+      expect(groups.map(group => group.role)).toEqual(['powerEnergy', 'phases']);
+      expect(groups[0].streams.map(stream => stream.id)).toEqual(['stpower', 'stenergy']);
+      expect(groups[1].streams[2].configs[0].unit).toBe('W');
+    });
+
+    it('retrieves aligned data of a group with the total', async () => {
+      const rows = await energomonitor.getStreamGroupData({
+        feedId: 'fddemo',
+        streamIds: ['stl1', 'stl2', 'stl3'],
+        timeFrom,
+        timeTo: '2017-01-01T01:00:00Z',
+        total: true
+      });
+
+      expect(rows).toEqual([[1483228800, 1, 2, 3, 6], [1483232400, 2, 3, 4, 9]]);
+    });
+
+    it('does not count a combined stream listed with its phases twice', async () => {
+      const rows = await energomonitor.getStreamGroupData({
+        feedId: 'fddemo',
+        streamIds: ['stsum', 'stl1', 'stl2', 'stl3'],
+        timeFrom,
+        timeTo: '2017-01-01T01:00:00Z',
+        total: true
+      });
+
+      expect(rows).toEqual([[1483228800, 6, 1, 2, 3, 6], [1483232400, 9, 2, 3, 4, 9]]);
+    });
+
+    it('resamples the data before aligning it', async () => {
+      const rows = await energomonitor.getStreamGroupData(
+        'fddemo',
+        ['stl1', 'stl2'],
+        timeFrom,
+        timeTo,
+        {
+          resample: { interval: 7200, aggregation: 'sum' }
+        }
+      );
+
+      expect(rows).toEqual([[1483228800, 3, 5], [1483236000, 3, 4]]);
+    });
+
+    it('validates the stream IDs', async () => {
+      await expect(energomonitor.getStreamGroupData('fddemo', [], timeFrom)).rejects.toBeInstanceOf(
+        InvalidArgumentError
+      );
+    });
+
+    it('returns stream models from feed models', async () => {
+      const client = new Energomonitor(undefined, undefined, server.url, { models: true });
+      await client.authorize('demo', 'demo');
+
+      const feed = await client.getFeed('fddemo');
+      const groups = await feed.streamGroups();
+
+      expect(groups[1].role).toBe('phases');
+      expect(groups[1].streams[0]).toBeInstanceOf(Stream);
+      expect(groups[1].combined).toBeInstanceOf(Stream);
+      expect(groups[1].combined.id).toBe('stsum');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const {
+  getPeriodStart,
+  addPeriods,
+  getCalendarRange,
+  parseTimeRange
+} = require('../src/timeRanges');
+
+// 2017-03-26T12:00:00Z (Sunday, the day DST starts in Europe)
+const date = new Date('2017-03-26T12:00:00Z');
+
+function timestamp(iso) {
+  return new Date(iso).getTime() / 1000;
+}
+
+function range(from, to) {
+  return { from: new Date(from), to: new Date(to) };
+}
+
+describe('timeRanges', () => {
+  describe('getPeriodStart', () => {
+    it('aligns periods to local midnight', () => {
+      const t = timestamp('2017-05-17T23:30:00Z');
+
+      expect(getPeriodStart(t, 'day')).toBe(timestamp('2017-05-17T00:00:00Z'));
+      expect(getPeriodStart(t, 'day', 'Europe/Prague')).toBe(
+        timestamp('2017-05-18T00:00:00+02:00')
+      );
+      expect(getPeriodStart(t, 'week', 'Europe/Prague')).toBe(
+        timestamp('2017-05-15T00:00:00+02:00')
+      );
+      expect(getPeriodStart(t, 'month', 'America/New_York')).toBe(
+        timestamp('2017-05-01T00:00:00-04:00')
+      );
+      expect(getPeriodStart(t, 'quarter')).toBe(timestamp('2017-04-01T00:00:00Z'));
+      expect(getPeriodStart(t, 'year', 'Asia/Tokyo')).toBe(timestamp('2017-01-01T00:00:00+09:00'));
+    });
+
+    it('starts ISO weeks on Monday', () => {
+      // Sunday
+      expect(getPeriodStart(timestamp('2017-01-01T12:00:00Z'), 'week')).toBe(
+        timestamp('2016-12-26T00:00:00Z')
+      );
+    });
+
+    it('throws on unknown units', () => {
+      expect(() => getPeriodStart(0, 'fortnight')).toThrow(TypeError);
+    });
+  });
+
+  describe('addPeriods', () => {
+    it('moves by calendar periods across DST transitions', () => {
+      const start = timestamp('2017-03-25T00:00:00+01:00');
+
+      expect(addPeriods(start, 'day', 2, 'Europe/Prague')).toBe(
+        timestamp('2017-03-27T00:00:00+02:00')
+      );
+      expect(addPeriods(start, 'week', -1, 'Europe/Prague')).toBe(
+        timestamp('2017-03-18T00:00:00+01:00')
+      );
+    });
+
+    it('handles months of different lengths', () => {
+      expect(addPeriods(timestamp('2017-01-01T00:00:00Z'), 'month', 1)).toBe(
+        timestamp('2017-02-01T00:00:00Z')
+      );
+      expect(addPeriods(timestamp('2017-11-01T00:00:00Z'), 'quarter', 1)).toBe(
+        timestamp('2018-02-01T00:00:00Z')
+      );
+      expect(addPeriods(timestamp('2017-01-01T00:00:00Z'), 'year', -2)).toBe(
+        timestamp('2015-01-01T00:00:00Z')
+      );
+    });
+  });
+
+  describe('getCalendarRange', () => {
+    it('returns the current period by default', () => {
+      expect(getCalendarRange('month', { date })).toEqual(
+        range('2017-03-01T00:00:00Z', '2017-04-01T00:00:00Z')
+      );
+    });
+
+    it('returns days shortened or extended by DST transitions', () => {
+      expect(getCalendarRange('day', { date, timeZone: 'Europe/Prague' })).toEqual(
+        range('2017-03-26T00:00:00+01:00', '2017-03-27T00:00:00+02:00')
+      );
+      expect(
+        getCalendarRange('day', {
+          date: new Date('2017-10-29T12:00:00Z'),
+          timeZone: 'Europe/Prague'
+        })
+      ).toEqual(range('2017-10-29T00:00:00+02:00', '2017-10-30T00:00:00+01:00'));
+    });
+
+    it('starts days at the end of a DST gap at midnight', () => {
+      expect(
+        getCalendarRange('day', {
+          date: new Date('2017-08-13T12:00:00Z'),
+          timeZone: 'America/Santiago'
+        })
+      ).toEqual(range('2017-08-13T01:00:00-03:00', '2017-08-14T00:00:00-03:00'));
+    });
+
+    it('applies the offset and the count', () => {
+      expect(
+        getCalendarRange('quarter', { date, timeZone: 'Europe/Prague', offset: -2, count: 2 })
+      ).toEqual(range('2016-07-01T00:00:00+02:00', '2017-01-01T00:00:00+01:00'));
+    });
+
+    it('validates the options', () => {
+      expect(() => getCalendarRange('day', { timeZone: 'Mars/Olympus' })).toThrow(TypeError);
+      expect(() => getCalendarRange('day', { count: 0 })).toThrow(TypeError);
+      expect(() => getCalendarRange('day', { offset: 0.5 })).toThrow(TypeError);
+    });
+  });
+
+  describe('parseTimeRange', () => {
+    const options = { date, timeZone: 'Europe/Prague' };
+
+    it('resolves today and yesterday', () => {
+      expect(parseTimeRange('today', options)).toEqual(
+        range('2017-03-26T00:00:00+01:00', '2017-03-27T00:00:00+02:00')
+      );
+      expect(parseTimeRange('yesterday', options)).toEqual(
+        range('2017-03-25T00:00:00+01:00', '2017-03-26T00:00:00+01:00')
+      );
+    });
+
+    it('resolves the current and the previous periods', () => {
+      expect(parseTimeRange('this-week', options)).toEqual(
+        range('2017-03-20T00:00:00+01:00', '2017-03-27T00:00:00+02:00')
+      );
+      expect(parseTimeRange('last-month', options)).toEqual(
+        range('2017-02-01T00:00:00+01:00', '2017-03-01T00:00:00+01:00')
+      );
+      expect(parseTimeRange('last-year', { date })).toEqual(
+        range('2016-01-01T00:00:00Z', '2017-01-01T00:00:00Z')
+      );
+    });
+
+    it('resolves multiple whole periods before the current one', () => {
+      expect(parseTimeRange('last-7-days', options)).toEqual(
+        range('2017-03-19T00:00:00+01:00', '2017-03-26T00:00:00+01:00')
+      );
+      expect(parseTimeRange('last-2-quarters', { date })).toEqual(
+        range('2016-07-01T00:00:00Z', '2017-01-01T00:00:00Z')
+      );
+    });
+
+    it('throws on unknown names', () => {
+      ['last-0-days', 'last-7-fortnights', 'this-days', 'tomorrow', '', 7].forEach(name => {
+        expect(() => parseTimeRange(name)).toThrow(TypeError);
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  getLocalTime,
+  getTimezoneOffset,
+  fromLocalTime,
+  isValidTimeZone,
+  formatISOTime
+} = require('../src/timezone');
+
+describe('timezone', () => {
+  // 2017-04-22T16:30:00Z
+  const timestamp = 1492878600;
+
+  describe('getLocalTime', () => {
+    it('computes the local time in a timezone', () => {
+      expect(getLocalTime(timestamp, 'Europe/Prague')).toEqual({
+        year: 2017,
+        month: 4,
+        day: 22,
+        hour: 18,
+        minute: 30,
+        second: 0
+      });
+    });
+
+    it('formats midnight as hour 0', () => {
+      expect(getLocalTime(1492819200, 'UTC').hour).toBe(0);
+    });
+  });
+
+  describe('getTimezoneOffset', () => {
+    it('takes daylight saving time into account', () => {
+      expect(getTimezoneOffset(timestamp, 'Europe/Prague')).toBe(7200);
+      // 2017-01-01T00:00:00Z
+      expect(getTimezoneOffset(1483228800, 'Europe/Prague')).toBe(3600);
+    });
+
+    it('returns negative offsets west of UTC', () => {
+      expect(getTimezoneOffset(timestamp, 'America/New_York')).toBe(-4 * 3600);
+    });
+  });
+
+  describe('fromLocalTime', () => {
+    it('converts a local time to a timestamp', () => {
+      expect(
+        fromLocalTime({ year: 2017, month: 4, day: 22, hour: 18, minute: 30 }, 'Europe/Prague')
+      ).toBe(timestamp);
+      expect(fromLocalTime({ year: 2017, month: 4, day: 22, hour: 22 }, 'Asia/Kolkata')).toBe(
+        timestamp
+      );
+    });
+
+    it('normalizes out-of-range values', () => {
+      expect(fromLocalTime({ year: 2017, month: 13, day: 0 }, 'UTC')).toBe(
+        Date.UTC(2017, 11, 31) / 1000
+      );
+    });
+
+    it('resolves repeated local times to the earlier occurrence', () => {
+      // 02:30 happens twice on 2017-10-29 in Prague.
+      expect(
+        fromLocalTime({ year: 2017, month: 10, day: 29, hour: 2, minute: 30 }, 'Europe/Prague')
+      ).toBe(Date.UTC(2017, 9, 29, 0, 30) / 1000);
+    });
+
+    it('shifts non-existent local times forward', () => {
+      // Clocks went from 02:00 to 03:00 on 2017-03-26 in Prague.
+      expect(
+        fromLocalTime({ year: 2017, month: 3, day: 26, hour: 2, minute: 30 }, 'Europe/Prague')
+      ).toBe(Date.UTC(2017, 2, 26, 1, 30) / 1000);
+      // Clocks went from 00:00 to 01:00 on 2017-08-13 in Santiago.
+      expect(fromLocalTime({ year: 2017, month: 8, day: 13 }, 'America/Santiago')).toBe(
+        Date.UTC(2017, 7, 13, 4) / 1000
+      );
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA timezone names only', () => {
+      expect(isValidTimeZone('Europe/Prague')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(undefined)).toBe(false);
+    });
+  });
+
+  describe('formatISOTime', () => {
+    it('formats UTC times with the Z suffix', () => {
+      expect(formatISOTime(timestamp)).toBe('2017-04-22T16:30:00Z');
+    });
+
+    it('formats local times with an offset', () => {
+      expect(formatISOTime(timestamp, 'Europe/Prague')).toBe('2017-04-22T18:30:00+02:00');
+      expect(formatISOTime(timestamp, 'America/New_York')).toBe('2017-04-22T12:30:00-04:00');
+      expect(formatISOTime(timestamp, 'Asia/Kolkata')).toBe('2017-04-22T22:00:00+05:30');
+    });
+  });
+});
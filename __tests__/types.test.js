@@ -0,0 +1,22 @@
+const ts = require('typescript');
+
+// Compiling takes a few seconds.
+jest.setTimeout(30000);
+
+describe('TypeScript declarations', () => {
+  it('type-check a sample usage', () => {
+    const program = ts.createProgram([require.resolve('./typescript/usage.ts')], {
+      noEmit: true,
+      strict: true,
+      target: ts.ScriptTarget.ES2017,
+      module: ts.ModuleKind.CommonJS,
+      lib: ['lib.es2018.d.ts'],
+      types: ['node']
+    });
+    const diagnostics = ts
+      .getPreEmitDiagnostics(program)
+      .map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+
+    expect(diagnostics).toEqual([]);
+  });
+});
@@ -0,0 +1,269 @@
+// Type-checked (not run) by __tests__/types.test.js to keep index.d.ts in sync
+// with the implementation.
+
+import Energomonitor = require('../..');
+
+import {
+  Authorization,
+  DataPoint,
+  Feed,
+  Notification,
+  NotificationCount,
+  RelatedStreamGroup,
+  Stream,
+  User
+} from '../..';
+
+async function main(): Promise<void> {
+  const em = new Energomonitor(undefined, undefined, 'http://localhost/v1', {
+    retry: { maxAttempts: 5 },
+    credentials: () => ({ username: 'demo', password: 'demo', validMinutes: 60 }),
+    tokenStore: new Energomonitor.MemoryStore(),
+    cache: { ttl: { feeds: 1000, streamData: null }, store: new Energomonitor.LruStore() },
+    limiter: new Energomonitor.RequestLimiter({ concurrency: 2, rateLimit: { requests: 10 } }),
+    dedupe: true,
+    logger: console,
+    metrics: new Energomonitor.MetricsCollector({ buckets: [100, 1000] })
+  });
+
+  em.on('retry', ({ attempt, delay, error }) => console.log(attempt, delay, error.retryable));
+  em.on('tokenChange', ({ token, expiresAt }) =>
+    console.log(token, expiresAt && expiresAt.getTime())
+  );
+
+  const authorization: Authorization = await em.authorize('demo', 'demo', 'note', [
+    { type: 'feed', name: 'fddemo', permissions: ['r'] }
+  ]);
+  await em.authorize({
+    username: 'demo',
+    password: 'demo',
+    resources: new Energomonitor.ResourceBuilder().feed('fddemo')
+  });
+  const userId: string = authorization.user_id;
+  const expiration: Date | null = em.getTokenExpiration();
+
+  const scoped: Authorization = await em.createScopedToken({
+    username: 'demo',
+    password: 'demo',
+    resources: new Energomonitor.ResourceBuilder().feed('fddemo').stream('stpower', ['r']),
+    validMinutes: 60,
+    note: 'Kiosk'
+  });
+  const scope: Energomonitor.AuthorizationScope = Energomonitor.getAuthorizationScope(scoped);
+  const covered: boolean = Energomonitor.authorizationCovers(scoped, { feedId: 'fddemo' }, 'w');
+  console.log(scope.streams[0].streamId, scope.expiresAt, covered);
+
+  const user: User = await em.getUser(userId);
+  const feeds: Feed[] = await em.getFeeds(user.id);
+  const feed: Feed = await em.getFeed(feeds[0].id);
+  const timezone: string = feed.configs[0].timezone;
+
+  const streams: Stream[] = await em.getStreams(feed.id, ['processed', 'raw'], 1, new Date());
+  const stream: Stream = await em.getStream(feed.id, streams[0].id);
+  const unit: string | undefined = stream.configs && stream.configs[0].unit;
+
+  const dataPoints: DataPoint[] = await em.getStreamData(
+    feed.id,
+    stream.id,
+    new Date(),
+    undefined,
+    10,
+    {
+      resample: { interval: 'hour', aggregation: 'timeWeightedMean' }
+    }
+  );
+  const [timestamp, value]: [number, number] = dataPoints[0];
+  const all: DataPoint[] = await em.getAllStreamData(feed.id, stream.id, new Date(), new Date(), {
+    pageSize: 100,
+    resample: { interval: 900 }
+  });
+
+  const windowed: DataPoint[] = await em.getStreamData({
+    feedId: feed.id,
+    streamId: stream.id,
+    timeFrom: '2017-01-01T00:00:00Z',
+    limit: 10,
+    resample: { interval: 'day' }
+  });
+  const rawStreams: Stream[] = await em.getStreams({ feedId: feed.id, types: 'raw' });
+  const resumed = em.iterateStreamData({
+    feedId: feed.id,
+    streamId: stream.id,
+    cursor: 0,
+    priority: -1
+  });
+
+  const iterator = em.iterateStreamData(feed.id, stream.id, new Date(), undefined, { cursor: 0 });
+  const step = await iterator.next();
+  const page: DataPoint[] | undefined = step.done ? undefined : step.value;
+  const cursor: number = iterator.cursor;
+
+  const subscription = em.subscribe([{ feedId: feed.id, streamId: stream.id }], {
+    staleAfter: 60000
+  });
+  subscription.on('data', ({ streamId, dataPoints }) => console.log(streamId, dataPoints.length));
+  subscription.on('stale', ({ lastTimestamp }) => console.log(lastTimestamp));
+  await subscription.start();
+  await subscription.stop();
+
+  const groups: RelatedStreamGroup[] = await em.getRelatedStreams(feed.id);
+  const related: string = groups[0][0];
+
+  const roles = (await em.getRelatedStreamGroups(feed.id)).map(group => group.role);
+  const rows = await em.getStreamGroupData(feed.id, groups[0], new Date(), undefined, {
+    resample: { interval: 'hour' },
+    total: true
+  });
+  const rowTotal: number | null = rows[0][rows[0].length - 1];
+  console.log(roles, rowTotal);
+
+  const notifications: Notification[] = await em.getNotifications(userId, new Date());
+  const notification: Notification = await em.getNotification(userId, notifications[0].id);
+  const updated: Notification = await em.updateNotification(userId, notification.id, {
+    archived: true
+  });
+  const nothing: null = await em.updateNotifications(userId, { read: true });
+  const count: NotificationCount = await em.getNotificationCount(userId);
+
+  const watcher = em.watchNotifications(userId, { store: new Energomonitor.MemoryStore() });
+  watcher.on('notification', (received: Notification) => console.log(received.title));
+  watcher.on('countChanged', ({ current }) => console.log(current.unread));
+  await watcher.start();
+
+  await em.invalidateCache({ feedId: feed.id });
+  em.getAxiosInstance().defaults.timeout = 1000;
+
+  const removeMiddleware = em.use({
+    beforeRequest(context) {
+      context.headers['X-Request-Id'] = `${context.operation}-${context.attempt}`;
+    },
+    afterResponse: context => console.log(context.endpoint, context.duration),
+    onError: context => (context.error && context.error.status === 404 ? [] : undefined)
+  });
+  removeMiddleware();
+
+  const metrics = new Energomonitor.MetricsCollector();
+  new Energomonitor(undefined, undefined, undefined, { metrics });
+  const feedLatency: number | null = metrics.getMetrics().operations['getFeed'].latency.mean;
+  const scraped: string = metrics.toPrometheus();
+
+  try {
+    await em.getFeed({ feedId: 'missing' });
+  } catch (error) {
+    if (error instanceof Energomonitor.InvalidArgumentError) {
+      console.log(error.argument);
+    }
+    if (error instanceof Energomonitor.NotFoundError) {
+      const status: number | undefined = error.status;
+      console.log(status, error.endpoint, error.retryable);
+    }
+  }
+
+  const client = new Energomonitor('token', undefined, undefined, { models: true });
+  const feedModel = (await client.getFeed('fddemo')) as Energomonitor.models.Feed;
+  const streamModels: Energomonitor.models.Stream[] = await feedModel.streams({ types: 'raw' });
+  const streamGroups: Energomonitor.models.Stream[][] = await feedModel.relatedStreamGroups();
+  const phaseGroup = (await feedModel.streamGroups()).find(group => group.role === 'phases');
+  const combinedStream: Energomonitor.models.Stream | null | undefined =
+    phaseGroup && phaseGroup.combined;
+  console.log(combinedStream);
+  const latest: DataPoint | null = await streamModels[0].latest();
+  const modelData: DataPoint[] = await streamModels[0].data({ from: new Date(), pageSize: 10 });
+  const marked = await new Energomonitor.models.Notification(
+    client,
+    userId,
+    notification
+  ).markRead();
+  console.log(feedModel.configs[0].timezone, streamGroups, latest, modelData, marked.read);
+
+  const hourly: DataPoint[] = Energomonitor.resample(all, { interval: 'hour' });
+  const consumption: DataPoint[] = Energomonitor.toConsumption(stream, all, { maxRate: 10 });
+  const gaps = Energomonitor.findGaps(all, { period: 60 });
+  const filled = Energomonitor.fillGaps(all, { strategy: 'linear' });
+  const formatted: string = Energomonitor.formatISOTime(timestamp, timezone);
+
+  const lastMonth = Energomonitor.getCalendarRange('month', { timeZone: timezone, offset: -1 });
+  const lastWeek: Date = Energomonitor.parseTimeRange('last-week', { timeZone: timezone }).from;
+  const dayStart: number = Energomonitor.getPeriodStart(timestamp, 'day', timezone);
+  const monthly: DataPoint[] = await em.getStreamData(
+    feed.id,
+    stream.id,
+    lastMonth,
+    undefined,
+    10,
+    {
+      resample: { interval: 'day', timeZone: timezone }
+    }
+  );
+  const recent: Stream[] = await em.getStreams({ feedId: feed.id, range: 'last-7-days' });
+  const pool = new Energomonitor.ClientPool({
+    concurrency: 4,
+    credentials: userId => ({ username: userId, password: 'secret' })
+  });
+  pool.add('usdemo', { token: 'token', retry: true });
+  const pooled = await pool.map(client => client.getFeed('fddemo'));
+  const poolCounts = await pool.getNotificationCounts({ userIds: pool.userIds });
+  const failed: string[] = pooled.failures.map(failure => failure.userId);
+  pool.close();
+  const zoned = new Energomonitor(undefined, undefined, undefined, { timeZone: 'Europe/Prague' });
+
+  const server = new Energomonitor.FakeServer(Energomonitor.createFixtures({ seed: 42 }));
+  const url: string = await server.listen();
+  server.addDataPoints('fddemo', 'stpower', [[0, 1]]);
+  await server.close();
+
+  console.log(expiration, unit, value, page, cursor, related, updated, nothing, count);
+  console.log(windowed, rawStreams, resumed.cursor);
+  console.log(hourly, consumption, gaps[0].missingPoints, filled, formatted, url);
+  console.log(lastWeek, dayStart, monthly, recent, zoned);
+  console.log(pooled.results[0].value.id, poolCounts.results[0].value.unread, failed);
+
+  // @ts-expect-error Feed IDs are strings.
+  await em.getFeed(42);
+  // @ts-expect-error Unknown argument.
+  await em.getFeed({ feedId: 'fddemo', streamId: 'stpower' });
+  // @ts-expect-error Unknown stream type.
+  await em.getStreams('fddemo', 'unknown');
+  // @ts-expect-error `timeFrom` is required.
+  em.iterateStreamData('fddemo', 'stpower');
+  // @ts-expect-error Only `read` can be changed for all notifications.
+  await em.updateNotifications(userId, { archived: true });
+  const report: Energomonitor.Report = await Energomonitor.createReport(em, {
+    userId,
+    unit: 'month',
+    nightHours: [1, 4]
+  });
+  const peak = report.feeds[0].streams[0].peak;
+  console.log(
+    peak && peak.time.getTime(),
+    Energomonitor.renderReportHTML(report, { title: 'May' })
+  );
+  console.log(Energomonitor.renderReportJSON(report).length);
+
+  const engine = new Energomonitor.AlertEngine(
+    em,
+    [
+      { id: 'high', feedId: feed.id, streamId: 'stpower', condition: 'above', threshold: 15000 },
+      { id: 'usual', feedId: feed.id, streamId: 'stenergy', condition: 'anomaly', deviations: 2 }
+    ],
+    { timeZone: timezone, onAlert: alert => console.log(alert.ruleId, alert.openedAt) }
+  );
+  engine.on('resolve', alert => console.log(alert.resolvedAt));
+  const alerts: Energomonitor.Alert[] = await engine.evaluate(new Date(0));
+  console.log(alerts.length, engine.getOpenAlerts().length);
+
+  // @ts-expect-error Threshold rules require a threshold.
+  new Energomonitor.AlertEngine(em, [{ id: 'x', feedId: 'f', streamId: 's', condition: 'above' }]);
+  // @ts-expect-error Hooks must be functions.
+  em.use({ beforeRequest: true });
+  // @ts-expect-error Loggers need all four levels.
+  new Energomonitor(undefined, undefined, undefined, { logger: { info: console.log } });
+  // @ts-expect-error Unknown permission.
+  new Energomonitor.ResourceBuilder().user(userId, ['x']);
+  // @ts-expect-error Unknown calendar unit.
+  Energomonitor.getCalendarRange('fortnight');
+  // @ts-expect-error Unknown aggregation.
+  Energomonitor.resample(all, { interval: 'hour', aggregation: 'median' });
+}
+
+main();
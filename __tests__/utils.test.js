@@ -1,4 +1,5 @@
-const { authorizedApiRequest } = require('../src/utils');
+const { authorizedApiRequest, inferSamplingPeriod } = require('../src/utils');
+const { MissingTokenError } = require('../src/errors');
 
 describe('utils ', () => {
   describe('authorizedApiRequest', () => {
@@ -8,9 +9,8 @@ describe('utils ', () => {
         return 10;
       };
 
-      return expect(authorizedApiRequest(token, testFunction)).rejects.toEqual(
-        'Cannot call this method without setting the authorization token ' +
-          '(in the constructor or using the authorize method).'
+      return expect(authorizedApiRequest(token, testFunction)).rejects.toBeInstanceOf(
+        MissingTokenError
       );
     });
 
@@ -23,4 +23,20 @@ describe('utils ', () => {
       return expect(authorizedApiRequest(token, testFunction)).toBe(10);
     });
   });
+
+  describe('inferSamplingPeriod', () => {
+    it('returns the median difference between timestamps', () => {
+      expect(inferSamplingPeriod([[0, 1], [10, 1], [20, 1], [60, 1]])).toBe(10);
+      expect(inferSamplingPeriod([[0, 1], [10, 1], [30, 1], [60, 1], [100, 1]])).toBe(25);
+    });
+
+    it('ignores duplicate timestamps', () => {
+      expect(inferSamplingPeriod([[0, 1], [0, 2], [60, 1]])).toBe(60);
+    });
+
+    it('returns undefined for less than two distinct timestamps', () => {
+      expect(inferSamplingPeriod([])).toBeUndefined();
+      expect(inferSamplingPeriod([[0, 1], [0, 2]])).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,308 @@
+const {
+  parseArguments,
+  optional,
+  optionsOf,
+  timeRange,
+  validateString,
+  validateNotificationId,
+  validateTime,
+  validateTimeRange,
+  validateTimeZone,
+  validatePositiveInteger,
+  validatePositiveNumber,
+  validateStrings,
+  validateIntegers,
+  validateStreamReferences,
+  validateResampleOptions,
+  booleanProperties
+} = require('../src/validation');
+const { EnergomonitorError, InvalidArgumentError } = require('../src/errors');
+
+describe('validation', () => {
+  describe('parseArguments', () => {
+    const signature = {
+      parameters: [
+        ['feedId', validateString],
+        ['timeFrom', optional(validateTime)],
+        ['timeTo', optional(validateTime)],
+        [
+          'options',
+          optionsOf({ pageSize: validatePositiveInteger, cursor: validatePositiveInteger })
+        ]
+      ],
+      checks: [timeRange('timeFrom', 'timeTo')]
+    };
+
+    it('resolves positional arguments', () => {
+      const timeFrom = new Date(Date.UTC(2017, 0, 1));
+
+      expect(parseArguments(['fd', timeFrom, undefined, { pageSize: 10 }], signature)).toEqual({
+        feedId: 'fd',
+        timeFrom,
+        timeTo: undefined,
+        options: { pageSize: 10 }
+      });
+    });
+
+    it('resolves a single options object', () => {
+      const args = [{ feedId: 'fd', timeTo: '2017-01-01T00:00:00Z', pageSize: 10, cursor: 5 }];
+
+      expect(parseArguments(args, signature)).toEqual({
+        feedId: 'fd',
+        timeFrom: undefined,
+        timeTo: new Date(Date.UTC(2017, 0, 1)),
+        options: { pageSize: 10, cursor: 5 }
+      });
+    });
+
+    it('rejects unknown properties when the method has no options', () => {
+      const getFeed = { parameters: [['feedId', validateString]] };
+
+      expect(() => parseArguments([{ feedId: 'fd', streamId: 'st' }], getFeed)).toThrow(
+        new InvalidArgumentError('Unknown argument: streamId.')
+      );
+    });
+
+    it('runs the checks after validating the arguments', () => {
+      const args = ['fd', '2017-01-02', '2017-01-01'];
+
+      expect(() => parseArguments(args, signature)).toThrow(
+        new InvalidArgumentError('timeFrom must not be later than timeTo.')
+      );
+    });
+
+    it('expands a time range to the start and the inclusive end', () => {
+      const ranged = Object.assign({ range: ['timeFrom', 'timeTo'] }, signature);
+      const range = { from: '2017-01-01', to: '2017-01-02' };
+      const expected = {
+        feedId: 'fd',
+        timeFrom: new Date(Date.UTC(2017, 0, 1)),
+        timeTo: new Date(Date.UTC(2017, 0, 1, 23, 59, 59)),
+        options: {}
+      };
+
+      expect(parseArguments(['fd', range], ranged)).toEqual(expected);
+      expect(parseArguments([{ feedId: 'fd', range }], ranged)).toEqual(expected);
+      expect(() => parseArguments([{ feedId: 'fd', range }], signature)).toThrow(
+        new InvalidArgumentError('Unknown option: range.')
+      );
+    });
+
+    it('ends a range with a fractional end at the last second before it', () => {
+      const ranged = Object.assign({ range: ['timeFrom', 'timeTo'] }, signature);
+      const timeTo = to =>
+        parseArguments(['fd', { from: '2017-01-01', to }], ranged).timeTo.toISOString();
+
+      expect(timeTo('2017-01-02T00:00:00.400Z')).toBe('2017-01-02T00:00:00.000Z');
+      expect(timeTo('2017-01-02T00:00:00.600Z')).toBe('2017-01-02T00:00:00.000Z');
+      expect(timeTo('2017-01-02T00:00:01.000Z')).toBe('2017-01-02T00:00:00.000Z');
+    });
+
+    it('resolves range names in the timezone of the context', () => {
+      const ranged = Object.assign({ range: ['timeFrom', 'timeTo'] }, signature);
+      const { timeFrom, timeTo } = parseArguments(['fd', 'this-year'], ranged, {
+        timeZone: 'Asia/Tokyo'
+      });
+
+      expect(timeFrom.toISOString()).toMatch(/^\d{4}-12-31T15:00:00.000Z$/);
+      expect(timeTo.toISOString()).toMatch(/^\d{4}-12-31T14:59:59.000Z$/);
+    });
+
+    it('throws errors carrying the name of the invalid argument', () => {
+      let error;
+      try {
+        parseArguments(['fd', undefined, undefined, { pageSize: 0 }], signature);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(InvalidArgumentError);
+      expect(error).toBeInstanceOf(EnergomonitorError);
+      expect(error.name).toBe('InvalidArgumentError');
+      expect(error.argument).toBe('options.pageSize');
+      expect(error.message).toBe('options.pageSize must be a positive integer, got 0.');
+    });
+
+    it('rejects unknown options', () => {
+      let error;
+
+      try {
+        parseArguments([{ feedId: 'fd', pageSize: 10, limt: 10 }], signature);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(InvalidArgumentError);
+      expect(error.argument).toBe('options.limt');
+      expect(error.message).toBe('Unknown option: limt.');
+      expect(() => parseArguments(['fd', undefined, undefined, { size: 10 }], signature)).toThrow(
+        new InvalidArgumentError('Unknown option: size.')
+      );
+    });
+  });
+
+  describe('validateString', () => {
+    it('accepts non-empty strings only', () => {
+      expect(validateString('fd', 'feedId')).toBe('fd');
+      expect(() => validateString('', 'feedId')).toThrow(
+        new InvalidArgumentError('feedId must be a non-empty string, got "".')
+      );
+      expect(() => validateString(1, 'feedId')).toThrow(InvalidArgumentError);
+      expect(() => validateString(undefined, 'feedId')).toThrow(
+        new InvalidArgumentError('feedId must be a non-empty string, got undefined.')
+      );
+    });
+  });
+
+  describe('validateNotificationId', () => {
+    it('accepts non-empty strings and non-negative integers', () => {
+      expect(validateNotificationId('2', 'notificationId')).toBe('2');
+      expect(validateNotificationId(2, 'notificationId')).toBe(2);
+      expect(() => validateNotificationId(-1, 'notificationId')).toThrow(InvalidArgumentError);
+      expect(() => validateNotificationId('', 'notificationId')).toThrow(InvalidArgumentError);
+    });
+  });
+
+  describe('validateTime', () => {
+    it('accepts valid dates', () => {
+      const date = new Date();
+
+      expect(validateTime(date, 'timeFrom')).toBe(date);
+      expect(() => validateTime(new Date('invalid'), 'timeFrom')).toThrow(
+        new InvalidArgumentError(
+          'timeFrom must be a valid Date or an ISO 8601 string, got an invalid Date.'
+        )
+      );
+    });
+
+    it('converts ISO 8601 strings to dates', () => {
+      expect(validateTime('2017-01-01T01:00:00+01:00', 'timeFrom')).toEqual(
+        new Date(Date.UTC(2017, 0, 1))
+      );
+      expect(() => validateTime('2017-13-01', 'timeFrom')).toThrow(InvalidArgumentError);
+      expect(() => validateTime('Jan 1 2017', 'timeFrom')).toThrow(InvalidArgumentError);
+    });
+
+    it('rejects timestamps', () => {
+      expect(() => validateTime(1483228800, 'timeFrom')).toThrow(
+        new InvalidArgumentError(
+          'timeFrom must be a valid Date or an ISO 8601 string, got 1483228800.'
+        )
+      );
+    });
+  });
+
+  describe('validateTimeRange', () => {
+    it('accepts range objects and names', () => {
+      expect(
+        validateTimeRange({ from: '2017-01-01', to: '2017-02-01T00:00:00+01:00' }, 'range')
+      ).toEqual({
+        from: new Date(Date.UTC(2017, 0, 1)),
+        to: new Date(Date.UTC(2017, 0, 31, 23))
+      });
+      expect(validateTimeRange('last-month', 'range').from).toBeInstanceOf(Date);
+    });
+
+    it('rejects other values', () => {
+      expect(() => validateTimeRange({ from: '2017-01-01' }, 'range')).toThrow(
+        new InvalidArgumentError(
+          'range.to must be a valid Date or an ISO 8601 string, got undefined.'
+        )
+      );
+      expect(() => validateTimeRange('next-week', 'range')).toThrow(InvalidArgumentError);
+      expect(() => validateTimeRange(7, 'range')).toThrow(InvalidArgumentError);
+    });
+  });
+
+  describe('validateTimeZone', () => {
+    it('accepts IANA timezone names', () => {
+      expect(validateTimeZone('Europe/Prague', 'timeZone')).toBe('Europe/Prague');
+      expect(() => validateTimeZone('CET+1', 'timeZone')).toThrow(InvalidArgumentError);
+      expect(() =>
+        validateResampleOptions({ interval: 'day', timeZone: 'Mars' }, 'resample')
+      ).toThrow(
+        new InvalidArgumentError('resample.timeZone must be an IANA timezone name, got "Mars".')
+      );
+    });
+  });
+
+  describe('validatePositiveInteger', () => {
+    it('accepts positive integers only', () => {
+      expect(validatePositiveInteger(1, 'limit')).toBe(1);
+      [0, -1, 1.5, '10', Infinity, NaN].forEach(value => {
+        expect(() => validatePositiveInteger(value, 'limit')).toThrow(InvalidArgumentError);
+      });
+    });
+  });
+
+  describe('validatePositiveNumber', () => {
+    it('accepts positive numbers including infinity', () => {
+      expect(validatePositiveNumber(1.5, 'staleAfter')).toBe(1.5);
+      expect(validatePositiveNumber(Infinity, 'staleAfter')).toBe(Infinity);
+      [0, -1, NaN, '10'].forEach(value => {
+        expect(() => validatePositiveNumber(value, 'staleAfter')).toThrow(InvalidArgumentError);
+      });
+    });
+  });
+
+  describe('validateStrings and validateIntegers', () => {
+    it('accept a single value or an array of values', () => {
+      expect(validateStrings('raw', 'types')).toBe('raw');
+      expect(validateStrings(['raw', 'system'], 'types')).toEqual(['raw', 'system']);
+      expect(() => validateStrings(['raw', 1], 'types')).toThrow(InvalidArgumentError);
+      expect(validateIntegers(1, 'channels')).toBe(1);
+      expect(validateIntegers([1, 2], 'channels')).toEqual([1, 2]);
+      expect(() => validateIntegers(['1'], 'channels')).toThrow(
+        new InvalidArgumentError(
+          'channels must be a non-negative integer or an array of them, got an array.'
+        )
+      );
+    });
+  });
+
+  describe('validateStreamReferences', () => {
+    it('requires feed and stream IDs', () => {
+      const streams = [{ feedId: 'fd', streamId: 'st' }];
+
+      expect(validateStreamReferences(streams, 'streams')).toBe(streams);
+      expect(() => validateStreamReferences([{ feedId: 'fd' }], 'streams')).toThrow(
+        new InvalidArgumentError('streams[0].streamId must be a non-empty string, got undefined.')
+      );
+      expect(() => validateStreamReferences({}, 'streams')).toThrow(InvalidArgumentError);
+    });
+  });
+
+  describe('validateResampleOptions', () => {
+    it('requires a supported interval and aggregation', () => {
+      expect(validateResampleOptions({ interval: 900 }, 'resample')).toEqual({ interval: 900 });
+      expect(() => validateResampleOptions({ interval: 'fortnight' }, 'resample')).toThrow(
+        InvalidArgumentError
+      );
+      expect(() =>
+        validateResampleOptions({ interval: 'hour', aggregation: 'median' }, 'resample')
+      ).toThrow(InvalidArgumentError);
+    });
+  });
+
+  describe('booleanProperties', () => {
+    const validate = booleanProperties(['read', 'archived']);
+
+    it('accepts objects with the allowed boolean properties', () => {
+      expect(validate(undefined, 'data')).toBeUndefined();
+      expect(validate({ read: true, archived: false }, 'data')).toEqual({
+        read: true,
+        archived: false
+      });
+    });
+
+    it('rejects other properties and values', () => {
+      expect(() => validate({ title: 'Hi' }, 'data')).toThrow(
+        new InvalidArgumentError('data must only contain read or archived, got title.')
+      );
+      expect(() => validate({ read: 1 }, 'data')).toThrow(
+        new InvalidArgumentError('data.read must be a boolean, got 1.')
+      );
+      expect(() => validate([], 'data')).toThrow(InvalidArgumentError);
+    });
+  });
+});
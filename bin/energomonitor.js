@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli.js');
+
+run(process.argv.slice(2), {
+  stdout: process.stdout,
+  stderr: process.stderr,
+  env: process.env
+}).then(code => {
+  process.exitCode = code;
+});
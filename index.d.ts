@@ -0,0 +1,1117 @@
+// Type definitions for the energomonitor package. See the JSDoc comments in
+// `src/` for the full documentation; keep both in sync.
+
+import { EventEmitter } from 'events';
+import { Writable } from 'stream';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { AxiosInstance } from 'axios';
+
+/**
+ * Represents an interaction session with the Energomonitor API.
+ */
+declare class Energomonitor extends EventEmitter {
+  constructor(
+    token?: string,
+    axiosInstance?: AxiosInstance,
+    apiURL?: string,
+    options?: Energomonitor.ClientOptions
+  );
+
+  authorize(
+    username: string,
+    password: string,
+    note?: string,
+    resources?: Energomonitor.Resource[] | Energomonitor.ResourceBuilder,
+    validMinutes?: number
+  ): Promise<Energomonitor.Authorization>;
+  authorize(args: Energomonitor.AuthorizeArguments): Promise<Energomonitor.Authorization>;
+  createScopedToken(
+    username: string,
+    password: string,
+    resources: Energomonitor.Resource[] | Energomonitor.ResourceBuilder,
+    validMinutes: number,
+    note: string
+  ): Promise<Energomonitor.Authorization>;
+  createScopedToken(args: Energomonitor.ScopedTokenArguments): Promise<Energomonitor.Authorization>;
+  getTokenExpiration(): Date | null;
+
+  getUser(userId: string): Promise<Energomonitor.User>;
+  getUser(args: Energomonitor.UserArguments): Promise<Energomonitor.User>;
+  getFeeds(userId: string): Promise<Energomonitor.Feed[]>;
+  getFeeds(args: Energomonitor.UserArguments): Promise<Energomonitor.Feed[]>;
+  getFeed(feedId: string): Promise<Energomonitor.Feed>;
+  getFeed(args: Energomonitor.FeedArguments): Promise<Energomonitor.Feed>;
+  getStreams(
+    feedId: string,
+    types?: Energomonitor.StreamType | Energomonitor.StreamType[],
+    channels?: number | number[],
+    dataTimeFrom?: Energomonitor.Time | Energomonitor.TimeRange,
+    dataTimeTo?: Energomonitor.Time
+  ): Promise<Energomonitor.Stream[]>;
+  getStreams(args: Energomonitor.StreamsArguments): Promise<Energomonitor.Stream[]>;
+  getStream(feedId: string, streamId: string): Promise<Energomonitor.Stream>;
+  getStream(args: Energomonitor.StreamReference): Promise<Energomonitor.Stream>;
+  getStreamData(
+    feedId: string,
+    streamId: string,
+    timeFrom?: Energomonitor.Time | Energomonitor.TimeRange,
+    timeTo?: Energomonitor.Time,
+    limit?: number,
+    options?: Energomonitor.StreamDataOptions
+  ): Promise<Energomonitor.DataPoint[]>;
+  getStreamData(args: Energomonitor.StreamDataArguments): Promise<Energomonitor.DataPoint[]>;
+  iterateStreamData(
+    feedId: string,
+    streamId: string,
+    timeFrom: Energomonitor.Time | Energomonitor.TimeRange,
+    timeTo?: Energomonitor.Time,
+    options?: Energomonitor.IteratorOptions
+  ): Energomonitor.StreamDataIterator;
+  iterateStreamData(args: Energomonitor.IteratorArguments): Energomonitor.StreamDataIterator;
+  getAllStreamData(
+    feedId: string,
+    streamId: string,
+    timeFrom: Energomonitor.Time | Energomonitor.TimeRange,
+    timeTo?: Energomonitor.Time,
+    options?: Energomonitor.IteratorOptions & Energomonitor.StreamDataOptions
+  ): Promise<Energomonitor.DataPoint[]>;
+  getAllStreamData(
+    args: Energomonitor.IteratorArguments & Energomonitor.StreamDataOptions
+  ): Promise<Energomonitor.DataPoint[]>;
+  subscribe(
+    streams: Energomonitor.StreamReference[],
+    options?: Energomonitor.SubscriptionOptions
+  ): Energomonitor.StreamSubscription;
+  subscribe(
+    args: { streams: Energomonitor.StreamReference[] } & Energomonitor.SubscriptionOptions
+  ): Energomonitor.StreamSubscription;
+  getRelatedStreams(feedId: string): Promise<Energomonitor.RelatedStreamGroup[]>;
+  getRelatedStreams(args: Energomonitor.FeedArguments): Promise<Energomonitor.RelatedStreamGroup[]>;
+  getRelatedStreamGroups(feedId: string): Promise<Energomonitor.StreamGroup[]>;
+  getRelatedStreamGroups(args: Energomonitor.FeedArguments): Promise<Energomonitor.StreamGroup[]>;
+  getStreamGroupData(
+    feedId: string,
+    streamIds: string[],
+    timeFrom: Energomonitor.Time | Energomonitor.TimeRange,
+    timeTo?: Energomonitor.Time,
+    options?: Energomonitor.StreamGroupDataOptions
+  ): Promise<Energomonitor.AlignedRow[]>;
+  getStreamGroupData(
+    args: Energomonitor.StreamGroupDataArguments
+  ): Promise<Energomonitor.AlignedRow[]>;
+
+  getNotifications(
+    userId: string,
+    createdAtFrom?: Energomonitor.Time
+  ): Promise<Energomonitor.Notification[]>;
+  getNotifications(
+    args: Energomonitor.NotificationsArguments
+  ): Promise<Energomonitor.Notification[]>;
+  getNotification(
+    userId: string,
+    notificationId: string | number
+  ): Promise<Energomonitor.Notification>;
+  getNotification(args: Energomonitor.NotificationArguments): Promise<Energomonitor.Notification>;
+  updateNotifications(userId: string, data?: { read?: boolean }): Promise<null>;
+  updateNotifications(args: Energomonitor.UpdateNotificationsArguments): Promise<null>;
+  updateNotification(
+    userId: string,
+    notificationId: string | number,
+    data?: { read?: boolean; archived?: boolean }
+  ): Promise<Energomonitor.Notification>;
+  updateNotification(
+    args: Energomonitor.UpdateNotificationArguments
+  ): Promise<Energomonitor.Notification>;
+  getNotificationCount(userId: string): Promise<Energomonitor.NotificationCount>;
+  getNotificationCount(args: Energomonitor.UserArguments): Promise<Energomonitor.NotificationCount>;
+  watchNotifications(
+    userId: string,
+    options?: Energomonitor.WatcherOptions
+  ): Energomonitor.NotificationWatcher;
+  watchNotifications(
+    args: Energomonitor.UserArguments & Energomonitor.WatcherOptions
+  ): Energomonitor.NotificationWatcher;
+
+  invalidateCache(scope?: { userId?: string; feedId?: string; streamId?: string }): Promise<void>;
+  use(middleware: Energomonitor.Middleware): () => void;
+  getAxiosInstance(): AxiosInstance;
+
+  on(event: 'retry', listener: (event: Energomonitor.RetryEvent) => void): this;
+  on(event: 'tokenChange', listener: (event: Energomonitor.TokenChangeEvent) => void): this;
+  on(event: 'cacheError', listener: (event: Energomonitor.CacheErrorEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+declare namespace Energomonitor {
+  // API objects
+
+  /** A resource an authorization gives access to. */
+  interface Resource {
+    type: string;
+    name: string;
+    permissions: string[];
+  }
+
+  /** An authorization returned by `authorize`. */
+  interface Authorization {
+    id: number;
+    user_id: string;
+    token: string;
+    note: string | null;
+    resources: Resource[];
+    last_used_at: string | null;
+    expires_at: string | null;
+  }
+
+  interface User {
+    id: string;
+    username: string;
+    email: string;
+  }
+
+  /** A configuration of a feed valid in a time range. */
+  interface FeedConfig {
+    title: string;
+    timezone: string;
+    valid_from: string;
+    valid_to: string | null;
+  }
+
+  interface Feed {
+    id: string;
+    subscription: { from: string; to: string | null };
+    configs: FeedConfig[];
+  }
+
+  type StreamType = 'processed' | 'raw' | 'system';
+
+  /** A configuration of a processed stream valid in a time range. */
+  interface StreamConfig {
+    title: string;
+    medium: string;
+    unit: string;
+    valid_from: string;
+    valid_to: string | null;
+  }
+
+  interface Stream {
+    id: string;
+    type: StreamType;
+    channel: number;
+    /** Processed streams only. */
+    combined?: boolean;
+    /** Processed streams only. */
+    configs?: StreamConfig[];
+    /** Raw streams only. */
+    device?: number;
+    /** Raw streams only (a numeric medium code). */
+    medium?: number;
+  }
+
+  /** Time of measurement (a Unix timestamp) and a value. */
+  type DataPoint = [number, number];
+
+  /** IDs of streams belonging to a group. */
+  type RelatedStreamGroup = string[];
+
+  interface Notification {
+    id: number;
+    title: string;
+    content: string;
+    feed_title: string;
+    created_at: string;
+    read: boolean;
+    archived: boolean;
+  }
+
+  interface NotificationCount {
+    read: number;
+    unread: number;
+    total: number;
+  }
+
+  // Client options and events
+
+  /** A key-value store, e.g. `MemoryStore` or `JsonFileStore`. */
+  interface Store {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  interface RetryOptions {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    jitter?: number;
+    retryStatuses?: number[];
+    retryNetworkErrors?: boolean;
+    respectRetryAfter?: boolean;
+    retryUpdates?: boolean;
+  }
+
+  interface Credentials {
+    username: string;
+    password: string;
+    note?: string;
+    resources?: Resource[] | ResourceBuilder;
+    validMinutes?: number;
+  }
+
+  type CachedEndpoint = 'feeds' | 'feed' | 'streams' | 'stream' | 'relatedStreams' | 'streamData';
+
+  interface CacheOptions {
+    store?: Store;
+    ttl?: { [endpoint in CachedEndpoint]?: number | null };
+    staleWhileRevalidate?: number;
+    streamData?: boolean;
+    closedAfter?: number;
+    namespace?: string;
+  }
+
+  interface RateLimit {
+    requests: number;
+    interval?: number;
+    burst?: number;
+  }
+
+  interface ClientOptions {
+    retry?: boolean | RetryOptions;
+    tokenExpiresAt?: Date | string;
+    credentials?: () => Credentials | Promise<Credentials>;
+    refreshMargin?: number;
+    tokenStore?: Store;
+    tokenStoreKey?: string;
+    cache?: boolean | CacheOptions;
+    concurrency?: number;
+    rateLimit?: RateLimit;
+    limiter?: RequestLimiter;
+    priority?: number;
+    dedupe?: boolean;
+    models?: boolean;
+    timeZone?: string;
+    middleware?: Middleware[];
+    logger?: Logger;
+    metrics?: { record(record: RequestRecord): void };
+  }
+
+  interface MiddlewareResponse {
+    data: any;
+    status?: number;
+    headers?: { [name: string]: string };
+  }
+
+  interface RequestContext {
+    operation: string;
+    args: { [name: string]: any };
+    attempt: number;
+    method: string;
+    endpoint: string;
+    url: string;
+    params: { [name: string]: any };
+    headers: { [name: string]: string };
+    data: any;
+    priority: number;
+    startedAt: Date | null;
+    duration: number | null;
+    shortCircuited: boolean;
+    response: (MiddlewareResponse & { status: number; statusText: string }) | null;
+    error: EnergomonitorError | null;
+  }
+
+  interface Middleware {
+    beforeRequest?(
+      context: RequestContext
+    ): MiddlewareResponse | void | Promise<MiddlewareResponse | void>;
+    afterResponse?(context: RequestContext): any;
+    onError?(context: RequestContext): any;
+  }
+
+  interface Logger {
+    debug(message: string, record: object): void;
+    info(message: string, record: RequestRecord): void;
+    warn(message: string, record: object): void;
+    error(message: string, record: RequestRecord): void;
+  }
+
+  interface RequestRecord {
+    operation: string;
+    method: string;
+    endpoint: string;
+    params: { [name: string]: any };
+    args: { [name: string]: any };
+    status: number | null;
+    duration: number | null;
+    size: number | null;
+    retries: number;
+    startedAt: Date | null;
+    shortCircuited: boolean;
+    error: string | null;
+    recovered: boolean;
+  }
+
+  interface RetryEvent {
+    method: string;
+    endpoint: string;
+    attempt: number;
+    delay: number;
+    error: EnergomonitorError;
+  }
+
+  interface TokenChangeEvent {
+    token: string;
+    expiresAt: Date | null;
+  }
+
+  interface CacheErrorEvent {
+    key: string;
+    error: Error;
+  }
+
+  // Method arguments (the options-object form)
+
+  /** A `Date` or an ISO 8601 string. */
+  type Time = Date | string;
+
+  /**
+   * A time range with an exclusive end. Methods retrieving data in a time
+   * range also accept names of ranges, e.g. `last-7-days`.
+   */
+  interface TimeRange {
+    from: Time;
+    to: Time;
+  }
+
+  interface AuthorizeArguments {
+    username: string;
+    password: string;
+    note?: string;
+    resources?: Resource[] | ResourceBuilder;
+    validMinutes?: number;
+  }
+
+  interface ScopedTokenArguments {
+    username: string;
+    password: string;
+    resources: Resource[] | ResourceBuilder;
+    validMinutes: number;
+    note: string;
+  }
+
+  interface UserArguments {
+    userId: string;
+  }
+
+  interface FeedArguments {
+    feedId: string;
+  }
+
+  interface StreamsArguments extends FeedArguments {
+    types?: StreamType | StreamType[];
+    channels?: number | number[];
+    dataTimeFrom?: Time;
+    dataTimeTo?: Time;
+    range?: TimeRange | string;
+  }
+
+  interface StreamDataArguments extends StreamReference, StreamDataOptions {
+    timeFrom?: Time;
+    timeTo?: Time;
+    range?: TimeRange | string;
+    limit?: number;
+  }
+
+  interface IteratorArguments extends StreamReference, IteratorOptions {
+    timeFrom?: Time;
+    timeTo?: Time;
+    range?: TimeRange | string;
+  }
+
+  interface NotificationsArguments extends UserArguments {
+    createdAtFrom?: Time;
+  }
+
+  interface NotificationArguments extends UserArguments {
+    notificationId: string | number;
+  }
+
+  interface UpdateNotificationsArguments extends UserArguments {
+    data?: { read?: boolean };
+  }
+
+  interface UpdateNotificationArguments extends NotificationArguments {
+    data?: { read?: boolean; archived?: boolean };
+  }
+
+  // Stream data
+
+  type Interval = 'minute' | '15minutes' | 'hour' | 'day' | 'week' | 'month' | number;
+
+  type Aggregation =
+    | 'sum'
+    | 'mean'
+    | 'min'
+    | 'max'
+    | 'first'
+    | 'last'
+    | 'count'
+    | 'timeWeightedMean';
+
+  interface ResampleOptions {
+    interval: Interval;
+    aggregation?: Aggregation;
+    timeZone?: string;
+  }
+
+  interface StreamDataOptions {
+    resample?: ResampleOptions;
+    priority?: number;
+  }
+
+  interface IteratorOptions {
+    pageSize?: number;
+    windowSize?: number;
+    minWindowSize?: number;
+    maxWindowSize?: number;
+    cursor?: number;
+    priority?: number;
+  }
+
+  /** Created by `Energomonitor#iterateStreamData`. */
+  class StreamDataIterator {
+    private constructor();
+    readonly cursor: number;
+    next(): Promise<IteratorResult<DataPoint[]>>;
+    return(): Promise<IteratorResult<DataPoint[]>>;
+    [Symbol.asyncIterator](): StreamDataIterator;
+  }
+
+  interface StreamReference {
+    feedId: string;
+    streamId: string;
+  }
+
+  interface SubscriptionOptions {
+    timeFrom?: Time;
+    minInterval?: number;
+    maxInterval?: number;
+    backoff?: number;
+    staleAfter?: number;
+    pageSize?: number;
+  }
+
+  interface SubscriptionData extends StreamReference {
+    dataPoints: DataPoint[];
+  }
+
+  interface StaleEvent extends StreamReference {
+    lastTimestamp: number | null;
+  }
+
+  /** Created by `Energomonitor#subscribe`. */
+  class StreamSubscription extends EventEmitter {
+    private constructor();
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    poll(): Promise<void>;
+    next(): Promise<IteratorResult<SubscriptionData>>;
+    return(): Promise<IteratorResult<SubscriptionData>>;
+    [Symbol.asyncIterator](): StreamSubscription;
+
+    on(event: 'data', listener: (data: SubscriptionData) => void): this;
+    on(event: 'stale', listener: (event: StaleEvent) => void): this;
+    on(event: 'resumed', listener: (event: StreamReference) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  // Related stream groups
+
+  type StreamGroupRole = 'phases' | 'powerEnergy';
+
+  interface StreamGroup<S extends Stream = Stream> {
+    role: StreamGroupRole | null;
+    streams: S[];
+    combined: S | null;
+  }
+
+  interface StreamGroupDataOptions extends IteratorOptions, StreamDataOptions {
+    total?: boolean;
+  }
+
+  interface StreamGroupDataArguments extends StreamGroupDataOptions {
+    feedId: string;
+    streamIds: string[];
+    timeFrom?: Time;
+    timeTo?: Time;
+    range?: TimeRange | string;
+  }
+
+  /** A timestamp followed by the values of the streams (and the total), see `alignDataPoints`. */
+  type AlignedRow = Array<number | null>;
+
+  function identifyGroupRole(streams: Stream[]): StreamGroupRole | null;
+  function resolveStreamGroups<S extends Stream>(
+    groups: RelatedStreamGroup[],
+    streams: S[]
+  ): StreamGroup<S>[];
+  function alignDataPoints(
+    series: DataPoint[][],
+    options?: { total?: boolean; exclude?: number[] }
+  ): AlignedRow[];
+
+  // Notifications
+
+  interface WatcherOptions {
+    minInterval?: number;
+    maxInterval?: number;
+    backoff?: number;
+    count?: boolean;
+    createdAtFrom?: Time;
+    store?: Store;
+    storeKey?: string;
+  }
+
+  interface CountChangedEvent {
+    current: NotificationCount;
+    previous: NotificationCount;
+  }
+
+  /** Created by `Energomonitor#watchNotifications`. */
+  class NotificationWatcher extends EventEmitter {
+    private constructor();
+    readonly interval: number;
+    readonly cursor: Date | null;
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    poll(): Promise<void>;
+
+    on(event: 'notification', listener: (notification: Notification) => void): this;
+    on(event: 'countChanged', listener: (event: CountChangedEvent) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  // Models (returned by a client created with the `models` option)
+
+  namespace models {
+    class Model {
+      constructor(energomonitor: Energomonitor, data: object);
+      readonly energomonitor: Energomonitor;
+    }
+
+    interface User extends Energomonitor.User {}
+    class User extends Model {
+      constructor(energomonitor: Energomonitor, data: Energomonitor.User);
+      feeds(): Promise<Feed[]>;
+      notifications(options?: { createdAtFrom?: Time }): Promise<Notification[]>;
+      notificationCount(): Promise<NotificationCount>;
+      watchNotifications(options?: WatcherOptions): NotificationWatcher;
+    }
+
+    interface Feed extends Energomonitor.Feed {}
+    class Feed extends Model {
+      constructor(energomonitor: Energomonitor, data: Energomonitor.Feed);
+      streams(filters?: {
+        types?: StreamType | StreamType[];
+        channels?: number | number[];
+        dataTimeFrom?: Time;
+        dataTimeTo?: Time;
+      }): Promise<Stream[]>;
+      stream(streamId: string): Promise<Stream>;
+      relatedStreamGroups(): Promise<Stream[][]>;
+      streamGroups(): Promise<StreamGroup<Stream>[]>;
+    }
+
+    interface StreamRangeOptions extends IteratorOptions {
+      from?: Time;
+      to?: Time;
+    }
+
+    interface Stream extends Energomonitor.Stream {}
+    class Stream extends Model {
+      constructor(energomonitor: Energomonitor, feedId: string, data: Energomonitor.Stream);
+      readonly feedId: string;
+      feed(): Promise<Feed>;
+      data(options: StreamRangeOptions & StreamDataOptions): Promise<DataPoint[]>;
+      iterate(options: StreamRangeOptions): StreamDataIterator;
+      latest(): Promise<DataPoint | null>;
+      subscribe(options?: SubscriptionOptions): StreamSubscription;
+    }
+
+    interface Notification extends Energomonitor.Notification {}
+    class Notification extends Model {
+      constructor(energomonitor: Energomonitor, userId: string, data: Energomonitor.Notification);
+      readonly userId: string;
+      markRead(): Promise<this>;
+      archive(): Promise<this>;
+    }
+  }
+
+  // Errors
+
+  interface ErrorDetails {
+    endpoint?: string;
+    method?: string;
+    status?: number;
+    apiError?: any;
+    retryAfter?: number;
+    cause?: Error;
+  }
+
+  class EnergomonitorError extends Error {
+    constructor(message: string, details?: ErrorDetails);
+    endpoint: string | undefined;
+    method: string | undefined;
+    status: number | undefined;
+    apiError: any;
+    retryAfter: number | undefined;
+    cause: Error | undefined;
+    readonly retryable: boolean;
+  }
+
+  class MissingTokenError extends EnergomonitorError {
+    constructor(details?: ErrorDetails);
+  }
+  class InvalidArgumentError extends EnergomonitorError {
+    constructor(message: string, argument: string);
+    argument: string;
+  }
+  class ApiError extends EnergomonitorError {}
+  class ValidationError extends ApiError {}
+  class AuthenticationError extends ApiError {}
+  class ForbiddenError extends ApiError {}
+  class NotFoundError extends ApiError {}
+  class RateLimitError extends ApiError {}
+  class ServerError extends ApiError {}
+  class NetworkError extends EnergomonitorError {}
+  class TimeoutError extends NetworkError {}
+
+  // Stores
+
+  class MemoryStore implements Store {
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  class LruStore implements Store {
+    constructor(options?: { maxEntries?: number });
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  class JsonFileStore implements Store {
+    constructor(filename: string);
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  class DirectoryStore implements Store {
+    constructor(directory: string);
+    get(key: string): Promise<any>;
+    set(key: string, value: any): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  // Data processing
+
+  function resample(dataPoints: DataPoint[], options: ResampleOptions): DataPoint[];
+  function getBucketStart(timestamp: number, interval: Interval, timeZone?: string): number;
+  function getNextBucketStart(bucketStart: number, interval: Interval, timeZone?: string): number;
+
+  interface ConsumptionOptions {
+    cumulative?: boolean;
+    rollover?: number;
+    maxRate?: number;
+    period?: number;
+    gapTolerance?: number;
+    spreadGaps?: boolean;
+  }
+
+  function isCumulativeStream(stream: Stream): boolean;
+  function toConsumption(
+    stream: Stream,
+    dataPoints: DataPoint[],
+    options?: ConsumptionOptions
+  ): DataPoint[];
+
+  interface GapOptions {
+    period?: number;
+    tolerance?: number;
+    timeFrom?: Date;
+    timeTo?: Date;
+  }
+
+  interface Gap {
+    from: number;
+    to: number;
+    missingPoints: number;
+  }
+
+  function findGaps(dataPoints: DataPoint[], options?: GapOptions): Gap[];
+  function fillGaps(
+    dataPoints: DataPoint[],
+    options?: GapOptions & { strategy?: 'null' | 'previous' | 'linear' | 'zero' }
+  ): Array<[number, number | null]>;
+
+  function formatISOTime(timestamp: number, timeZone?: string): string;
+
+  // Calendar ranges
+
+  type CalendarUnit = 'day' | 'week' | 'month' | 'quarter' | 'year';
+
+  interface CalendarRange {
+    from: Date;
+    to: Date;
+  }
+
+  interface CalendarRangeOptions {
+    timeZone?: string;
+    date?: Date;
+    offset?: number;
+    count?: number;
+  }
+
+  function getPeriodStart(timestamp: number, unit: CalendarUnit, timeZone?: string): number;
+  function addPeriods(
+    periodStart: number,
+    unit: CalendarUnit,
+    count: number,
+    timeZone?: string
+  ): number;
+  function getCalendarRange(unit: CalendarUnit, options?: CalendarRangeOptions): CalendarRange;
+  function parseTimeRange(
+    name: string,
+    options?: { timeZone?: string; date?: Date }
+  ): CalendarRange;
+
+  // Scoped tokens
+
+  type Permission = 'r' | 'w';
+
+  class ResourceBuilder {
+    user(userId: string, permissions?: Permission[]): this;
+    feed(feedId: string, permissions?: Permission[]): this;
+    stream(streamId: string, permissions?: Permission[]): this;
+    build(): Resource[];
+  }
+
+  interface AuthorizationScope {
+    userId: string;
+    note: string | null;
+    expiresAt: Date | null;
+    unrestricted: boolean;
+    users: Array<{ userId: string; permissions: string[] }>;
+    feeds: Array<{ feedId: string; permissions: string[] }>;
+    streams: Array<{ streamId: string; permissions: string[] }>;
+  }
+
+  function getAuthorizationScope(authorization: Authorization): AuthorizationScope;
+  function authorizationCovers(
+    authorization: Authorization,
+    target: { userId?: string; feedId?: string; streamId?: string },
+    permission?: Permission
+  ): boolean;
+
+  interface ExportOptions {
+    timeFrom: Date;
+    timeTo?: Date;
+    streams?: string[];
+    types?: StreamType | StreamType[];
+    channels?: number | number[];
+    format?: 'csv' | 'ndjson';
+    layout?: 'wide' | 'long';
+    timestamps?: 'iso' | 'unix';
+    timeZone?: string;
+    delimiter?: string;
+    decimalSeparator?: string;
+    header?: boolean;
+    end?: boolean;
+    iteratorOptions?: IteratorOptions;
+  }
+
+  function exportStreamData(
+    energomonitor: Energomonitor,
+    feedId: string,
+    output: Writable,
+    options: ExportOptions
+  ): Promise<{ streams: number; rows: number }>;
+
+  // Reports
+
+  interface ReportOptions {
+    feedId?: string;
+    userId?: string;
+    unit?: CalendarUnit;
+    date?: Date;
+    offset?: number;
+    timeZone?: string;
+    streams?: string[];
+    nightHours?: [number, number];
+    compare?: boolean;
+    iteratorOptions?: IteratorOptions;
+  }
+
+  interface ReportComparison {
+    total: number | null;
+    change: number | null;
+  }
+
+  interface StreamReport {
+    streamId: string;
+    title: string | null;
+    medium: string | null;
+    unit: string;
+    total: number | null;
+    completeness: number;
+    peak: { time: Date; value: number } | null;
+    baseLoad: number | null;
+    daily: Array<{ date: string; value: number }>;
+    hourly: Array<number | null>;
+    previous: (ReportComparison & { completeness: number }) | null;
+    lastYear: (ReportComparison & { completeness: number }) | null;
+  }
+
+  interface FeedReport {
+    feedId: string;
+    title: string | null;
+    timeZone: string;
+    period: CalendarRange;
+    previousPeriod: CalendarRange | null;
+    lastYearPeriod: CalendarRange | null;
+    totals: Array<{
+      medium: string | null;
+      unit: string;
+      total: number | null;
+      previous: ReportComparison | null;
+      lastYear: ReportComparison | null;
+    }>;
+    completeness: number | null;
+    streams: StreamReport[];
+  }
+
+  interface Report {
+    generatedAt: Date;
+    unit: CalendarUnit;
+    userId: string | null;
+    feeds: FeedReport[];
+  }
+
+  function createReport(energomonitor: Energomonitor, options: ReportOptions): Promise<Report>;
+  function renderReportJSON(report: Report): string;
+  function renderReportHTML(report: Report, options?: { title?: string }): string;
+
+  // Request limiting
+
+  class RequestLimiter {
+    constructor(options?: { concurrency?: number; rateLimit?: RateLimit });
+    readonly pending: number;
+    readonly running: number;
+    schedule<T>(task: () => T | Promise<T>, priority?: number): Promise<T>;
+  }
+
+  // Metrics
+
+  interface LatencyMetrics {
+    count: number;
+    sum: number;
+    min: number | null;
+    max: number | null;
+    mean: number | null;
+    buckets: Array<{ le: number; count: number }>;
+  }
+
+  interface OperationMetrics {
+    requests: number;
+    errors: number;
+    retries: number;
+    shortCircuited: number;
+    statuses: { [status: string]: number };
+    bytes: number;
+    latency: LatencyMetrics;
+  }
+
+  interface Metrics {
+    operations: { [operation: string]: OperationMetrics };
+  }
+
+  class MetricsCollector {
+    constructor(options?: { buckets?: number[]; prefix?: string });
+    record(record: RequestRecord): void;
+    getMetrics(): Metrics;
+    toPrometheus(): string;
+    reset(): void;
+    toJSON(): Metrics;
+  }
+
+  // Alerting
+
+  interface AlertRuleBase {
+    id: string;
+    feedId: string;
+    streamId: string;
+    duration?: number;
+    interval?: Interval;
+    aggregation?: Aggregation | 'consumption';
+    [property: string]: any;
+  }
+
+  interface ThresholdRule extends AlertRuleBase {
+    condition: 'above' | 'below';
+    threshold: number;
+    clearThreshold?: number;
+  }
+
+  interface AnomalyRule extends AlertRuleBase {
+    condition: 'anomaly';
+    deviations?: number;
+    clearDeviations?: number;
+    direction?: 'above' | 'below' | 'both';
+    baselineWeeks?: number;
+    minSamples?: number;
+  }
+
+  type AlertRule = ThresholdRule | AnomalyRule;
+
+  interface Alert {
+    ruleId: string;
+    rule: AlertRule;
+    feedId: string;
+    streamId: string;
+    state: 'open' | 'resolved';
+    openedAt: Date;
+    resolvedAt: Date | null;
+    value: number;
+    extremeValue: number;
+    lastValue: number;
+  }
+
+  interface AlertEngineOptions {
+    timeZone?: string;
+    onAlert?: (alert: Alert) => void | Promise<void>;
+    subscription?: SubscriptionOptions;
+  }
+
+  class AlertEngine extends EventEmitter {
+    constructor(energomonitor: Energomonitor, rules: AlertRule[], options?: AlertEngineOptions);
+    evaluate(timeFrom: Date, timeTo?: Date): Promise<Alert[]>;
+    start(): Promise<void>;
+    stop(): Promise<void>;
+    poll(): Promise<void>;
+    getOpenAlerts(): Alert[];
+
+    on(event: 'open' | 'resolve', listener: (alert: Alert) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  // Client pool
+
+  interface ClientPoolOptions {
+    apiURL?: string;
+    concurrency?: number;
+    rateLimit?: RateLimit;
+    limiter?: RequestLimiter;
+    httpAgent?: HttpAgent;
+    httpsAgent?: HttpsAgent;
+    credentials?: (userId: string) => Credentials | Promise<Credentials>;
+    clientOptions?: ClientOptions;
+  }
+
+  interface AccountOptions extends ClientOptions {
+    token?: string;
+  }
+
+  interface PoolResults<T> {
+    results: Array<{ userId: string; value: T }>;
+    failures: Array<{ userId: string; error: Error }>;
+  }
+
+  class ClientPool extends EventEmitter {
+    constructor(options?: ClientPoolOptions);
+    readonly httpAgent: HttpAgent;
+    readonly httpsAgent: HttpsAgent;
+    readonly limiter: RequestLimiter;
+    readonly userIds: string[];
+    add(userId: string, options?: AccountOptions): Energomonitor;
+    get(userId: string): Energomonitor;
+    has(userId: string): boolean;
+    remove(userId: string): boolean;
+    map<T>(
+      fn: (client: Energomonitor, userId: string) => T | Promise<T>,
+      options?: { userIds?: string[] }
+    ): Promise<PoolResults<T>>;
+    getUsers(options?: { userIds?: string[] }): Promise<PoolResults<User>>;
+    getFeeds(options?: { userIds?: string[] }): Promise<PoolResults<Feed[]>>;
+    getNotificationCounts(options?: {
+      userIds?: string[];
+    }): Promise<PoolResults<NotificationCount>>;
+    close(): void;
+  }
+
+  // Testing
+
+  interface FixtureUser extends User {
+    password: string;
+    feeds: string[];
+    notifications: Notification[];
+  }
+
+  interface FixtureStream extends Stream {
+    data: DataPoint[];
+  }
+
+  interface FixtureFeed extends Feed {
+    streams: FixtureStream[];
+    relatedStreams: RelatedStreamGroup[];
+  }
+
+  interface Fixtures {
+    users: FixtureUser[];
+    feeds: FixtureFeed[];
+    authorizations: Authorization[];
+  }
+
+  interface LoggedRequest {
+    method: string;
+    path: string;
+    query: { [name: string]: any };
+  }
+
+  class FakeServer {
+    constructor(fixtures?: Fixtures, options?: { basePath?: string });
+    fixtures: Fixtures;
+    requests: LoggedRequest[];
+    url: string | null;
+    seed(fixtures: Fixtures): void;
+    addDataPoints(feedId: string, streamId: string, dataPoints: DataPoint[]): void;
+    listen(port?: number, hostname?: string): Promise<string>;
+    close(): Promise<void>;
+  }
+
+  interface GeneratorOptions {
+    timeFrom: Date;
+    timeTo: Date;
+    period?: number;
+    base?: number;
+    amplitude?: number;
+    noise?: number;
+    cumulative?: boolean;
+    seed?: number;
+    decimals?: number;
+  }
+
+  function generateDataPoints(options: GeneratorOptions): DataPoint[];
+  function createFixtures(options?: {
+    timeFrom?: Date;
+    timeTo?: Date;
+    period?: number;
+    seed?: number;
+  }): Fixtures;
+}
+
+export = Energomonitor;
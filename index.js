@@ -1,3 +1,88 @@
 const Energomonitor = require('./src/Energomonitor');
+const {
+  EnergomonitorError,
+  MissingTokenError,
+  InvalidArgumentError,
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError
+} = require('./src/errors');
+const { MemoryStore, LruStore, JsonFileStore, DirectoryStore } = require('./src/stores');
+const { resample, getBucketStart, getNextBucketStart } = require('./src/resample');
+const { isCumulativeStream, toConsumption } = require('./src/consumption');
+const { findGaps, fillGaps } = require('./src/gaps');
+const { formatISOTime } = require('./src/timezone');
+const {
+  getPeriodStart,
+  addPeriods,
+  getCalendarRange,
+  parseTimeRange
+} = require('./src/timeRanges');
+const { ResourceBuilder, getAuthorizationScope, authorizationCovers } = require('./src/resources');
+const { exportStreamData } = require('./src/export');
+const { createReport, renderReportJSON, renderReportHTML } = require('./src/reports');
+const { identifyGroupRole, resolveStreamGroups, alignDataPoints } = require('./src/streamGroups');
+const { Model, User, Feed, Stream, Notification } = require('./src/models');
+const RequestLimiter = require('./src/RequestLimiter');
+const MetricsCollector = require('./src/MetricsCollector');
+const ClientPool = require('./src/ClientPool');
+const AlertEngine = require('./src/AlertEngine');
+const FakeServer = require('./src/FakeServer');
+const { generateDataPoints, createFixtures } = require('./src/fixtures');
 
 module.exports = Energomonitor;
+
+Object.assign(module.exports, {
+  EnergomonitorError,
+  MissingTokenError,
+  InvalidArgumentError,
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  MemoryStore,
+  LruStore,
+  JsonFileStore,
+  DirectoryStore,
+  resample,
+  getBucketStart,
+  getNextBucketStart,
+  isCumulativeStream,
+  toConsumption,
+  findGaps,
+  fillGaps,
+  formatISOTime,
+  getPeriodStart,
+  addPeriods,
+  getCalendarRange,
+  parseTimeRange,
+  ResourceBuilder,
+  getAuthorizationScope,
+  authorizationCovers,
+  exportStreamData,
+  createReport,
+  renderReportJSON,
+  renderReportHTML,
+  identifyGroupRole,
+  resolveStreamGroups,
+  alignDataPoints,
+  models: { Model, User, Feed, Stream, Notification },
+  RequestLimiter,
+  MetricsCollector,
+  ClientPool,
+  AlertEngine,
+  FakeServer,
+  generateDataPoints,
+  createFixtures
+});
@@ -0,0 +1,731 @@
+const EventEmitter = require('events');
+
+const { toConsumption } = require('./consumption.js');
+const { AGGREGATIONS, INTERVALS, getBucketStart, resample } = require('./resample.js');
+const { getLocalTime, isValidTimeZone } = require('./timezone.js');
+const { dateToTimestamp } = require('./utils.js');
+
+const CONDITIONS = ['above', 'below', 'anomaly'];
+
+const DIRECTIONS = ['above', 'below', 'both'];
+
+const RULE_DEFAULTS = {
+  duration: 0,
+  aggregation: 'mean'
+};
+
+const ANOMALY_DEFAULTS = {
+  interval: 'hour',
+  deviations: 3,
+  direction: 'above',
+  baselineWeeks: 4,
+  minSamples: 3
+};
+
+const WEEK = 7 * 24 * 60 * 60;
+
+/**
+ * Evaluates alert rules against stream data, either once over a historical
+ * range ({@link AlertEngine#evaluate}) or continuously while polling for new
+ * data ({@link AlertEngine#start}).
+ *
+ * A rule watches a single stream and has one of the following conditions:
+ *
+ *   * `above` — the value is higher than `threshold`,
+ *   * `below` — the value is lower than `threshold`,
+ *   * `anomaly` — the value deviates from the usual value for its hour of
+ *     the week by more than `deviations` standard deviations. The baseline is
+ *     learned from `baselineWeeks` weeks of data before the evaluation and
+ *     from the following values that are not anomalous.
+ *
+ * Rules are evaluated on the data points of the stream or, with `interval`,
+ * on values aggregated into buckets (`anomaly` rules use hourly buckets by
+ * default). The `consumption` aggregation sums the stream’s consumption (see
+ * `toConsumption`). A bucket is evaluated once a data point of a later bucket
+ * arrives.
+ *
+ * An alert opens when the condition holds for at least `duration`
+ * milliseconds and resolves when the value returns below `clearThreshold`
+ * (above for `below` rules) or within `clearDeviations`, so values
+ * oscillating around the threshold do not open new alerts. A rule has at most
+ * one open alert.
+ *
+ * While running, the engine is an `EventEmitter` emitting the following
+ * events, each with the alert object:
+ *
+ *   * `open` — emitted when an alert opens,
+ *   * `resolve` — emitted when an alert resolves,
+ *   * `error` — emitted when polling or the `onAlert` callback fails (with
+ *     the error). The engine keeps running; without a listener, the failures
+ *     are ignored.
+ *
+ * An alert object has the following properties: `ruleId`, `rule` (the rule
+ * object, so any additional properties like a severity or a message can be
+ * read from it), `feedId`, `streamId`, `state` (`open` or `resolved`),
+ * `openedAt` (time of the first value meeting the condition), `resolvedAt`
+ * (`null` while open), `value` (the value that opened the alert),
+ * `extremeValue` (the value furthest beyond the threshold or the baseline)
+ * and `lastValue`.
+ *
+ * @example
+ * const engine = new AlertEngine(em, [
+ *   { id: 'high-power', feedId, streamId: 'stpower', condition: 'above',
+ *     threshold: 15000, clearThreshold: 14000, duration: 10 * 60 * 1000 },
+ *   { id: 'frost', feedId, streamId: 'sttemp', condition: 'below', threshold: 5 },
+ *   { id: 'unusual', feedId, streamId: 'stenergy', condition: 'anomaly',
+ *     aggregation: 'consumption' }
+ * ], { timeZone: 'Europe/Prague', onAlert: alert => sendEmail(alert) });
+ *
+ * await engine.start();
+ *
+ * @extends EventEmitter
+ */
+class AlertEngine extends EventEmitter {
+  /**
+   * Create a new instance of `AlertEngine`.
+   *
+   * @param {Energomonitor} energomonitor The client used to retrieve data.
+   * @param {Object[]} rules The rules. Each rule has the following
+   * properties:
+   * @param {string} rules[].id Unique ID of the rule.
+   * @param {string} rules[].feedId ID of the feed of the watched stream.
+   * @param {string} rules[].streamId ID of the watched stream.
+   * @param {string} rules[].condition `above`, `below` or `anomaly`.
+   * @param {number} [rules[].threshold] The threshold (`above` and `below`).
+   * @param {number} [rules[].clearThreshold = threshold] The value the
+   * stream must return to for the alert to resolve.
+   * @param {number} [rules[].duration = 0] How long the condition must hold
+   * before the alert opens, in milliseconds.
+   * @param {(string|integer)} [rules[].interval] Evaluate values aggregated
+   * into buckets of this interval (see `resample`). Default: `hour` for
+   * `anomaly` rules, otherwise the data points are evaluated.
+   * @param {string} [rules[].aggregation = mean] Aggregation of the buckets:
+   * any aggregation of `resample` or `consumption`.
+   * @param {number} [rules[].deviations = 3] Number of standard deviations
+   * from the baseline mean considered an anomaly.
+   * @param {number} [rules[].clearDeviations = deviations] Number of
+   * standard deviations the value must return within for the alert to
+   * resolve.
+   * @param {string} [rules[].direction = above] Anomalies to detect: `above`
+   * the baseline, `below` it or `both`.
+   * @param {integer} [rules[].baselineWeeks = 4] Number of weeks of data the
+   * baseline is learned from.
+   * @param {integer} [rules[].minSamples = 3] Minimum number of values of an
+   * hour of the week needed to detect anomalies in it.
+   * @param {Object} [options] Options.
+   * @param {string} [options.timeZone = UTC] IANA timezone of hours of the
+   * week and of day, week and month buckets.
+   * @param {Function} [options.onAlert] Function called with the alert when
+   * it opens or resolves (while running). May return a promise.
+   * @param {Object} [options.subscription] Options of the subscription used
+   * while running, see {@link Energomonitor#subscribe}.
+   * @throws {TypeError} When a rule or an option is invalid.
+   */
+  constructor(energomonitor, rules, options = {}) {
+    super();
+
+    validateRules(rules);
+    if (options.timeZone !== undefined && !isValidTimeZone(options.timeZone)) {
+      throw new TypeError(`Unknown timezone: ${options.timeZone}.`);
+    }
+
+    this._energomonitor = energomonitor;
+    this._rules = rules.map(normalizeRule);
+    this._options = Object.assign({ timeZone: 'UTC' }, options);
+    this._running = false;
+    this._subscription = null;
+    // Evaluators of the running engine.
+    this._evaluators = [];
+  }
+
+  /**
+   * Evaluate the rules over a historical range. Events are not emitted and
+   * `onAlert` is not called.
+   *
+   * @param {Date} timeFrom Start of the range.
+   * @param {Date} [timeTo] End of the range. Default: now.
+   * @return {Promise} A promise that resolves to the alerts opened in the
+   * range (resolved or still open at its end) ordered by their opening time.
+   */
+  async evaluate(timeFrom, timeTo = new Date()) {
+    if (!(timeFrom instanceof Date) || !(timeTo instanceof Date)) {
+      throw new TypeError('The evaluated range must be given by Date objects.');
+    }
+
+    const evaluators = await this._createEvaluators(dateToTimestamp(timeFrom));
+    const dataPoints = await Promise.all(
+      evaluators.map(evaluator =>
+        this._energomonitor.getAllStreamData(
+          evaluator.rule.feedId,
+          evaluator.rule.streamId,
+          timeFrom,
+          timeTo
+        )
+      )
+    );
+
+    const alerts = [];
+    evaluators.forEach((evaluator, index) => {
+      evaluator.push(dataPoints[index]).forEach(({ event, alert }) => {
+        if (event === 'open') {
+          alerts.push(alert);
+        }
+      });
+    });
+
+    return alerts.map(alert => Object.assign({}, alert)).sort((a, b) => a.openedAt - b.openedAt);
+  }
+
+  /**
+   * Start evaluating the rules on new data. Baselines of anomaly rules are
+   * learned first, then the streams are polled using a subscription.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the first
+   * polls finish.
+   */
+  async start() {
+    if (this._running) {
+      return;
+    }
+
+    this._running = true;
+
+    // Start at the beginning of the current buckets so they are complete.
+    const now = dateToTimestamp(new Date());
+    const timeFrom = Math.min(
+      ...this._rules.map(
+        rule =>
+          rule.interval !== undefined
+            ? getBucketStart(now, rule.interval, this._options.timeZone)
+            : now
+      )
+    );
+
+    try {
+      this._evaluators = await this._createEvaluators(timeFrom);
+    } catch (error) {
+      // Let the engine be started again.
+      this._running = false;
+      throw error;
+    }
+
+    const streams = uniqueStreams(this._rules);
+    this._subscription = this._energomonitor.subscribe(
+      streams,
+      Object.assign({}, this._options.subscription, { timeFrom: new Date(timeFrom * 1000) })
+    );
+    this._subscription.on('data', data => this._handleData(data));
+    this._subscription.on('error', error => this._reportError(error));
+
+    if (this._running) {
+      await this._subscription.start();
+    }
+  }
+
+  /**
+   * Stop evaluating. Open alerts are kept until the engine is started again.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once polls in
+   * progress (if any) finish.
+   */
+  stop() {
+    this._running = false;
+
+    return this._subscription !== null ? this._subscription.stop() : Promise.resolve();
+  }
+
+  /**
+   * Poll the streams now, regardless of the polling intervals.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the polls
+   * finish.
+   */
+  poll() {
+    return this._subscription !== null ? this._subscription.poll() : Promise.resolve();
+  }
+
+  /**
+   * Return the open alerts of the running (or stopped) engine.
+   *
+   * @return {Object[]} Copies of the open alert objects.
+   */
+  getOpenAlerts() {
+    return this._evaluators
+      .filter(evaluator => evaluator.openAlert !== null)
+      .map(evaluator => Object.assign({}, evaluator.openAlert));
+  }
+
+  /**
+   * Create evaluators of all rules, retrieving the streams needed to compute
+   * consumption and the data of anomaly baselines.
+   *
+   * @private
+   * @param {integer} timeFrom Start of the evaluation as a Unix timestamp.
+   * @return {Promise} A promise that resolves to the evaluators.
+   */
+  _createEvaluators(timeFrom) {
+    return Promise.all(
+      this._rules.map(async rule => {
+        const stream =
+          rule.aggregation === 'consumption'
+            ? await this._energomonitor.getStream(rule.feedId, rule.streamId)
+            : undefined;
+        const evaluator = new RuleEvaluator(rule, stream, this._options.timeZone);
+
+        if (rule.condition === 'anomaly') {
+          evaluator.learn(
+            await this._energomonitor.getAllStreamData(
+              rule.feedId,
+              rule.streamId,
+              new Date((timeFrom - rule.baselineWeeks * WEEK) * 1000),
+              new Date(timeFrom * 1000)
+            )
+          );
+        }
+
+        return evaluator;
+      })
+    );
+  }
+
+  /**
+   * Pass new data points to the evaluators of their stream and deliver the
+   * alerts that opened or resolved.
+   *
+   * @private
+   * @param {Object} data Data delivered by the subscription.
+   */
+  _handleData({ feedId, streamId, dataPoints }) {
+    this._evaluators
+      .filter(evaluator => evaluator.rule.feedId === feedId && evaluator.rule.streamId === streamId)
+      .forEach(evaluator => {
+        evaluator.push(dataPoints).forEach(({ event, alert }) => this._deliver(event, alert));
+      });
+  }
+
+  /**
+   * Emit an alert event and call `onAlert`.
+   *
+   * @private
+   * @param {string} event `open` or `resolve`.
+   * @param {Object} alert The alert.
+   */
+  _deliver(event, alert) {
+    const snapshot = Object.assign({}, alert);
+
+    this.emit(event, snapshot);
+
+    if (this._options.onAlert !== undefined) {
+      new Promise(resolve => resolve(this._options.onAlert(snapshot))).catch(error =>
+        this._reportError(error)
+      );
+    }
+  }
+
+  /**
+   * Emit an `error` event when there is a listener for it.
+   *
+   * @private
+   * @param {Error} error The error.
+   */
+  _reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+}
+
+/**
+ * Evaluates a rule on the data points of its stream, keeping the state of
+ * the rule between calls.
+ *
+ * @private
+ */
+class RuleEvaluator {
+  constructor(rule, stream, timeZone) {
+    this.rule = rule;
+    this.openAlert = null;
+    this._stream = stream;
+    this._timeZone = timeZone;
+    // Data points of buckets not evaluated yet (and the last data point
+    // before them, which starts the first consumption interval).
+    this._buffer = [];
+    this._evaluatedUntil = -Infinity;
+    // Start of the condition holding while the alert is not open yet.
+    this._pending = null;
+    // Score (see `_score`) of the extreme value of the open alert.
+    this._extremeScore = null;
+    // Baseline statistics by hour of the week.
+    this._baseline = new Map();
+  }
+
+  /**
+   * Learn the baseline from historical data points.
+   */
+  learn(dataPoints) {
+    this._aggregate(dataPoints).forEach(([timestamp, value]) => this._learn(timestamp, value));
+    this._buffer = [];
+    this._evaluatedUntil = -Infinity;
+  }
+
+  /**
+   * Evaluate new data points.
+   *
+   * @return {Object[]} Changes of the alert: objects with `event` (`open` or
+   * `resolve`) and `alert` properties.
+   */
+  push(dataPoints) {
+    const changes = [];
+
+    this._aggregate(dataPoints).forEach(([timestamp, value]) => {
+      const change = this._evaluate(timestamp, value);
+
+      if (change !== null) {
+        changes.push(change);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Turn new data points into the evaluated values: the data points
+   * themselves or aggregated complete buckets.
+   */
+  _aggregate(dataPoints) {
+    const { interval, aggregation } = this.rule;
+
+    if (interval === undefined) {
+      return dataPoints;
+    }
+
+    this._buffer = this._buffer.concat(dataPoints);
+    if (this._buffer.length === 0) {
+      return [];
+    }
+
+    const timeZone = this._timeZone;
+    const bucketStart = timestamp => getBucketStart(timestamp, interval, timeZone);
+    const current = bucketStart(this._buffer[this._buffer.length - 1][0]);
+    let split = this._buffer.findIndex(([timestamp]) => bucketStart(timestamp) >= current);
+
+    if (aggregation !== 'consumption') {
+      const complete = this._buffer.slice(0, split);
+
+      this._buffer = this._buffer.slice(split);
+      return resample(complete, { interval, aggregation, timeZone });
+    }
+
+    // The interval starting at the last data point of the complete buckets
+    // ends in the current bucket, so that data point is kept.
+    const intervals = toConsumption(this._stream, this._buffer).filter(
+      ([timestamp]) => timestamp > this._evaluatedUntil && bucketStart(timestamp) < current
+    );
+
+    split = Math.max(0, split - 1);
+    this._buffer = this._buffer.slice(split);
+    if (intervals.length > 0) {
+      this._evaluatedUntil = intervals[intervals.length - 1][0];
+    }
+
+    return resample(intervals, { interval, aggregation: 'sum', timeZone });
+  }
+
+  /**
+   * Evaluate a value and update the alert.
+   *
+   * @return {Object|null} The change of the alert or `null`.
+   */
+  _evaluate(timestamp, value) {
+    const state = this._check(timestamp, value);
+
+    if (state === 'breach') {
+      if (this.openAlert !== null) {
+        const score = this._score(timestamp, value);
+
+        this.openAlert.lastValue = value;
+        if (score > this._extremeScore) {
+          this.openAlert.extremeValue = value;
+          this._extremeScore = score;
+        }
+
+        return null;
+      }
+
+      if (this._pending === null) {
+        this._pending = { timestamp, value };
+      }
+      if ((timestamp - this._pending.timestamp) * 1000 < this.rule.duration) {
+        return null;
+      }
+
+      this.openAlert = {
+        ruleId: this.rule.id,
+        rule: this.rule.source,
+        feedId: this.rule.feedId,
+        streamId: this.rule.streamId,
+        state: 'open',
+        openedAt: new Date(this._pending.timestamp * 1000),
+        resolvedAt: null,
+        value,
+        extremeValue: value,
+        lastValue: value
+      };
+      this._pending = null;
+      this._extremeScore = this._score(timestamp, value);
+
+      return { event: 'open', alert: this.openAlert };
+    }
+
+    this._pending = null;
+    if (this.openAlert === null) {
+      return null;
+    }
+
+    this.openAlert.lastValue = value;
+    if (state !== 'clear') {
+      return null;
+    }
+
+    const alert = this.openAlert;
+    alert.state = 'resolved';
+    alert.resolvedAt = new Date(timestamp * 1000);
+    this.openAlert = null;
+
+    return { event: 'resolve', alert };
+  }
+
+  /**
+   * Check a value against the condition of the rule.
+   *
+   * @return {string} `breach` when the condition holds, `clear` when the
+   * value is back within the clearing limit, otherwise `hold`.
+   */
+  _check(timestamp, value) {
+    const rule = this.rule;
+
+    if (rule.condition === 'above') {
+      return value > rule.threshold ? 'breach' : value <= rule.clearThreshold ? 'clear' : 'hold';
+    }
+    if (rule.condition === 'below') {
+      return value < rule.threshold ? 'breach' : value >= rule.clearThreshold ? 'clear' : 'hold';
+    }
+
+    const deviation = this._getDeviation(timestamp, value);
+    const state =
+      deviation === null
+        ? 'hold'
+        : deviation > rule.deviations
+          ? 'breach'
+          : deviation <= rule.clearDeviations ? 'clear' : 'hold';
+
+    if (state !== 'breach') {
+      this._learn(timestamp, value);
+    }
+
+    return state;
+  }
+
+  /**
+   * Compute the deviation of a value from the baseline in the direction of
+   * the rule, in standard deviations.
+   *
+   * @return {number|null} The deviation or `null` when the baseline of the
+   * hour of the week has too few values.
+   */
+  _getDeviation(timestamp, value) {
+    const statistics = this._baseline.get(this._getHourOfWeek(timestamp));
+
+    if (statistics === undefined || statistics.count < this.rule.minSamples) {
+      return null;
+    }
+
+    const mean = statistics.sum / statistics.count;
+    const variance = Math.max(0, statistics.sumOfSquares / statistics.count - mean * mean);
+    const difference = value - mean;
+    const signed =
+      variance > 0
+        ? difference / Math.sqrt(variance)
+        : difference === 0 ? 0 : difference * Infinity;
+
+    switch (this.rule.direction) {
+      case 'above':
+        return signed;
+      case 'below':
+        return -signed;
+      default:
+        return Math.abs(signed);
+    }
+  }
+
+  /**
+   * Compute how far a value is beyond the limit, to compare breaching
+   * values.
+   */
+  _score(timestamp, value) {
+    switch (this.rule.condition) {
+      case 'above':
+        return value;
+      case 'below':
+        return -value;
+      default:
+        return this._getDeviation(timestamp, value);
+    }
+  }
+
+  /**
+   * Add a value to the baseline.
+   */
+  _learn(timestamp, value) {
+    const hourOfWeek = this._getHourOfWeek(timestamp);
+
+    if (!this._baseline.has(hourOfWeek)) {
+      this._baseline.set(hourOfWeek, { count: 0, sum: 0, sumOfSquares: 0 });
+    }
+
+    const statistics = this._baseline.get(hourOfWeek);
+    statistics.count++;
+    statistics.sum += value;
+    statistics.sumOfSquares += value * value;
+  }
+
+  /**
+   * Compute the hour of the (ISO) week of a timestamp, 0 being Monday 0:00.
+   */
+  _getHourOfWeek(timestamp) {
+    const { year, month, day, hour } = getLocalTime(timestamp, this._timeZone);
+    const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+
+    return weekday * 24 + hour;
+  }
+}
+
+/**
+ * Return the distinct streams watched by rules.
+ *
+ * @private
+ * @param {Object[]} rules The rules.
+ * @return {Object[]} Objects with `feedId` and `streamId` properties.
+ */
+function uniqueStreams(rules) {
+  const streams = new Map();
+
+  rules.forEach(({ feedId, streamId }) => {
+    streams.set(`${feedId}/${streamId}`, { feedId, streamId });
+  });
+
+  return Array.from(streams.values());
+}
+
+/**
+ * Fill in the defaults of a rule.
+ *
+ * @private
+ * @param {Object} rule The rule.
+ * @return {Object} A new object with all properties of the rule and the
+ * original rule in the `source` property.
+ */
+function normalizeRule(rule) {
+  const normalized = Object.assign(
+    {},
+    RULE_DEFAULTS,
+    rule.condition === 'anomaly' ? ANOMALY_DEFAULTS : {},
+    rule,
+    { source: rule }
+  );
+
+  if (normalized.interval === undefined && normalized.aggregation === 'consumption') {
+    normalized.interval = 'hour';
+  }
+  if (normalized.clearThreshold === undefined) {
+    normalized.clearThreshold = normalized.threshold;
+  }
+  if (normalized.clearDeviations === undefined) {
+    normalized.clearDeviations = normalized.deviations;
+  }
+
+  return normalized;
+}
+
+/**
+ * Throw a `TypeError` when some of the rules are invalid.
+ *
+ * @private
+ * @param {Object[]} rules The rules.
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new TypeError('The rules must be a non-empty array.');
+  }
+
+  const ids = new Set();
+  rules.forEach(rule => {
+    const fail = message => {
+      throw new TypeError(`Invalid rule ${rule.id}: ${message}`);
+    };
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+    if (typeof rule.id !== 'string' || rule.id === '') {
+      throw new TypeError('Each rule must have a non-empty string id.');
+    }
+    if (ids.has(rule.id)) {
+      fail('the id is not unique.');
+    }
+    ids.add(rule.id);
+
+    if (typeof rule.feedId !== 'string' || typeof rule.streamId !== 'string') {
+      fail('feedId and streamId must be strings.');
+    }
+    if (CONDITIONS.indexOf(rule.condition) === -1) {
+      fail(`the condition must be one of: ${CONDITIONS.join(', ')}.`);
+    }
+    if (rule.duration !== undefined && !(isNumber(rule.duration) && rule.duration >= 0)) {
+      fail('duration must be a non-negative number of milliseconds.');
+    }
+    if (
+      rule.interval !== undefined &&
+      INTERVALS.indexOf(rule.interval) === -1 &&
+      !isPositiveInteger(rule.interval)
+    ) {
+      fail(`interval must be one of: ${INTERVALS.join(', ')} or a positive number of seconds.`);
+    }
+    if (
+      rule.aggregation !== undefined &&
+      rule.aggregation !== 'consumption' &&
+      AGGREGATIONS.indexOf(rule.aggregation) === -1
+    ) {
+      fail(`aggregation must be one of: ${AGGREGATIONS.join(', ')}, consumption.`);
+    }
+
+    if (rule.condition === 'anomaly') {
+      const { deviations = 3, clearDeviations = deviations } = rule;
+
+      if (!isNumber(deviations) || deviations <= 0 || !isNumber(clearDeviations)) {
+        fail('deviations and clearDeviations must be numbers.');
+      }
+      if (clearDeviations > deviations) {
+        fail('clearDeviations must not be greater than deviations.');
+      }
+      if (rule.direction !== undefined && DIRECTIONS.indexOf(rule.direction) === -1) {
+        fail(`the direction must be one of: ${DIRECTIONS.join(', ')}.`);
+      }
+      ['baselineWeeks', 'minSamples'].forEach(name => {
+        if (rule[name] !== undefined && !isPositiveInteger(rule[name])) {
+          fail(`${name} must be a positive integer.`);
+        }
+      });
+    } else {
+      const { threshold, clearThreshold = threshold } = rule;
+
+      if (!isNumber(threshold) || !isNumber(clearThreshold)) {
+        fail('threshold and clearThreshold must be numbers.');
+      }
+      if (rule.condition === 'above' ? clearThreshold > threshold : clearThreshold < threshold) {
+        fail(`clearThreshold must not be ${rule.condition} the threshold.`);
+      }
+    }
+  });
+}
+
+module.exports = AlertEngine;
@@ -0,0 +1,252 @@
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+
+const axios = require('axios');
+
+const Energomonitor = require('./Energomonitor.js');
+const RequestLimiter = require('./RequestLimiter.js');
+const { InvalidArgumentError } = require('./errors.js');
+const { validateString } = require('./validation.js');
+
+// Client events re-emitted by the pool with the user ID of the account.
+const FORWARDED_EVENTS = ['retry', 'tokenChange', 'cacheError'];
+
+/**
+ * Manages clients of many accounts (e.g. customers each with their own
+ * token), keyed by user ID. The clients share one HTTP(S) agent with
+ * keep-alive connections and one request limiter, so the concurrency and
+ * rate limits apply to all accounts together, while each client keeps (and
+ * refreshes) its own token.
+ *
+ * The pool is an `EventEmitter` re-emitting the `retry`, `tokenChange` and
+ * `cacheError` events of its clients; the listener receives the original
+ * event object with an additional `userId` property.
+ *
+ * @extends EventEmitter
+ */
+class ClientPool extends EventEmitter {
+  /**
+   * Create a new instance of `ClientPool`.
+   *
+   * @param {Object} [options] Options.
+   * @param {string} [options.apiURL = https://api.energomonitor.com/v1] URL
+   * of the API.
+   * @param {integer} [options.concurrency] Maximum number of requests of all
+   * accounts sent at the same time. Default: no limit.
+   * @param {Object} [options.rateLimit] Maximum request rate of all accounts,
+   * see `RequestLimiter`. Default: no limit.
+   * @param {RequestLimiter} [options.limiter] A limiter to be used instead
+   * of one created from `concurrency` and `rateLimit`.
+   * @param {http.Agent} [options.httpAgent] Agent for HTTP requests. Default:
+   * a new agent with keep-alive connections.
+   * @param {https.Agent} [options.httpsAgent] Agent for HTTPS requests.
+   * Default: a new agent with keep-alive connections.
+   * @param {Function} [options.credentials] Function receiving a user ID and
+   * returning (a promise that resolves to) the credentials of the account
+   * (see the `credentials` option of {@link Energomonitor}). Used for
+   * accounts added without their own `credentials`.
+   * @param {Object} [options.clientOptions] Options passed to the
+   * constructor of each client (e.g. `retry`, `cache` or `models`), see
+   * {@link Energomonitor}. A shared `tokenStore` keeps the token of each
+   * account under the key `token:<userId>` and a shared cache `store` keeps
+   * the responses of each account under the namespace `<userId>:`, so
+   * accounts never see each other’s data.
+   */
+  constructor(options = {}) {
+    super();
+
+    this._apiURL = options.apiURL;
+    this._credentials = options.credentials;
+    this._clientOptions = options.clientOptions || {};
+    this.httpAgent = options.httpAgent || new http.Agent({ keepAlive: true });
+    this.httpsAgent = options.httpsAgent || new https.Agent({ keepAlive: true });
+    this.limiter =
+      options.limiter ||
+      new RequestLimiter({ concurrency: options.concurrency, rateLimit: options.rateLimit });
+    // Clients and their listeners forwarding events, by user ID.
+    this._accounts = new Map();
+  }
+
+  /**
+   * User IDs of the accounts, in the order they were added.
+   *
+   * @type {string[]}
+   */
+  get userIds() {
+    return Array.from(this._accounts.keys());
+  }
+
+  /**
+   * Add an account to the pool.
+   *
+   * @param {string} userId ID of the account’s user.
+   * @param {Object} [options] Options of the account’s client. All options
+   * of {@link Energomonitor} are supported and override the `clientOptions`
+   * of the pool, except for the limiter, which is always shared.
+   * @param {string} [options.token] The account’s token.
+   * @return {Energomonitor} The client of the account.
+   * @throws {InvalidArgumentError} When the user ID is invalid or the pool
+   * already has an account with it.
+   */
+  add(userId, options = {}) {
+    validateString(userId, 'userId');
+    if (this._accounts.has(userId)) {
+      throw new InvalidArgumentError(`The pool already has an account ${userId}.`, 'userId');
+    }
+
+    const clientOptions = Object.assign({}, this._clientOptions, options, {
+      limiter: this.limiter
+    });
+    delete clientOptions.token;
+    if (clientOptions.tokenStore !== undefined && clientOptions.tokenStoreKey === undefined) {
+      clientOptions.tokenStoreKey = `token:${userId}`;
+    }
+    const cache = clientOptions.cache;
+    if (cache !== undefined && cache !== null && cache !== false && cache.namespace === undefined) {
+      clientOptions.cache = Object.assign({}, cache === true ? {} : cache, {
+        namespace: `${userId}:`
+      });
+    }
+    if (clientOptions.credentials === undefined && this._credentials !== undefined) {
+      clientOptions.credentials = () => this._credentials(userId);
+    }
+
+    const axiosInstance = axios.create({
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent
+    });
+    const client = new Energomonitor(options.token, axiosInstance, this._apiURL, clientOptions);
+
+    const listeners = FORWARDED_EVENTS.map(event => {
+      const listener = details => this.emit(event, Object.assign({ userId }, details));
+
+      client.on(event, listener);
+      return [event, listener];
+    });
+    this._accounts.set(userId, { client, listeners });
+
+    return client;
+  }
+
+  /**
+   * Return the client of an account.
+   *
+   * @param {string} userId ID of the account’s user.
+   * @return {Energomonitor} The client.
+   * @throws {InvalidArgumentError} When the pool has no such account.
+   */
+  get(userId) {
+    if (!this._accounts.has(userId)) {
+      throw new InvalidArgumentError(`The pool has no account ${userId}.`, 'userId');
+    }
+
+    return this._accounts.get(userId).client;
+  }
+
+  /**
+   * Check whether the pool has an account.
+   *
+   * @param {string} userId ID of the account’s user.
+   * @return {boolean} Whether the account is in the pool.
+   */
+  has(userId) {
+    return this._accounts.has(userId);
+  }
+
+  /**
+   * Remove an account from the pool.
+   *
+   * @param {string} userId ID of the account’s user.
+   * @return {boolean} Whether the account was in the pool.
+   */
+  remove(userId) {
+    const account = this._accounts.get(userId);
+
+    if (account === undefined) {
+      return false;
+    }
+
+    account.listeners.forEach(([event, listener]) =>
+      account.client.removeListener(event, listener)
+    );
+    return this._accounts.delete(userId);
+  }
+
+  /**
+   * Run a function for every account (or the selected ones) in parallel and
+   * collect the results. A failure of one account does not affect the
+   * others.
+   *
+   * @example
+   * const { results, failures } = await pool.map((client, userId) =>
+   *   client.getNotificationCount(userId)
+   * );
+   *
+   * @param {Function} fn Function receiving the client and the user ID of an
+   * account and returning a value or a promise.
+   * @param {Object} [options] Options.
+   * @param {string[]} [options.userIds] Only run the function for these
+   * accounts. Default: all accounts.
+   * @return {Promise} A promise that resolves to an object with `results`
+   * (an array of objects with `userId` and `value` properties) and
+   * `failures` (an array of objects with `userId` and `error` properties),
+   * both in the order of the accounts. The promise never rejects.
+   */
+  map(fn, options = {}) {
+    const userIds = options.userIds !== undefined ? options.userIds : this.userIds;
+    const settle = userId =>
+      new Promise(resolve => resolve(fn(this.get(userId), userId))).then(
+        value => ({ userId, value }),
+        error => ({ userId, error })
+      );
+
+    return Promise.all(userIds.map(settle)).then(outcomes => ({
+      results: outcomes.filter(outcome => !('error' in outcome)),
+      failures: outcomes.filter(outcome => 'error' in outcome)
+    }));
+  }
+
+  /**
+   * Retrieve the user object of every account, see {@link ClientPool#map}.
+   *
+   * @param {Object} [options] Options of {@link ClientPool#map}.
+   * @return {Promise} A promise that resolves to the results and failures.
+   */
+  getUsers(options) {
+    return this.map((client, userId) => client.getUser(userId), options);
+  }
+
+  /**
+   * Retrieve the feeds of every account, see {@link ClientPool#map}.
+   *
+   * @param {Object} [options] Options of {@link ClientPool#map}.
+   * @return {Promise} A promise that resolves to the results and failures.
+   */
+  getFeeds(options) {
+    return this.map((client, userId) => client.getFeeds(userId), options);
+  }
+
+  /**
+   * Retrieve the notification count information of every account, see
+   * {@link ClientPool#map}.
+   *
+   * @param {Object} [options] Options of {@link ClientPool#map}.
+   * @return {Promise} A promise that resolves to the results and failures.
+   */
+  getNotificationCounts(options) {
+    return this.map((client, userId) => client.getNotificationCount(userId), options);
+  }
+
+  /**
+   * Destroy the connections of the shared agents, including those of
+   * requests in progress, which fail. Call it once the pool is no longer
+   * used; requests sent afterwards open new connections.
+   */
+  close() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+module.exports = ClientPool;
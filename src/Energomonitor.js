@@ -1,11 +1,49 @@
+const EventEmitter = require('events');
+
 const axios = require('axios');
 const qs = require('qs');
 
 const {
   buildAuthorizedRequestHeaders,
   dateToTimestamp,
+  parseExpiration,
   authorizedApiRequest
 } = require('./utils.js');
+const { isValidTimeZone } = require('./timezone.js');
+const { AuthenticationError, toEnergomonitorError } = require('./errors.js');
+const { normalizeRetryOptions, withRetry } = require('./retry.js');
+const { normalizeCacheOptions, Cache } = require('./cache.js');
+const RequestLimiter = require('./RequestLimiter.js');
+const StreamDataIterator = require('./StreamDataIterator.js');
+const NotificationWatcher = require('./NotificationWatcher.js');
+const StreamSubscription = require('./StreamSubscription.js');
+const { resample } = require('./resample.js');
+const { User, Feed, Stream, Notification, wrap } = require('./models.js');
+const { resolveStreamGroups, findRedundantStreams, alignDataPoints } = require('./streamGroups.js');
+const { validateResources, validateScopedResources } = require('./resources.js');
+const { validateMiddleware, runMiddleware } = require('./middleware.js');
+const { createInstrumentation } = require('./instrumentation.js');
+const {
+  parseArguments,
+  optional,
+  optionsOf,
+  timeRange,
+  validateString,
+  validateNotificationId,
+  validateTime,
+  validatePositiveInteger,
+  validateNonNegativeInteger,
+  validatePositiveNumber,
+  validateNumber,
+  validateStrings,
+  validateStringArray,
+  validateBoolean,
+  validateIntegers,
+  validateStore,
+  validateStreamReferences,
+  validateResampleOptions,
+  booleanProperties
+} = require('./validation.js');
 
 // If you wish to get feeds endpoint URL for a user with ID `abc`, call
 // `ENDPOINT_URLS.feeds('abc')`.
@@ -23,10 +61,277 @@ const ENDPOINT_URLS = {
   notificationCount: userId => `/users/${userId}/notification_count`
 };
 
+const ITERATOR_OPTIONS = {
+  pageSize: validatePositiveInteger,
+  windowSize: validatePositiveInteger,
+  minWindowSize: validatePositiveInteger,
+  maxWindowSize: validatePositiveInteger,
+  cursor: validateNonNegativeInteger,
+  priority: validateNumber
+};
+
+// Parameters of the methods accepting either positional arguments or a single
+// options object, see `parseArguments`.
+const SIGNATURES = {
+  authorize: {
+    parameters: [
+      ['username', validateString],
+      ['password', validateString],
+      ['note', optional(validateString)],
+      ['resources', optional(validateResources)],
+      ['validMinutes', optional(validatePositiveInteger)]
+    ]
+  },
+  createScopedToken: {
+    parameters: [
+      ['username', validateString],
+      ['password', validateString],
+      ['resources', validateScopedResources],
+      ['validMinutes', validatePositiveInteger],
+      ['note', validateString]
+    ]
+  },
+  getUser: { parameters: [['userId', validateString]] },
+  getFeeds: { parameters: [['userId', validateString]] },
+  getFeed: { parameters: [['feedId', validateString]] },
+  getStreams: {
+    parameters: [
+      ['feedId', validateString],
+      ['types', optional(validateStrings)],
+      ['channels', optional(validateIntegers)],
+      ['dataTimeFrom', optional(validateTime)],
+      ['dataTimeTo', optional(validateTime)]
+    ],
+    checks: [timeRange('dataTimeFrom', 'dataTimeTo')],
+    range: ['dataTimeFrom', 'dataTimeTo']
+  },
+  getStream: { parameters: [['feedId', validateString], ['streamId', validateString]] },
+  getStreamData: {
+    parameters: [
+      ['feedId', validateString],
+      ['streamId', validateString],
+      ['timeFrom', optional(validateTime)],
+      ['timeTo', optional(validateTime)],
+      ['limit', optional(validatePositiveInteger)],
+      ['options', optionsOf({ resample: validateResampleOptions, priority: validateNumber })]
+    ],
+    checks: [timeRange('timeFrom', 'timeTo')],
+    range: ['timeFrom', 'timeTo']
+  },
+  iterateStreamData: {
+    parameters: [
+      ['feedId', validateString],
+      ['streamId', validateString],
+      ['timeFrom', optional(validateTime)],
+      ['timeTo', optional(validateTime)],
+      ['options', optionsOf(ITERATOR_OPTIONS)]
+    ],
+    checks: [requireTimeFromOrCursor, timeRange('timeFrom', 'timeTo')],
+    range: ['timeFrom', 'timeTo']
+  },
+  getAllStreamData: {
+    parameters: [
+      ['feedId', validateString],
+      ['streamId', validateString],
+      ['timeFrom', optional(validateTime)],
+      ['timeTo', optional(validateTime)],
+      ['options', optionsOf(Object.assign({ resample: validateResampleOptions }, ITERATOR_OPTIONS))]
+    ],
+    checks: [requireTimeFromOrCursor, timeRange('timeFrom', 'timeTo')],
+    range: ['timeFrom', 'timeTo']
+  },
+  subscribe: {
+    parameters: [
+      ['streams', validateStreamReferences],
+      [
+        'options',
+        optionsOf({
+          timeFrom: validateTime,
+          minInterval: validatePositiveNumber,
+          maxInterval: validatePositiveNumber,
+          backoff: validatePositiveNumber,
+          staleAfter: validatePositiveNumber,
+          pageSize: validatePositiveInteger
+        })
+      ]
+    ]
+  },
+  getRelatedStreams: { parameters: [['feedId', validateString]] },
+  getRelatedStreamGroups: { parameters: [['feedId', validateString]] },
+  getStreamGroupData: {
+    parameters: [
+      ['feedId', validateString],
+      ['streamIds', validateStringArray],
+      ['timeFrom', validateTime],
+      ['timeTo', optional(validateTime)],
+      [
+        'options',
+        optionsOf(
+          Object.assign(
+            { resample: validateResampleOptions, total: validateBoolean },
+            ITERATOR_OPTIONS
+          )
+        )
+      ]
+    ],
+    checks: [timeRange('timeFrom', 'timeTo')],
+    range: ['timeFrom', 'timeTo']
+  },
+  getNotifications: {
+    parameters: [['userId', validateString], ['createdAtFrom', optional(validateTime)]]
+  },
+  getNotification: {
+    parameters: [['userId', validateString], ['notificationId', validateNotificationId]]
+  },
+  updateNotifications: {
+    parameters: [['userId', validateString], ['data', booleanProperties(['read'])]]
+  },
+  updateNotification: {
+    parameters: [
+      ['userId', validateString],
+      ['notificationId', validateNotificationId],
+      ['data', booleanProperties(['read', 'archived'])]
+    ]
+  },
+  getNotificationCount: { parameters: [['userId', validateString]] },
+  watchNotifications: {
+    parameters: [
+      ['userId', validateString],
+      [
+        'options',
+        optionsOf({
+          minInterval: validatePositiveNumber,
+          maxInterval: validatePositiveNumber,
+          backoff: validatePositiveNumber,
+          count: validateBoolean,
+          createdAtFrom: validateTime,
+          store: validateStore,
+          storeKey: validateString
+        })
+      ]
+    ]
+  }
+};
+
+/**
+ * Check that an iteration has a start: either `timeFrom` or a cursor.
+ *
+ * @private
+ * @param {Object} values Validated arguments of the method.
+ */
+function requireTimeFromOrCursor(values) {
+  if (values.timeFrom === undefined && values.options.cursor === undefined) {
+    validateTime(values.timeFrom, 'timeFrom');
+  }
+}
+
+/**
+ * Resolve and validate arguments of a method returning a promise.
+ *
+ * @private
+ * @param {Array} args The arguments the method was called with.
+ * @param {Object} signature The signature of the method, see `SIGNATURES`.
+ * @param {Object} [context] Context of the call, see `parseArguments`.
+ * @return {Promise} A promise that resolves to the validated arguments by
+ * parameter name, or rejects with an `InvalidArgumentError`.
+ */
+function validateArguments(args, signature, context) {
+  return new Promise(resolve => resolve(parseArguments(args, signature, context)));
+}
+
+/**
+ * Resample data points when the `resample` option is set.
+ *
+ * @private
+ * @param {Array[]} dataPoints Data points to be resampled.
+ * @param {Object} options Options of the data-retrieving method.
+ * @param {string} timeZone Timezone of calendar intervals unless the
+ * resampling options set one.
+ * @return {Array[]} Resampled (or the original) data points.
+ */
+function resampleIfRequested(dataPoints, options, timeZone) {
+  return options.resample !== undefined
+    ? resample(dataPoints, Object.assign({ timeZone }, options.resample))
+    : dataPoints;
+}
+
 /**
  * Represents an interaction session with the Energomonitor API.
+ *
+ * The instance is an `EventEmitter` emitting the following events:
+ *
+ *   * `retry` — emitted before a failed request is repeated (see the `retry`
+ *     option of the constructor). The listener receives an object with
+ *     `method`, `endpoint`, `attempt` (number of the upcoming attempt),
+ *     `delay` (in milliseconds) and `error` (the error the previous attempt
+ *     failed with) properties.
+ *   * `tokenChange` — emitted when the token changes (after a successful
+ *     {@link Energomonitor#authorize} call, including automatic
+ *     re-authorizations). The listener receives an object with `token` and
+ *     `expiresAt` (`Date` or `null` when unknown) properties.
+ *   * `cacheError` — emitted when the cache store fails or a background
+ *     revalidation of a stale cache entry fails (see the `cache` option of the
+ *     constructor). Such failures do not fail the request. The listener
+ *     receives an object with `key` and `error` properties.
+ *
+ * Methods taking arguments accept them either positionally or as a single
+ * object with properties named after the parameters; properties of the
+ * `options` parameter are then given directly in the object, e.g.
+ * `getStreamData({ feedId, streamId, limit: 10, resample: { interval: 'hour' } })`.
+ * Times can be `Date` objects or ISO 8601 strings.
+ *
+ * Methods retrieving data in a time range also accept a calendar range in
+ * place of the pair of times: an object with `from` (inclusive) and `to`
+ * (exclusive) times, e.g. one returned by `getCalendarRange`, or a name like
+ * `yesterday` or `last-7-days` (see `parseTimeRange`) resolved in the
+ * timezone set by the `timeZone` option of the constructor. Pass it in place
+ * of the start time or as the `range` property of the options object, e.g.
+ * `getStreamData({ feedId, streamId, range: 'last-month' })`.
+ *
+ * Every request passes through a chain of middleware added with
+ * {@link Energomonitor#use}. A middleware is an object with optional hooks
+ * receiving a mutable request context: `operation` (name of the method
+ * sending the request, e.g. `getStreamData`), `args` (the validated
+ * arguments of the method by name), `attempt` (starting at 1, counting
+ * retries), `method`, `endpoint` (the path, e.g. `/feeds/fddemo/streams`),
+ * `priority` (in the limiter queue), `url`, `params`, `headers`, `data`,
+ * `startedAt` and `duration` (in milliseconds), `shortCircuited`, `response`
+ * and `error`. The hooks may return promises:
+ *
+ *   * `beforeRequest(context)` — called before the request is sent (and
+ *     before it waits for the limiter). It may modify `context.headers` and
+ *     `context.priority` or return an object with `data` (and optional
+ *     `status` and `headers`) properties to be used as the response without
+ *     sending the request.
+ *   * `afterResponse(context)` — called with `context.response` set. It may
+ *     return a value replacing the response data.
+ *   * `onError(context)` — called with `context.error` set when the request
+ *     fails. It may return a value to be used as the response data instead,
+ *     throw a different error or return `undefined` to let the request fail.
+ *
+ * The hooks are called for each attempt; responses served from the cache
+ * (see the `cache` option of the constructor) skip them.
+ *
+ * The `logger` and `metrics` options of the constructor record each finished
+ * attempt once the middleware chain has finished, so attempts answered or
+ * recovered by a middleware are recorded too: `operation`, `method`,
+ * `endpoint`, `params`, `args` (with passwords redacted), `status` (`null`
+ * when no response was received), `duration`, `size` (of the response body
+ * in bytes, `null` when unknown), `retries` (number of previous attempts),
+ * `startedAt`, `shortCircuited`, `error` (the message of the error or
+ * `null`) and `recovered` (whether a middleware recovered the failed
+ * attempt). The logger receives `debug` messages before requests are sent,
+ * `warn` messages before they are repeated, `info` messages when they
+ * succeed and `error` messages when they fail.
+ *
+ * Arguments are validated
+ * before any request is sent: methods returning a promise reject with an
+ * `InvalidArgumentError` when an argument is invalid, the other ones throw
+ * it.
+ *
+ * @extends EventEmitter
  */
-class Energomonitor {
+class Energomonitor extends EventEmitter {
   /**
    * Create a new instance of `Energomonitor`.
    *
@@ -39,10 +344,152 @@ class Energomonitor {
    * instance.
    * @param {string} [apiURL = https://api.energomonitor.com/v1]
    * Energomonitor API URL.
+   * @param {Object} [options] Additional options.
+   * @param {(boolean|Object)} [options.retry] Retry policy for failed
+   * requests. Pass `true` to enable retries with the default policy or an
+   * object overriding some of its options. Retries are disabled by default.
+   * @param {integer} [options.retry.maxAttempts = 3] Maximum number of
+   * attempts (including the first one).
+   * @param {integer} [options.retry.baseDelay = 500] Delay before the first
+   * retry, in milliseconds. The delay doubles with each subsequent retry.
+   * @param {integer} [options.retry.maxDelay = 30000] Maximum delay between
+   * attempts, in milliseconds.
+   * @param {number} [options.retry.jitter = 0.5] Fraction of the delay by
+   * which it is randomly shortened (`0` disables the randomization).
+   * @param {integer[]} [options.retry.retryStatuses = [408, 429, 500, 502, 503, 504]]
+   * HTTP statuses of responses that should be retried.
+   * @param {boolean} [options.retry.retryNetworkErrors = true] Whether to
+   * retry requests that failed without receiving a response (including
+   * timeouts).
+   * @param {boolean} [options.retry.respectRetryAfter = true] Whether to wait
+   * at least as long as the `Retry-After` response header asks for.
+   * @param {boolean} [options.retry.retryUpdates = false] Whether to retry
+   * also {@link Energomonitor#updateNotifications} and
+   * {@link Energomonitor#updateNotification} requests (requests retrieving
+   * data are retried whenever retries are enabled).
+   * @param {(Date|string)} [options.tokenExpiresAt] Expiration time of the
+   * token passed in the `token` parameter.
+   * @param {Function} [options.credentials] Function returning (a promise
+   * that resolves to) an object with `username`, `password` and optional
+   * `note`, `resources` and `validMinutes` properties (see
+   * {@link Energomonitor#authorize}). When passed, the client authorizes
+   * itself automatically whenever there is no token, the token is about to
+   * expire or the API rejects it with 401 Unauthorized. Requests sent while
+   * the authorization is in progress wait for it to finish.
+   * @param {integer} [options.refreshMargin = 60000] How long before the
+   * token expiration the client authorizes itself again, in milliseconds.
+   * @param {Object} [options.tokenStore] Store to load the token from (when
+   * no token is passed to the constructor) and to save new tokens to, e.g.
+   * an instance of `MemoryStore` or `JsonFileStore`.
+   * @param {string} [options.tokenStoreKey = token] Key under which the token
+   * is saved in the store.
+   * @param {(boolean|Object)} [options.cache] Cache responses of
+   * {@link Energomonitor#getFeeds}, {@link Energomonitor#getFeed},
+   * {@link Energomonitor#getStreams}, {@link Energomonitor#getStream},
+   * {@link Energomonitor#getRelatedStreams} and, for closed time ranges,
+   * {@link Energomonitor#getStreamData}. Pass `true` to enable caching with
+   * the default options or an object overriding some of them. Caching is
+   * disabled by default. Cached values are shared, so they must not be
+   * modified.
+   * @param {Object} [options.cache.store] Store for cached responses, e.g. an
+   * instance of `LruStore` or `DirectoryStore`. Default: a new `LruStore`.
+   * @param {Object} [options.cache.ttl] How long responses stay fresh, in
+   * milliseconds, per endpoint: `feeds`, `feed`, `streams`, `stream`,
+   * `relatedStreams` (1 hour by default) and `streamData` (`null` by default,
+   * meaning forever).
+   * @param {integer} [options.cache.staleWhileRevalidate = 0] How long after
+   * expiring a response may still be returned, in milliseconds. Such a
+   * response is returned immediately and refreshed in the background.
+   * @param {boolean} [options.cache.streamData = true] Whether to cache data
+   * points in closed time ranges.
+   * @param {integer} [options.cache.closedAfter = 3600000] How long after
+   * their measurement data points are considered final, in milliseconds. Data
+   * points are cached only when `timeFrom` and `timeTo` are passed and
+   * `timeTo` is at least this old.
+   * @param {string} [options.cache.namespace] Prefix of the store keys. Use
+   * different namespaces when a store is shared by clients with different
+   * access rights.
+   * @param {integer} [options.concurrency] Maximum number of requests sent at
+   * the same time. Further requests wait in a queue. Default: no limit.
+   * @param {Object} [options.rateLimit] Maximum request rate: an object with
+   * `requests` (number of requests per interval), `interval` (in
+   * milliseconds, `1000` by default) and `burst` (maximum number of requests
+   * sent at once, `requests` by default) properties. See `RequestLimiter`.
+   * Default: no limit.
+   * @param {RequestLimiter} [options.limiter] A limiter to be shared with
+   * other clients. Overrides `concurrency` and `rateLimit`.
+   * @param {number} [options.priority = 0] Priority of this client’s requests
+   * in the limiter queue. Requests with higher priorities are sent first.
+   * @param {boolean} [options.dedupe = false] Whether to share a single
+   * request among identical GET requests sent while it is in progress. The
+   * callers then receive the same response object, so it must not be
+   * modified.
+   * @param {boolean} [options.models = false] Whether to return users, feeds,
+   * streams and notifications as instances of the `User`, `Feed`, `Stream`
+   * and `Notification` model classes (see `models`) instead of plain
+   * objects. Models have the same properties as the plain objects and
+   * methods navigating to related objects, e.g. `feed.streams()`.
+   * @param {string} [options.timeZone = UTC] IANA timezone in which names of
+   * time ranges are resolved and by whose midnight resampling aligns days,
+   * weeks and months (unless the resampling options set their own).
+   * @param {Object[]} [options.middleware] Middleware to add to the request
+   * chain (see {@link Energomonitor#use}).
+   * @param {Object} [options.logger] Logger of the requests: an object with
+   * `debug`, `info`, `warn` and `error` methods, e.g. `console`. Each method
+   * is called with a message and a record of the request (see the class
+   * description). The `Authorization` header and passwords are redacted.
+   * @param {Object} [options.metrics] Collector of the request records, e.g.
+   * an instance of `MetricsCollector` (which may be shared by several
+   * clients).
    */
-  constructor(token, axiosInstance, apiURL = 'https://api.energomonitor.com/v1') {
+  constructor(token, axiosInstance, apiURL = 'https://api.energomonitor.com/v1', options = {}) {
+    super();
+
     this._token = token;
+    this._tokenExpiresAt = parseExpiration(options.tokenExpiresAt);
     this._authorizedRequestHeaders = buildAuthorizedRequestHeaders(token);
+    this._credentials = options.credentials;
+    this._refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 60000;
+    this._tokenStore = options.tokenStore;
+    this._tokenStoreKey = options.tokenStoreKey !== undefined ? options.tokenStoreKey : 'token';
+    this._tokenLoad = null;
+    this._tokenRefresh = null;
+    this._retryPolicy = normalizeRetryOptions(options.retry);
+
+    const cacheOptions = normalizeCacheOptions(options.cache);
+    this._cacheOptions = cacheOptions;
+    this._cache =
+      cacheOptions !== null
+        ? new Cache(cacheOptions, cacheError => this.emit('cacheError', cacheError))
+        : null;
+
+    if (options.limiter !== undefined) {
+      this._limiter = options.limiter;
+    } else if (options.concurrency !== undefined || options.rateLimit !== undefined) {
+      this._limiter = new RequestLimiter({
+        concurrency: options.concurrency,
+        rateLimit: options.rateLimit
+      });
+    } else {
+      this._limiter = null;
+    }
+    this._priority = options.priority !== undefined ? options.priority : 0;
+    this._dedupe = options.dedupe === true;
+    this._models = options.models === true;
+    this._timeZone = options.timeZone !== undefined ? options.timeZone : 'UTC';
+    if (!isValidTimeZone(this._timeZone)) {
+      throw new TypeError(`Unknown timezone: ${this._timeZone}.`);
+    }
+    // Identical GET requests in progress, by key (see `_requestKey`).
+    this._inFlight = new Map();
+    this._middleware = [];
+    this._instrumentation =
+      options.logger !== undefined || options.metrics !== undefined
+        ? createInstrumentation({ logger: options.logger, metrics: options.metrics })
+        : null;
+    if (options.middleware !== undefined) {
+      options.middleware.forEach(middleware => this.use(middleware));
+    }
 
     if (axiosInstance !== undefined) {
       this._axios = axiosInstance;
@@ -60,44 +507,78 @@ class Energomonitor {
    * @param {string} username Username used for HTTP Basic authentication.
    * @param {string} password Password used for HTTP Basic authentication.
    * @param {string} [note] User note for the created authorization.
-   * @param {Object[]} [resources] List of
+   * @param {(Object[]|ResourceBuilder)} [resources] List of
    * [resources]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#resource-object}
-   * associated with the created authorization. Default: all resources the
-   * user is authorized to access.
+   * associated with the created authorization, e.g. built with
+   * `ResourceBuilder`. Default: all resources the user is authorized to
+   * access.
    * @param {integer} [validMinutes] How long from now should the created
    * authorization be valid, in minutes.
    * @return {Promise} A promise that resolves to the
    * [authorization object]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#authorization-object}.
    */
   authorize(username, password, note, resources, validMinutes) {
-    const url = ENDPOINT_URLS.auth();
-
-    const data = {};
-
-    if (note !== undefined) {
-      data['note'] = note;
-    }
-    if (resources !== undefined) {
-      data['resources'] = resources;
-    }
-    if (validMinutes !== undefined) {
-      data['valid_minutes'] = validMinutes;
-    }
-
-    const config = {
-      auth: {
-        username: username,
-        password: password
-      }
-    };
+    return validateArguments(
+      [username, password, note, resources, validMinutes],
+      SIGNATURES.authorize
+    ).then(({ username, password, note, resources, validMinutes }) =>
+      this._createAuthorization(username, password, note, resources, validMinutes, {
+        name: 'authorize',
+        args: { username, password, note, resources, validMinutes }
+      }).then(authorization =>
+        this._changeToken(authorization.token, authorization.expires_at).then(() => authorization)
+      )
+    );
+  }
 
-    return this._axios.post(url, data, config).then(response => {
-      const token = response.data.token;
-      this._token = token;
-      this._authorizedRequestHeaders = buildAuthorizedRequestHeaders(token);
+  /**
+   * Create a short-lived authorization limited to some users, feeds or
+   * streams, e.g. for a kiosk or a widget embedded in a customer’s page.
+   * Unlike {@link Energomonitor#authorize}, the token is only returned, not
+   * used by this instance. Check the scope of the returned authorization with
+   * `getAuthorizationScope` before handing the token out.
+   *
+   * @example
+   * const { token } = await em.createScopedToken({
+   *   username,
+   *   password,
+   *   resources: new ResourceBuilder().stream('stpower'),
+   *   validMinutes: 180,
+   *   note: 'Lobby display'
+   * });
+   *
+   * @param {string} username Username used for HTTP Basic authentication.
+   * @param {string} password Password used for HTTP Basic authentication.
+   * @param {(Object[]|ResourceBuilder)} resources The
+   * [resources]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#resource-object}
+   * the token grants access to (at least one): user, feed and stream
+   * resources, e.g. built with `ResourceBuilder`.
+   * @param {integer} validMinutes How long from now should the token be
+   * valid, in minutes.
+   * @param {string} note Description of the token (e.g. who it was issued
+   * for), shown in the list of the user’s authorizations.
+   * @return {Promise} A promise that resolves to the
+   * [authorization object]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#authorization-object}.
+   */
+  createScopedToken(username, password, resources, validMinutes, note) {
+    return validateArguments(
+      [username, password, resources, validMinutes, note],
+      SIGNATURES.createScopedToken
+    ).then(({ username, password, resources, validMinutes, note }) =>
+      this._createAuthorization(username, password, note, resources, validMinutes, {
+        name: 'createScopedToken',
+        args: { username, password, resources, validMinutes, note }
+      })
+    );
+  }
 
-      return response.data;
-    });
+  /**
+   * Return the expiration time of the current token.
+   *
+   * @return {Date|null} The expiration time or `null` when it is unknown.
+   */
+  getTokenExpiration() {
+    return this._tokenExpiresAt;
   }
 
   /**
@@ -108,14 +589,18 @@ class Energomonitor {
    * [user object]{@link https://developers.energomonitor.com/api/endpoints/users.html#user-object}.
    */
   getUser(userId) {
-    const url = ENDPOINT_URLS.user(userId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([userId], SIGNATURES.getUser).then(({ userId }) => {
+      const url = ENDPOINT_URLS.user(userId);
+      const config = {
+        method: 'get',
+        url: url,
+        operation: { name: 'getUser', args: { userId } }
+      };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
-    );
+      return this._authorizedRequest(config).then(response =>
+        this._model(response.data, user => new User(this, user))
+      );
+    });
   }
 
   /**
@@ -126,14 +611,18 @@ class Energomonitor {
    * [feed objects]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#feed-object}.
    */
   getFeeds(userId) {
-    const url = ENDPOINT_URLS.feeds(userId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([userId], SIGNATURES.getFeeds).then(({ userId }) => {
+      const url = ENDPOINT_URLS.feeds(userId);
+      const config = {
+        method: 'get',
+        url: url,
+        operation: { name: 'getFeeds', args: { userId } }
+      };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
-    );
+      return this._cachedRequest('feeds', config, [`user:${userId}`]).then(feeds =>
+        this._model(feeds, feed => new Feed(this, feed))
+      );
+    });
   }
 
   /**
@@ -144,14 +633,18 @@ class Energomonitor {
    * [feed object]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#feed-object}.
    */
   getFeed(feedId) {
-    const url = ENDPOINT_URLS.feed(feedId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([feedId], SIGNATURES.getFeed).then(({ feedId }) => {
+      const url = ENDPOINT_URLS.feed(feedId);
+      const config = {
+        method: 'get',
+        url: url,
+        operation: { name: 'getFeed', args: { feedId } }
+      };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
-    );
+      return this._cachedRequest('feed', config, [`feed:${feedId}`]).then(feed =>
+        this._model(feed, data => new Feed(this, data))
+      );
+    });
   }
 
   /**
@@ -166,48 +659,65 @@ class Energomonitor {
    * channel/channels. See the description of
    * [stream objects]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}
    * for more details about channels.
-   * @param {Date} [dataTimeFrom] Only list streams with data points measured
-   * after or at this time.
-   * @param {Date} [dataTimeTo] Only list streams with data points measured
-   * before or at this time.
+   * @param {(Date|string|Object)} [dataTimeFrom] Only list streams with data
+   * points measured after or at this time. Can be a time range instead (see
+   * the class description).
+   * @param {(Date|string)} [dataTimeTo] Only list streams with data points
+   * measured before or at this time.
    * @return {Promise} A promise that resolves to the array of
    * [stream objects]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}.
    */
   getStreams(feedId, types, channels, dataTimeFrom, dataTimeTo) {
-    const url = ENDPOINT_URLS.streams(feedId);
+    return validateArguments(
+      [feedId, types, channels, dataTimeFrom, dataTimeTo],
+      SIGNATURES.getStreams,
+      { timeZone: this._timeZone }
+    ).then(({ feedId, types, channels, dataTimeFrom, dataTimeTo }) => {
+      const url = ENDPOINT_URLS.streams(feedId);
 
-    const params = {};
-
-    if (types !== undefined) {
-      params['type'] = types;
-    }
-    if (channels !== undefined) {
-      params['channel'] = channels;
-    }
-    if (dataTimeFrom !== undefined) {
-      params['data_time_from'] = dateToTimestamp(dataTimeFrom);
-    }
-    if (dataTimeTo !== undefined) {
-      params['data_time_to'] = dateToTimestamp(dataTimeTo);
-    }
+      const params = {};
 
-    const config = {
-      headers: this._authorizedRequestHeaders,
-      params: params,
-      // Custom querystring serializer is needed here because our API uses
-      // parameters that can be specified multiple times (specifically
-      // `time` and `channel`).
-      //
-      // For example, when `params = { channel: [1, 2] }`, we need to
-      // build `channel=1&channel=2` from it.
-      paramsSerializer: function(params) {
-        return qs.stringify(params, { indices: false });
+      if (types !== undefined) {
+        params['type'] = types;
+      }
+      if (channels !== undefined) {
+        params['channel'] = channels;
+      }
+      if (dataTimeFrom !== undefined) {
+        params['data_time_from'] = dateToTimestamp(dataTimeFrom);
+      }
+      if (dataTimeTo !== undefined) {
+        params['data_time_to'] = dateToTimestamp(dataTimeTo);
       }
-    };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
-    );
+      const config = {
+        method: 'get',
+        url: url,
+        params: params,
+        // Custom querystring serializer is needed here because our API uses
+        // parameters that can be specified multiple times (specifically
+        // `time` and `channel`).
+        //
+        // For example, when `params = { channel: [1, 2] }`, we need to
+        // build `channel=1&channel=2` from it.
+        paramsSerializer: function(params) {
+          return qs.stringify(params, { indices: false });
+        },
+        operation: {
+          name: 'getStreams',
+          args: { feedId, types, channels, dataTimeFrom, dataTimeTo }
+        }
+      };
+
+      // Streams filtered by data time change as data arrives, unless the range
+      // is closed.
+      const filtered = dataTimeFrom !== undefined || dataTimeTo !== undefined;
+      const tags = !filtered || this._isFinal(dataTimeTo) ? [`feed:${feedId}`] : null;
+
+      return this._cachedRequest('streams', config, tags).then(streams =>
+        this._model(streams, stream => new Stream(this, feedId, stream))
+      );
+    });
   }
 
   /**
@@ -220,13 +730,20 @@ class Energomonitor {
    * [stream object]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object)}.
    */
   getStream(feedId, streamId) {
-    const url = ENDPOINT_URLS.stream(feedId, streamId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([feedId, streamId], SIGNATURES.getStream).then(
+      ({ feedId, streamId }) => {
+        const url = ENDPOINT_URLS.stream(feedId, streamId);
+        const config = {
+          method: 'get',
+          url: url,
+          operation: { name: 'getStream', args: { feedId, streamId } }
+        };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+        return this._cachedRequest('stream', config, [
+          `feed:${feedId}`,
+          `stream:${feedId}/${streamId}`
+        ]).then(stream => this._model(stream, data => new Stream(this, feedId, data)));
+      }
     );
   }
 
@@ -236,13 +753,21 @@ class Energomonitor {
    * @param {string} feedId Retrieve data points of a stream belonging to a
    * feed with this ID.
    * @param {string} streamId Retrieve data of a stream with this ID.
-   * @param {Date} [timeFrom] Only list data points measured after or at this
-   * time.
-   * @param {Date} [timeTo] Only list data points measured before or at this
-   * time.
+   * @param {(Date|string|Object)} [timeFrom] Only list data points measured
+   * after or at this time. Can be a time range instead (see the class
+   * description).
+   * @param {(Date|string)} [timeTo] Only list data points measured before or at
+   * this time.
    * @param {integer} [limit] Maximum number of returned data points. When
    * there are more matching data points than limit, the newest ones are
    * returned.
+   * @param {Object} [options] Additional options.
+   * @param {Object} [options.resample] Aggregate the data points into buckets
+   * of a fixed interval. An object with `interval` and `aggregation`
+   * properties, see `resample` for details.
+   * @param {number} [options.priority] Priority of the request in the limiter
+   * queue, overriding the `priority` option of the constructor, e.g. to let
+   * an interactive request go ahead of batch ones.
    * @return {Promise} A promise that resolves to the array with the data
    * points where each data point is an array with 2 elements: the time of
    * measurement (`integer`, a Unix timestamp) and a value (`integer |
@@ -250,31 +775,169 @@ class Energomonitor {
    * [`GET /feeds/{feed_id}/streams/{stream_id}/data`]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#get-feeds-feed-id-streams-stream-id-data}
    * endpoint description for more details.
    */
-  getStreamData(feedId, streamId, timeFrom, timeTo, limit) {
-    const url = ENDPOINT_URLS.streamData(feedId, streamId);
+  getStreamData(feedId, streamId, timeFrom, timeTo, limit, options) {
+    return validateArguments(
+      [feedId, streamId, timeFrom, timeTo, limit, options],
+      SIGNATURES.getStreamData,
+      { timeZone: this._timeZone }
+    ).then(({ feedId, streamId, timeFrom, timeTo, limit, options }) => {
+      const url = ENDPOINT_URLS.streamData(feedId, streamId);
 
-    const params = {};
+      const params = {};
 
-    if (limit !== undefined) {
-      params['limit'] = limit;
-    }
-    if (timeFrom !== undefined) {
-      params['time_from'] = dateToTimestamp(timeFrom);
-    }
-    if (timeTo !== undefined) {
-      params['time_to'] = dateToTimestamp(timeTo);
-    }
+      if (limit !== undefined) {
+        params['limit'] = limit;
+      }
+      if (timeFrom !== undefined) {
+        params['time_from'] = dateToTimestamp(timeFrom);
+      }
+      if (timeTo !== undefined) {
+        params['time_to'] = dateToTimestamp(timeTo);
+      }
 
-    const config = {
-      headers: this._authorizedRequestHeaders,
-      params: params
-    };
+      const config = {
+        method: 'get',
+        url: url,
+        params: params,
+        operation: {
+          name: 'getStreamData',
+          args: { feedId, streamId, timeFrom, timeTo, limit, options },
+          priority: options.priority
+        }
+      };
+
+      const tags = this._isClosedRange(timeFrom, timeTo)
+        ? [`feed:${feedId}`, `stream:${feedId}/${streamId}`]
+        : null;
+
+      return this._cachedRequest('streamData', config, tags).then(dataPoints =>
+        resampleIfRequested(dataPoints, options, this._timeZone)
+      );
+    });
+  }
+
+  /**
+   * Create an async iterator walking through a stream’s data points in
+   * chronological order. Unlike {@link Energomonitor#getStreamData}, the
+   * iterator retrieves all data points in the range regardless of their
+   * count: the range is split into time windows which are retrieved one by
+   * one, and a window containing more data points than `pageSize` is split
+   * further. Data points on window boundaries are never returned twice.
+   *
+   * @param {string} feedId Retrieve data points of a stream belonging to a
+   * feed with this ID.
+   * @param {string} streamId Retrieve data of a stream with this ID.
+   * @param {(Date|string|Object)} timeFrom Only list data points measured
+   * after or at this time. Not required when `options.cursor` is set. Can be
+   * a time range instead (see the class description).
+   * @param {(Date|string)} [timeTo] Only list data points measured before or at
+   * this time. Default: now.
+   * @param {Object} [options] Additional options.
+   * @param {integer} [options.pageSize = 1000] Maximum number of data points
+   * retrieved by a single request.
+   * @param {integer} [options.windowSize = 86400] Length of the first time
+   * window, in seconds.
+   * @param {integer} [options.minWindowSize = 1] Minimum length of a time
+   * window, in seconds. The iteration fails with an `EnergomonitorError` when
+   * a window of this length contains `pageSize` or more data points.
+   * @param {integer} [options.maxWindowSize = 31536000] Maximum length of a
+   * time window, in seconds.
+   * @param {integer} [options.cursor] Resume an iteration from this position
+   * (the `cursor` property of an iterator) instead of `timeFrom`.
+   * @param {number} [options.priority] Priority of the requests in the
+   * limiter queue, overriding the `priority` option of the constructor.
+   * @return {StreamDataIterator} An async iterator whose each step resolves
+   * to a non-empty array of data points (in the same format as
+   * {@link Energomonitor#getStreamData} returns).
+   */
+  iterateStreamData(feedId, streamId, timeFrom, timeTo, options) {
+    const args = parseArguments(
+      [feedId, streamId, timeFrom, timeTo, options],
+      SIGNATURES.iterateStreamData,
+      { timeZone: this._timeZone }
+    );
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+    return new StreamDataIterator(
+      this,
+      args.feedId,
+      args.streamId,
+      args.timeFrom,
+      args.timeTo,
+      args.options
     );
   }
 
+  /**
+   * Retrieve all data points of a stream in a time range. This is a
+   * convenience wrapper around {@link Energomonitor#iterateStreamData}
+   * collecting the data points into a single array.
+   *
+   * @param {string} feedId Retrieve data points of a stream belonging to a
+   * feed with this ID.
+   * @param {string} streamId Retrieve data of a stream with this ID.
+   * @param {(Date|string|Object)} timeFrom Only list data points measured
+   * after or at this time. Not required when `options.cursor` is set. Can be
+   * a time range instead (see the class description).
+   * @param {(Date|string)} [timeTo] Only list data points measured before or at
+   * this time. Default: now.
+   * @param {Object} [options] Additional options. All options of
+   * {@link Energomonitor#iterateStreamData} are supported.
+   * @param {Object} [options.resample] Aggregate the data points into buckets
+   * of a fixed interval. An object with `interval` and `aggregation`
+   * properties, see `resample` for details.
+   * @return {Promise} A promise that resolves to the array with the data
+   * points in chronological order.
+   */
+  getAllStreamData(feedId, streamId, timeFrom, timeTo, options) {
+    return validateArguments(
+      [feedId, streamId, timeFrom, timeTo, options],
+      SIGNATURES.getAllStreamData,
+      { timeZone: this._timeZone }
+    ).then(({ feedId, streamId, timeFrom, timeTo, options }) => {
+      const iteratorOptions = Object.assign({}, options);
+      delete iteratorOptions.resample;
+
+      const iterator = this.iterateStreamData(feedId, streamId, timeFrom, timeTo, iteratorOptions);
+      const collect = dataPoints =>
+        iterator
+          .next()
+          .then(result => (result.done ? dataPoints : collect(dataPoints.concat(result.value))));
+
+      return collect([]).then(dataPoints =>
+        resampleIfRequested(dataPoints, options, this._timeZone)
+      );
+    });
+  }
+
+  /**
+   * Create a live subscription polling one or more streams and delivering
+   * new data points as they arrive, through `data` events or async
+   * iteration. The subscription does not poll until its `start` method is
+   * called or the iteration begins.
+   *
+   * @param {Object[]} streams Streams to subscribe to, objects with `feedId`
+   * and `streamId` properties.
+   * @param {Object} [options] Additional options.
+   * @param {(Date|string)} [options.timeFrom] Deliver data points measured at
+   * or after this time. Default: now (existing data points are not delivered).
+   * @param {integer} [options.minInterval = 10000] Shortest polling interval
+   * of a feed, in milliseconds, used after a poll that found new data points.
+   * @param {integer} [options.maxInterval = 60000] Longest polling interval
+   * of a feed, in milliseconds.
+   * @param {number} [options.backoff = 1.5] Factor by which the polling
+   * interval of a feed grows after each poll without new data points.
+   * @param {integer} [options.staleAfter = 600000] Emit a `stale` event when
+   * a stream has not produced data for longer than this, in milliseconds.
+   * @param {integer} [options.pageSize = 1000] Maximum number of data points
+   * retrieved by a single request.
+   * @return {StreamSubscription} The subscription.
+   */
+  subscribe(streams, options) {
+    const args = parseArguments([streams, options], SIGNATURES.subscribe);
+
+    return new StreamSubscription(this, args.streams, args.options);
+  }
+
   /**
    * Retrieve a list of related streams.
    *
@@ -286,41 +949,130 @@ class Energomonitor {
    * endpoint description for more details.
    */
   getRelatedStreams(feedId) {
-    const url = ENDPOINT_URLS.relatedStreams(feedId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([feedId], SIGNATURES.getRelatedStreams).then(({ feedId }) => {
+      const url = ENDPOINT_URLS.relatedStreams(feedId);
+      const config = {
+        method: 'get',
+        url: url,
+        operation: { name: 'getRelatedStreams', args: { feedId } }
+      };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+      return this._cachedRequest('relatedStreams', config, [`feed:${feedId}`]);
+    });
+  }
+
+  /**
+   * Retrieve groups of related streams resolved into stream objects, with the
+   * role of each group identified from the streams’ metadata where possible
+   * (e.g. phases of a multi-phase measurement or a power stream paired with
+   * an energy stream).
+   *
+   * @param {string} feedId Retrieve related streams of a feed with this ID.
+   * @return {Promise} A promise that resolves to the array with the groups,
+   * each an object with `role` (`phases`, `powerEnergy` or `null`), `streams`
+   * (the
+   * [stream objects]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}
+   * of the group) and `combined` (the stream with the sum of the phases in a
+   * `phases` group, otherwise `null`) properties. See `resolveStreamGroups`.
+   */
+  getRelatedStreamGroups(feedId) {
+    return validateArguments([feedId], SIGNATURES.getRelatedStreamGroups).then(({ feedId }) =>
+      Promise.all([this.getRelatedStreams(feedId), this.getStreams(feedId)]).then(
+        ([groups, streams]) => resolveStreamGroups(groups, streams)
+      )
     );
   }
 
+  /**
+   * Retrieve data points of several streams (e.g. members of a group of
+   * related streams, see {@link Energomonitor#getRelatedStreamGroups})
+   * aligned by their timestamps. Streams measured at different times are best
+   * aligned by resampling them to a common interval.
+   *
+   * @param {string} feedId Retrieve data points of streams belonging to a feed
+   * with this ID.
+   * @param {string[]} streamIds Retrieve data of streams with these IDs.
+   * @param {(Date|string|Object)} timeFrom Only list data points measured
+   * after or at this time. Can be a time range instead (see the class
+   * description).
+   * @param {(Date|string)} [timeTo] Only list data points measured before or
+   * at this time. Default: now.
+   * @param {Object} [options] Additional options. All options of
+   * {@link Energomonitor#getAllStreamData} are supported.
+   * @param {Object} [options.resample] Resample the data points of each
+   * stream before aligning them, see {@link Energomonitor#getAllStreamData}.
+   * @param {boolean} [options.total = false] Append the sum of the streams’
+   * values to each row (`null` when any value is missing). The `combined`
+   * stream of a group of phases is left out of the sum when some of its
+   * phases are listed too, so nothing is counted twice.
+   * @return {Promise} A promise that resolves to the array of rows in
+   * chronological order, one per timestamp: the timestamp followed by the
+   * value of each stream in the order of `streamIds` (`null` when the stream
+   * has no data point with the timestamp) and the total.
+   */
+  getStreamGroupData(feedId, streamIds, timeFrom, timeTo, options) {
+    return validateArguments(
+      [feedId, streamIds, timeFrom, timeTo, options],
+      SIGNATURES.getStreamGroupData,
+      { timeZone: this._timeZone }
+    ).then(({ feedId, streamIds, timeFrom, timeTo, options }) => {
+      const { total } = options;
+      const dataOptions = Object.assign({}, options);
+      delete dataOptions.total;
+
+      const redundant = total
+        ? this.getRelatedStreamGroups(feedId).then(groups =>
+            findRedundantStreams(groups, streamIds)
+          )
+        : Promise.resolve([]);
+
+      return Promise.all([
+        Promise.all(
+          streamIds.map(streamId =>
+            this.getAllStreamData(feedId, streamId, timeFrom, timeTo, dataOptions)
+          )
+        ),
+        redundant
+      ]).then(([series, redundant]) =>
+        alignDataPoints(series, {
+          total,
+          exclude: redundant.map(streamId => streamIds.indexOf(streamId))
+        })
+      );
+    });
+  }
+
   /**
    * Retrieve a list of user’s notifications.
    *
    * @param {string} userId Retrieve notifications of a user with this ID.
-   * @param {Date} [createdAtFrom] Only list notifications created at or
-   * after this time.
+   * @param {(Date|string)} [createdAtFrom] Only list notifications created at
+   * or after this time.
    * @return {Promise} A promise that resolves to the array of
    * [notification objects]{@link https://developers.energomonitor.com/api/endpoints/notifications.html#notification-object}.
    */
   getNotifications(userId, createdAtFrom) {
-    const url = ENDPOINT_URLS.notifications(userId);
+    return validateArguments([userId, createdAtFrom], SIGNATURES.getNotifications).then(
+      ({ userId, createdAtFrom }) => {
+        const url = ENDPOINT_URLS.notifications(userId);
 
-    const params = {};
+        const params = {};
 
-    if (createdAtFrom !== undefined) {
-      params['created_at_from'] = createdAtFrom.toISOString();
-    }
+        if (createdAtFrom !== undefined) {
+          params['created_at_from'] = createdAtFrom.toISOString();
+        }
 
-    const config = {
-      headers: this._authorizedRequestHeaders,
-      params: params
-    };
+        const config = {
+          method: 'get',
+          url: url,
+          params: params,
+          operation: { name: 'getNotifications', args: { userId, createdAtFrom } }
+        };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+        return this._authorizedRequest(config).then(response =>
+          this._model(response.data, notification => new Notification(this, userId, notification))
+        );
+      }
     );
   }
 
@@ -333,13 +1085,19 @@ class Energomonitor {
    * [notification object]{@link https://developers.energomonitor.com/api/endpoints/notifications.html#notification-object}.
    */
   getNotification(userId, notificationId) {
-    const url = ENDPOINT_URLS.notification(userId, notificationId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([userId, notificationId], SIGNATURES.getNotification).then(
+      ({ userId, notificationId }) => {
+        const url = ENDPOINT_URLS.notification(userId, notificationId);
+        const config = {
+          method: 'get',
+          url: url,
+          operation: { name: 'getNotification', args: { userId, notificationId } }
+        };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+        return this._authorizedRequest(config).then(response =>
+          this._model(response.data, notification => new Notification(this, userId, notification))
+        );
+      }
     );
   }
 
@@ -354,13 +1112,18 @@ class Energomonitor {
    * @return {Promise} A promise that resolves to null.
    */
   updateNotifications(userId, data) {
-    const url = ENDPOINT_URLS.notifications(userId);
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+    return validateArguments([userId, data], SIGNATURES.updateNotifications).then(
+      ({ userId, data }) => {
+        const url = ENDPOINT_URLS.notifications(userId);
+        const config = {
+          method: 'patch',
+          url: url,
+          data: data,
+          operation: { name: 'updateNotifications', args: { userId, data } }
+        };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.patch(url, data, config).then(() => null)
+        return this._authorizedRequest(config).then(() => null);
+      }
     );
   }
 
@@ -378,14 +1141,21 @@ class Energomonitor {
    * [notification object]{@link https://developers.energomonitor.com/api/endpoints/notifications.html#notification-object}.
    */
   updateNotification(userId, notificationId, data) {
-    const url = ENDPOINT_URLS.notification(userId, notificationId);
+    return validateArguments([userId, notificationId, data], SIGNATURES.updateNotification).then(
+      ({ userId, notificationId, data }) => {
+        const url = ENDPOINT_URLS.notification(userId, notificationId);
 
-    const config = {
-      headers: this._authorizedRequestHeaders
-    };
+        const config = {
+          method: 'patch',
+          url: url,
+          data: data,
+          operation: { name: 'updateNotification', args: { userId, notificationId, data } }
+        };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.patch(url, data, config).then(response => response.data)
+        return this._authorizedRequest(config).then(response =>
+          this._model(response.data, notification => new Notification(this, userId, notification))
+        );
+      }
     );
   }
 
@@ -400,16 +1170,537 @@ class Energomonitor {
    * endpoint description for more details.
    */
   getNotificationCount(userId) {
-    const url = ENDPOINT_URLS.notificationCount(userId);
+    return validateArguments([userId], SIGNATURES.getNotificationCount).then(({ userId }) => {
+      const url = ENDPOINT_URLS.notificationCount(userId);
+      const config = {
+        method: 'get',
+        url: url,
+        operation: { name: 'getNotificationCount', args: { userId } }
+      };
+
+      return this._authorizedRequest(config).then(response => response.data);
+    });
+  }
+
+  /**
+   * Create a watcher polling a user’s notifications and emitting events for
+   * new notifications and count changes. The watcher does not poll until its
+   * `start` method is called.
+   *
+   * @param {string} userId Watch notifications of a user with this ID.
+   * @param {Object} [options] Additional options.
+   * @param {integer} [options.minInterval = 15000] Shortest polling interval,
+   * in milliseconds, used after a poll that found changes.
+   * @param {integer} [options.maxInterval = 300000] Longest polling interval,
+   * in milliseconds.
+   * @param {number} [options.backoff = 2] Factor by which the polling
+   * interval grows after each poll without changes.
+   * @param {boolean} [options.count = true] Whether to poll
+   * {@link Energomonitor#getNotificationCount} and emit `countChanged`
+   * events.
+   * @param {(Date|string)} [options.createdAtFrom] Deliver notifications
+   * created at or after this time when there is no stored cursor. Default: the
+   * time of the first poll (existing notifications are not delivered).
+   * @param {Object} [options.store] Store persisting the cursor, e.g. an
+   * instance of `JsonFileStore`.
+   * @param {string} [options.storeKey] Key under which the cursor is saved in
+   * the store. Default: `notifications:` followed by the user ID.
+   * @return {NotificationWatcher} The watcher.
+   */
+  watchNotifications(userId, options) {
+    const args = parseArguments([userId, options], SIGNATURES.watchNotifications);
+
+    return new NotificationWatcher(this, args.userId, args.options);
+  }
+
+  /**
+   * Invalidate cached responses (see the `cache` option of the constructor).
+   * Without a scope, all cached responses are invalidated.
+   *
+   * @param {Object} [scope] Which responses to invalidate.
+   * @param {string} [scope.userId] Invalidate the feed list of a user with
+   * this ID.
+   * @param {string} [scope.feedId] Invalidate the feed with this ID, its
+   * streams, their data and its related streams.
+   * @param {string} [scope.streamId] Together with `feedId`, invalidate only
+   * the stream with this ID and its data.
+   * @return {Promise} A promise that resolves to `undefined` once the
+   * responses are invalidated.
+   */
+  invalidateCache(scope = {}) {
+    if (this._cache === null) {
+      return Promise.resolve();
+    }
+
+    const tags = [];
+
+    if (scope.userId !== undefined) {
+      tags.push(`user:${scope.userId}`);
+    }
+    if (scope.feedId !== undefined) {
+      tags.push(
+        scope.streamId !== undefined
+          ? `stream:${scope.feedId}/${scope.streamId}`
+          : `feed:${scope.feedId}`
+      );
+    }
+    if (tags.length === 0) {
+      tags.push('*');
+    }
+
+    return Promise.all(tags.map(tag => this._cache.invalidate(tag))).then(() => undefined);
+  }
+
+  /**
+   * Add a middleware to the chain every request passes through (see the class
+   * description). Middleware added later run closer to the network: their
+   * `beforeRequest` hooks are called after and their `afterResponse` and
+   * `onError` hooks before the hooks of middleware added earlier.
+   *
+   * @example
+   * em.use({
+   *   beforeRequest(context) {
+   *     context.headers['X-Request-Id'] = uuid();
+   *   },
+   *   afterResponse(context) {
+   *     console.log(`${context.operation} took ${context.duration} ms`);
+   *   }
+   * });
+   *
+   * @param {Object} middleware An object with one or more of the
+   * `beforeRequest`, `afterResponse` and `onError` functions.
+   * @return {Function} A function removing the middleware from the chain.
+   */
+  use(middleware) {
+    this._middleware.push(validateMiddleware(middleware));
+
+    return () => {
+      const index = this._middleware.indexOf(middleware);
+
+      if (index !== -1) {
+        this._middleware.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Send an authorized request and resolve to the response data, using the
+   * cache when it is enabled.
+   *
+   * @private
+   * @param {string} endpoint Name of the endpoint, used to look up its TTL.
+   * @param {Object} config Axios request config.
+   * @param {string[]|null} tags Cache tags of the response or `null` when it
+   * should not be cached.
+   * @return {Promise} A promise that resolves to the response data.
+   */
+  _cachedRequest(endpoint, config, tags) {
+    const load = () => this._authorizedRequest(config).then(response => response.data);
+
+    if (this._cache === null || tags === null) {
+      return load();
+    }
+
+    return this._cache.fetch(endpoint, this._requestKey(config), tags, load);
+  }
+
+  /**
+   * Build a key identifying a request by its URL and parameters.
+   *
+   * @private
+   * @param {Object} config Axios request config.
+   * @return {string} The key.
+   */
+  _requestKey(config) {
+    const serializer = config.paramsSerializer || qs.stringify;
+    const query = serializer(config.params || {});
+
+    return `${this._axios.defaults.baseURL}${config.url}?${query}`;
+  }
+
+  /**
+   * Decide whether data points in a time range can be cached: the range must
+   * be closed and old enough that no more data points arrive.
+   *
+   * @private
+   * @param {Date} [timeFrom] Start of the range.
+   * @param {Date} [timeTo] End of the range.
+   * @return {boolean} `true` when the data points can be cached.
+   */
+  _isClosedRange(timeFrom, timeTo) {
+    if (this._cache === null || !this._cacheOptions.streamData) {
+      return false;
+    }
+    if (timeFrom === undefined) {
+      return false;
+    }
+
+    return this._isFinal(timeTo);
+  }
+
+  /**
+   * Decide whether a time is old enough that no more data points measured
+   * before it arrive (see the `closedAfter` cache option).
+   *
+   * @private
+   * @param {Date} [time] The time.
+   * @return {boolean} `true` when the time is old enough.
+   */
+  _isFinal(time) {
+    if (this._cache === null || time === undefined) {
+      return false;
+    }
+
+    return time.getTime() <= Date.now() - this._cacheOptions.closedAfter;
+  }
+
+  /**
+   * Send a `POST /authorizations` request.
+   *
+   * @private
+   * @param {Object} operation Name and arguments of the public method
+   * creating the authorization, passed to the middleware.
+   * @return {Promise} A promise that resolves to the authorization object.
+   */
+  _createAuthorization(username, password, note, resources, validMinutes, operation) {
+    const data = {};
+
+    if (note !== undefined) {
+      data['note'] = note;
+    }
+    if (resources !== undefined) {
+      data['resources'] = resources;
+    }
+    if (validMinutes !== undefined) {
+      data['valid_minutes'] = validMinutes;
+    }
+
     const config = {
-      headers: this._authorizedRequestHeaders
+      method: 'post',
+      url: ENDPOINT_URLS.auth(),
+      data: data,
+      auth: {
+        username: username,
+        password: password
+      },
+      operation: operation
     };
 
-    return authorizedApiRequest(this._token, () =>
-      this._axios.get(url, config).then(response => response.data)
+    return this._request(config).then(response => response.data);
+  }
+
+  /**
+   * Send a request using the axios instance through the middleware chain,
+   * waiting for the limiter when there is one. Reject with an
+   * `EnergomonitorError` when the request fails.
+   *
+   * @private
+   * @param {Object} config Axios request config, optionally with an
+   * `operation` property: an object with `name` and `args` of the public
+   * method sending the request, `attempt` and `priority` (see
+   * `_requestContext`).
+   * @return {Promise} A promise that resolves to the axios response.
+   */
+  _request(config) {
+    const requestConfig = Object.assign({}, config);
+    delete requestConfig.operation;
+
+    const instrumentation = this._instrumentation;
+    const send = context => {
+      if (instrumentation !== null) {
+        instrumentation.beforeSend(context);
+      }
+
+      const request = () => {
+        context.startedAt = new Date();
+
+        return this._axios
+          .request(Object.assign({}, requestConfig, { headers: context.headers }))
+          .catch(error => {
+            throw toEnergomonitorError(error, requestConfig);
+          });
+      };
+
+      return this._limiter !== null ? this._limiter.schedule(request, context.priority) : request();
+    };
+
+    const context = this._requestContext(config);
+    const result = runMiddleware(this._middleware.slice(), context, send);
+
+    if (instrumentation === null) {
+      return result;
+    }
+
+    return result.then(
+      response => {
+        instrumentation.finish(context);
+        return response;
+      },
+      error => {
+        instrumentation.finish(context, error);
+        throw error;
+      }
     );
   }
 
+  /**
+   * Build the context of a request passed to the middleware hooks.
+   *
+   * @private
+   * @param {Object} config Axios request config (see `_request`).
+   * @return {Object} The context.
+   */
+  _requestContext(config) {
+    const operation = config.operation !== undefined ? config.operation : {};
+
+    return {
+      operation: operation.name !== undefined ? operation.name : null,
+      args: operation.args !== undefined ? operation.args : {},
+      attempt: operation.attempt !== undefined ? operation.attempt : 1,
+      priority: operation.priority !== undefined ? operation.priority : this._priority,
+      method: config.method.toUpperCase(),
+      endpoint: config.url,
+      url: `${this._axios.defaults.baseURL}${config.url}`,
+      params: Object.assign({}, config.params),
+      headers: Object.assign({}, config.headers),
+      data: config.data,
+      startedAt: null,
+      duration: null,
+      shortCircuited: false,
+      response: null,
+      error: null
+    };
+  }
+
+  /**
+   * Send a request authorized with the token. Identical GET requests share a
+   * single request while it is in progress when the `dedupe` option is set.
+   *
+   * @private
+   * @param {Object} config Axios request config.
+   * @return {Promise} A promise that resolves to the axios response.
+   */
+  _authorizedRequest(config) {
+    if (!this._dedupe || config.method !== 'get') {
+      return this._sendAuthorizedRequest(config);
+    }
+
+    const key = this._requestKey(config);
+    if (!this._inFlight.has(key)) {
+      const finish = () => this._inFlight.delete(key);
+      const request = this._sendAuthorizedRequest(config);
+
+      this._inFlight.set(key, request);
+      request.then(finish, finish);
+    }
+
+    return this._inFlight.get(key);
+  }
+
+  /**
+   * Send a request authorized with the token. Reject with
+   * `MissingTokenError` when the token is not set.
+   *
+   * @private
+   * @param {Object} config Axios request config.
+   * @return {Promise} A promise that resolves to the axios response.
+   */
+  _sendAuthorizedRequest(config) {
+    const details = { endpoint: config.url, method: config.method.toUpperCase() };
+    // Attempts of the operation, including retries and repeats with a new
+    // token.
+    let attempt = 0;
+    const sendWithToken = () => {
+      attempt += 1;
+
+      return this._request(
+        Object.assign({ headers: this._authorizedRequestHeaders }, config, {
+          operation: Object.assign({}, config.operation, { attempt })
+        })
+      );
+    };
+
+    const send = () =>
+      this._ensureToken().then(() => {
+        const token = this._token;
+
+        return authorizedApiRequest(token, sendWithToken, details).catch(error => {
+          if (!(error instanceof AuthenticationError) || this._credentials === undefined) {
+            throw error;
+          }
+
+          // Another request may have already replaced the rejected token.
+          const refresh = this._token === token ? this._refreshToken() : Promise.resolve();
+
+          return refresh.then(sendWithToken);
+        });
+      });
+
+    if (!this._isRetried(config)) {
+      return send();
+    }
+
+    return withRetry(send, this._retryPolicy, retry => {
+      this.emit('retry', Object.assign({}, details, retry));
+    });
+  }
+
+  /**
+   * Make sure the token is ready to be used: load it from the token store if
+   * needed and authorize again when it is missing or about to expire (and
+   * credentials are available).
+   *
+   * @private
+   * @return {Promise} A promise that resolves to `undefined` once the token
+   * is ready.
+   */
+  _ensureToken() {
+    if (this._tokenRefresh !== null) {
+      return this._tokenRefresh;
+    }
+
+    return this._loadToken().then(() => {
+      if (this._credentials === undefined || !this._isTokenExpiring()) {
+        return undefined;
+      }
+
+      return this._refreshToken();
+    });
+  }
+
+  /**
+   * Load the token from the token store, unless the token is already set.
+   * The store is read only once.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to `undefined` once the token
+   * is loaded.
+   */
+  _loadToken() {
+    if (this._tokenStore === undefined || this._token !== undefined) {
+      return Promise.resolve();
+    }
+
+    if (this._tokenLoad === null) {
+      this._tokenLoad = this._tokenStore.get(this._tokenStoreKey).then(stored => {
+        if (stored !== undefined && stored !== null && this._token === undefined) {
+          this._token = stored.token;
+          this._tokenExpiresAt = parseExpiration(stored.expiresAt);
+          this._authorizedRequestHeaders = buildAuthorizedRequestHeaders(stored.token);
+        }
+      });
+    }
+
+    return this._tokenLoad;
+  }
+
+  /**
+   * Decide whether the token is missing or expires within the refresh
+   * margin.
+   *
+   * @private
+   * @return {boolean} `true` when a new token is needed.
+   */
+  _isTokenExpiring() {
+    if (this._token === undefined) {
+      return true;
+    }
+    if (this._tokenExpiresAt === null) {
+      return false;
+    }
+
+    return this._tokenExpiresAt.getTime() - Date.now() <= this._refreshMargin;
+  }
+
+  /**
+   * Authorize using the credentials. Concurrent calls share a single
+   * authorization request.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to `undefined` once the new
+   * token is set.
+   */
+  _refreshToken() {
+    if (this._tokenRefresh === null) {
+      const finish = () => {
+        this._tokenRefresh = null;
+      };
+
+      this._tokenRefresh = Promise.resolve()
+        .then(() => this._credentials())
+        .then(credentials =>
+          this.authorize(
+            credentials.username,
+            credentials.password,
+            credentials.note,
+            credentials.resources,
+            credentials.validMinutes
+          )
+        )
+        .then(finish, error => {
+          finish();
+          throw error;
+        });
+    }
+
+    return this._tokenRefresh;
+  }
+
+  /**
+   * Replace the token, emit the `tokenChange` event and save the token to
+   * the token store.
+   *
+   * @private
+   * @param {string} token The new token.
+   * @param {(Date|string|null)} [expiresAt] Expiration time of the token.
+   * @return {Promise} A promise that resolves to `undefined` once the token
+   * is saved.
+   */
+  _changeToken(token, expiresAt) {
+    this._token = token;
+    this._tokenExpiresAt = parseExpiration(expiresAt);
+    this._authorizedRequestHeaders = buildAuthorizedRequestHeaders(token);
+
+    this.emit('tokenChange', { token, expiresAt: this._tokenExpiresAt });
+
+    if (this._tokenStore === undefined) {
+      return Promise.resolve();
+    }
+
+    return this._tokenStore.set(this._tokenStoreKey, {
+      token,
+      expiresAt: this._tokenExpiresAt !== null ? this._tokenExpiresAt.toISOString() : null
+    });
+  }
+
+  /**
+   * Convert API objects to models when the `models` option is enabled.
+   *
+   * @private
+   * @param {(Object|Object[])} data The API object(s).
+   * @param {Function} create Function creating a model from an API object.
+   * @return {(Object|Object[])} The model(s) or the unchanged data.
+   */
+  _model(data, create) {
+    return this._models ? wrap(data, create) : data;
+  }
+
+  /**
+   * Decide whether a failed request should be retried according to the retry
+   * policy.
+   *
+   * @private
+   * @param {Object} config Axios request config.
+   * @return {boolean} `true` when the request should be retried.
+   */
+  _isRetried(config) {
+    if (this._retryPolicy === null) {
+      return false;
+    }
+
+    return config.method === 'get' || (config.method === 'patch' && this._retryPolicy.retryUpdates);
+  }
+
   /**
    * Return the axios instance used by this client.
    *
@@ -0,0 +1,818 @@
+const crypto = require('crypto');
+const http = require('http');
+const url = require('url');
+
+const qs = require('qs');
+
+const { createFixtures } = require('./fixtures.js');
+
+// Properties of fixture objects that are not part of the API objects.
+const PRIVATE_PROPERTIES = {
+  user: ['password', 'feeds', 'notifications'],
+  feed: ['streams', 'relatedStreams'],
+  stream: ['data']
+};
+
+/**
+ * An error response of the fake API.
+ *
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * An in-process fake of the Energomonitor API for integration tests. It
+ * implements all endpoints used by the client on top of an in-memory fixture
+ * set, so an application can be tested end to end by pointing the `apiURL`
+ * parameter of {@link Energomonitor} to the server.
+ *
+ * The fixture set is an object with the following properties:
+ *
+ *   * `users` — user objects with additional `password`, `feeds` (IDs of the
+ *     user’s feeds) and `notifications` (notification objects) properties.
+ *   * `feeds` — feed objects with additional `streams` (stream objects with
+ *     an additional `data` property containing data points in chronological
+ *     order) and `relatedStreams` (groups of stream IDs) properties.
+ *   * `authorizations` — authorization objects. Tokens created by `POST
+ *     /authorizations` are added here, and adding an authorization manually
+ *     allows tests to skip authorizing.
+ *
+ * See `createFixtures` for an example. The server works with a copy of the
+ * fixture set, available as the `fixtures` property; modifying it (e.g.
+ * adding data points) changes the server’s responses.
+ */
+class FakeServer {
+  /**
+   * Create a new instance of `FakeServer`.
+   *
+   * @param {Object} [fixtures] The fixture set. Default: a fixture set created
+   * by `createFixtures`.
+   * @param {Object} [options] Additional options.
+   * @param {string} [options.basePath = /v1] Path prefix of all endpoints.
+   */
+  constructor(fixtures, options = {}) {
+    this._basePath = options.basePath !== undefined ? options.basePath : '/v1';
+    this._server = null;
+    this._sockets = new Set();
+    this.url = null;
+    this.requests = [];
+    this.seed(fixtures !== undefined ? fixtures : createFixtures());
+  }
+
+  /**
+   * Replace the fixture set and clear the log of received requests.
+   *
+   * @param {Object} fixtures The new fixture set.
+   */
+  seed(fixtures) {
+    this.fixtures = Object.assign(
+      { users: [], feeds: [], authorizations: [] },
+      JSON.parse(JSON.stringify(fixtures))
+    );
+    this.requests = [];
+  }
+
+  /**
+   * Add data points to a stream, keeping its data in chronological order.
+   * Data points with the same timestamp as an existing one replace it.
+   *
+   * @param {string} feedId ID of the feed the stream belongs to.
+   * @param {string} streamId ID of the stream.
+   * @param {Array[]} dataPoints The data points.
+   */
+  addDataPoints(feedId, streamId, dataPoints) {
+    const stream = this._findStream(feedId, streamId);
+    const byTimestamp = new Map(stream.data.map(dataPoint => [dataPoint[0], dataPoint]));
+
+    dataPoints.forEach(dataPoint => byTimestamp.set(dataPoint[0], dataPoint.slice()));
+    stream.data = Array.from(byTimestamp.values()).sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Start listening for requests.
+   *
+   * @param {integer} [port = 0] Port to listen on. The default lets the
+   * operating system pick a free port.
+   * @param {string} [hostname = 127.0.0.1] Hostname to listen on.
+   * @return {Promise} A promise that resolves to the API URL (also available
+   * as the `url` property) once the server is listening.
+   */
+  listen(port = 0, hostname = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this._server = http.createServer((request, response) => this._handle(request, response));
+      this._server.on('connection', socket => {
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+      });
+      this._server.once('error', reject);
+      this._server.listen(port, hostname, () => {
+        this.url = `http://${hostname}:${this._server.address().port}${this._basePath}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, closing all open connections.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the server
+   * is stopped.
+   */
+  close() {
+    if (this._server === null) {
+      return Promise.resolve();
+    }
+
+    const server = this._server;
+    this._server = null;
+    this.url = null;
+
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      this._sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  /**
+   * Handle an HTTP request.
+   *
+   * @private
+   * @param {http.IncomingMessage} request The request.
+   * @param {http.ServerResponse} response The response.
+   */
+  _handle(request, response) {
+    const chunks = [];
+
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const parsedURL = url.parse(request.url);
+      const context = {
+        method: request.method,
+        path: parsedURL.pathname,
+        query: qs.parse(parsedURL.query || ''),
+        headers: request.headers,
+        body: Buffer.concat(chunks).toString()
+      };
+
+      this.requests.push({
+        method: context.method,
+        path: context.path,
+        query: context.query
+      });
+
+      let result;
+      try {
+        result = this._route(context);
+      } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+
+        result = { status, body: { message: error.message } };
+      }
+
+      response.statusCode = result.status;
+      if (result.body !== undefined) {
+        response.setHeader('Content-Type', 'application/json');
+        response.end(JSON.stringify(result.body));
+      } else {
+        response.end();
+      }
+    });
+  }
+
+  /**
+   * Find the handler of a request and run it.
+   *
+   * @private
+   * @param {Object} context The parsed request.
+   * @return {Object} An object with `status` and `body` properties.
+   */
+  _route(context) {
+    if (context.path.indexOf(`${this._basePath}/`) !== 0) {
+      throw new HttpError(404, 'Not found.');
+    }
+
+    const segments = context.path
+      .slice(this._basePath.length + 1)
+      .split('/')
+      .map(decodeURIComponent);
+    const routes = [
+      ['POST', ['authorizations'], () => this._createAuthorization(context)],
+      ['GET', ['users', ':id'], ([userId]) => this._getUser(context, userId)],
+      ['GET', ['users', ':id', 'feeds'], ([userId]) => this._getFeeds(context, userId)],
+      ['GET', ['feeds', ':id'], ([feedId]) => this._getFeed(context, feedId)],
+      ['GET', ['feeds', ':id', 'streams'], ([feedId]) => this._getStreams(context, feedId)],
+      [
+        'GET',
+        ['feeds', ':id', 'streams', ':id'],
+        ([feedId, streamId]) => this._getStream(context, feedId, streamId)
+      ],
+      [
+        'GET',
+        ['feeds', ':id', 'streams', ':id', 'data'],
+        ([feedId, streamId]) => this._getStreamData(context, feedId, streamId)
+      ],
+      [
+        'GET',
+        ['feeds', ':id', 'related_streams'],
+        ([feedId]) => this._getRelatedStreams(context, feedId)
+      ],
+      [
+        'GET',
+        ['users', ':id', 'notifications'],
+        ([userId]) => this._getNotifications(context, userId)
+      ],
+      [
+        'PATCH',
+        ['users', ':id', 'notifications'],
+        ([userId]) => this._updateNotifications(context, userId)
+      ],
+      [
+        'GET',
+        ['users', ':id', 'notifications', ':id'],
+        ([userId, notificationId]) => this._getNotification(context, userId, notificationId)
+      ],
+      [
+        'PATCH',
+        ['users', ':id', 'notifications', ':id'],
+        ([userId, notificationId]) => this._updateNotification(context, userId, notificationId)
+      ],
+      [
+        'GET',
+        ['users', ':id', 'notification_count'],
+        ([userId]) => this._getNotificationCount(context, userId)
+      ]
+    ];
+
+    const matching = routes
+      .map(([method, pattern, handler]) => ({ method, handler, ids: matchPath(pattern, segments) }))
+      .filter(route => route.ids !== null);
+
+    if (matching.length === 0) {
+      throw new HttpError(404, 'Not found.');
+    }
+
+    const route = matching.filter(candidate => candidate.method === context.method)[0];
+    if (route === undefined) {
+      throw new HttpError(405, 'Method not allowed.');
+    }
+
+    return route.handler(route.ids);
+  }
+
+  /**
+   * Handle `POST /authorizations`.
+   *
+   * @private
+   */
+  _createAuthorization(context) {
+    const credentials = parseBasicAuth(context.headers.authorization);
+    const user = this.fixtures.users.filter(
+      candidate =>
+        credentials !== null &&
+        candidate.username === credentials.username &&
+        candidate.password === credentials.password
+    )[0];
+
+    if (user === undefined) {
+      throw new HttpError(401, 'Invalid username or password.');
+    }
+
+    const body = parseBody(context);
+    if (body.valid_minutes !== undefined && !isNonNegativeInteger(body.valid_minutes)) {
+      throw new HttpError(400, 'Invalid valid_minutes.');
+    }
+
+    const authorization = {
+      id: this.fixtures.authorizations.length + 1,
+      user_id: user.id,
+      token: crypto.randomBytes(16).toString('hex'),
+      note: body.note !== undefined ? body.note : null,
+      resources:
+        body.resources !== undefined
+          ? body.resources
+          : (user.feeds || []).map(feedId => ({ type: 'feed', name: feedId, permissions: ['r'] })),
+      last_used_at: null,
+      expires_at:
+        body.valid_minutes !== undefined
+          ? new Date(Date.now() + body.valid_minutes * 60 * 1000).toISOString()
+          : null
+    };
+    this.fixtures.authorizations.push(authorization);
+
+    return { status: 201, body: authorization };
+  }
+
+  /**
+   * Handle `GET /users/{user_id}`.
+   *
+   * @private
+   */
+  _getUser(context, userId) {
+    const user = this._authorizeUser(context, userId);
+
+    return { status: 200, body: omit(user, PRIVATE_PROPERTIES.user) };
+  }
+
+  /**
+   * Handle `GET /users/{user_id}/feeds`.
+   *
+   * @private
+   */
+  _getFeeds(context, userId) {
+    const user = this._authorizeUser(context, userId);
+    const feeds = this.fixtures.feeds.filter(feed => (user.feeds || []).indexOf(feed.id) !== -1);
+
+    return { status: 200, body: feeds.map(feed => omit(feed, PRIVATE_PROPERTIES.feed)) };
+  }
+
+  /**
+   * Handle `GET /feeds/{feed_id}`.
+   *
+   * @private
+   */
+  _getFeed(context, feedId) {
+    const feed = this._authorizeFeed(context, feedId);
+
+    return { status: 200, body: omit(feed, PRIVATE_PROPERTIES.feed) };
+  }
+
+  /**
+   * Handle `GET /feeds/{feed_id}/streams`.
+   *
+   * @private
+   */
+  _getStreams(context, feedId) {
+    const feed = this._authorizeFeed(context, feedId);
+    const types = toArray(context.query.type);
+    const channels = toArray(context.query.channel).map(channel =>
+      parseInteger(channel, 'channel')
+    );
+    const dataTimeFrom = parseOptionalInteger(context.query.data_time_from, 'data_time_from');
+    const dataTimeTo = parseOptionalInteger(context.query.data_time_to, 'data_time_to');
+
+    const streams = (feed.streams || []).filter(
+      stream =>
+        (types.length === 0 || types.indexOf(stream.type) !== -1) &&
+        (channels.length === 0 || channels.indexOf(stream.channel) !== -1) &&
+        ((dataTimeFrom === undefined && dataTimeTo === undefined) ||
+          filterDataPoints(stream.data || [], dataTimeFrom, dataTimeTo).length > 0)
+    );
+
+    return { status: 200, body: streams.map(stream => omit(stream, PRIVATE_PROPERTIES.stream)) };
+  }
+
+  /**
+   * Handle `GET /feeds/{feed_id}/streams/{stream_id}`.
+   *
+   * @private
+   */
+  _getStream(context, feedId, streamId) {
+    this._authorizeFeed(context, feedId, streamId);
+
+    return {
+      status: 200,
+      body: omit(this._findStream(feedId, streamId), PRIVATE_PROPERTIES.stream)
+    };
+  }
+
+  /**
+   * Handle `GET /feeds/{feed_id}/streams/{stream_id}/data`.
+   *
+   * @private
+   */
+  _getStreamData(context, feedId, streamId) {
+    this._authorizeFeed(context, feedId, streamId);
+
+    const stream = this._findStream(feedId, streamId);
+    const timeFrom = parseOptionalInteger(context.query.time_from, 'time_from');
+    const timeTo = parseOptionalInteger(context.query.time_to, 'time_to');
+    const limit = parseOptionalInteger(context.query.limit, 'limit');
+    const dataPoints = filterDataPoints(stream.data || [], timeFrom, timeTo);
+
+    // When there are more matching data points than the limit, the newest
+    // ones are returned.
+    const start = limit !== undefined ? Math.max(0, dataPoints.length - limit) : 0;
+
+    return { status: 200, body: dataPoints.slice(start) };
+  }
+
+  /**
+   * Handle `GET /feeds/{feed_id}/related_streams`.
+   *
+   * @private
+   */
+  _getRelatedStreams(context, feedId) {
+    const feed = this._authorizeFeed(context, feedId);
+
+    return { status: 200, body: feed.relatedStreams || [] };
+  }
+
+  /**
+   * Handle `GET /users/{user_id}/notifications`.
+   *
+   * @private
+   */
+  _getNotifications(context, userId) {
+    const user = this._authorizeUser(context, userId);
+    const createdAtFrom = context.query.created_at_from;
+
+    if (createdAtFrom !== undefined && isNaN(Date.parse(createdAtFrom))) {
+      throw new HttpError(400, 'Invalid created_at_from.');
+    }
+
+    const notifications = (user.notifications || [])
+      .filter(
+        notification =>
+          createdAtFrom === undefined ||
+          Date.parse(notification.created_at) >= Date.parse(createdAtFrom)
+      )
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+
+    return { status: 200, body: notifications };
+  }
+
+  /**
+   * Handle `GET /users/{user_id}/notifications/{notification_id}`.
+   *
+   * @private
+   */
+  _getNotification(context, userId, notificationId) {
+    const user = this._authorizeUser(context, userId);
+
+    return { status: 200, body: findNotification(user, notificationId) };
+  }
+
+  /**
+   * Handle `PATCH /users/{user_id}/notifications`.
+   *
+   * @private
+   */
+  _updateNotifications(context, userId) {
+    const user = this._authorizeUser(context, userId);
+    const data = parseNotificationUpdate(context, ['read']);
+
+    (user.notifications || []).forEach(notification => Object.assign(notification, data));
+
+    return { status: 205 };
+  }
+
+  /**
+   * Handle `PATCH /users/{user_id}/notifications/{notification_id}`.
+   *
+   * @private
+   */
+  _updateNotification(context, userId, notificationId) {
+    const user = this._authorizeUser(context, userId);
+    const notification = findNotification(user, notificationId);
+
+    Object.assign(notification, parseNotificationUpdate(context, ['read', 'archived']));
+
+    return { status: 200, body: notification };
+  }
+
+  /**
+   * Handle `GET /users/{user_id}/notification_count`.
+   *
+   * @private
+   */
+  _getNotificationCount(context, userId) {
+    const notifications = this._authorizeUser(context, userId).notifications || [];
+    const read = notifications.filter(notification => notification.read).length;
+
+    return {
+      status: 200,
+      body: { read, unread: notifications.length - read, total: notifications.length }
+    };
+  }
+
+  /**
+   * Find the authorization of a request by its bearer token.
+   *
+   * @private
+   * @param {Object} context The parsed request.
+   * @return {Object} The authorization object.
+   */
+  _authenticate(context) {
+    const match = /^Bearer (.+)$/.exec(context.headers.authorization || '');
+    const authorization =
+      match !== null
+        ? this.fixtures.authorizations.filter(candidate => candidate.token === match[1])[0]
+        : undefined;
+
+    if (authorization === undefined) {
+      throw new HttpError(401, 'Invalid token.');
+    }
+    if (
+      authorization.expires_at !== null &&
+      authorization.expires_at !== undefined &&
+      Date.parse(authorization.expires_at) <= Date.now()
+    ) {
+      throw new HttpError(401, 'Token expired.');
+    }
+
+    authorization.last_used_at = new Date().toISOString();
+
+    return authorization;
+  }
+
+  /**
+   * Check that a request may access a user.
+   *
+   * @private
+   * @param {Object} context The parsed request.
+   * @param {string} userId ID of the user.
+   * @return {Object} The user fixture.
+   */
+  _authorizeUser(context, userId) {
+    const authorization = this._authenticate(context);
+    const user = this.fixtures.users.filter(candidate => candidate.id === userId)[0];
+
+    if (user === undefined) {
+      throw new HttpError(404, `User ${userId} not found.`);
+    }
+    if (authorization.user_id !== userId) {
+      throw new HttpError(403, `Access to user ${userId} denied.`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Check that a request may access a feed: the feed must belong to the
+   * token’s user and be one of the token’s resources (when listed). Access
+   * to a stream is also granted by a resource of the stream, named by the
+   * stream ID like feed resources are named by the feed ID.
+   *
+   * @private
+   * @param {Object} context The parsed request.
+   * @param {string} feedId ID of the feed.
+   * @param {string} [streamId] ID of the stream accessed.
+   * @return {Object} The feed fixture.
+   */
+  _authorizeFeed(context, feedId, streamId) {
+    const authorization = this._authenticate(context);
+    const feed = this.fixtures.feeds.filter(candidate => candidate.id === feedId)[0];
+
+    if (feed === undefined) {
+      throw new HttpError(404, `Feed ${feedId} not found.`);
+    }
+
+    const user = this.fixtures.users.filter(candidate => candidate.id === authorization.user_id)[0];
+    const owned = user !== undefined && (user.feeds || []).indexOf(feedId) !== -1;
+    const granted =
+      !Array.isArray(authorization.resources) ||
+      authorization.resources.some(
+        resource =>
+          (resource.type === 'feed' && resource.name === feedId) ||
+          (streamId !== undefined && resource.type === 'stream' && resource.name === streamId)
+      );
+
+    if (!owned || !granted) {
+      throw new HttpError(403, `Access to feed ${feedId} denied.`);
+    }
+
+    return feed;
+  }
+
+  /**
+   * Find a stream fixture.
+   *
+   * @private
+   * @param {string} feedId ID of the feed the stream belongs to.
+   * @param {string} streamId ID of the stream.
+   * @return {Object} The stream fixture.
+   */
+  _findStream(feedId, streamId) {
+    const feed = this.fixtures.feeds.filter(candidate => candidate.id === feedId)[0];
+    const stream =
+      feed !== undefined
+        ? (feed.streams || []).filter(candidate => candidate.id === streamId)[0]
+        : undefined;
+
+    if (stream === undefined) {
+      throw new HttpError(404, `Stream ${streamId} not found in feed ${feedId}.`);
+    }
+    if (stream.data === undefined) {
+      stream.data = [];
+    }
+
+    return stream;
+  }
+}
+
+/**
+ * Match path segments against a route pattern.
+ *
+ * @private
+ * @param {string[]} pattern Route segments, `:id` matching any segment.
+ * @param {string[]} segments Path segments.
+ * @return {string[]|null} Segments matched by `:id` or `null` when the path
+ * does not match.
+ */
+function matchPath(pattern, segments) {
+  if (pattern.length !== segments.length) {
+    return null;
+  }
+
+  const ids = [];
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === ':id') {
+      ids.push(segments[i]);
+    } else if (pattern[i] !== segments[i]) {
+      return null;
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Return data points in a time range.
+ *
+ * @private
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @param {integer} [timeFrom] Start of the range (inclusive).
+ * @param {integer} [timeTo] End of the range (inclusive).
+ * @return {Array[]} The matching data points.
+ */
+function filterDataPoints(dataPoints, timeFrom, timeTo) {
+  return dataPoints.filter(
+    ([timestamp]) =>
+      (timeFrom === undefined || timestamp >= timeFrom) &&
+      (timeTo === undefined || timestamp <= timeTo)
+  );
+}
+
+/**
+ * Find a notification of a user.
+ *
+ * @private
+ * @param {Object} user The user fixture.
+ * @param {string} notificationId ID of the notification.
+ * @return {Object} The notification.
+ */
+function findNotification(user, notificationId) {
+  const notification = (user.notifications || []).filter(
+    candidate => String(candidate.id) === notificationId
+  )[0];
+
+  if (notification === undefined) {
+    throw new HttpError(404, `Notification ${notificationId} not found.`);
+  }
+
+  return notification;
+}
+
+/**
+ * Parse and validate the body of a notification update.
+ *
+ * @private
+ * @param {Object} context The parsed request.
+ * @param {string[]} allowed Properties that can be updated.
+ * @return {Object} The update.
+ */
+function parseNotificationUpdate(context, allowed) {
+  const body = parseBody(context);
+  const data = {};
+
+  Object.keys(body).forEach(key => {
+    if (allowed.indexOf(key) === -1 || typeof body[key] !== 'boolean') {
+      throw new HttpError(400, `Invalid property: ${key}.`);
+    }
+
+    data[key] = body[key];
+  });
+
+  return data;
+}
+
+/**
+ * Parse a JSON request body.
+ *
+ * @private
+ * @param {Object} context The parsed request.
+ * @return {Object} The body (an empty object when the body is empty).
+ */
+function parseBody(context) {
+  if (context.body === '') {
+    return {};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(context.body);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid JSON.');
+  }
+
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'The request body must be an object.');
+  }
+
+  return body;
+}
+
+/**
+ * Parse HTTP Basic authentication credentials.
+ *
+ * @private
+ * @param {string} [header] Value of the `Authorization` header.
+ * @return {Object|null} An object with `username` and `password` properties
+ * or `null` when the header does not contain Basic credentials.
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic (.+)$/.exec(header || '');
+  if (match === null) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+/**
+ * Parse an optional non-negative integer query parameter.
+ *
+ * @private
+ * @param {string} [value] Value of the parameter.
+ * @param {string} name Name of the parameter.
+ * @return {integer|undefined} The parsed value.
+ */
+function parseOptionalInteger(value, name) {
+  return value !== undefined ? parseInteger(value, name) : undefined;
+}
+
+/**
+ * Parse a non-negative integer query parameter.
+ *
+ * @private
+ * @param {string} value Value of the parameter.
+ * @param {string} name Name of the parameter.
+ * @return {integer} The parsed value.
+ */
+function parseInteger(value, name) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new HttpError(400, `Invalid ${name}.`);
+  }
+
+  return parseInt(value, 10);
+}
+
+/**
+ * Decide whether a value is a non-negative integer.
+ *
+ * @private
+ * @param {*} value The value.
+ * @return {boolean} `true` for non-negative integers.
+ */
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Convert a query parameter that may be specified multiple times to an
+ * array.
+ *
+ * @private
+ * @param {(string|string[])} [value] Value of the parameter.
+ * @return {string[]} The values.
+ */
+function toArray(value) {
+  if (value === undefined) {
+    return [];
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Copy an object without some of its properties.
+ *
+ * @private
+ * @param {Object} object The object.
+ * @param {string[]} properties Properties to be left out.
+ * @return {Object} The copy.
+ */
+function omit(object, properties) {
+  const result = {};
+
+  Object.keys(object).forEach(key => {
+    if (properties.indexOf(key) === -1) {
+      result[key] = object[key];
+    }
+  });
+
+  return result;
+}
+
+module.exports = FakeServer;
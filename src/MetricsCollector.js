@@ -0,0 +1,234 @@
+// Upper bounds of the latency histogram buckets, in milliseconds.
+const DEFAULT_BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Escape a Prometheus label value.
+ *
+ * @param {string} value The value.
+ * @return {string} The escaped value.
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Collects request records of one or more clients in memory (see the
+ * `metrics` option of {@link Energomonitor}) and aggregates them per
+ * operation: request, error, retry and status counts, response sizes and a
+ * latency histogram. Dump the metrics with `getMetrics` or expose them to
+ * Prometheus with `toPrometheus`.
+ */
+class MetricsCollector {
+  /**
+   * Create a new instance of `MetricsCollector`.
+   *
+   * @param {Object} [options] Options.
+   * @param {number[]} [options.buckets = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]]
+   * Upper bounds of the latency histogram buckets, in milliseconds.
+   * @param {string} [options.prefix = energomonitor] Prefix of the
+   * Prometheus metric names.
+   */
+  constructor(options = {}) {
+    const buckets = options.buckets !== undefined ? options.buckets : DEFAULT_BUCKETS;
+
+    if (
+      !Array.isArray(buckets) ||
+      buckets.length === 0 ||
+      buckets.some((bound, index) => typeof bound !== 'number' || bound <= buckets[index - 1])
+    ) {
+      throw new TypeError('buckets must be a non-empty array of increasing numbers.');
+    }
+
+    this._buckets = buckets;
+    this._prefix = options.prefix !== undefined ? options.prefix : 'energomonitor';
+    this._operations = new Map();
+  }
+
+  /**
+   * Add a request record.
+   *
+   * @param {Object} record The record of a finished request with
+   * `operation`, `status`, `duration`, `size` (`null` when unknown),
+   * `retries`, `shortCircuited` and `error` properties.
+   */
+  record(record) {
+    if (!this._operations.has(record.operation)) {
+      this._operations.set(record.operation, {
+        requests: 0,
+        errors: 0,
+        retries: 0,
+        shortCircuited: 0,
+        statuses: {},
+        bytes: 0,
+        latency: {
+          count: 0,
+          sum: 0,
+          min: null,
+          max: null,
+          buckets: this._buckets.map(() => 0)
+        }
+      });
+    }
+
+    const metrics = this._operations.get(record.operation);
+    const latency = metrics.latency;
+
+    metrics.requests += 1;
+    metrics.retries += record.retries > 0 ? 1 : 0;
+    if (record.size !== null) {
+      metrics.bytes += record.size;
+    }
+    if (record.error !== null) {
+      metrics.errors += 1;
+    }
+    if (record.shortCircuited) {
+      metrics.shortCircuited += 1;
+    }
+    if (record.status !== null) {
+      metrics.statuses[record.status] = (metrics.statuses[record.status] || 0) + 1;
+    }
+    if (record.duration !== null) {
+      latency.count += 1;
+      latency.sum += record.duration;
+      latency.min = latency.min === null ? record.duration : Math.min(latency.min, record.duration);
+      latency.max = latency.max === null ? record.duration : Math.max(latency.max, record.duration);
+
+      const index = this._buckets.findIndex(bound => record.duration <= bound);
+      if (index !== -1) {
+        latency.buckets[index] += 1;
+      }
+    }
+  }
+
+  /**
+   * Return the aggregated metrics.
+   *
+   * @return {Object} An object with an `operations` property mapping
+   * operation names to objects with `requests` (number of requests,
+   * including repeated attempts), `errors`, `retries` (number of repeated
+   * attempts), `shortCircuited` (requests answered by a middleware),
+   * `statuses` (counts by HTTP status), `bytes` (total size of the
+   * responses of a known size) and `latency` properties. `latency` has `count`, `sum`,
+   * `min`, `max` and `mean` (in milliseconds) and `buckets`: an array of
+   * objects with `le` (the upper bound or `Infinity`) and `count`
+   * (cumulative) properties.
+   */
+  getMetrics() {
+    const operations = {};
+
+    this._operations.forEach((metrics, operation) => {
+      const latency = metrics.latency;
+      let cumulative = 0;
+      const buckets = this._buckets.map((le, index) => {
+        cumulative += latency.buckets[index];
+        return { le, count: cumulative };
+      });
+      buckets.push({ le: Infinity, count: latency.count });
+
+      operations[operation] = Object.assign({}, metrics, {
+        statuses: Object.assign({}, metrics.statuses),
+        latency: {
+          count: latency.count,
+          sum: latency.sum,
+          min: latency.min,
+          max: latency.max,
+          mean: latency.count > 0 ? latency.sum / latency.count : null,
+          buckets
+        }
+      });
+    });
+
+    return { operations };
+  }
+
+  /**
+   * Return the metrics in the Prometheus text exposition format.
+   *
+   * @return {string} The metrics.
+   */
+  toPrometheus() {
+    const operations = this.getMetrics().operations;
+    const names = Object.keys(operations);
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      const fullName = `${this._prefix}_${name}`;
+
+      lines.push(`# HELP ${fullName} ${help}`);
+      lines.push(`# TYPE ${fullName} ${type}`);
+      samples.forEach(([suffix, labels, value]) => {
+        const labelText = Object.keys(labels)
+          .map(label => `${label}="${escapeLabel(labels[label])}"`)
+          .join(',');
+
+        lines.push(`${fullName}${suffix}{${labelText}} ${value}`);
+      });
+    };
+    const perOperation = property =>
+      names.map(operation => ['', { operation }, operations[operation][property]]);
+
+    metric('requests_total', 'counter', 'Requests sent.', perOperation('requests'));
+    metric(
+      'responses_total',
+      'counter',
+      'Responses received, by HTTP status.',
+      [].concat(
+        ...names.map(operation => {
+          const statuses = operations[operation].statuses;
+          return Object.keys(statuses).map(status => ['', { operation, status }, statuses[status]]);
+        })
+      )
+    );
+    metric('request_errors_total', 'counter', 'Failed requests.', perOperation('errors'));
+    metric('request_retries_total', 'counter', 'Repeated requests.', perOperation('retries'));
+    metric(
+      'response_size_bytes_total',
+      'counter',
+      'Total size of the responses.',
+      perOperation('bytes')
+    );
+    metric(
+      'request_duration_milliseconds',
+      'histogram',
+      'Request latency.',
+      [].concat(
+        ...names.map(operation => {
+          const latency = operations[operation].latency;
+
+          return latency.buckets
+            .map(({ le, count }) => [
+              '_bucket',
+              { operation, le: le === Infinity ? '+Inf' : le },
+              count
+            ])
+            .concat([
+              ['_sum', { operation }, latency.sum],
+              ['_count', { operation }, latency.count]
+            ]);
+        })
+      )
+    );
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Forget all records.
+   */
+  reset() {
+    this._operations.clear();
+  }
+
+  /**
+   * Return the aggregated metrics for `JSON.stringify`.
+   *
+   * @return {Object} The metrics (see `getMetrics`).
+   */
+  toJSON() {
+    return this.getMetrics();
+  }
+}
+
+module.exports = MetricsCollector;
@@ -0,0 +1,292 @@
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+  minInterval: 15 * 1000,
+  maxInterval: 5 * 60 * 1000,
+  backoff: 2,
+  count: true
+};
+
+/**
+ * Watches a user’s notifications by polling the API. Instances are created
+ * by {@link Energomonitor#watchNotifications}.
+ *
+ * The watcher remembers the creation time of the newest notification it has
+ * seen (the cursor) and asks only for notifications created since then. The
+ * cursor can be persisted in a store, so that a restarted process does not
+ * deliver the same notifications again.
+ *
+ * The polling interval adapts to the activity: it drops to `minInterval`
+ * after a poll that found changes and grows by the `backoff` factor after
+ * each poll that did not (or failed), up to `maxInterval`.
+ *
+ * The watcher is an `EventEmitter` emitting the following events:
+ *
+ *   * `notification` — emitted for each new notification (in the order of
+ *     creation). The listener receives the
+ *     [notification object]{@link https://developers.energomonitor.com/api/endpoints/notifications.html#notification-object}.
+ *   * `countChanged` — emitted when the notification count information (see
+ *     {@link Energomonitor#getNotificationCount}) changes, e.g. when a
+ *     notification is read in another application. The listener receives an
+ *     object with `current` and `previous` properties.
+ *   * `error` — emitted when a poll fails. The watcher keeps polling. Without
+ *     a listener, the promise returned by {@link NotificationWatcher#poll}
+ *     (or `start`) rejects instead and failures of scheduled polls are
+ *     ignored.
+ *
+ * @extends EventEmitter
+ */
+class NotificationWatcher extends EventEmitter {
+  /**
+   * Create a new instance of `NotificationWatcher`.
+   *
+   * @param {Energomonitor} energomonitor The client used to poll the API.
+   * @param {string} userId ID of the user whose notifications are watched.
+   * @param {Object} [options] Options, see
+   * {@link Energomonitor#watchNotifications}.
+   */
+  constructor(energomonitor, userId, options = {}) {
+    super();
+
+    this._energomonitor = energomonitor;
+    this._userId = userId;
+    this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this._storeKey = options.storeKey !== undefined ? options.storeKey : `notifications:${userId}`;
+    this._state = null;
+    this._interval = this._options.minInterval;
+    this._timer = null;
+    this._running = false;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Current polling interval, in milliseconds.
+   *
+   * @type {integer}
+   */
+  get interval() {
+    return this._interval;
+  }
+
+  /**
+   * Creation time of the newest seen notification (or the time watching
+   * started from), or `null` before the first poll.
+   *
+   * @type {Date|null}
+   */
+  get cursor() {
+    return this._state !== null ? new Date(this._state.cursor) : null;
+  }
+
+  /**
+   * Start polling. The first poll is sent immediately.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the first
+   * poll finishes.
+   */
+  start() {
+    if (this._running) {
+      return this._queue;
+    }
+
+    this._running = true;
+    return this.poll();
+  }
+
+  /**
+   * Stop polling.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once a poll in
+   * progress (if any) finishes.
+   */
+  stop() {
+    this._running = false;
+    this._clearTimer();
+
+    return this._queue;
+  }
+
+  /**
+   * Poll the API now, regardless of the polling interval. Failures are
+   * emitted as `error` events.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the poll
+   * finishes. It rejects when the poll fails and there is no `error`
+   * listener.
+   */
+  poll() {
+    // Polls are serialized so that a notification is never delivered twice.
+    const result = this._queue.then(() => this._poll());
+    this._queue = result.catch(() => undefined);
+
+    return result;
+  }
+
+  /**
+   * Poll the API, emit events and schedule the next poll.
+   *
+   * @private
+   */
+  async _poll() {
+    const { minInterval, maxInterval, backoff } = this._options;
+
+    this._clearTimer();
+
+    try {
+      await this._loadState();
+
+      const notificationsChanged = await this._pollNotifications();
+      const countChanged = this._options.count ? await this._pollCount() : false;
+
+      await this._saveState();
+
+      this._interval =
+        notificationsChanged || countChanged
+          ? minInterval
+          : Math.min(maxInterval, this._interval * backoff);
+    } catch (error) {
+      this._interval = Math.min(maxInterval, this._interval * backoff);
+      if (this.listenerCount('error') === 0) {
+        throw error;
+      }
+      this.emit('error', error);
+    } finally {
+      if (this._running) {
+        // Nobody waits for scheduled polls; their failures were emitted.
+        this._timer = setTimeout(() => this.poll().catch(() => undefined), this._interval);
+      }
+    }
+  }
+
+  /**
+   * Retrieve notifications created since the cursor and emit the new ones.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to `true` when there were new
+   * notifications.
+   */
+  async _pollNotifications() {
+    const state = this._state;
+    const notifications = await this._energomonitor.getNotifications(
+      this._userId,
+      new Date(state.cursor)
+    );
+
+    // Notifications created exactly at the cursor are returned again, so
+    // their IDs are remembered.
+    const newNotifications = notifications
+      .filter(notification => {
+        const createdAt = Date.parse(notification.created_at);
+
+        return (
+          createdAt > state.cursor ||
+          (createdAt === state.cursor && state.seenIds.indexOf(notification.id) === -1)
+        );
+      })
+      .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+    newNotifications.forEach(notification => {
+      const createdAt = Date.parse(notification.created_at);
+
+      if (createdAt > state.cursor) {
+        state.cursor = createdAt;
+        state.seenIds = [];
+      }
+      state.seenIds.push(notification.id);
+
+      this.emit('notification', notification);
+    });
+
+    return newNotifications.length > 0;
+  }
+
+  /**
+   * Retrieve the notification count information and emit `countChanged`
+   * when it differs from the previous one.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to `true` when the count
+   * changed.
+   */
+  async _pollCount() {
+    const count = await this._energomonitor.getNotificationCount(this._userId);
+    const current = { read: count.read, unread: count.unread, total: count.total };
+    const previous = this._state.count;
+
+    this._state.count = current;
+
+    const changed =
+      previous !== null &&
+      (previous.read !== current.read ||
+        previous.unread !== current.unread ||
+        previous.total !== current.total);
+
+    if (changed) {
+      this.emit('countChanged', { current, previous });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Load the cursor from the store, or initialize it. The store is read only
+   * once.
+   *
+   * @private
+   */
+  async _loadState() {
+    if (this._state !== null) {
+      return;
+    }
+
+    const store = this._options.store;
+    const stored = store !== undefined ? await store.get(this._storeKey) : undefined;
+
+    if (stored !== undefined && stored !== null) {
+      this._state = {
+        cursor: Date.parse(stored.cursor),
+        seenIds: stored.seenIds || [],
+        count: stored.count || null
+      };
+    } else {
+      const createdAtFrom = this._options.createdAtFrom;
+
+      this._state = {
+        cursor: createdAtFrom !== undefined ? createdAtFrom.getTime() : Date.now(),
+        seenIds: [],
+        count: null
+      };
+    }
+  }
+
+  /**
+   * Save the cursor to the store.
+   *
+   * @private
+   */
+  async _saveState() {
+    const store = this._options.store;
+
+    if (store !== undefined) {
+      await store.set(this._storeKey, {
+        cursor: new Date(this._state.cursor).toISOString(),
+        seenIds: this._state.seenIds,
+        count: this._state.count
+      });
+    }
+  }
+
+  /**
+   * Cancel the scheduled poll.
+   *
+   * @private
+   */
+  _clearTimer() {
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+module.exports = NotificationWatcher;
@@ -0,0 +1,187 @@
+/**
+ * Throw `TypeError` unless an option is a positive number (or `undefined`).
+ *
+ * @param {*} value Value of the option.
+ * @param {string} name Name of the option.
+ */
+function checkPositive(value, name) {
+  if (value !== undefined && (typeof value !== 'number' || !(value > 0))) {
+    throw new TypeError(`The ${name} option must be a positive number.`);
+  }
+}
+
+/**
+ * Limits how many requests run at the same time and, optionally, how many
+ * start per time interval (a token bucket). Requests that cannot start yet
+ * wait in a queue ordered by priority; requests with the same priority start
+ * in the order they were scheduled.
+ *
+ * A limiter can be shared by several clients (see the `limiter` option of
+ * {@link Energomonitor}), e.g. a client for interactive requests with a high
+ * priority and a client for batch jobs with a low one.
+ */
+class RequestLimiter {
+  /**
+   * Create a new instance of `RequestLimiter`.
+   *
+   * @param {Object} [options] Options.
+   * @param {integer} [options.concurrency = Infinity] Maximum number of
+   * requests running at the same time.
+   * @param {Object} [options.rateLimit] Limit of the request rate.
+   * @param {integer} options.rateLimit.requests Number of requests allowed
+   * per `interval`.
+   * @param {integer} [options.rateLimit.interval = 1000] Length of the
+   * interval, in milliseconds.
+   * @param {integer} [options.rateLimit.burst] Maximum number of requests
+   * that can start at once after a period of inactivity. Default: `requests`.
+   * @throws {TypeError} When a limit is not a positive number.
+   */
+  constructor(options = {}) {
+    checkPositive(options.concurrency, 'concurrency');
+    this._concurrency = options.concurrency !== undefined ? options.concurrency : Infinity;
+    this._queue = [];
+    this._running = 0;
+    this._timer = null;
+
+    const rateLimit = options.rateLimit;
+    if (rateLimit !== undefined) {
+      if (rateLimit.requests === undefined) {
+        throw new TypeError('The rateLimit.requests option is required.');
+      }
+      ['requests', 'interval', 'burst'].forEach(name =>
+        checkPositive(rateLimit[name], `rateLimit.${name}`)
+      );
+
+      const interval = rateLimit.interval !== undefined ? rateLimit.interval : 1000;
+
+      this._capacity = rateLimit.burst !== undefined ? rateLimit.burst : rateLimit.requests;
+      this._refillRate = rateLimit.requests / interval;
+      this._tokens = this._capacity;
+      this._refilledAt = Date.now();
+    } else {
+      this._capacity = null;
+    }
+  }
+
+  /**
+   * Number of requests waiting in the queue.
+   *
+   * @type {integer}
+   */
+  get pending() {
+    return this._queue.length;
+  }
+
+  /**
+   * Number of running requests.
+   *
+   * @type {integer}
+   */
+  get running() {
+    return this._running;
+  }
+
+  /**
+   * Run a task once the limits allow it.
+   *
+   * @param {Function} task Function starting the request and returning a
+   * promise.
+   * @param {number} [priority = 0] Priority of the task. Tasks with higher
+   * priorities start first.
+   * @return {Promise} A promise that resolves or rejects with the result of
+   * the task.
+   */
+  schedule(task, priority = 0) {
+    return new Promise((resolve, reject) => {
+      const item = { task, priority, resolve, reject };
+      const index = this._queue.findIndex(queued => queued.priority < priority);
+
+      if (index === -1) {
+        this._queue.push(item);
+      } else {
+        this._queue.splice(index, 0, item);
+      }
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Start queued tasks while the limits allow it.
+   *
+   * @private
+   */
+  _drain() {
+    while (this._queue.length > 0 && this._running < this._concurrency) {
+      if (!this._takeToken()) {
+        this._waitForToken();
+        return;
+      }
+
+      const item = this._queue.shift();
+      const finish = () => {
+        this._running--;
+        this._drain();
+      };
+
+      this._running++;
+      Promise.resolve()
+        .then(item.task)
+        .then(
+          result => {
+            finish();
+            item.resolve(result);
+          },
+          error => {
+            finish();
+            item.reject(error);
+          }
+        );
+    }
+  }
+
+  /**
+   * Take a token from the bucket when the rate limit is set.
+   *
+   * @private
+   * @return {boolean} `true` when a request may start.
+   */
+  _takeToken() {
+    if (this._capacity === null) {
+      return true;
+    }
+
+    const now = Date.now();
+    this._tokens = Math.min(
+      this._capacity,
+      this._tokens + (now - this._refilledAt) * this._refillRate
+    );
+    this._refilledAt = now;
+
+    if (this._tokens < 1) {
+      return false;
+    }
+
+    this._tokens--;
+    return true;
+  }
+
+  /**
+   * Drain the queue again once the next token is available.
+   *
+   * @private
+   */
+  _waitForToken() {
+    if (this._timer !== null) {
+      return;
+    }
+
+    const wait = Math.ceil((1 - this._tokens) / this._refillRate);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._drain();
+    }, wait);
+  }
+}
+
+module.exports = RequestLimiter;
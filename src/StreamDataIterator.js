@@ -0,0 +1,158 @@
+const { EnergomonitorError } = require('./errors.js');
+const { dateToTimestamp } = require('./utils.js');
+
+const DEFAULT_OPTIONS = {
+  pageSize: 1000,
+  windowSize: 24 * 60 * 60,
+  minWindowSize: 1,
+  maxWindowSize: 365 * 24 * 60 * 60
+};
+
+/**
+ * Async iterator walking through a stream’s data points in a time range in
+ * chronological order. Instances are created by
+ * {@link Energomonitor#iterateStreamData}.
+ *
+ * The range is split into time windows, each retrieved by a single request.
+ * Because the API returns only the newest data points when there are more of
+ * them than the limit, a window that comes back full is split in half and
+ * retrieved again. Windows that come back sparse are doubled for the next
+ * request. A window of `minWindowSize` that still comes back full cannot be
+ * split, so the iteration fails with an `EnergomonitorError` instead of
+ * skipping the missing data points (use a larger `pageSize` or a smaller
+ * `minWindowSize` then).
+ *
+ * Each iteration step resolves to a non-empty array of data points (one
+ * window). The iterator can be used with `for await...of` where supported, or
+ * by calling `next()` directly.
+ */
+class StreamDataIterator {
+  /**
+   * Create a new instance of `StreamDataIterator`.
+   *
+   * @param {Energomonitor} energomonitor The client used to retrieve data.
+   * @param {string} feedId ID of the feed the stream belongs to.
+   * @param {string} streamId ID of the stream.
+   * @param {Date} timeFrom Start of the range (inclusive).
+   * @param {Date} [timeTo] End of the range (inclusive). Default: now.
+   * @param {Object} [options] Options, see
+   * {@link Energomonitor#iterateStreamData}.
+   */
+  constructor(energomonitor, feedId, streamId, timeFrom, timeTo, options = {}) {
+    this._energomonitor = energomonitor;
+    this._feedId = feedId;
+    this._streamId = streamId;
+    this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    this._windowStart = options.cursor !== undefined ? options.cursor : dateToTimestamp(timeFrom);
+    this._end = dateToTimestamp(timeTo !== undefined ? timeTo : new Date());
+    this._windowSize = this._options.windowSize;
+    this._lastTimestamp = -Infinity;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Position of the iterator: a Unix timestamp from which the remaining data
+   * points will be retrieved. Pass it as the `cursor` option of
+   * {@link Energomonitor#iterateStreamData} to resume the iteration later.
+   *
+   * @type {integer}
+   */
+  get cursor() {
+    return this._windowStart;
+  }
+
+  /**
+   * Retrieve the next window of data points.
+   *
+   * @return {Promise} A promise that resolves to an iterator result object:
+   * `{ value: dataPoints, done: false }` or `{ value: undefined, done: true }`
+   * when there are no more data points. It rejects with an
+   * `EnergomonitorError` when a window of `minWindowSize` is full; the cursor
+   * stays at the start of that window.
+   */
+  next() {
+    // Concurrent calls are serialized so that windows are never skipped.
+    const result = this._queue.then(() => this._fetchNext());
+    this._queue = result.catch(() => undefined);
+
+    return result;
+  }
+
+  /**
+   * Finish the iteration early.
+   *
+   * @return {Promise} A promise that resolves to `{ value: undefined, done:
+   * true }`.
+   */
+  return() {
+    this._windowStart = this._end + 1;
+
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Retrieve windows until one of them contains new data points or the end
+   * of the range is reached.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to an iterator result object.
+   */
+  async _fetchNext() {
+    const { pageSize, minWindowSize, maxWindowSize } = this._options;
+
+    while (this._windowStart <= this._end) {
+      const windowStart = this._windowStart;
+      const windowEnd = Math.min(windowStart + this._windowSize - 1, this._end);
+      const dataPoints = await this._energomonitor.getStreamData(
+        this._feedId,
+        this._streamId,
+        new Date(windowStart * 1000),
+        new Date(windowEnd * 1000),
+        pageSize,
+        { priority: this._options.priority }
+      );
+
+      const length = windowEnd - windowStart + 1;
+      if (dataPoints.length >= pageSize) {
+        // The window was truncated, the oldest data points are missing.
+        if (length <= minWindowSize) {
+          throw new EnergomonitorError(
+            `Data points of stream ${this._streamId} from ${windowStart} to ${windowEnd} ` +
+              `exceed the page size of ${pageSize} and the window cannot be split further. ` +
+              'Increase pageSize or decrease minWindowSize.'
+          );
+        }
+
+        this._windowSize = Math.max(minWindowSize, Math.floor(length / 2));
+        continue;
+      }
+
+      this._windowStart = windowEnd + 1;
+      if (dataPoints.length < pageSize / 4) {
+        this._windowSize = Math.min(maxWindowSize, this._windowSize * 2);
+      }
+
+      const newDataPoints = dataPoints
+        .slice()
+        .sort((a, b) => a[0] - b[0])
+        .filter(dataPoint => dataPoint[0] > this._lastTimestamp);
+
+      if (newDataPoints.length > 0) {
+        this._lastTimestamp = newDataPoints[newDataPoints.length - 1][0];
+
+        return { value: newDataPoints, done: false };
+      }
+    }
+
+    return { value: undefined, done: true };
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  StreamDataIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = StreamDataIterator;
@@ -0,0 +1,404 @@
+const EventEmitter = require('events');
+
+const { dateToTimestamp } = require('./utils.js');
+
+const DEFAULT_OPTIONS = {
+  minInterval: 10 * 1000,
+  maxInterval: 60 * 1000,
+  backoff: 1.5,
+  staleAfter: 10 * 60 * 1000,
+  pageSize: 1000
+};
+
+/**
+ * A live subscription to one or more streams, delivering data points as they
+ * arrive. Instances are created by {@link Energomonitor#subscribe}.
+ *
+ * For each stream, the subscription remembers the timestamp of the last
+ * delivered data point and polls only for data points measured after it.
+ * Streams of the same feed are polled together: when more of them are
+ * subscribed, a single {@link Energomonitor#getStreams} request first finds
+ * which of them have new data. The polling interval of a feed drops to
+ * `minInterval` when new data points arrive and grows by the `backoff` factor
+ * while nothing changes, up to `maxInterval`.
+ *
+ * The subscription is an `EventEmitter` emitting the following events:
+ *
+ *   * `data` — emitted when new data points of a stream arrive. The listener
+ *     receives an object with `feedId`, `streamId` and `dataPoints` (in
+ *     chronological order) properties.
+ *   * `stale` — emitted when a stream has not produced data for longer than
+ *     `staleAfter`. The listener receives an object with `feedId`, `streamId`
+ *     and `lastTimestamp` (`null` when no data point was delivered)
+ *     properties.
+ *   * `resumed` — emitted when a stale stream produces data again. The
+ *     listener receives an object with `feedId` and `streamId` properties.
+ *   * `error` — emitted when polling fails. The subscription keeps polling.
+ *
+ * The subscription is also an async iterator whose steps resolve to the
+ * objects delivered by the `data` events. It can be used with `for
+ * await...of` where supported, or by calling `next()` directly. Iterating
+ * starts the subscription; finishing the iteration stops it for good: further
+ * `next()` calls resolve to the end of the iteration. When there is no
+ * `error` listener, polling failures reject the pending `next()` call instead
+ * of being emitted. Without a listener and an iteration, they reject the
+ * promise returned by {@link StreamSubscription#poll} (or `start`) and
+ * failures of scheduled polls are ignored.
+ *
+ * @extends EventEmitter
+ */
+class StreamSubscription extends EventEmitter {
+  /**
+   * Create a new instance of `StreamSubscription`.
+   *
+   * @param {Energomonitor} energomonitor The client used to poll the API.
+   * @param {Object[]} streams Subscribed streams, objects with `feedId` and
+   * `streamId` properties.
+   * @param {Object} [options] Options, see {@link Energomonitor#subscribe}.
+   */
+  constructor(energomonitor, streams, options = {}) {
+    super();
+
+    this._energomonitor = energomonitor;
+    this._options = Object.assign({}, DEFAULT_OPTIONS, options);
+    this._running = false;
+    this._iterating = false;
+    this._finished = false;
+    // Delivered values (or errors) not yet consumed by the iterator and
+    // `next()` calls waiting for them.
+    this._buffer = [];
+    this._waiting = [];
+
+    const timeFrom = options.timeFrom !== undefined ? options.timeFrom : new Date();
+    const startedAt = dateToTimestamp(timeFrom) - 1;
+
+    this._feeds = new Map();
+    streams.forEach(({ feedId, streamId }) => {
+      if (!this._feeds.has(feedId)) {
+        this._feeds.set(feedId, {
+          feedId,
+          streams: [],
+          interval: this._options.minInterval,
+          timer: null,
+          queue: Promise.resolve()
+        });
+      }
+
+      this._feeds.get(feedId).streams.push({
+        streamId,
+        lastTimestamp: startedAt,
+        delivered: false,
+        stale: false
+      });
+    });
+  }
+
+  /**
+   * Start polling. The first poll of each feed is sent immediately.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the first
+   * polls finish.
+   */
+  start() {
+    if (this._running) {
+      return Promise.resolve();
+    }
+
+    this._running = true;
+    return this.poll();
+  }
+
+  /**
+   * Stop polling. A pending `next()` call resolves to the end of the
+   * iteration.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once polls in
+   * progress (if any) finish.
+   */
+  stop() {
+    this._running = false;
+
+    const queues = [];
+    this._feeds.forEach(feed => {
+      clearTimeout(feed.timer);
+      feed.timer = null;
+      queues.push(feed.queue);
+    });
+
+    this._waiting.splice(0).forEach(waiting => waiting.resolve({ value: undefined, done: true }));
+
+    return Promise.all(queues).then(() => undefined);
+  }
+
+  /**
+   * Poll all feeds now, regardless of their polling intervals.
+   *
+   * @return {Promise} A promise that resolves to `undefined` once the polls
+   * finish.
+   */
+  poll() {
+    const polls = Array.from(this._feeds.values()).map(feed => this._schedulePoll(feed));
+
+    return Promise.all(polls).then(() => undefined);
+  }
+
+  /**
+   * Wait for the next delivery of data points. Starts the subscription when
+   * it is not running.
+   *
+   * @return {Promise} A promise that resolves to an iterator result object:
+   * `{ value: { feedId, streamId, dataPoints }, done: false }`, or `{ value:
+   * undefined, done: true }` once the subscription is stopped or the
+   * iteration finished.
+   */
+  next() {
+    if (this._finished) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    this._iterating = true;
+
+    if (this._buffer.length > 0) {
+      const item = this._buffer.shift();
+
+      return item.error !== undefined
+        ? Promise.reject(item.error)
+        : Promise.resolve({ value: item.value, done: false });
+    }
+
+    const result = new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+
+    if (!this._running) {
+      this.start();
+    }
+
+    return result;
+  }
+
+  /**
+   * Finish the iteration early, stopping the subscription.
+   *
+   * @return {Promise} A promise that resolves to `{ value: undefined, done:
+   * true }`.
+   */
+  return() {
+    this._finished = true;
+    this._buffer = [];
+
+    return this.stop().then(() => ({ value: undefined, done: true }));
+  }
+
+  /**
+   * Poll a feed once all its previous polls finish.
+   *
+   * @private
+   * @param {Object} feed The feed state.
+   * @return {Promise} A promise that resolves to `undefined` once the poll
+   * finishes.
+   */
+  _schedulePoll(feed) {
+    const result = feed.queue.then(() => this._pollFeed(feed));
+    feed.queue = result.catch(() => undefined);
+
+    return result;
+  }
+
+  /**
+   * Poll a feed, deliver new data points and schedule the next poll.
+   *
+   * @private
+   * @param {Object} feed The feed state.
+   */
+  async _pollFeed(feed) {
+    const { minInterval, maxInterval, backoff } = this._options;
+
+    clearTimeout(feed.timer);
+    feed.timer = null;
+
+    try {
+      const streams = await this._findUpdatedStreams(feed);
+      const results = await Promise.all(
+        streams.map(stream => this._fetchNewDataPoints(feed.feedId, stream))
+      );
+
+      let changed = false;
+      streams.forEach((stream, index) => {
+        const dataPoints = results[index].filter(dataPoint => dataPoint[0] > stream.lastTimestamp);
+
+        if (dataPoints.length > 0) {
+          changed = true;
+          this._deliver(feed.feedId, stream, dataPoints);
+        }
+      });
+      this._checkStale(feed);
+
+      feed.interval = changed ? minInterval : Math.min(maxInterval, feed.interval * backoff);
+    } catch (error) {
+      feed.interval = Math.min(maxInterval, feed.interval * backoff);
+      this._fail(error);
+    } finally {
+      if (this._running) {
+        // Nobody waits for scheduled polls; their failures were reported.
+        feed.timer = setTimeout(
+          () => this._schedulePoll(feed).catch(() => undefined),
+          feed.interval
+        );
+      }
+    }
+  }
+
+  /**
+   * Find subscribed streams of a feed that may have new data points.
+   *
+   * @private
+   * @param {Object} feed The feed state.
+   * @return {Promise} A promise that resolves to the stream states.
+   */
+  async _findUpdatedStreams(feed) {
+    if (feed.streams.length === 1) {
+      return feed.streams;
+    }
+
+    const oldest = Math.min(...feed.streams.map(stream => stream.lastTimestamp));
+    const updated = await this._energomonitor.getStreams(
+      feed.feedId,
+      undefined,
+      undefined,
+      new Date((oldest + 1) * 1000)
+    );
+    const updatedIds = updated.map(stream => stream.id);
+
+    return feed.streams.filter(stream => updatedIds.indexOf(stream.streamId) !== -1);
+  }
+
+  /**
+   * Retrieve data points of a stream measured after its last delivered one.
+   *
+   * @private
+   * @param {string} feedId ID of the feed.
+   * @param {Object} stream The stream state.
+   * @return {Promise} A promise that resolves to the data points in
+   * chronological order.
+   */
+  async _fetchNewDataPoints(feedId, stream) {
+    const { pageSize } = this._options;
+    const timeFrom = new Date((stream.lastTimestamp + 1) * 1000);
+    const newest = (await this._energomonitor.getStreamData(
+      feedId,
+      stream.streamId,
+      timeFrom,
+      undefined,
+      pageSize
+    ))
+      .slice()
+      .sort((a, b) => a[0] - b[0]);
+
+    if (newest.length < pageSize) {
+      return newest;
+    }
+
+    // Only the newest data points were returned, retrieve the older ones.
+    const older = await this._energomonitor.getAllStreamData(
+      feedId,
+      stream.streamId,
+      timeFrom,
+      new Date((newest[0][0] - 1) * 1000),
+      { pageSize }
+    );
+
+    return older.concat(newest);
+  }
+
+  /**
+   * Deliver new data points of a stream.
+   *
+   * @private
+   * @param {string} feedId ID of the feed.
+   * @param {Object} stream The stream state.
+   * @param {Array[]} dataPoints The data points.
+   */
+  _deliver(feedId, stream, dataPoints) {
+    const streamId = stream.streamId;
+
+    stream.lastTimestamp = dataPoints[dataPoints.length - 1][0];
+    stream.delivered = true;
+
+    if (stream.stale) {
+      stream.stale = false;
+      this.emit('resumed', { feedId, streamId });
+    }
+
+    const value = { feedId, streamId, dataPoints };
+    this.emit('data', value);
+
+    if (this._iterating) {
+      this._push({ value });
+    }
+  }
+
+  /**
+   * Emit `stale` for streams without data for longer than `staleAfter`.
+   *
+   * @private
+   * @param {Object} feed The feed state.
+   */
+  _checkStale(feed) {
+    const now = Date.now();
+
+    feed.streams.forEach(stream => {
+      if (stream.stale || now - (stream.lastTimestamp + 1) * 1000 <= this._options.staleAfter) {
+        return;
+      }
+
+      stream.stale = true;
+      this.emit('stale', {
+        feedId: feed.feedId,
+        streamId: stream.streamId,
+        lastTimestamp: stream.delivered ? stream.lastTimestamp : null
+      });
+    });
+  }
+
+  /**
+   * Report a polling failure: emit it, pass it to the iterator or, when
+   * there is neither a listener nor an iteration, throw it.
+   *
+   * @private
+   * @param {Error} error The error.
+   */
+  _fail(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else if (this._iterating) {
+      this._push({ error });
+    } else {
+      throw error;
+    }
+  }
+
+  /**
+   * Pass a value or an error to a waiting `next()` call or buffer it.
+   *
+   * @private
+   * @param {Object} item An object with a `value` or an `error` property.
+   */
+  _push(item) {
+    const waiting = this._waiting.shift();
+
+    if (waiting === undefined) {
+      this._buffer.push(item);
+    } else if (item.error !== undefined) {
+      waiting.reject(item.error);
+    } else {
+      waiting.resolve({ value: item.value, done: false });
+    }
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  StreamSubscription.prototype[Symbol.asyncIterator] = function() {
+    return this;
+  };
+}
+
+module.exports = StreamSubscription;
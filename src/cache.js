@@ -0,0 +1,230 @@
+const { LruStore } = require('./stores.js');
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_CACHE_OPTIONS = {
+  ttl: {
+    feeds: HOUR,
+    feed: HOUR,
+    streams: HOUR,
+    stream: HOUR,
+    relatedStreams: HOUR,
+    // Data in closed time ranges does not change, so it never expires.
+    streamData: null
+  },
+  staleWhileRevalidate: 0,
+  streamData: true,
+  closedAfter: HOUR,
+  namespace: ''
+};
+
+/**
+ * Normalize the `cache` option of the client.
+ *
+ * @param {(boolean|Object)} [options] The `cache` option: `true` for the
+ * default options or an object overriding some of them.
+ * @return {Object|null} Complete cache options or `null` when caching is
+ * disabled.
+ */
+function normalizeCacheOptions(options) {
+  if (options === undefined || options === false || options === null) {
+    return null;
+  }
+
+  const overrides = options === true ? {} : options;
+  const ttl = Object.assign({}, DEFAULT_CACHE_OPTIONS.ttl, overrides.ttl);
+
+  return Object.assign({}, DEFAULT_CACHE_OPTIONS, overrides, {
+    ttl,
+    store: overrides.store !== undefined ? overrides.store : new LruStore()
+  });
+}
+
+/**
+ * A cache of API responses on top of a store (see `MemoryStore` for the
+ * store interface).
+ *
+ * Entries are tagged (e.g. with the feed they belong to) and invalidating a
+ * tag invalidates all entries tagged with it. Invalidations are recorded in
+ * the store too, so they apply to other clients sharing the store.
+ *
+ * @private
+ */
+class Cache {
+  /**
+   * Create a new instance of `Cache`.
+   *
+   * @param {Object} options Normalized cache options.
+   * @param {Function} onError Function called with an object with `key` and
+   * `error` properties when the store fails or a background revalidation
+   * fails. Such failures do not fail the request.
+   */
+  constructor(options, onError) {
+    this._options = options;
+    this._store = options.store;
+    this._onError = onError;
+    // Loads in progress by key, so that concurrent requests share them.
+    this._loading = new Map();
+  }
+
+  /**
+   * Return a cached value or load it.
+   *
+   * @param {string} endpoint Name of the endpoint, used to look up its TTL.
+   * @param {string} key Key of the value.
+   * @param {string[]} tags Tags of the value.
+   * @param {Function} load Function returning a promise that resolves to the
+   * value.
+   * @return {Promise} A promise that resolves to the value.
+   */
+  fetch(endpoint, key, tags, load) {
+    const allTags = ['*'].concat(tags);
+
+    return this._read(key, allTags).then(entry => {
+      const now = Date.now();
+
+      if (entry === undefined) {
+        return this._load(endpoint, key, allTags, load);
+      }
+      if (entry.expiresAt === null || now < entry.expiresAt) {
+        return entry.value;
+      }
+      if (now < entry.expiresAt + this._options.staleWhileRevalidate) {
+        this._load(endpoint, key, allTags, load).catch(error => this._onError({ key, error }));
+
+        return entry.value;
+      }
+
+      return this._load(endpoint, key, allTags, load);
+    });
+  }
+
+  /**
+   * Invalidate all entries tagged with a tag.
+   *
+   * @param {string} tag The tag (`*` invalidates all entries).
+   * @return {Promise} A promise that resolves to `undefined` once the
+   * invalidation is recorded.
+   */
+  invalidate(tag) {
+    // Entries being loaded may contain data from before the invalidation.
+    this._loading.forEach((loading, key) => {
+      if (tag === '*' || loading.tags.indexOf(tag) !== -1) {
+        this._loading.delete(key);
+      }
+    });
+
+    return this._store.set(this._invalidationKey(tag), Date.now());
+  }
+
+  /**
+   * Read an entry from the store. Entries stored before an invalidation of
+   * one of their tags are ignored.
+   *
+   * @private
+   * @param {string} key Key of the value.
+   * @param {string[]} tags Tags of the value.
+   * @return {Promise} A promise that resolves to the entry (an object with
+   * `value`, `loadedAt` and `expiresAt` properties) or `undefined`.
+   */
+  _read(key, tags) {
+    const reads = [this._store.get(this._entryKey(key))].concat(
+      tags.map(tag => this._store.get(this._invalidationKey(tag)))
+    );
+
+    return Promise.all(reads).then(
+      ([entry, ...invalidations]) => {
+        if (entry === undefined || entry === null) {
+          return undefined;
+        }
+
+        const invalidated = invalidations.some(
+          invalidatedAt =>
+            invalidatedAt !== undefined && invalidatedAt !== null && entry.loadedAt <= invalidatedAt
+        );
+
+        return invalidated ? undefined : entry;
+      },
+      error => {
+        this._onError({ key, error });
+
+        return undefined;
+      }
+    );
+  }
+
+  /**
+   * Load a value and store it. Concurrent loads of the same key are shared.
+   *
+   * @private
+   * @param {string} endpoint Name of the endpoint.
+   * @param {string} key Key of the value.
+   * @param {string[]} tags Tags of the value.
+   * @param {Function} load Function returning a promise of the value.
+   * @return {Promise} A promise that resolves to the value.
+   */
+  _load(endpoint, key, tags, load) {
+    if (this._loading.has(key)) {
+      return this._loading.get(key).promise;
+    }
+
+    // The time the load starts is recorded, so that a response to a request
+    // sent before an invalidation is not considered valid after it.
+    const loadedAt = Date.now();
+    const ttl = this._options.ttl[endpoint];
+    const loading = { tags };
+    const finish = () => {
+      if (this._loading.get(key) === loading) {
+        this._loading.delete(key);
+      }
+    };
+
+    loading.promise = load().then(
+      value => {
+        finish();
+
+        const entry = {
+          value,
+          loadedAt,
+          expiresAt: ttl !== null && ttl !== undefined ? loadedAt + ttl : null
+        };
+
+        return this._store
+          .set(this._entryKey(key), entry)
+          .catch(error => this._onError({ key, error }))
+          .then(() => value);
+      },
+      error => {
+        finish();
+        throw error;
+      }
+    );
+    this._loading.set(key, loading);
+
+    return loading.promise;
+  }
+
+  /**
+   * Return the store key of an entry.
+   *
+   * @private
+   */
+  _entryKey(key) {
+    return `${this._options.namespace}cache:${key}`;
+  }
+
+  /**
+   * Return the store key of the last invalidation of a tag.
+   *
+   * @private
+   */
+  _invalidationKey(tag) {
+    return `${this._options.namespace}cache-invalidation:${tag}`;
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_OPTIONS,
+  normalizeCacheOptions,
+  Cache
+};
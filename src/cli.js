@@ -0,0 +1,691 @@
+const os = require('os');
+const path = require('path');
+
+const Energomonitor = require('./Energomonitor.js');
+const { getCurrentConfig } = require('./consumption.js');
+const { MissingTokenError } = require('./errors.js');
+const { JsonFileStore } = require('./stores.js');
+const { formatISOTime } = require('./timezone.js');
+
+const DAY = 24 * 60 * 60;
+
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: DAY
+};
+
+// Options accepted by all commands.
+const GLOBAL_OPTIONS = {
+  json: 'boolean',
+  config: 'string',
+  'api-url': 'string',
+  'time-zone': 'string',
+  help: 'boolean'
+};
+
+const GLOBAL_USAGE = `Global options:
+  --json               Print machine-readable JSON instead of tables.
+  --config <file>      Configuration file (default: $ENERGOMONITOR_CONFIG or
+                       ~/.energomonitor.json).
+  --api-url <url>      API URL (default: $ENERGOMONITOR_API_URL, the URL used
+                       at login or https://api.energomonitor.com/v1).
+  --time-zone <zone>   IANA timezone of printed times (default: UTC).
+  --help, -h           Show help.
+
+Times are ISO 8601 strings, Unix timestamps, "now" or durations before now
+such as "-30m", "-12h" or "-7d".`;
+
+/**
+ * An error caused by invalid command-line arguments.
+ *
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments.
+ *
+ * Options are written as `--name value` or `--name=value` (boolean options
+ * take no value). Option types are `boolean`, `string`, `integer` and `time`;
+ * types with a `[]` suffix may be repeated and are collected into arrays.
+ * Everything after `--` is positional.
+ *
+ * @param {string[]} argv The arguments.
+ * @param {Object} types Types of accepted options by name.
+ * @return {Object} An object with `positional` (an array of positional
+ * arguments) and `options` (parsed option values by name) properties.
+ * @throws {UsageError} When an option is unknown or has an invalid value.
+ */
+function parseArguments(argv, types) {
+  const positional = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index] === '-h' ? '--help' : argv[index];
+
+    if (argument === '--') {
+      positional.push(...argv.slice(index + 1));
+      break;
+    }
+    if (!argument.startsWith('--')) {
+      positional.push(argument);
+      continue;
+    }
+
+    const equals = argument.indexOf('=');
+    const name = equals !== -1 ? argument.slice(2, equals) : argument.slice(2);
+    const type = types[name];
+
+    if (type === undefined) {
+      throw new UsageError(`Unknown option: --${name}.`);
+    }
+
+    if (type === 'boolean') {
+      if (equals !== -1) {
+        throw new UsageError(`Option --${name} does not take a value.`);
+      }
+
+      options[name] = true;
+      continue;
+    }
+
+    let value;
+    if (equals !== -1) {
+      value = argument.slice(equals + 1);
+    } else if (index + 1 < argv.length) {
+      value = argv[++index];
+    } else {
+      throw new UsageError(`Option --${name} requires a value.`);
+    }
+
+    const multiple = type.endsWith('[]');
+    const parsed = parseValue(value, multiple ? type.slice(0, -2) : type, name);
+
+    options[name] = multiple ? (options[name] || []).concat(parsed) : parsed;
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Parse an option value.
+ *
+ * @private
+ * @param {string} value The value.
+ * @param {string} type Type of the option: `string`, `integer` or `time`.
+ * @param {string} name Name of the option, used in error messages.
+ * @return {(string|integer|Date)} The parsed value.
+ */
+function parseValue(value, type, name) {
+  if (type === 'integer') {
+    if (!/^-?\d+$/.test(value)) {
+      throw new UsageError(`Option --${name} must be an integer, got "${value}".`);
+    }
+
+    return parseInt(value, 10);
+  }
+  if (type === 'time') {
+    return parseTime(value, name);
+  }
+
+  return value;
+}
+
+/**
+ * Parse a time: an ISO 8601 string, a Unix timestamp, `now` or a duration
+ * before now (e.g. `-12h`).
+ *
+ * @private
+ * @param {string} value The time.
+ * @param {string} name Name of the option, used in error messages.
+ * @return {Date} The time.
+ */
+function parseTime(value, name) {
+  const duration = /^-(\d+)([smhd])$/.exec(value);
+
+  if (value === 'now') {
+    return new Date();
+  }
+  if (duration !== null) {
+    return new Date(Date.now() - parseInt(duration[1], 10) * DURATION_UNITS[duration[2]] * 1000);
+  }
+  if (/^\d+$/.test(value)) {
+    return new Date(parseInt(value, 10) * 1000);
+  }
+
+  const time = Date.parse(value);
+
+  if (isNaN(time)) {
+    throw new UsageError(`Option --${name} must be a time, got "${value}".`);
+  }
+
+  return new Date(time);
+}
+
+/**
+ * Format rows as a table with aligned columns.
+ *
+ * @param {string[]} columns Column headers.
+ * @param {Array[]} rows The rows, arrays of cell values.
+ * @return {string} The table, ending with a newline.
+ */
+function formatTable(columns, rows) {
+  const lines = [columns].concat(rows.map(row => row.map(formatCell)));
+  const widths = columns.map((column, index) => Math.max(...lines.map(line => line[index].length)));
+
+  return lines
+    .map(line =>
+      line
+        .map((cell, index) => (index < line.length - 1 ? cell.padEnd(widths[index]) : cell))
+        .join('  ')
+        .trimRight()
+    )
+    .join('\n')
+    .concat('\n');
+}
+
+/**
+ * Format a table cell value.
+ *
+ * @private
+ * @param {*} value The value.
+ * @return {string} The formatted value.
+ */
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+
+  return String(value);
+}
+
+/**
+ * Fail unless the number of positional arguments is within limits.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @param {integer} min Minimum number of arguments.
+ * @param {integer} [max = min] Maximum number of arguments.
+ */
+function expectArguments(context, min, max = min) {
+  const count = context.positional.length;
+
+  if (count < min || count > max) {
+    throw new UsageError(`Usage: energomonitor ${context.command.usage}`);
+  }
+}
+
+/**
+ * Create a client authenticated with the token saved in the configuration
+ * file.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @return {Promise} A promise that resolves to the client.
+ */
+async function createClient(context) {
+  const apiURL =
+    context.options['api-url'] ||
+    context.env.ENERGOMONITOR_API_URL ||
+    (await context.config.get('apiURL'));
+
+  return new Energomonitor(undefined, undefined, apiURL, { tokenStore: context.config });
+}
+
+/**
+ * Return the user ID passed by `--user` or saved at login.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @return {Promise} A promise that resolves to the user ID.
+ */
+async function getUserId(context) {
+  const userId = context.options.user || (await context.config.get('userId'));
+
+  if (userId === undefined) {
+    throw new UsageError('No user ID. Pass --user or log in first.');
+  }
+
+  return userId;
+}
+
+/**
+ * Print a value as JSON (with `--json`) or as a table.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @param {*} value The value printed as JSON.
+ * @param {string[]} columns Column headers of the table.
+ * @param {Array[]} rows Rows of the table.
+ */
+function print(context, value, columns, rows) {
+  if (context.options.json) {
+    printJSON(context, value);
+  } else {
+    context.stdout.write(formatTable(columns, rows));
+  }
+}
+
+/**
+ * Print a value as JSON.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @param {*} value The value.
+ */
+function printJSON(context, value) {
+  context.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Format a time for a table.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @param {(integer|string)} time A Unix timestamp or an ISO 8601 string.
+ * @return {string} The time in ISO 8601 format in the selected timezone.
+ */
+function formatTime(context, time) {
+  const timestamp = typeof time === 'string' ? Math.floor(Date.parse(time) / 1000) : time;
+
+  return formatISOTime(timestamp, context.options['time-zone']);
+}
+
+/**
+ * Handle the `login` command: authorize and save the token, the user ID
+ * and the API URL to the configuration file.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function login(context) {
+  expectArguments(context, 0);
+
+  const { options, env } = context;
+  const username = options.username || env.ENERGOMONITOR_USERNAME;
+  const password = options.password || env.ENERGOMONITOR_PASSWORD;
+
+  if (username === undefined || password === undefined) {
+    throw new UsageError(
+      'Pass --username and --password (or set ENERGOMONITOR_USERNAME and ENERGOMONITOR_PASSWORD).'
+    );
+  }
+
+  const energomonitor = await createClient(context);
+  const authorization = await energomonitor.authorize(
+    username,
+    password,
+    options.note,
+    undefined,
+    options['valid-minutes']
+  );
+
+  await context.config.set('userId', authorization.user_id);
+  if (options['api-url'] !== undefined) {
+    await context.config.set('apiURL', options['api-url']);
+  }
+
+  if (options.json) {
+    printJSON(context, authorization);
+  } else {
+    const expiresAt =
+      authorization.expires_at !== null && authorization.expires_at !== undefined
+        ? `, the token expires at ${formatTime(context, authorization.expires_at)}`
+        : '';
+
+    context.stdout.write(`Logged in as ${authorization.user_id}${expiresAt}.\n`);
+  }
+}
+
+/**
+ * Handle the `user` command.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function user(context) {
+  expectArguments(context, 0, 1);
+
+  const userId = context.positional[0] || (await getUserId(context));
+  const energomonitor = await createClient(context);
+  const result = await energomonitor.getUser(userId);
+
+  print(context, result, ['PROPERTY', 'VALUE'], Object.keys(result).map(key => [key, result[key]]));
+}
+
+/**
+ * Handle the `feeds` command.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function feeds(context) {
+  expectArguments(context, 0);
+
+  const userId = await getUserId(context);
+  const energomonitor = await createClient(context);
+  const result = await energomonitor.getFeeds(userId);
+
+  print(
+    context,
+    result,
+    ['ID', 'TITLE', 'TIMEZONE'],
+    result.map(feed => {
+      const config = getCurrentConfig(feed) || {};
+
+      return [feed.id, config.title, config.timezone];
+    })
+  );
+}
+
+/**
+ * Handle the `streams` command.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function streams(context) {
+  expectArguments(context, 1);
+
+  const { options } = context;
+  const energomonitor = await createClient(context);
+  const result = await energomonitor.getStreams(
+    context.positional[0],
+    options.type,
+    options.channel,
+    options.from,
+    options.to
+  );
+
+  print(
+    context,
+    result,
+    ['ID', 'TYPE', 'CHANNEL', 'TITLE', 'UNIT'],
+    result.map(stream => {
+      const config = getCurrentConfig(stream) || {};
+
+      return [stream.id, stream.type, stream.channel, config.title, config.unit];
+    })
+  );
+}
+
+/**
+ * Handle the `data` command.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function data(context) {
+  expectArguments(context, 2);
+
+  const { options } = context;
+  const [feedId, streamId] = context.positional;
+  const format = options.json ? 'json' : options.format || 'table';
+
+  if (['table', 'csv', 'json'].indexOf(format) === -1) {
+    throw new UsageError(`Option --format must be table, csv or json, got "${format}".`);
+  }
+
+  const energomonitor = await createClient(context);
+  const timeFrom = options.from || new Date(Date.now() - DAY * 1000);
+  const dataPoints =
+    options.limit !== undefined
+      ? await energomonitor.getStreamData(feedId, streamId, timeFrom, options.to, options.limit)
+      : await energomonitor.getAllStreamData(feedId, streamId, timeFrom, options.to);
+  const rows = dataPoints.map(([timestamp, value]) => [formatTime(context, timestamp), value]);
+
+  if (format === 'json') {
+    printJSON(context, dataPoints);
+  } else if (format === 'csv') {
+    context.stdout.write(['time,value'].concat(rows.map(row => row.join(','))).join('\n') + '\n');
+  } else {
+    context.stdout.write(formatTable(['TIME', 'VALUE'], rows));
+  }
+}
+
+/**
+ * Handle the `related` command.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function related(context) {
+  expectArguments(context, 1);
+
+  const energomonitor = await createClient(context);
+  const result = await energomonitor.getRelatedStreams(context.positional[0]);
+
+  print(
+    context,
+    result,
+    ['GROUP', 'STREAMS'],
+    result.map((group, index) => [index + 1, group.join(', ')])
+  );
+}
+
+/**
+ * Handle the `notifications` command and its actions.
+ *
+ * @private
+ * @param {Object} context The command context.
+ */
+async function notifications(context) {
+  const action = context.positional[0] || 'list';
+  const ids = context.positional.slice(1);
+  const { options } = context;
+
+  const userId = await getUserId(context);
+  const energomonitor = await createClient(context);
+
+  if (action === 'list') {
+    expectArguments(context, 0, 1);
+
+    const result = (await energomonitor.getNotifications(userId, options.since)).filter(
+      notification => !options.unread || !notification.read
+    );
+
+    printNotifications(context, result);
+  } else if (action === 'count') {
+    expectArguments(context, 1);
+
+    const result = await energomonitor.getNotificationCount(userId);
+
+    print(
+      context,
+      result,
+      ['READ', 'UNREAD', 'TOTAL'],
+      [[result.read, result.unread, result.total]]
+    );
+  } else if (action === 'read' || action === 'archive') {
+    const change = action === 'read' ? { read: true } : { archived: true };
+
+    if (options.all && action === 'read' && ids.length === 0) {
+      await energomonitor.updateNotifications(userId, change);
+
+      if (options.json) {
+        printJSON(context, null);
+      } else {
+        context.stdout.write('All notifications marked as read.\n');
+      }
+    } else if (ids.length > 0 && !options.all) {
+      const result = [];
+      for (const id of ids) {
+        result.push(await energomonitor.updateNotification(userId, id, change));
+      }
+
+      printNotifications(context, result);
+    } else {
+      throw new UsageError(`Usage: energomonitor ${context.command.usage}`);
+    }
+  } else {
+    throw new UsageError(`Unknown notifications action: ${action}.`);
+  }
+}
+
+/**
+ * Print notifications.
+ *
+ * @private
+ * @param {Object} context The command context.
+ * @param {Object[]} result The notification objects.
+ */
+function printNotifications(context, result) {
+  print(
+    context,
+    result,
+    ['ID', 'CREATED', 'READ', 'ARCHIVED', 'TITLE'],
+    result.map(notification => [
+      notification.id,
+      formatTime(context, notification.created_at),
+      notification.read,
+      notification.archived,
+      notification.title
+    ])
+  );
+}
+
+const COMMANDS = {
+  login: {
+    usage:
+      'login [--username <username>] [--password <password>] [--note <note>] [--valid-minutes <minutes>]',
+    description: 'Authorize and save the token to the configuration file.',
+    options: { username: 'string', password: 'string', note: 'string', 'valid-minutes': 'integer' },
+    run: login
+  },
+  user: {
+    usage: 'user [<user>]',
+    description: 'Show a user (default: the logged in user).',
+    options: { user: 'string' },
+    run: user
+  },
+  feeds: {
+    usage: 'feeds [--user <user>]',
+    description: 'List feeds of a user.',
+    options: { user: 'string' },
+    run: feeds
+  },
+  streams: {
+    usage:
+      'streams <feed> [--type <type>]... [--channel <channel>]... [--from <time>] [--to <time>]',
+    description: 'List streams of a feed (optionally only those with data in a time range).',
+    options: { type: 'string[]', channel: 'integer[]', from: 'time', to: 'time' },
+    run: streams
+  },
+  data: {
+    usage:
+      'data <feed> <stream> [--from <time>] [--to <time>] [--limit <count>] [--format table|csv|json]',
+    description: 'Print data points of a stream (default: the last 24 hours).',
+    options: { from: 'time', to: 'time', limit: 'integer', format: 'string' },
+    run: data
+  },
+  related: {
+    usage: 'related <feed>',
+    description: 'List groups of related streams of a feed.',
+    options: {},
+    run: related
+  },
+  notifications: {
+    usage:
+      'notifications [list [--since <time>] [--unread] | count | read (<id>... | --all) | archive <id>...] [--user <user>]',
+    description: 'List, count, read or archive notifications of a user.',
+    options: { user: 'string', since: 'time', unread: 'boolean', all: 'boolean' },
+    run: notifications
+  }
+};
+
+/**
+ * Return the usage text.
+ *
+ * @private
+ * @param {Object} [command] Describe only this command.
+ * @return {string} The usage text.
+ */
+function usage(command) {
+  const commands =
+    command !== undefined ? [command] : Object.keys(COMMANDS).map(name => COMMANDS[name]);
+  const lines = commands.map(
+    described => `  energomonitor ${described.usage}\n      ${described.description}`
+  );
+
+  return `Usage:\n${lines.join('\n')}\n\n${GLOBAL_USAGE}\n`;
+}
+
+/**
+ * Run the command-line interface.
+ *
+ * @param {string[]} argv Command-line arguments (without the Node.js
+ * executable and the script path).
+ * @param {Object} io Process interface.
+ * @param {stream.Writable} io.stdout Stream normal output is written to.
+ * @param {stream.Writable} io.stderr Stream error messages are written to.
+ * @param {Object} [io.env] Environment variables.
+ * @return {Promise} A promise that resolves to the exit code: `0` on
+ * success, `1` when the command fails and `2` on invalid arguments.
+ */
+async function run(argv, io) {
+  const { stdout, stderr } = io;
+  const env = io.env || {};
+
+  try {
+    const name = argv[0];
+
+    if (name === undefined || name === 'help' || name === '--help' || name === '-h') {
+      stdout.write(usage());
+      return 0;
+    }
+
+    const command = COMMANDS[name];
+
+    if (command === undefined) {
+      throw new UsageError(`Unknown command: ${name}.`);
+    }
+
+    const { positional, options } = parseArguments(
+      argv.slice(1),
+      Object.assign({}, GLOBAL_OPTIONS, command.options)
+    );
+
+    if (options.help) {
+      stdout.write(usage(command));
+      return 0;
+    }
+
+    const configFilename =
+      options.config || env.ENERGOMONITOR_CONFIG || path.join(os.homedir(), '.energomonitor.json');
+    options['time-zone'] = options['time-zone'] || 'UTC';
+
+    await command.run({
+      command,
+      positional,
+      options,
+      env,
+      stdout,
+      config: new JsonFileStore(configFilename)
+    });
+
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`energomonitor: ${error.message}\nRun "energomonitor help" for usage.\n`);
+      return 2;
+    }
+    if (error instanceof MissingTokenError) {
+      stderr.write('energomonitor: Not logged in. Run "energomonitor login" first.\n');
+      return 1;
+    }
+
+    stderr.write(`energomonitor: ${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  parseArguments,
+  formatTable,
+  run
+};
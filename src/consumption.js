@@ -0,0 +1,177 @@
+const { inferSamplingPeriod } = require('./utils.js');
+
+// Units of streams whose values are readings of a cumulative counter.
+const CUMULATIVE_UNITS = [
+  'Wh',
+  'kWh',
+  'MWh',
+  'GWh',
+  'varh',
+  'kvarh',
+  'J',
+  'kJ',
+  'MJ',
+  'GJ',
+  'l',
+  'hl',
+  'm3',
+  'm³'
+];
+
+/**
+ * Return the currently valid configuration of a stream.
+ *
+ * @param {Object} stream A
+ * [stream object]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}.
+ * @return {Object|undefined} The configuration or `undefined` when the
+ * stream has none (e.g. raw streams).
+ */
+function getCurrentConfig(stream) {
+  const configs = stream.configs || [];
+  const current = configs.filter(
+    config => config.valid_to === null || config.valid_to === undefined
+  );
+
+  return current.length > 0 ? current[current.length - 1] : configs[configs.length - 1];
+}
+
+/**
+ * Decide whether a stream contains readings of a cumulative counter (e.g. an
+ * energy, gas or water meter) rather than instantaneous values (e.g. power
+ * or temperature). The decision is based on the stream type and the unit of
+ * its current configuration.
+ *
+ * @param {Object} stream A
+ * [stream object]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}.
+ * @return {boolean} `true` for cumulative streams.
+ */
+function isCumulativeStream(stream) {
+  if (stream.type === 'system') {
+    return false;
+  }
+
+  const config = getCurrentConfig(stream);
+  if (config === undefined || typeof config.unit !== 'string') {
+    return false;
+  }
+
+  const unit = config.unit.toLowerCase();
+
+  return CUMULATIVE_UNITS.some(cumulativeUnit => cumulativeUnit.toLowerCase() === unit);
+}
+
+/**
+ * Convert a stream’s data points to consumption per interval, where an
+ * interval spans from one data point to the next one.
+ *
+ * For cumulative streams (see {@link isCumulativeStream}), the consumption
+ * is the difference between consecutive readings. A decreasing reading is
+ * handled as follows:
+ *
+ *   * When `rollover` is set and the counter wrapping around explains the
+ *     decrease, the consumption is computed across the wrap.
+ *   * Otherwise the counter is considered reset (e.g. after a power outage)
+ *     and the new reading is the consumption since the reset. When `maxRate`
+ *     is set and the new reading is too high for that, the device is
+ *     considered replaced and the interval has zero consumption.
+ *
+ * An increase higher than `maxRate` allows is also considered a device
+ * replacement.
+ *
+ * For instantaneous streams, the consumption is the integral of the values
+ * over time in hours, each value holding until the next data point (e.g.
+ * power in W gives energy in Wh).
+ *
+ * @param {Object} stream A
+ * [stream object]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}.
+ * @param {Array[]} dataPoints The stream’s data points in chronological
+ * order.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.cumulative] Override the detection of
+ * cumulative streams.
+ * @param {number} [options.rollover] Value at which the counter wraps around
+ * to zero (e.g. `100000` for a five-digit meter).
+ * @param {number} [options.maxRate] Maximum plausible consumption per
+ * second.
+ * @param {number} [options.period] Expected time between data points, in
+ * seconds. Default: inferred from the data points.
+ * @param {number} [options.gapTolerance = 1.5] An interval longer than
+ * `period` multiplied by this factor is considered a gap (missing data
+ * points).
+ * @param {boolean} [options.spreadGaps = false] Spread the consumption of a
+ * gap evenly across intervals of length `period` instead of assigning it to
+ * a single long interval.
+ * @return {Array[]} Data points where each one represents an interval: its
+ * start (a Unix timestamp) and the consumption.
+ */
+function toConsumption(stream, dataPoints, options = {}) {
+  const cumulative =
+    options.cumulative !== undefined ? options.cumulative : isCumulativeStream(stream);
+  const period = options.period !== undefined ? options.period : inferSamplingPeriod(dataPoints);
+  const gapTolerance = options.gapTolerance !== undefined ? options.gapTolerance : 1.5;
+  const result = [];
+
+  for (let i = 1; i < dataPoints.length; i++) {
+    const [from, previous] = dataPoints[i - 1];
+    const [to, current] = dataPoints[i];
+    const duration = to - from;
+
+    if (duration <= 0) {
+      continue;
+    }
+
+    const consumption = cumulative
+      ? computeDelta(previous, current, duration, options)
+      : previous * duration / 3600;
+
+    if (options.spreadGaps && period !== undefined && duration > period * gapTolerance) {
+      const count = Math.round(duration / period);
+
+      for (let j = 0; j < count; j++) {
+        result.push([from + Math.round(j * duration / count), consumption / count]);
+      }
+    } else {
+      result.push([from, consumption]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compute consumption between two readings of a cumulative counter.
+ *
+ * @private
+ * @param {number} previous The previous reading.
+ * @param {number} current The current reading.
+ * @param {number} duration Time between the readings, in seconds.
+ * @param {Object} options Options of {@link toConsumption}.
+ * @return {number} The consumption.
+ */
+function computeDelta(previous, current, duration, options) {
+  const { rollover, maxRate } = options;
+  const maxConsumption = maxRate !== undefined ? maxRate * duration : Infinity;
+  const delta = current - previous;
+
+  if (delta >= 0) {
+    return delta <= maxConsumption ? delta : 0;
+  }
+
+  if (rollover !== undefined) {
+    const rolledOver = rollover - previous + current;
+    const plausible =
+      maxRate !== undefined ? rolledOver <= maxConsumption : rolledOver < rollover / 2;
+
+    if (plausible) {
+      return rolledOver;
+    }
+  }
+
+  return current <= maxConsumption ? current : 0;
+}
+
+module.exports = {
+  getCurrentConfig,
+  isCumulativeStream,
+  toConsumption
+};
@@ -0,0 +1,229 @@
+/**
+ * Base class of all errors the client rejects with.
+ */
+class EnergomonitorError extends Error {
+  /**
+   * Create a new instance of `EnergomonitorError`.
+   *
+   * @param {string} message Error message.
+   * @param {Object} [details] Details about the failed request.
+   * @param {string} [details.endpoint] Endpoint URL (relative to the API URL)
+   * the request was sent to.
+   * @param {string} [details.method] HTTP method of the request (uppercase).
+   * @param {integer} [details.status] HTTP status of the response.
+   * @param {*} [details.apiError] Error payload returned by the API.
+   * @param {integer} [details.retryAfter] Delay (in milliseconds) the API
+   * asked the client to wait before repeating the request.
+   * @param {Error} [details.cause] The original error.
+   */
+  constructor(message, details = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.endpoint = details.endpoint;
+    this.method = details.method;
+    this.status = details.status;
+    this.apiError = details.apiError;
+    this.retryAfter = details.retryAfter;
+    this.cause = details.cause;
+
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, this.constructor);
+    }
+  }
+
+  /**
+   * Whether repeating the same request later can succeed.
+   *
+   * @type {boolean}
+   */
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * A method requiring authorization was called before a token was set.
+ */
+class MissingTokenError extends EnergomonitorError {
+  constructor(details) {
+    super(
+      'Cannot call this method without setting the authorization token ' +
+        '(in the constructor or using the authorize method).',
+      details
+    );
+  }
+}
+
+/**
+ * A method was called with an invalid argument. The request was not sent.
+ */
+class InvalidArgumentError extends EnergomonitorError {
+  /**
+   * Create a new instance of `InvalidArgumentError`.
+   *
+   * @param {string} message Error message.
+   * @param {string} argument Name of the invalid argument.
+   */
+  constructor(message, argument) {
+    super(message);
+
+    this.argument = argument;
+  }
+}
+
+/**
+ * The API responded with an error status. More specific subclasses are used
+ * for statuses the client knows about.
+ */
+class ApiError extends EnergomonitorError {}
+
+/**
+ * The API responded with 400 Bad Request. The `apiError` property contains
+ * the client error body returned by the API.
+ */
+class ValidationError extends ApiError {}
+
+/**
+ * The API responded with 401 Unauthorized (e.g. the token expired).
+ */
+class AuthenticationError extends ApiError {}
+
+/**
+ * The API responded with 403 Forbidden.
+ */
+class ForbiddenError extends ApiError {}
+
+/**
+ * The API responded with 404 Not Found.
+ */
+class NotFoundError extends ApiError {}
+
+/**
+ * The API responded with 429 Too Many Requests.
+ */
+class RateLimitError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The API responded with a 5xx status.
+ */
+class ServerError extends ApiError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request failed before any response was received (e.g. connection
+ * refused or reset).
+ */
+class NetworkError extends EnergomonitorError {
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The request timed out.
+ */
+class TimeoutError extends NetworkError {}
+
+// Maps HTTP statuses to error classes. Statuses not listed here are mapped to
+// `ServerError` (5xx) or `ApiError` (anything else).
+const STATUS_ERRORS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  429: RateLimitError
+};
+
+/**
+ * Parse the value of a `Retry-After` header.
+ *
+ * @param {string} [value] Header value, either a number of seconds or an
+ * HTTP date.
+ * @param {Date} [now] Current time (used for HTTP dates).
+ * @return {integer|undefined} The delay in milliseconds or `undefined` when
+ * the value is missing or invalid.
+ */
+function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return undefined;
+  }
+
+  return Math.max(0, date.getTime() - now.getTime());
+}
+
+/**
+ * Convert an error thrown while processing a request (usually an axios error)
+ * to an instance of the matching `EnergomonitorError` subclass. Instances of
+ * `EnergomonitorError` are returned unchanged.
+ *
+ * @param {Error} error The error to be converted.
+ * @param {Object} request Request config (`method` and `url` are used).
+ * @return {EnergomonitorError} The converted error.
+ */
+function toEnergomonitorError(error, request) {
+  if (error instanceof EnergomonitorError) {
+    return error;
+  }
+
+  const method = (request.method || 'get').toUpperCase();
+  const endpoint = request.url;
+  const description = `${method} ${endpoint}`;
+
+  if (!error || !error.response) {
+    const message = (error && error.message) || String(error);
+    const ErrorClass = error && error.code === 'ECONNABORTED' ? TimeoutError : NetworkError;
+
+    return new ErrorClass(`${description} failed: ${message}`, {
+      endpoint,
+      method,
+      cause: error
+    });
+  }
+
+  const { status, data, headers } = error.response;
+  const ErrorClass = STATUS_ERRORS[status] || (status >= 500 ? ServerError : ApiError);
+  const apiMessage = data && typeof data.message === 'string' ? `: ${data.message}` : '';
+
+  return new ErrorClass(`${description} failed with status ${status}${apiMessage}`, {
+    endpoint,
+    method,
+    status,
+    apiError: data,
+    retryAfter: parseRetryAfter(headers && headers['retry-after']),
+    cause: error
+  });
+}
+
+module.exports = {
+  EnergomonitorError,
+  MissingTokenError,
+  InvalidArgumentError,
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  parseRetryAfter,
+  toEnergomonitorError
+};
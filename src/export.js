@@ -0,0 +1,452 @@
+const { InvalidArgumentError } = require('./errors.js');
+const { formatISOTime } = require('./timezone.js');
+
+const DEFAULT_OPTIONS = {
+  format: 'csv',
+  layout: 'wide',
+  timestamps: 'iso',
+  timeZone: 'UTC',
+  delimiter: ',',
+  decimalSeparator: '.',
+  header: true,
+  end: true
+};
+
+// Size of the buffer collecting output lines before they are written.
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Export data of one or more streams of a feed to CSV or NDJSON (one JSON
+ * object per line), writing it to a Node.js writable stream as it is
+ * retrieved. Data is retrieved using {@link Energomonitor#iterateStreamData},
+ * so only a page of data points per stream is held in memory at a time.
+ *
+ * Two layouts are supported:
+ *
+ *   * `wide` — one row per timestamp with a column for each stream (named by
+ *     the stream ID). Streams without a data point at that timestamp have an
+ *     empty value.
+ *   * `long` — one row per data point with `time`, `feed`, `stream`, `type`,
+ *     `channel` and `value` columns. Rows are ordered by stream, then by
+ *     time.
+ *
+ * @param {Energomonitor} energomonitor The client used to retrieve data.
+ * @param {string} feedId Export streams of a feed with this ID.
+ * @param {stream.Writable} output Stream the data is written to.
+ * @param {Object} options Options.
+ * @param {Date} options.timeFrom Export data points measured after or at
+ * this time.
+ * @param {Date} [options.timeTo] Export data points measured before or at
+ * this time. Default: now.
+ * @param {string[]} [options.streams] IDs of streams to export. Default: all
+ * streams matching `types` and `channels`.
+ * @param {(string|string[])} [options.types] Only export streams of this
+ * type/types.
+ * @param {(integer|integer[])} [options.channels] Only export streams with
+ * this channel/channels.
+ * @param {string} [options.format = csv] Output format: `csv` or `ndjson`.
+ * @param {string} [options.layout = wide] Layout: `wide` or `long`.
+ * @param {string} [options.timestamps = iso] Format of timestamps: `iso`
+ * (ISO 8601 in `timeZone`) or `unix`.
+ * @param {string} [options.timeZone = UTC] IANA timezone used for ISO 8601
+ * timestamps.
+ * @param {string} [options.delimiter = ,] CSV field delimiter.
+ * @param {string} [options.decimalSeparator = .] CSV decimal separator.
+ * @param {boolean} [options.header = true] Whether to write the CSV header.
+ * @param {boolean} [options.end = true] Whether to end the output stream
+ * after the export.
+ * @param {Object} [options.iteratorOptions] Options passed to
+ * {@link Energomonitor#iterateStreamData}.
+ * @return {Promise} A promise that resolves to an object with `streams` (the
+ * number of exported streams) and `rows` (the number of written rows,
+ * excluding the header) properties once all data is written (and the
+ * output stream has finished when `end` is set). It rejects with a
+ * `TypeError` when some of the options are invalid, with an
+ * `InvalidArgumentError` when a stream in `streams` does not exist and with
+ * the error of the output stream when it fails or is closed before the
+ * export finishes.
+ */
+function exportStreamData(energomonitor, feedId, output, options) {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  return Promise.resolve()
+    .then(() => {
+      validateOptions(options);
+      return energomonitor.getStreams(feedId, options.types, options.channels);
+    })
+    .then(streams => {
+      if (options.streams !== undefined) {
+        streams = options.streams.map(streamId => {
+          const stream = streams.filter(candidate => candidate.id === streamId)[0];
+          if (stream === undefined) {
+            throw new InvalidArgumentError(
+              `Stream ${streamId} does not exist in feed ${feedId}.`,
+              'streams'
+            );
+          }
+
+          return stream;
+        });
+      }
+
+      const writer = new ChunkedWriter(output);
+      const formatter = new RowFormatter(feedId, streams, options);
+      const exportRows = options.layout === 'wide' ? exportWide : exportLong;
+
+      if (options.header && options.format === 'csv') {
+        writer.push(formatter.header());
+      }
+
+      return exportRows(energomonitor, feedId, streams, options, writer, formatter)
+        .then(rows => writer.finish(options.end).then(() => rows))
+        .then(
+          rows => {
+            writer.release();
+            return { streams: streams.length, rows };
+          },
+          error => {
+            writer.release();
+            throw error;
+          }
+        );
+    });
+}
+
+/**
+ * Export data in the long layout.
+ *
+ * @private
+ * @return {Promise} A promise that resolves to the number of written rows.
+ */
+function exportLong(energomonitor, feedId, streams, options, writer, formatter) {
+  let rows = 0;
+
+  const exportStream = stream => {
+    const iterator = createIterator(energomonitor, feedId, stream, options);
+    const step = () =>
+      iterator.next().then(result => {
+        if (result.done) {
+          return undefined;
+        }
+
+        result.value.forEach(dataPoint => {
+          writer.push(formatter.longRow(stream, dataPoint));
+          rows++;
+        });
+
+        return writer.drain().then(step);
+      });
+
+    return step();
+  };
+
+  return streams
+    .reduce((previous, stream) => previous.then(() => exportStream(stream)), Promise.resolve())
+    .then(() => rows);
+}
+
+/**
+ * Export data in the wide layout, merging data points of all streams by
+ * their timestamps.
+ *
+ * @private
+ * @return {Promise} A promise that resolves to the number of written rows.
+ */
+function exportWide(energomonitor, feedId, streams, options, writer, formatter) {
+  const cursors = streams.map(stream => ({
+    iterator: createIterator(energomonitor, feedId, stream, options),
+    dataPoints: [],
+    index: 0,
+    done: false
+  }));
+  let rows = 0;
+
+  // Retrieve the next page of each stream whose buffered data points were
+  // all written.
+  const refill = () =>
+    Promise.all(
+      cursors.map(cursor => {
+        if (cursor.done || cursor.index < cursor.dataPoints.length) {
+          return undefined;
+        }
+
+        return cursor.iterator.next().then(result => {
+          cursor.dataPoints = result.done ? [] : result.value;
+          cursor.index = 0;
+          cursor.done = result.done;
+        });
+      })
+    );
+
+  const step = () =>
+    refill().then(() => {
+      const pending = cursors.filter(cursor => !cursor.done);
+      if (pending.length === 0) {
+        return rows;
+      }
+
+      // Write rows until the buffer of some stream runs out, because data
+      // points following it may have lower timestamps than the others.
+      while (pending.every(cursor => cursor.index < cursor.dataPoints.length)) {
+        const timestamp = Math.min(...pending.map(cursor => cursor.dataPoints[cursor.index][0]));
+        const values = cursors.map(cursor => {
+          const dataPoint = cursor.done ? undefined : cursor.dataPoints[cursor.index];
+          if (dataPoint === undefined || dataPoint[0] !== timestamp) {
+            return null;
+          }
+
+          cursor.index++;
+          return dataPoint[1];
+        });
+
+        writer.push(formatter.wideRow(timestamp, values));
+        rows++;
+      }
+
+      return writer.drain().then(step);
+    });
+
+  return step();
+}
+
+/**
+ * Create a data iterator for a stream.
+ *
+ * @private
+ */
+function createIterator(energomonitor, feedId, stream, options) {
+  return energomonitor.iterateStreamData(
+    feedId,
+    stream.id,
+    options.timeFrom,
+    options.timeTo,
+    options.iteratorOptions
+  );
+}
+
+/**
+ * Formats rows in the requested output format.
+ *
+ * @private
+ */
+class RowFormatter {
+  constructor(feedId, streams, options) {
+    this._feedId = feedId;
+    this._streams = streams;
+    this._options = options;
+  }
+
+  header() {
+    const columns =
+      this._options.layout === 'wide'
+        ? ['time'].concat(this._streams.map(stream => stream.id))
+        : ['time', 'feed', 'stream', 'type', 'channel', 'value'];
+
+    return this._csvLine(columns);
+  }
+
+  wideRow(timestamp, values) {
+    const time = this._formatTime(timestamp);
+
+    if (this._options.format === 'ndjson') {
+      const row = { time };
+      this._streams.forEach((stream, index) => {
+        row[stream.id] = values[index];
+      });
+
+      return JSON.stringify(row) + '\n';
+    }
+
+    return this._csvLine([time].concat(values.map(value => this._formatNumber(value))));
+  }
+
+  longRow(stream, dataPoint) {
+    const time = this._formatTime(dataPoint[0]);
+    const channel = stream.channel !== undefined ? stream.channel : null;
+
+    if (this._options.format === 'ndjson') {
+      return (
+        JSON.stringify({
+          time,
+          feed: this._feedId,
+          stream: stream.id,
+          type: stream.type,
+          channel,
+          value: dataPoint[1]
+        }) + '\n'
+      );
+    }
+
+    return this._csvLine([
+      time,
+      this._feedId,
+      stream.id,
+      stream.type,
+      channel,
+      this._formatNumber(dataPoint[1])
+    ]);
+  }
+
+  _formatTime(timestamp) {
+    return this._options.timestamps === 'unix'
+      ? timestamp
+      : formatISOTime(timestamp, this._options.timeZone);
+  }
+
+  _formatNumber(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    return String(value).replace('.', this._options.decimalSeparator);
+  }
+
+  _csvLine(fields) {
+    const delimiter = this._options.delimiter;
+
+    return (
+      fields
+        .map(field => {
+          const text = field === null || field === undefined ? '' : String(field);
+
+          return text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        })
+        .join(delimiter) + '\r\n'
+    );
+  }
+}
+
+/**
+ * Collects output lines into chunks and writes them to a writable stream,
+ * respecting its backpressure. Failures of the stream are recorded from the
+ * start of the export until `release` is called, so an `'error'` emitted
+ * after a successful write does not go unhandled.
+ *
+ * @private
+ */
+class ChunkedWriter {
+  constructor(output) {
+    this._output = output;
+    this._buffer = '';
+    this._error = null;
+    // Rejects the promise waiting for an event of the stream, if any.
+    this._rejectWait = null;
+
+    this._onError = error => this._fail(error);
+    this._onClose = () => this._fail(new Error('The output stream was closed.'));
+    output.on('error', this._onError);
+    output.on('close', this._onClose);
+  }
+
+  push(line) {
+    this._buffer += line;
+  }
+
+  // Write the buffer once it is big enough and wait until the output stream
+  // is ready to accept more data.
+  drain() {
+    if (this._error !== null) {
+      return Promise.reject(this._error);
+    }
+
+    return this._buffer.length >= CHUNK_SIZE ? this.flush() : Promise.resolve();
+  }
+
+  // Write the buffer and wait until the output stream drains.
+  flush() {
+    const chunk = this._buffer;
+    this._buffer = '';
+
+    if (this._error === null && this._output.destroyed) {
+      this._fail(new Error('The output stream was closed.'));
+    }
+    if (this._error !== null) {
+      return Promise.reject(this._error);
+    }
+    if (chunk === '' || this._output.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return this._wait('drain');
+  }
+
+  // Write the rest of the buffer and, when `end` is set, end the output
+  // stream and wait until all data is written.
+  finish(end) {
+    return this.flush().then(() => {
+      if (!end) {
+        return undefined;
+      }
+
+      const finished = this._wait('finish');
+      this._output.end();
+      return finished;
+    });
+  }
+
+  // Stop listening to the output stream.
+  release() {
+    this._output.removeListener('error', this._onError);
+    this._output.removeListener('close', this._onClose);
+  }
+
+  _fail(error) {
+    if (this._error === null) {
+      this._error = error;
+    }
+    if (this._rejectWait !== null) {
+      this._rejectWait(this._error);
+    }
+  }
+
+  // Wait for an event of the output stream, rejecting when it fails first.
+  _wait(event) {
+    if (this._error !== null) {
+      return Promise.reject(this._error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = (callback, value) => {
+        this._output.removeListener(event, onEvent);
+        this._rejectWait = null;
+        callback(value);
+      };
+      const onEvent = () => settle(resolve);
+
+      this._output.on(event, onEvent);
+      this._rejectWait = error => settle(reject, error);
+    });
+  }
+}
+
+/**
+ * Throw a `TypeError` when some of the options are invalid.
+ *
+ * @private
+ * @param {Object} options Options of {@link exportStreamData}.
+ */
+function validateOptions(options) {
+  const allowed = {
+    format: ['csv', 'ndjson'],
+    layout: ['wide', 'long'],
+    timestamps: ['iso', 'unix']
+  };
+
+  Object.keys(allowed).forEach(name => {
+    if (allowed[name].indexOf(options[name]) === -1) {
+      throw new TypeError(
+        `Invalid ${name} option: ${options[name]}. Use one of: ${allowed[name].join(', ')}.`
+      );
+    }
+  });
+
+  if (!(options.timeFrom instanceof Date)) {
+    throw new TypeError('The timeFrom option must be a Date.');
+  }
+}
+
+module.exports = {
+  exportStreamData
+};
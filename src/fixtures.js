@@ -0,0 +1,212 @@
+const { dateToTimestamp } = require('./utils.js');
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Generate synthetic data points following a daily cycle with random noise.
+ * The noise is deterministic: the same `seed` always produces the same data
+ * points.
+ *
+ * @param {Object} options Options.
+ * @param {Date} options.timeFrom Time of the first data point.
+ * @param {Date} options.timeTo Generate data points measured before or at
+ * this time.
+ * @param {integer} [options.period = 60] Time between data points, in
+ * seconds.
+ * @param {number} [options.base = 100] Mean value.
+ * @param {number} [options.amplitude = 50] Amplitude of the daily cycle
+ * (values are lowest at midnight UTC and highest at noon).
+ * @param {number} [options.noise = 5] Maximum random deviation.
+ * @param {boolean} [options.cumulative = false] Generate readings of a
+ * cumulative counter instead: the generated values are treated as power in W
+ * and the data points contain the energy consumed since `timeFrom`, in Wh.
+ * @param {integer} [options.seed = 1] Seed of the random noise.
+ * @param {integer} [options.decimals = 2] Number of decimal places values are
+ * rounded to.
+ * @return {Array[]} Data points in chronological order.
+ */
+function generateDataPoints(options) {
+  const period = options.period !== undefined ? options.period : 60;
+  const base = options.base !== undefined ? options.base : 100;
+  const amplitude = options.amplitude !== undefined ? options.amplitude : 50;
+  const noise = options.noise !== undefined ? options.noise : 5;
+  const decimals = options.decimals !== undefined ? options.decimals : 2;
+  const random = createRandom(options.seed !== undefined ? options.seed : 1);
+  const timeFrom = dateToTimestamp(options.timeFrom);
+  const timeTo = dateToTimestamp(options.timeTo);
+  const factor = Math.pow(10, decimals);
+  const dataPoints = [];
+  let total = 0;
+
+  for (let timestamp = timeFrom; timestamp <= timeTo; timestamp += period) {
+    const phase = 2 * Math.PI * (timestamp % DAY) / DAY;
+    const value = base - amplitude * Math.cos(phase) + noise * (2 * random() - 1);
+
+    if (options.cumulative) {
+      total += value * period / 3600;
+    }
+
+    const output = options.cumulative ? total : value;
+    dataPoints.push([timestamp, Math.round(output * factor) / factor]);
+  }
+
+  return dataPoints;
+}
+
+/**
+ * Create a fixture set for `FakeServer`: a user (username `demo`, password
+ * `demo`) with a feed containing power, energy, temperature, raw and system
+ * streams with synthetic data, related streams and notifications.
+ *
+ * @param {Object} [options] Options.
+ * @param {Date} [options.timeFrom] Start of the generated data. Default: 7
+ * days before `timeTo`.
+ * @param {Date} [options.timeTo] End of the generated data. Default: now.
+ * @param {integer} [options.period = 300] Time between generated data
+ * points, in seconds.
+ * @param {integer} [options.seed = 1] Seed of the random noise in the data.
+ * @return {Object} The fixture set, see `FakeServer` for its structure.
+ */
+function createFixtures(options = {}) {
+  const period = options.period !== undefined ? options.period : 300;
+  const seed = options.seed !== undefined ? options.seed : 1;
+  const timeTo = options.timeTo !== undefined ? options.timeTo : new Date();
+  const timeFrom =
+    options.timeFrom !== undefined ? options.timeFrom : new Date(timeTo.getTime() - 7 * DAY * 1000);
+  const range = { timeFrom, timeTo, period };
+  const generate = generatorOptions =>
+    generateDataPoints(Object.assign({}, range, generatorOptions));
+  const validFrom = '2000-01-01T00:00:00+00:00';
+
+  return {
+    users: [
+      {
+        id: 'usdemo',
+        username: 'demo',
+        email: 'demo@example.com',
+        password: 'demo',
+        feeds: ['fddemo'],
+        notifications: [
+          {
+            id: 2,
+            title: "'Demo' homebase doesn't send data.",
+            content: 'We just found out that your Homebase is not connected to our servers.',
+            feed_title: 'Demo',
+            created_at: timeTo.toISOString(),
+            read: false,
+            archived: false
+          },
+          {
+            id: 1,
+            title: "'Demo' homebase is connected again.",
+            content: 'Your Homebase is sending data again.',
+            feed_title: 'Demo',
+            created_at: timeFrom.toISOString(),
+            read: true,
+            archived: false
+          }
+        ]
+      }
+    ],
+    feeds: [
+      {
+        id: 'fddemo',
+        subscription: { from: timeFrom.toISOString(), to: null },
+        configs: [
+          { title: 'Demo', timezone: 'Europe/Prague', valid_from: validFrom, valid_to: null }
+        ],
+        streams: [
+          {
+            id: 'stpower',
+            type: 'processed',
+            channel: 1,
+            combined: false,
+            configs: [
+              {
+                title: 'Electricity - Main',
+                medium: 'power',
+                unit: 'W',
+                valid_from: validFrom,
+                valid_to: null
+              }
+            ],
+            data: generate({ base: 800, amplitude: 400, noise: 50, seed })
+          },
+          {
+            id: 'stenergy',
+            type: 'processed',
+            channel: 1,
+            combined: false,
+            configs: [
+              {
+                title: 'Electricity - Main (energy)',
+                medium: 'energy',
+                unit: 'Wh',
+                valid_from: validFrom,
+                valid_to: null
+              }
+            ],
+            data: generate({ base: 800, amplitude: 400, noise: 50, seed, cumulative: true })
+          },
+          {
+            id: 'sttemp',
+            type: 'processed',
+            channel: 2,
+            combined: false,
+            configs: [
+              {
+                title: 'Living room',
+                medium: 'temperature',
+                unit: '°C',
+                valid_from: validFrom,
+                valid_to: null
+              }
+            ],
+            data: generate({ base: 21, amplitude: 1.5, noise: 0.2, seed: seed + 1 })
+          },
+          {
+            id: 'straw',
+            type: 'raw',
+            channel: 16,
+            device: 8,
+            medium: 16,
+            data: generate({ base: 400, amplitude: 200, noise: 25, seed: seed + 2, decimals: 0 })
+          },
+          {
+            id: 'stsystem',
+            type: 'system',
+            channel: 16,
+            data: generate({ base: 80, amplitude: 0, noise: 10, seed: seed + 3, decimals: 0 })
+          }
+        ],
+        relatedStreams: [['stpower', 'stenergy']]
+      }
+    ],
+    authorizations: []
+  };
+}
+
+/**
+ * Create a seeded pseudorandom number generator (mulberry32).
+ *
+ * @private
+ * @param {integer} seed The seed.
+ * @return {Function} A function returning numbers from the [0, 1) interval.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  generateDataPoints,
+  createFixtures
+};
@@ -0,0 +1,169 @@
+const { dateToTimestamp, inferSamplingPeriod } = require('./utils.js');
+
+const FILL_STRATEGIES = ['null', 'previous', 'linear', 'zero'];
+
+/**
+ * Find gaps (ranges of missing data points) in a series.
+ *
+ * A gap is reported wherever two consecutive data points are further apart
+ * than `period` multiplied by `tolerance`. When `timeFrom` or `timeTo` is
+ * passed, missing data points at the start or the end of the range are
+ * reported too.
+ *
+ * @param {Array[]} dataPoints Data points (`[timestamp, value]` arrays) in
+ * chronological order.
+ * @param {Object} [options] Options.
+ * @param {number} [options.period] Expected time between data points, in
+ * seconds. Default: inferred from the data points.
+ * @param {number} [options.tolerance = 1.5] How many times longer than
+ * `period` the time between data points must be to be considered a gap.
+ * @param {Date} [options.timeFrom] Start of the range the data points were
+ * requested for.
+ * @param {Date} [options.timeTo] End of the range the data points were
+ * requested for.
+ * @return {Object[]} Gaps in chronological order, each with `from` and `to`
+ * (Unix timestamps of the first and the last missing data point) and
+ * `missingPoints` (the number of missing data points) properties.
+ */
+function findGaps(dataPoints, options = {}) {
+  const period = getPeriod(dataPoints, options);
+  const tolerance = options.tolerance !== undefined ? options.tolerance : 1.5;
+  const timeFrom = options.timeFrom !== undefined ? dateToTimestamp(options.timeFrom) : undefined;
+  const timeTo = options.timeTo !== undefined ? dateToTimestamp(options.timeTo) : undefined;
+  const gaps = [];
+
+  if (period === undefined) {
+    return gaps;
+  }
+
+  if (dataPoints.length === 0) {
+    if (timeFrom !== undefined && timeTo !== undefined && timeTo >= timeFrom) {
+      const missingPoints = Math.floor((timeTo - timeFrom) / period) + 1;
+      gaps.push({ from: timeFrom, to: timeFrom + (missingPoints - 1) * period, missingPoints });
+    }
+
+    return gaps;
+  }
+
+  const first = dataPoints[0][0];
+  if (timeFrom !== undefined && first - timeFrom > period * tolerance) {
+    const missingPoints = Math.floor((first - timeFrom) / period);
+    gaps.push({ from: first - missingPoints * period, to: first - period, missingPoints });
+  }
+
+  for (let i = 1; i < dataPoints.length; i++) {
+    const previous = dataPoints[i - 1][0];
+    const current = dataPoints[i][0];
+
+    // Data points are expected every `period` seconds after the previous one.
+    const missingPoints = Math.ceil((current - previous) / period) - 1;
+    if (current - previous > period * tolerance && missingPoints > 0) {
+      gaps.push({ from: previous + period, to: previous + missingPoints * period, missingPoints });
+    }
+  }
+
+  const last = dataPoints[dataPoints.length - 1][0];
+  if (timeTo !== undefined && timeTo - last > period * tolerance) {
+    const missingPoints = Math.floor((timeTo - last) / period);
+    gaps.push({ from: last + period, to: last + missingPoints * period, missingPoints });
+  }
+
+  return gaps;
+}
+
+/**
+ * Fill gaps found by {@link findGaps} with data points spaced by `period`.
+ *
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @param {Object} [options] Options. All options of {@link findGaps} are
+ * supported.
+ * @param {string} [options.strategy = null] Value of the inserted data
+ * points: `null` (no value, e.g. to break a line in a chart), `previous` (the
+ * value of the data point before the gap), `linear` (linear interpolation
+ * between the data points around the gap) or `zero` (e.g. for consumption of
+ * counters that report only when something is consumed). Data points inserted
+ * at the start of the range get `null` for `previous` and `linear`, as do
+ * those at the end for `linear`.
+ * @return {Array[]} Data points including the inserted ones, in
+ * chronological order.
+ */
+function fillGaps(dataPoints, options = {}) {
+  const strategy = options.strategy !== undefined ? options.strategy : 'null';
+
+  if (FILL_STRATEGIES.indexOf(strategy) === -1) {
+    throw new TypeError(
+      `Unknown fill strategy: ${strategy}. Use one of: ${FILL_STRATEGIES.join(', ')}.`
+    );
+  }
+
+  const gaps = findGaps(dataPoints, options);
+  if (gaps.length === 0) {
+    return dataPoints.slice();
+  }
+
+  const period = getPeriod(dataPoints, options);
+  const result = [];
+  let index = 0;
+
+  gaps.forEach(gap => {
+    while (index < dataPoints.length && dataPoints[index][0] < gap.from) {
+      result.push(dataPoints[index]);
+      index++;
+    }
+
+    const before = index > 0 ? dataPoints[index - 1] : undefined;
+    const after = index < dataPoints.length ? dataPoints[index] : undefined;
+    for (let i = 0; i < gap.missingPoints; i++) {
+      const timestamp = gap.from + i * period;
+      result.push([timestamp, fillValue(strategy, timestamp, before, after)]);
+    }
+  });
+
+  return result.concat(dataPoints.slice(index));
+}
+
+/**
+ * Return the expected time between data points.
+ *
+ * @private
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @param {Object} options Options of {@link findGaps}.
+ * @return {number|undefined} The period in seconds or `undefined` when it is
+ * not passed and cannot be inferred.
+ */
+function getPeriod(dataPoints, options) {
+  return options.period !== undefined ? options.period : inferSamplingPeriod(dataPoints);
+}
+
+/**
+ * Compute the value of a data point inserted into a gap.
+ *
+ * @private
+ * @param {string} strategy Fill strategy.
+ * @param {integer} timestamp Timestamp of the inserted data point.
+ * @param {Array} [before] The data point before the gap.
+ * @param {Array} [after] The data point after the gap.
+ * @return {number|null} The value.
+ */
+function fillValue(strategy, timestamp, before, after) {
+  switch (strategy) {
+    case 'null':
+      return null;
+    case 'zero':
+      return 0;
+    case 'previous':
+      return before !== undefined ? before[1] : null;
+    case 'linear':
+      if (before === undefined || after === undefined) {
+        return null;
+      }
+
+      return before[1] + (after[1] - before[1]) * (timestamp - before[0]) / (after[0] - before[0]);
+  }
+}
+
+module.exports = {
+  FILL_STRATEGIES,
+  findGaps,
+  fillGaps
+};
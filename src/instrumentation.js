@@ -0,0 +1,195 @@
+// Methods a logger must implement.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Names of headers and arguments whose values never appear in logs
+// (compared case-insensitively).
+const SECRET_NAMES = ['authorization', 'password'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Check that a value is a logger: an object with `debug`, `info`, `warn` and
+ * `error` methods, e.g. `console`. Throw `TypeError` otherwise.
+ *
+ * @param {*} logger The value to check.
+ * @return {Object} The logger.
+ */
+function validateLogger(logger) {
+  const isObject = typeof logger === 'object' && logger !== null;
+
+  if (!isObject || !LOG_LEVELS.every(level => typeof logger[level] === 'function')) {
+    throw new TypeError('Logger must be an object with debug, info, warn and error methods.');
+  }
+
+  return logger;
+}
+
+/**
+ * Copy an object replacing values of the `Authorization` header and
+ * `password` properties with `[REDACTED]`.
+ *
+ * @param {Object} object Headers or arguments of a request.
+ * @return {Object} The redacted copy.
+ */
+function redact(object) {
+  const result = {};
+
+  Object.keys(object).forEach(key => {
+    const isSecret = SECRET_NAMES.indexOf(key.toLowerCase()) !== -1;
+
+    result[key] = isSecret && object[key] !== undefined ? REDACTED : object[key];
+  });
+
+  return result;
+}
+
+/**
+ * Determine the size of a response body: the `Content-Length` header when
+ * the API sent it, the length of a body received as a string. The parsed
+ * data is not serialized again to measure it.
+ *
+ * @param {Object} response The response.
+ * @return {(integer|null)} The size in bytes or `null` when it is unknown.
+ */
+function getResponseSize(response) {
+  const contentLength = parseInt(response.headers && response.headers['content-length'], 10);
+
+  if (!isNaN(contentLength)) {
+    return contentLength;
+  }
+  if (response.data === undefined || response.data === null || response.data === '') {
+    return 0;
+  }
+
+  return typeof response.data === 'string' ? Buffer.byteLength(response.data) : null;
+}
+
+/**
+ * Build the record of a finished request.
+ *
+ * @param {Object} context The request context (see `Energomonitor#use`).
+ * @param {Error} [error] The error the request was rejected with, when it is
+ * not the error of the request itself (e.g. one thrown by a hook).
+ * @return {Object} The record: `operation`, `method`, `endpoint`, `params`,
+ * `args` (redacted), `status` (`null` when no response was received),
+ * `duration` (in milliseconds, `null` when the request was not sent),
+ * `size` (of the response body in bytes, `null` when unknown), `retries`
+ * (number of previous attempts), `startedAt`, `shortCircuited`, `error`
+ * (the message or `null`) and `recovered` (whether a middleware recovered
+ * the failed request).
+ */
+function createRequestRecord(context, error = null) {
+  const failure = context.error !== null ? context.error : error;
+  const response = context.response;
+  let status = null;
+
+  if (context.error !== null) {
+    status = context.error.status;
+  } else if (response !== null) {
+    status = response.status;
+  }
+  if (status === undefined) {
+    status = null;
+  }
+
+  return {
+    operation: context.operation,
+    method: context.method,
+    endpoint: context.endpoint,
+    params: context.params,
+    args: redact(context.args),
+    status,
+    duration: context.duration,
+    size: failure !== null || response === null ? 0 : getResponseSize(response),
+    retries: context.attempt - 1,
+    startedAt: context.startedAt,
+    shortCircuited: context.shortCircuited,
+    error: failure !== null ? failure.message : null,
+    recovered: context.error !== null && response !== null
+  };
+}
+
+/**
+ * Create an instrumentation logging requests and passing their records to a
+ * metrics collector:
+ *
+ *   * `debug` — before each request is sent, with the redacted headers.
+ *   * `warn` — before a request is repeated (retries and repeats with a new
+ *     token).
+ *   * `info` — after each successful request.
+ *   * `error` — after each failed request, including the ones a middleware
+ *     recovered.
+ *
+ * The logger methods are called with a message and the request record (see
+ * `createRequestRecord`). The instrumentation is not a middleware, because
+ * the hooks of a middleware are skipped once another one recovers a request:
+ * `beforeSend` is called with the request context when the request is about
+ * to be sent (after the `beforeRequest` hooks) and `finish` once the whole
+ * middleware chain has finished.
+ *
+ * @param {Object} options Options.
+ * @param {Object} [options.logger] The logger.
+ * @param {Object} [options.metrics] Collector of the request records: an
+ * object with a `record` method, e.g. an instance of `MetricsCollector`.
+ * @return {Object} The instrumentation with `beforeSend(context)` and
+ * `finish(context, error)` methods.
+ * @throws {TypeError} When the logger or the collector lacks a method.
+ */
+function createInstrumentation({ logger, metrics }) {
+  if (logger !== undefined) {
+    validateLogger(logger);
+  }
+  if (metrics !== undefined && (metrics === null || typeof metrics.record !== 'function')) {
+    throw new TypeError('Metrics collector must be an object with a record method.');
+  }
+
+  const describe = context => `${context.method} ${context.endpoint} (${context.operation})`;
+
+  return {
+    beforeSend(context) {
+      if (logger === undefined) {
+        return;
+      }
+      if (context.attempt > 1) {
+        logger.warn(`Repeating ${describe(context)}, attempt ${context.attempt}`, {
+          operation: context.operation,
+          method: context.method,
+          endpoint: context.endpoint,
+          retries: context.attempt - 1
+        });
+      }
+      logger.debug(`Sending ${describe(context)}`, {
+        operation: context.operation,
+        method: context.method,
+        endpoint: context.endpoint,
+        params: context.params,
+        args: redact(context.args),
+        headers: redact(context.headers)
+      });
+    },
+    finish(context, error) {
+      const record = createRequestRecord(context, error);
+
+      if (metrics !== undefined) {
+        metrics.record(record);
+      }
+      if (logger === undefined) {
+        return;
+      }
+      if (record.error !== null) {
+        const recovered = record.recovered ? ' (recovered by a middleware)' : '';
+        logger.error(`${describe(context)} failed: ${record.error}${recovered}`, record);
+      } else {
+        const source = record.shortCircuited ? 'short-circuited' : `in ${record.duration} ms`;
+        logger.info(`${describe(context)}: ${record.status} ${source}`, record);
+      }
+    }
+  };
+}
+
+module.exports = {
+  validateLogger,
+  redact,
+  createRequestRecord,
+  createInstrumentation
+};
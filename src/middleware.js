@@ -0,0 +1,176 @@
+// Names of the functions a middleware can implement.
+const HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+/**
+ * Check that a value is a middleware: an object implementing at least one of
+ * the hooks (and nothing but functions under their names). Throw `TypeError`
+ * otherwise.
+ *
+ * @param {*} middleware The value to check.
+ * @return {Object} The middleware.
+ */
+function validateMiddleware(middleware) {
+  const isObject = typeof middleware === 'object' && middleware !== null;
+
+  if (!isObject || !HOOKS.some(hook => middleware[hook] !== undefined)) {
+    throw new TypeError(
+      'Middleware must be an object with a beforeRequest, afterResponse or onError function.'
+    );
+  }
+  HOOKS.forEach(hook => {
+    if (middleware[hook] !== undefined && typeof middleware[hook] !== 'function') {
+      throw new TypeError(`Middleware ${hook} must be a function.`);
+    }
+  });
+
+  return middleware;
+}
+
+/**
+ * Call a hook of each middleware implementing it, one after another, until
+ * one of them returns (a promise that resolves to) a result.
+ *
+ * @param {Object[]} middleware The middleware in the order to call them.
+ * @param {string} hook Name of the hook.
+ * @param {Object} context The request context passed to the hooks.
+ * @param {Function} [isResult] Decides whether a returned value is a result.
+ * Default: anything other than `undefined`.
+ * @return {Promise} A promise that resolves to the first result or
+ * `undefined` when no hook returned one.
+ */
+function callHooks(middleware, hook, context, isResult = value => value !== undefined) {
+  return middleware.reduce(
+    (previous, current) =>
+      previous.then(result => {
+        if (result !== undefined || current[hook] === undefined) {
+          return result;
+        }
+
+        return Promise.resolve(current[hook](context)).then(
+          value => (isResult(value) ? value : undefined)
+        );
+      }),
+    Promise.resolve(undefined)
+  );
+}
+
+/**
+ * Decide whether a value returned by `beforeRequest` is a response: an
+ * object with a `data` property. Other values (e.g. the result of an
+ * assignment in an arrow function) are ignored.
+ *
+ * @param {*} value The returned value.
+ * @return {boolean} Whether the value is a response.
+ */
+function isResponse(value) {
+  return typeof value === 'object' && value !== null && 'data' in value;
+}
+
+/**
+ * Turn a value returned by a hook into a response.
+ *
+ * @param {Object} response Response returned by `beforeRequest` (`data` with
+ * optional `status` and `headers`).
+ * @return {Object} The response.
+ */
+function toResponse(response) {
+  return Object.assign({ status: 200, statusText: 'OK', headers: {} }, response);
+}
+
+/**
+ * Send a request through a middleware chain:
+ *
+ *   1. `beforeRequest` hooks are called in order. They may modify
+ *      `context.headers` and `context.priority`. The first one returning an
+ *      object with a `data` (and optional `status` and `headers`) property
+ *      short-circuits the chain: the request is not sent, the object is used
+ *      as its response and `context.shortCircuited` is set. Other returned
+ *      values are ignored.
+ *   2. The request is sent with the (modified) headers. `context.startedAt`
+ *      and `context.duration` record when it left the queue of the limiter
+ *      (if any) and how long it took.
+ *   3. On success, `afterResponse` hooks are called in reverse order with
+ *      `context.response` set. A hook returning something other than
+ *      `undefined` replaces the response data (each following hook sees the
+ *      replaced data).
+ *   4. On failure, `onError` hooks are called in reverse order with
+ *      `context.error` set. The first hook returning something other than
+ *      `undefined` recovers the request with that value as the response data
+ *      (`afterResponse` hooks are not called then); a hook may also throw a
+ *      different error.
+ *
+ * Hooks may return promises.
+ *
+ * @param {Object[]} middleware The middleware in the order they were added.
+ * @param {Object} context The request context.
+ * @param {Function} send Function sending the request with the headers of
+ * the context passed to it, setting `context.startedAt` when it is sent and
+ * returning a promise that resolves to the response.
+ * @return {Promise} A promise that resolves to the response.
+ */
+function runMiddleware(middleware, context, send) {
+  const reversed = middleware.slice().reverse();
+
+  const receive = response => {
+    context.response = response;
+
+    return reversed.reduce(
+      (previous, current) =>
+        previous.then(() => {
+          if (current.afterResponse === undefined) {
+            return undefined;
+          }
+
+          return Promise.resolve(current.afterResponse(context)).then(data => {
+            if (data !== undefined) {
+              context.response = Object.assign({}, context.response, { data });
+            }
+          });
+        }),
+      Promise.resolve()
+    );
+  };
+
+  const fail = error => {
+    context.error = error;
+
+    return callHooks(reversed, 'onError', context).then(data => {
+      if (data === undefined) {
+        throw error;
+      }
+
+      context.response = toResponse({ data });
+    });
+  };
+
+  return callHooks(middleware, 'beforeRequest', context, isResponse)
+    .then(shortCircuit => {
+      if (shortCircuit !== undefined) {
+        context.shortCircuited = true;
+        return receive(toResponse(shortCircuit));
+      }
+
+      const measure = () => {
+        if (context.startedAt !== null) {
+          context.duration = Date.now() - context.startedAt.getTime();
+        }
+      };
+
+      return send(context).then(
+        response => {
+          measure();
+          return receive(response);
+        },
+        error => {
+          measure();
+          return fail(error);
+        }
+      );
+    })
+    .then(() => context.response);
+}
+
+module.exports = {
+  validateMiddleware,
+  runMiddleware
+};
@@ -0,0 +1,328 @@
+const { describeStreamGroup } = require('./streamGroups.js');
+
+/**
+ * Base class of the objects returned by an `Energomonitor` instance created
+ * with the `models` option. A model has all properties of the API object it
+ * represents and methods navigating to related objects.
+ *
+ * The originating client (and other context, like the ID of the feed a stream
+ * belongs to) is kept in non-enumerable properties, so models serialize to
+ * JSON the same way as the plain API objects.
+ */
+class Model {
+  /**
+   * Create a new instance of `Model`.
+   *
+   * @param {Energomonitor} energomonitor The client used by the navigation
+   * methods.
+   * @param {Object} data The API object.
+   */
+  constructor(energomonitor, data) {
+    Object.defineProperty(this, 'energomonitor', { value: energomonitor });
+    Object.assign(this, data);
+  }
+}
+
+/**
+ * A [user]{@link https://developers.energomonitor.com/api/endpoints/users.html#user-object}.
+ */
+class User extends Model {
+  /**
+   * Retrieve the user’s feeds.
+   *
+   * @return {Promise} A promise that resolves to the array of `Feed`
+   * instances.
+   */
+  feeds() {
+    return this.energomonitor
+      .getFeeds(this.id)
+      .then(feeds => wrap(feeds, feed => new Feed(this.energomonitor, feed)));
+  }
+
+  /**
+   * Retrieve the user’s notifications.
+   *
+   * @param {Object} [options] Additional options.
+   * @param {(Date|string)} [options.createdAtFrom] Only list notifications
+   * created at or after this time.
+   * @return {Promise} A promise that resolves to the array of `Notification`
+   * instances.
+   */
+  notifications(options = {}) {
+    return this.energomonitor
+      .getNotifications(Object.assign({ userId: this.id }, options))
+      .then(notifications =>
+        wrap(
+          notifications,
+          notification => new Notification(this.energomonitor, this.id, notification)
+        )
+      );
+  }
+
+  /**
+   * Retrieve the user’s notification count information.
+   *
+   * @return {Promise} A promise that resolves to an object with `read`,
+   * `unread` and `total` properties.
+   */
+  notificationCount() {
+    return this.energomonitor.getNotificationCount(this.id);
+  }
+
+  /**
+   * Create a watcher of the user’s notifications, see
+   * {@link Energomonitor#watchNotifications}.
+   *
+   * @param {Object} [options] Options of the watcher.
+   * @return {NotificationWatcher} The watcher.
+   */
+  watchNotifications(options) {
+    return this.energomonitor.watchNotifications(this.id, options);
+  }
+}
+
+/**
+ * A [feed]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#feed-object}.
+ */
+class Feed extends Model {
+  /**
+   * Retrieve the feed’s streams.
+   *
+   * @param {Object} [filters] Only list streams matching these filters.
+   * @param {(string|string[])} [filters.types] Stream type/types.
+   * @param {(integer|integer[])} [filters.channels] Channel/channels.
+   * @param {(Date|string)} [filters.dataTimeFrom] Only list streams with data
+   * points measured after or at this time.
+   * @param {(Date|string)} [filters.dataTimeTo] Only list streams with data
+   * points measured before or at this time.
+   * @return {Promise} A promise that resolves to the array of `Stream`
+   * instances.
+   */
+  streams(filters = {}) {
+    return this.energomonitor
+      .getStreams(Object.assign({ feedId: this.id }, filters))
+      .then(streams => wrap(streams, stream => new Stream(this.energomonitor, this.id, stream)));
+  }
+
+  /**
+   * Retrieve a single stream of the feed.
+   *
+   * @param {string} streamId ID of the stream.
+   * @return {Promise} A promise that resolves to the `Stream` instance.
+   */
+  stream(streamId) {
+    return this.energomonitor
+      .getStream(this.id, streamId)
+      .then(stream => wrap(stream, data => new Stream(this.energomonitor, this.id, data)));
+  }
+
+  /**
+   * Retrieve groups of the feed’s related streams (see
+   * {@link Energomonitor#getRelatedStreams}).
+   *
+   * @return {Promise} A promise that resolves to the array with the groups,
+   * where each group is an array of `Stream` instances. Streams the API does
+   * not list (e.g. ones the token cannot access) are left out.
+   */
+  relatedStreamGroups() {
+    return Promise.all([this.energomonitor.getRelatedStreams(this.id), this.streams()]).then(
+      ([groups, streams]) => {
+        const streamsById = new Map(streams.map(stream => [stream.id, stream]));
+
+        return groups.map(group =>
+          group.filter(streamId => streamsById.has(streamId)).map(id => streamsById.get(id))
+        );
+      }
+    );
+  }
+
+  /**
+   * Retrieve groups of the feed’s related streams with their roles (see
+   * {@link Energomonitor#getRelatedStreamGroups}).
+   *
+   * @return {Promise} A promise that resolves to the array with the groups,
+   * objects with `role`, `streams` and `combined` properties, where the
+   * streams are `Stream` instances.
+   */
+  streamGroups() {
+    return this.relatedStreamGroups().then(groups => groups.map(describeStreamGroup));
+  }
+}
+
+/**
+ * A [stream]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}.
+ */
+class Stream extends Model {
+  /**
+   * Create a new instance of `Stream`.
+   *
+   * @param {Energomonitor} energomonitor The client used by the navigation
+   * methods.
+   * @param {string} feedId ID of the feed the stream belongs to.
+   * @param {Object} data The API object.
+   */
+  constructor(energomonitor, feedId, data) {
+    super(energomonitor, data);
+
+    Object.defineProperty(this, 'feedId', { value: feedId });
+  }
+
+  /**
+   * Retrieve the feed the stream belongs to.
+   *
+   * @return {Promise} A promise that resolves to the `Feed` instance.
+   */
+  feed() {
+    return this.energomonitor
+      .getFeed(this.feedId)
+      .then(feed => wrap(feed, data => new Feed(this.energomonitor, data)));
+  }
+
+  /**
+   * Retrieve all data points of the stream in a time range, see
+   * {@link Energomonitor#getAllStreamData}.
+   *
+   * @param {Object} options Options. All options of
+   * {@link Energomonitor#getAllStreamData} are supported.
+   * @param {(Date|string)} options.from Start of the range.
+   * @param {(Date|string)} [options.to] End of the range. Default: now.
+   * @return {Promise} A promise that resolves to the array with the data
+   * points in chronological order.
+   */
+  data(options = {}) {
+    return this.energomonitor.getAllStreamData(this._rangeArguments(options));
+  }
+
+  /**
+   * Create an async iterator walking through the stream’s data points, see
+   * {@link Energomonitor#iterateStreamData}.
+   *
+   * @param {Object} options Options. All options of
+   * {@link Energomonitor#iterateStreamData} are supported.
+   * @param {(Date|string)} options.from Start of the range.
+   * @param {(Date|string)} [options.to] End of the range. Default: now.
+   * @return {StreamDataIterator} The iterator.
+   */
+  iterate(options = {}) {
+    return this.energomonitor.iterateStreamData(this._rangeArguments(options));
+  }
+
+  /**
+   * Retrieve the newest data point of the stream.
+   *
+   * @return {Promise} A promise that resolves to the data point or `null`
+   * when the stream has no data.
+   */
+  latest() {
+    return this.energomonitor
+      .getStreamData({ feedId: this.feedId, streamId: this.id, limit: 1 })
+      .then(dataPoints => (dataPoints.length > 0 ? dataPoints[dataPoints.length - 1] : null));
+  }
+
+  /**
+   * Create a live subscription to the stream, see
+   * {@link Energomonitor#subscribe}.
+   *
+   * @param {Object} [options] Options of the subscription.
+   * @return {StreamSubscription} The subscription.
+   */
+  subscribe(options) {
+    return this.energomonitor.subscribe([{ feedId: this.feedId, streamId: this.id }], options);
+  }
+
+  /**
+   * Convert `from`/`to` options to arguments of the data-retrieving methods.
+   *
+   * @private
+   */
+  _rangeArguments(options) {
+    const args = { feedId: this.feedId, streamId: this.id };
+
+    Object.keys(options).forEach(key => {
+      if (key === 'from') {
+        args.timeFrom = options.from;
+      } else if (key === 'to') {
+        args.timeTo = options.to;
+      } else {
+        args[key] = options[key];
+      }
+    });
+
+    return args;
+  }
+}
+
+/**
+ * A [notification]{@link https://developers.energomonitor.com/api/endpoints/notifications.html#notification-object}.
+ */
+class Notification extends Model {
+  /**
+   * Create a new instance of `Notification`.
+   *
+   * @param {Energomonitor} energomonitor The client used by the navigation
+   * methods.
+   * @param {string} userId ID of the user the notification belongs to.
+   * @param {Object} data The API object.
+   */
+  constructor(energomonitor, userId, data) {
+    super(energomonitor, data);
+
+    Object.defineProperty(this, 'userId', { value: userId });
+  }
+
+  /**
+   * Mark the notification as read.
+   *
+   * @return {Promise} A promise that resolves to the notification, updated
+   * with the API response.
+   */
+  markRead() {
+    return this._update({ read: true });
+  }
+
+  /**
+   * Archive the notification.
+   *
+   * @return {Promise} A promise that resolves to the notification, updated
+   * with the API response.
+   */
+  archive() {
+    return this._update({ archived: true });
+  }
+
+  /**
+   * Modify the notification and copy the response to its properties.
+   *
+   * @private
+   */
+  _update(data) {
+    return this.energomonitor
+      .updateNotification(this.userId, this.id, data)
+      .then(notification => Object.assign(this, notification));
+  }
+}
+
+/**
+ * Convert API objects (a single one or an array) to models, leaving ones
+ * that already are models unchanged.
+ *
+ * @param {(Object|Object[])} data The API object(s).
+ * @param {Function} create Function creating a model from an API object.
+ * @return {(Model|Model[])} The model(s).
+ */
+function wrap(data, create) {
+  if (Array.isArray(data)) {
+    return data.map(item => wrap(item, create));
+  }
+
+  return data instanceof Model ? data : create(data);
+}
+
+module.exports = {
+  Model,
+  User,
+  Feed,
+  Stream,
+  Notification,
+  wrap
+};
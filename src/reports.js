@@ -0,0 +1,596 @@
+const { getCurrentConfig, isCumulativeStream, toConsumption } = require('./consumption.js');
+const { findGaps } = require('./gaps.js');
+const { resample } = require('./resample.js');
+const { findRedundantStreams, resolveStreamGroups } = require('./streamGroups.js');
+const { CALENDAR_UNITS, addPeriods, getCalendarRange } = require('./timeRanges.js');
+const { formatISOTime, getLocalTime, isValidTimeZone } = require('./timezone.js');
+const { dateToTimestamp } = require('./utils.js');
+
+const DEFAULT_OPTIONS = {
+  unit: 'month',
+  offset: -1,
+  nightHours: [0, 5],
+  compare: true
+};
+
+// Units of consumption computed from instantaneous power.
+const POWER_UNITS = { W: 'Wh', kW: 'kWh', MW: 'MWh' };
+
+// Style sheet of HTML reports.
+const STYLE = [
+  'body{font-family:sans-serif;margin:2em;color:#222}',
+  'table{border-collapse:collapse;margin:1em 0}',
+  'th,td{border:1px solid #ccc;padding:.3em .6em;text-align:right}',
+  'th:first-child,td:first-child{text-align:left}',
+  '.bar{display:inline-block;height:.8em;background:#4a90d9}',
+  'footer{color:#888;font-size:.8em}'
+].join('');
+
+/**
+ * Create an energy report of a feed or of all feeds of a user for a calendar
+ * period (by default the previous month).
+ *
+ * The report covers consumption streams: processed streams of cumulative
+ * counters (see `isCumulativeStream`) and of power, whose consumption is
+ * energy (e.g. Wh from W). When a power stream is related to an energy
+ * stream (see `identifyGroupRole`), only the energy stream is included, so
+ * the consumption is not counted twice. For the same reason, the combined
+ * stream of a group of phases is left out when its phases are reported (or
+ * only left out of the totals when it is listed in `streams`). Each feed’s
+ * period is computed in its own timezone.
+ *
+ * @example
+ * const report = await createReport(em, { feedId: 'fddemo', unit: 'month' });
+ * fs.writeFileSync('report.html', renderReportHTML(report));
+ *
+ * @param {Energomonitor} energomonitor The client used to retrieve data.
+ * @param {Object} options Options.
+ * @param {string} [options.feedId] Report on a feed with this ID.
+ * @param {string} [options.userId] Report on all feeds of a user with this
+ * ID. Exactly one of `feedId` and `userId` is required.
+ * @param {string} [options.unit = month] Calendar unit of the period: `day`,
+ * `week`, `month`, `quarter` or `year`.
+ * @param {Date} [options.date = now] A time the period is relative to.
+ * @param {integer} [options.offset = -1] Number of periods between the
+ * period containing `date` and the reported one, see `getCalendarRange`.
+ * The default is the last complete period.
+ * @param {string} [options.timeZone] IANA timezone of the calendar. Default:
+ * the timezone of each feed.
+ * @param {string[]} [options.streams] IDs of streams to report on (only for
+ * a feed). Default: all consumption streams.
+ * @param {integer[]} [options.nightHours = [0, 5]] Local hours (the first
+ * inclusive, the second exclusive) in which the base load is measured.
+ * @param {boolean} [options.compare = true] Whether to compare the
+ * consumption with the previous period and the same period a year before.
+ * @param {Object} [options.iteratorOptions] Options passed to
+ * {@link Energomonitor#iterateStreamData}.
+ * @return {Promise} A promise that resolves to the report: an object with
+ * `generatedAt` (a `Date`), `unit`, `userId` (`null` for a feed report) and
+ * `feeds` properties, see the README for the structure of the feed reports.
+ * It rejects with a `TypeError` when some of the options are invalid.
+ */
+function createReport(energomonitor, options) {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  return Promise.resolve()
+    .then(() => {
+      validateOptions(options);
+
+      return options.feedId !== undefined
+        ? energomonitor.getFeed(options.feedId).then(feed => [feed])
+        : energomonitor.getFeeds(options.userId);
+    })
+    .then(feeds => Promise.all(feeds.map(feed => createFeedReport(energomonitor, feed, options))))
+    .then(feedReports => ({
+      generatedAt: new Date(),
+      unit: options.unit,
+      userId: options.userId !== undefined ? options.userId : null,
+      feeds: feedReports
+    }));
+}
+
+/**
+ * Create the report of a single feed.
+ *
+ * @private
+ * @return {Promise} A promise that resolves to the feed report.
+ */
+function createFeedReport(energomonitor, feed, options) {
+  const config = getCurrentConfig(feed) || {};
+  const timeZone = options.timeZone !== undefined ? options.timeZone : config.timezone || 'UTC';
+  const period = getCalendarRange(options.unit, {
+    timeZone,
+    date: options.date,
+    offset: options.offset
+  });
+  const previousPeriod = getCalendarRange(options.unit, {
+    timeZone,
+    date: options.date,
+    offset: options.offset - 1
+  });
+  const lastYearPeriod = {
+    from: shiftByYear(period.from, timeZone),
+    to: shiftByYear(period.to, timeZone)
+  };
+
+  return selectStreams(energomonitor, feed.id, options).then(({ streams, redundant }) => {
+    const retrieve = (stream, range) =>
+      energomonitor
+        .getAllStreamData(feed.id, stream.id, range.from, range.to, options.iteratorOptions)
+        .then(dataPoints => summarizeConsumption(stream, dataPoints, range));
+
+    const reportStream = stream =>
+      Promise.all([
+        retrieve(stream, period),
+        options.compare ? retrieve(stream, previousPeriod) : null,
+        options.compare ? retrieve(stream, lastYearPeriod) : null
+      ]).then(([current, previous, lastYear]) =>
+        createStreamReport(stream, current, previous, lastYear, timeZone, options)
+      );
+
+    return Promise.all(streams.map(reportStream)).then(streamReports => ({
+      feedId: feed.id,
+      title: config.title !== undefined ? config.title : null,
+      timeZone,
+      period,
+      previousPeriod: options.compare ? previousPeriod : null,
+      lastYearPeriod: options.compare ? lastYearPeriod : null,
+      totals: sumTotals(streamReports.filter(report => redundant.indexOf(report.streamId) === -1)),
+      completeness: average(streamReports.map(report => report.completeness)),
+      streams: streamReports
+    }));
+  });
+}
+
+/**
+ * Find the streams a feed report covers.
+ *
+ * @private
+ * @return {Promise} A promise that resolves to an object with `streams` (the
+ * stream objects) and `redundant` (IDs of the streams left out of the
+ * totals, see `findRedundantStreams`).
+ */
+function selectStreams(energomonitor, feedId, options) {
+  return Promise.all([
+    energomonitor.getStreams(feedId),
+    energomonitor.getRelatedStreams(feedId)
+  ]).then(([streams, relatedStreams]) => {
+    const groups = resolveStreamGroups(relatedStreams, streams);
+
+    if (options.streams !== undefined) {
+      const selected = options.streams.map(streamId => {
+        const stream = streams.filter(candidate => candidate.id === streamId)[0];
+        if (stream === undefined) {
+          throw new Error(`Stream ${streamId} does not exist in feed ${feedId}.`);
+        }
+        if (getConsumptionUnit(stream) === null) {
+          throw new Error(`Stream ${streamId} of feed ${feedId} does not measure consumption.`);
+        }
+
+        return stream;
+      });
+
+      return { streams: selected, redundant: findRedundantStreams(groups, options.streams) };
+    }
+
+    // Power streams paired with an energy stream measure the same consumption.
+    const duplicates = groups
+      .filter(group => group.role === 'powerEnergy')
+      .map(
+        group =>
+          group.streams.filter(stream => (getCurrentConfig(stream) || {}).medium === 'power')[0].id
+      );
+    const consumption = streams.filter(
+      stream =>
+        stream.type === 'processed' &&
+        getConsumptionUnit(stream) !== null &&
+        duplicates.indexOf(stream.id) === -1
+    );
+    const redundant = findRedundantStreams(groups, consumption.map(stream => stream.id));
+
+    return {
+      streams: consumption.filter(stream => redundant.indexOf(stream.id) === -1),
+      redundant: []
+    };
+  });
+}
+
+/**
+ * Compute the consumption of a stream in a range and the completeness of its
+ * data.
+ *
+ * @private
+ * @param {Object} stream The stream object.
+ * @param {Array[]} dataPoints Data points from the start to the end of the
+ * range (inclusive, so the last interval can be closed).
+ * @param {Object} range The range with `from` and `to` (exclusive) dates.
+ * @return {Object} An object with `consumption` (consumption data points
+ * starting in the range), `total` (`null` when there is no data) and
+ * `completeness` (percentage of expected data points present).
+ */
+function summarizeConsumption(stream, dataPoints, range) {
+  const timeFrom = dateToTimestamp(range.from);
+  const timeTo = dateToTimestamp(range.to);
+  const inRange = dataPoints.filter(([timestamp]) => timestamp >= timeFrom && timestamp < timeTo);
+  const consumption = toConsumption(stream, dataPoints).filter(
+    ([timestamp]) => timestamp >= timeFrom && timestamp < timeTo
+  );
+  const missingPoints = findGaps(inRange, {
+    timeFrom: range.from,
+    timeTo: new Date((timeTo - 1) * 1000)
+  }).reduce((sum, gap) => sum + gap.missingPoints, 0);
+
+  return {
+    consumption,
+    total: consumption.length > 0 ? sum(consumption.map(([, value]) => value)) : null,
+    completeness: inRange.length > 0 ? 100 * inRange.length / (inRange.length + missingPoints) : 0
+  };
+}
+
+/**
+ * Create the report of a single stream.
+ *
+ * @private
+ * @return {Object} The stream report.
+ */
+function createStreamReport(stream, current, previous, lastYear, timeZone, options) {
+  const config = getCurrentConfig(stream) || {};
+  const hours = resample(current.consumption, {
+    interval: 'hour',
+    aggregation: 'sum',
+    timeZone
+  }).map(([timestamp, value]) => ({
+    timestamp,
+    value,
+    hour: getLocalTime(timestamp, timeZone).hour
+  }));
+  const [nightFrom, nightTo] = options.nightHours;
+  const nightHours = hours.filter(({ hour }) => hour >= nightFrom && hour < nightTo);
+  const peak = hours.reduce(
+    (max, hour) => (max === null || hour.value > max.value ? hour : max),
+    null
+  );
+
+  const hourly = [];
+  for (let hour = 0; hour < 24; hour++) {
+    hourly.push(average(hours.filter(bucket => bucket.hour === hour).map(bucket => bucket.value)));
+  }
+
+  const compare = other =>
+    other !== null
+      ? {
+          total: other.total,
+          completeness: other.completeness,
+          change: change(current.total, other.total)
+        }
+      : null;
+
+  return {
+    streamId: stream.id,
+    title: config.title !== undefined ? config.title : null,
+    medium: getMedium(stream),
+    unit: getConsumptionUnit(stream),
+    total: current.total,
+    completeness: current.completeness,
+    peak: peak !== null ? { time: new Date(peak.timestamp * 1000), value: peak.value } : null,
+    baseLoad:
+      nightHours.length > 0 ? Math.min.apply(null, nightHours.map(bucket => bucket.value)) : null,
+    daily: resample(current.consumption, { interval: 'day', aggregation: 'sum', timeZone }).map(
+      ([timestamp, value]) => ({ date: formatISOTime(timestamp, timeZone).slice(0, 10), value })
+    ),
+    hourly,
+    previous: compare(previous),
+    lastYear: compare(lastYear)
+  };
+}
+
+/**
+ * Sum consumption of streams by medium and unit.
+ *
+ * @private
+ * @param {Object[]} streamReports Reports of the streams.
+ * @return {Object[]} Totals with `medium`, `unit`, `total`, `previous` and
+ * `lastYear` properties.
+ */
+function sumTotals(streamReports) {
+  const totals = new Map();
+  const add = (a, b) => (a === null ? b : b === null ? a : a + b);
+
+  streamReports.forEach(report => {
+    const key = `${report.medium}\u0000${report.unit}`;
+    if (!totals.has(key)) {
+      totals.set(key, {
+        medium: report.medium,
+        unit: report.unit,
+        total: null,
+        previous: report.previous !== null ? { total: null, change: null } : null,
+        lastYear: report.lastYear !== null ? { total: null, change: null } : null
+      });
+    }
+
+    const total = totals.get(key);
+    total.total = add(total.total, report.total);
+    ['previous', 'lastYear'].forEach(name => {
+      if (total[name] !== null) {
+        total[name].total = add(total[name].total, report[name].total);
+        total[name].change = change(total.total, total[name].total);
+      }
+    });
+  });
+
+  return Array.from(totals.values());
+}
+
+/**
+ * Return the medium of a stream’s consumption. Power is reported as energy.
+ *
+ * @private
+ */
+function getMedium(stream) {
+  const config = getCurrentConfig(stream) || {};
+
+  if (config.medium === 'power') {
+    return 'energy';
+  }
+
+  return config.medium !== undefined ? config.medium : null;
+}
+
+/**
+ * Return the unit of a stream’s consumption or `null` when the stream does
+ * not measure consumption.
+ *
+ * @private
+ */
+function getConsumptionUnit(stream) {
+  const config = getCurrentConfig(stream) || {};
+
+  if (isCumulativeStream(stream)) {
+    return config.unit;
+  }
+
+  return POWER_UNITS.hasOwnProperty(config.unit) ? POWER_UNITS[config.unit] : null;
+}
+
+/**
+ * Move a date by a year in a timezone, keeping the local date.
+ *
+ * @private
+ */
+function shiftByYear(date, timeZone) {
+  return new Date(addPeriods(dateToTimestamp(date), 'year', -1, timeZone) * 1000);
+}
+
+/**
+ * Compute the relative change from a previous value, e.g. `0.1` for an
+ * increase by 10 %, or `null` when it cannot be computed.
+ *
+ * @private
+ */
+function change(value, previous) {
+  return value !== null && previous !== null && previous !== 0
+    ? (value - previous) / previous
+    : null;
+}
+
+/**
+ * @private
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Compute the mean of numbers, or `null` for no numbers.
+ *
+ * @private
+ */
+function average(values) {
+  return values.length > 0 ? sum(values) / values.length : null;
+}
+
+/**
+ * Render a report as JSON. Times are ISO 8601 strings in UTC.
+ *
+ * @param {Object} report A report created by {@link createReport}.
+ * @return {string} The JSON.
+ */
+function renderReportJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Render a report as a standalone HTML page (with inline styles and no
+ * scripts), e.g. to be sent by email or converted to PDF.
+ *
+ * @param {Object} report A report created by {@link createReport}.
+ * @param {Object} [options] Options.
+ * @param {string} [options.title = Energy report] Title of the page.
+ * @return {string} The HTML.
+ */
+function renderReportHTML(report, options = {}) {
+  const title = options.title !== undefined ? options.title : 'Energy report';
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHTML(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHTML(title)}</h1>`,
+    report.feeds.map(renderFeedHTML).join('\n'),
+    `<footer>Generated at ${escapeHTML(report.generatedAt.toISOString())}</footer>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render the report of a feed.
+ *
+ * @private
+ */
+function renderFeedHTML(feedReport) {
+  const { timeZone, period } = feedReport;
+  const formatPeriod = range =>
+    range !== null
+      ? `${formatISOTime(dateToTimestamp(range.from), timeZone)} – ${formatISOTime(
+          dateToTimestamp(range.to),
+          timeZone
+        )}`
+      : '';
+  const comparison = value =>
+    value !== null ? `${formatNumber(value.total)} (${formatChange(value.change)})` : '–';
+
+  const sections = [
+    `<h2>${escapeHTML(feedReport.title !== null ? feedReport.title : feedReport.feedId)}</h2>`,
+    `<p>${escapeHTML(formatPeriod(period))} (${escapeHTML(timeZone)}), data completeness ` +
+      `${formatNumber(feedReport.completeness)} %</p>`,
+    renderTable(
+      ['Medium', 'Unit', 'Total', 'Previous period', 'Last year'],
+      feedReport.totals.map(total => [
+        total.medium,
+        total.unit,
+        formatNumber(total.total),
+        comparison(total.previous),
+        comparison(total.lastYear)
+      ])
+    )
+  ];
+
+  feedReport.streams.forEach(stream => {
+    const maximum = Math.max.apply(null, stream.daily.map(day => day.value).concat([0]));
+    const bar = value =>
+      `<span class="bar" style="width:${maximum > 0 ? Math.round(200 * value / maximum) : 0}px">` +
+      '</span>';
+
+    sections.push(
+      `<h3>${escapeHTML(stream.title !== null ? stream.title : stream.streamId)}</h3>`,
+      renderTable(
+        ['', stream.unit],
+        [
+          ['Total', formatNumber(stream.total)],
+          ['Previous period', comparison(stream.previous)],
+          ['Last year', comparison(stream.lastYear)],
+          [
+            'Peak hour',
+            stream.peak !== null
+              ? `${formatNumber(stream.peak.value)} at ${formatISOTime(
+                  dateToTimestamp(stream.peak.time),
+                  timeZone
+                )}`
+              : '–'
+          ],
+          ['Base load (night hour minimum)', formatNumber(stream.baseLoad)],
+          ['Data completeness', `${formatNumber(stream.completeness)} %`]
+        ]
+      ),
+      renderTable(
+        ['Day', stream.unit, ''],
+        stream.daily.map(day => [day.date, formatNumber(day.value), { html: bar(day.value) }])
+      ),
+      renderTable(
+        ['Hour', `Mean ${stream.unit}`],
+        stream.hourly.map((value, hour) => [`${hour}:00`, formatNumber(value)])
+      )
+    );
+  });
+
+  return `<section>\n${sections.join('\n')}\n</section>`;
+}
+
+/**
+ * Render an HTML table. Cells are escaped unless they are objects with an
+ * `html` property.
+ *
+ * @private
+ */
+function renderTable(header, rows) {
+  const cell = (tag, value) =>
+    `<${tag}>${
+      value !== null && typeof value === 'object' ? value.html : escapeHTML(String(value))
+    }</${tag}>`;
+  const row = (tag, values) => `<tr>${values.map(value => cell(tag, value)).join('')}</tr>`;
+
+  return [
+    '<table>',
+    row('th', header),
+    rows.map(values => row('td', values)).join('\n'),
+    '</table>'
+  ].join('\n');
+}
+
+/**
+ * @private
+ */
+function formatNumber(value) {
+  return value !== null ? String(Math.round(value * 100) / 100) : '–';
+}
+
+/**
+ * @private
+ */
+function formatChange(value) {
+  if (value === null) {
+    return 'n/a';
+  }
+
+  const percentage = Math.round(value * 1000) / 10;
+
+  return `${percentage > 0 ? '+' : ''}${percentage} %`;
+}
+
+/**
+ * @private
+ */
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Throw a `TypeError` when some of the options are invalid.
+ *
+ * @private
+ * @param {Object} options Options of {@link createReport}.
+ */
+function validateOptions(options) {
+  if ((options.feedId === undefined) === (options.userId === undefined)) {
+    throw new TypeError('Exactly one of the feedId and userId options is required.');
+  }
+  if (options.streams !== undefined && options.feedId === undefined) {
+    throw new TypeError('The streams option requires the feedId option.');
+  }
+  if (CALENDAR_UNITS.indexOf(options.unit) === -1) {
+    throw new TypeError(
+      `Invalid unit option: ${options.unit}. Use one of: ${CALENDAR_UNITS.join(', ')}.`
+    );
+  }
+  if (options.timeZone !== undefined && !isValidTimeZone(options.timeZone)) {
+    throw new TypeError(`Unknown timezone: ${options.timeZone}.`);
+  }
+
+  const [nightFrom, nightTo] = Array.isArray(options.nightHours) ? options.nightHours : [];
+  if (
+    !Number.isInteger(nightFrom) ||
+    !Number.isInteger(nightTo) ||
+    nightFrom < 0 ||
+    nightTo > 24 ||
+    nightFrom >= nightTo
+  ) {
+    throw new TypeError('The nightHours option must be an array of two hours between 0 and 24.');
+  }
+}
+
+module.exports = {
+  createReport,
+  renderReportJSON,
+  renderReportHTML
+};
@@ -0,0 +1,300 @@
+const { isValidTimeZone } = require('./timezone.js');
+const { getPeriodStart, addPeriods } = require('./timeRanges.js');
+
+// Lengths of fixed-length intervals, in seconds. Weeks and months are handled
+// separately because they are aligned to calendar boundaries.
+const FIXED_INTERVALS = {
+  minute: 60,
+  '15minutes': 15 * 60,
+  hour: 60 * 60,
+  day: 24 * 60 * 60
+};
+
+const INTERVALS = Object.keys(FIXED_INTERVALS).concat(['week', 'month']);
+
+const AGGREGATIONS = ['sum', 'mean', 'min', 'max', 'first', 'last', 'count', 'timeWeightedMean'];
+
+// 1970-01-05 (the first Monday after the Unix epoch), used to align weeks.
+const FIRST_MONDAY = 4 * 24 * 60 * 60;
+
+/**
+ * Compute the start of the bucket a timestamp belongs to. Days, weeks (ISO,
+ * starting on Monday) and months are aligned to midnight in the timezone,
+ * other intervals to UTC.
+ *
+ * @param {integer} timestamp A Unix timestamp.
+ * @param {(string|integer)} interval Bucket interval: `minute`, `15minutes`,
+ * `hour`, `day`, `week`, `month` or a length in seconds.
+ * @param {string} [timeZone = UTC] An IANA timezone name.
+ * @return {integer} Start of the bucket as a Unix timestamp.
+ */
+function getBucketStart(timestamp, interval, timeZone = 'UTC') {
+  if (isLocalCalendarInterval(interval, timeZone)) {
+    return getPeriodStart(timestamp, interval, timeZone);
+  }
+  if (interval === 'month') {
+    const date = new Date(timestamp * 1000);
+
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+  }
+  if (interval === 'week') {
+    return timestamp - mod(timestamp - FIRST_MONDAY, 7 * FIXED_INTERVALS.day);
+  }
+
+  const length = getIntervalLength(interval);
+
+  return timestamp - mod(timestamp, length);
+}
+
+/**
+ * Compute the start of the bucket following a bucket.
+ *
+ * @param {integer} bucketStart Start of a bucket as a Unix timestamp.
+ * @param {(string|integer)} interval Bucket interval, see
+ * {@link getBucketStart}.
+ * @param {string} [timeZone = UTC] An IANA timezone name.
+ * @return {integer} Start of the next bucket as a Unix timestamp.
+ */
+function getNextBucketStart(bucketStart, interval, timeZone = 'UTC') {
+  if (isLocalCalendarInterval(interval, timeZone)) {
+    return addPeriods(bucketStart, interval, 1, timeZone);
+  }
+  if (interval === 'month') {
+    const date = new Date(bucketStart * 1000);
+
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+  }
+  if (interval === 'week') {
+    return bucketStart + 7 * FIXED_INTERVALS.day;
+  }
+
+  return bucketStart + getIntervalLength(interval);
+}
+
+/**
+ * Aggregate data points into buckets of a fixed interval.
+ *
+ * The `timeWeightedMean` aggregation treats the series as a step function:
+ * each value holds from its timestamp until the next data point (the last
+ * data point holds until the end of its bucket), and a value that started in
+ * a previous bucket contributes to the following buckets too. This is the
+ * correct mean for irregularly sampled instantaneous values like power.
+ *
+ * @param {Array[]} dataPoints Data points (`[timestamp, value]` arrays) in
+ * chronological order.
+ * @param {Object} options Resampling options.
+ * @param {(string|integer)} options.interval Bucket interval: `minute`,
+ * `15minutes`, `hour`, `day`, `week`, `month` or a length in seconds.
+ * @param {string} [options.aggregation = mean] Aggregation: `sum`, `mean`,
+ * `min`, `max`, `first`, `last`, `count` or `timeWeightedMean`.
+ * @param {string} [options.timeZone = UTC] IANA timezone whose midnight
+ * aligns days, weeks and months. Local days are 23 or 25 hours long when DST
+ * starts or ends.
+ * @return {Array[]} Data points where each one represents a non-empty bucket:
+ * the start of the bucket (a Unix timestamp) and the aggregated value.
+ */
+function resample(dataPoints, options) {
+  const interval = options.interval;
+  const aggregation = options.aggregation !== undefined ? options.aggregation : 'mean';
+  const timeZone = options.timeZone !== undefined ? options.timeZone : 'UTC';
+
+  validateInterval(interval);
+  if (!isValidTimeZone(timeZone)) {
+    throw new TypeError(`Unknown timezone: ${timeZone}.`);
+  }
+  if (AGGREGATIONS.indexOf(aggregation) === -1) {
+    throw new TypeError(
+      `Unknown aggregation: ${aggregation}. Use one of: ${AGGREGATIONS.join(', ')}.`
+    );
+  }
+
+  if (aggregation === 'timeWeightedMean') {
+    return resampleTimeWeighted(dataPoints, interval, timeZone);
+  }
+
+  const buckets = groupIntoBuckets(dataPoints, interval, timeZone);
+
+  return buckets.map(bucket => [bucket.start, aggregate(bucket.values, aggregation)]);
+}
+
+/**
+ * Group data points into buckets.
+ *
+ * @private
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @param {(string|integer)} interval Bucket interval.
+ * @param {string} timeZone IANA timezone of the calendar intervals.
+ * @return {Object[]} Non-empty buckets, each with `start` and `values`
+ * properties.
+ */
+function groupIntoBuckets(dataPoints, interval, timeZone) {
+  const buckets = [];
+  let bucket = null;
+  let bucketEnd = null;
+
+  dataPoints.forEach(([timestamp, value]) => {
+    // Computing bucket boundaries in a timezone is relatively expensive, so
+    // it is done only for data points outside the current bucket.
+    if (bucket === null || timestamp < bucket.start || timestamp >= bucketEnd) {
+      const start = getBucketStart(timestamp, interval, timeZone);
+
+      bucket = { start, values: [] };
+      bucketEnd = getNextBucketStart(start, interval, timeZone);
+      buckets.push(bucket);
+    }
+    bucket.values.push(value);
+  });
+
+  return buckets;
+}
+
+/**
+ * Aggregate values of a single bucket.
+ *
+ * @private
+ * @param {number[]} values Values in chronological order (at least one).
+ * @param {string} aggregation Aggregation name.
+ * @return {number} The aggregated value.
+ */
+function aggregate(values, aggregation) {
+  switch (aggregation) {
+    case 'sum':
+      return values.reduce((sum, value) => sum + value, 0);
+    case 'mean':
+      return values.reduce((sum, value) => sum + value, 0) / values.length;
+    case 'min':
+      return values.reduce((min, value) => Math.min(min, value));
+    case 'max':
+      return values.reduce((max, value) => Math.max(max, value));
+    case 'first':
+      return values[0];
+    case 'last':
+      return values[values.length - 1];
+    case 'count':
+      return values.length;
+  }
+}
+
+/**
+ * Resample data points using the time-weighted mean.
+ *
+ * @private
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @param {(string|integer)} interval Bucket interval.
+ * @param {string} timeZone IANA timezone of the calendar intervals.
+ * @return {Array[]} Data points representing non-empty buckets.
+ */
+function resampleTimeWeighted(dataPoints, interval, timeZone) {
+  const result = [];
+
+  // Integral of the step function and the duration it covers, per bucket.
+  const totals = new Map();
+  const addDuration = (start, from, to, value) => {
+    const total = totals.get(start) || { integral: 0, duration: 0 };
+
+    total.integral += value * (to - from);
+    total.duration += to - from;
+    totals.set(start, total);
+  };
+  // A segment only contributes to the bucket it starts in and the bucket of
+  // the next data point. The buckets in between contain no data points and
+  // are not in the result, so they are skipped instead of iterated (a gap in
+  // the data can span millions of small buckets).
+  const addSegment = (from, to, value) => {
+    const start = getBucketStart(from, interval, timeZone);
+    const end = getNextBucketStart(start, interval, timeZone);
+
+    addDuration(start, from, Math.min(end, to), value);
+    if (to > end) {
+      const lastStart = getBucketStart(to, interval, timeZone);
+
+      if (lastStart < to) {
+        addDuration(lastStart, lastStart, to, value);
+      }
+    }
+  };
+
+  dataPoints.forEach(([timestamp, value], index) => {
+    const to =
+      index < dataPoints.length - 1
+        ? dataPoints[index + 1][0]
+        : getNextBucketStart(getBucketStart(timestamp, interval, timeZone), interval, timeZone);
+
+    addSegment(timestamp, to, value);
+
+    const start = getBucketStart(timestamp, interval, timeZone);
+    if (result.length === 0 || result[result.length - 1][0] !== start) {
+      result.push([start, null]);
+    }
+  });
+
+  return result.map(([start]) => {
+    const total = totals.get(start);
+
+    return [start, total.integral / total.duration];
+  });
+}
+
+/**
+ * Return the length of a fixed-length interval.
+ *
+ * @private
+ * @param {(string|integer)} interval Interval name or length in seconds.
+ * @return {integer} Length of the interval in seconds.
+ */
+function getIntervalLength(interval) {
+  return typeof interval === 'number' ? interval : FIXED_INTERVALS[interval];
+}
+
+/**
+ * Check whether an interval is a calendar one that has to be aligned in a
+ * timezone other than UTC (UTC alignment is computed arithmetically).
+ *
+ * @private
+ * @param {(string|integer)} interval The interval.
+ * @param {string} timeZone IANA timezone name.
+ * @return {boolean} Whether the interval is aligned in the timezone.
+ */
+function isLocalCalendarInterval(interval, timeZone) {
+  return timeZone !== 'UTC' && (interval === 'day' || interval === 'week' || interval === 'month');
+}
+
+/**
+ * Throw a `TypeError` when an interval is not supported.
+ *
+ * @private
+ * @param {*} interval The interval to be checked.
+ */
+function validateInterval(interval) {
+  const valid =
+    INTERVALS.indexOf(interval) !== -1 ||
+    (typeof interval === 'number' && interval > 0 && Number.isInteger(interval));
+
+  if (!valid) {
+    throw new TypeError(
+      `Unknown interval: ${interval}. Use one of: ${INTERVALS.join(', ')} ` +
+        'or a positive number of seconds.'
+    );
+  }
+}
+
+/**
+ * Compute the modulo of two numbers (unlike `%`, the result is never negative
+ * for a positive divisor).
+ *
+ * @private
+ * @param {number} a Dividend.
+ * @param {number} b Divisor.
+ * @return {number} The modulo.
+ */
+function mod(a, b) {
+  return (a % b + b) % b;
+}
+
+module.exports = {
+  INTERVALS,
+  AGGREGATIONS,
+  getBucketStart,
+  getNextBucketStart,
+  resample
+};
@@ -0,0 +1,265 @@
+const { InvalidArgumentError } = require('./errors.js');
+const { parseExpiration } = require('./utils.js');
+const { validateString } = require('./validation.js');
+
+const RESOURCE_TYPES = ['user', 'feed', 'stream'];
+
+// `r` grants reading, `w` modifying (e.g. marking notifications as read).
+const PERMISSIONS = ['r', 'w'];
+
+/**
+ * Builds the `resources` array of an authorization (see
+ * {@link Energomonitor#authorize} and {@link Energomonitor#createScopedToken}).
+ * Each resource grants permissions to a user, a feed or a single stream and
+ * is named by the ID of the object, as in the resource objects the API
+ * returns. Adding the same resource twice merges the permissions.
+ *
+ * @example
+ * const resources = new ResourceBuilder()
+ *   .feed('fddemo')
+ *   .stream('stpower')
+ *   .build();
+ */
+class ResourceBuilder {
+  /**
+   * Create a new instance of `ResourceBuilder`.
+   */
+  constructor() {
+    // Resources by type and name, in the order they were added.
+    this._resources = new Map();
+  }
+
+  /**
+   * Add a user resource, which grants access to the user object and the
+   * user’s notifications.
+   *
+   * @param {string} userId ID of the user.
+   * @param {string[]} [permissions = ['r']] Permissions: `r` (read) and/or
+   * `w` (write).
+   * @return {ResourceBuilder} The builder.
+   */
+  user(userId, permissions = ['r']) {
+    return this._add('user', userId, permissions, 'userId');
+  }
+
+  /**
+   * Add a feed resource, which grants access to the feed and all its
+   * streams.
+   *
+   * @param {string} feedId ID of the feed.
+   * @param {string[]} [permissions = ['r']] Permissions: `r` (read) and/or
+   * `w` (write).
+   * @return {ResourceBuilder} The builder.
+   */
+  feed(feedId, permissions = ['r']) {
+    return this._add('feed', feedId, permissions, 'feedId');
+  }
+
+  /**
+   * Add a stream resource, which grants access to a single stream.
+   *
+   * @param {string} streamId ID of the stream.
+   * @param {string[]} [permissions = ['r']] Permissions: `r` (read) and/or
+   * `w` (write).
+   * @return {ResourceBuilder} The builder.
+   */
+  stream(streamId, permissions = ['r']) {
+    return this._add('stream', streamId, permissions, 'streamId');
+  }
+
+  /**
+   * Return the resources added so far.
+   *
+   * @return {Object[]} A new array of
+   * [resource objects]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#resource-object}.
+   */
+  build() {
+    return Array.from(this._resources.values()).map(resource => ({
+      type: resource.type,
+      name: resource.name,
+      permissions: PERMISSIONS.filter(permission => resource.permissions.has(permission))
+    }));
+  }
+
+  /**
+   * Add a resource or merge its permissions into an existing one.
+   *
+   * @private
+   */
+  _add(type, name, permissions, argument) {
+    validateString(name, argument);
+    validatePermissions(permissions, 'permissions');
+
+    const key = `${type}:${name}`;
+    if (!this._resources.has(key)) {
+      this._resources.set(key, { type, name, permissions: new Set() });
+    }
+    permissions.forEach(permission => this._resources.get(key).permissions.add(permission));
+
+    return this;
+  }
+}
+
+/**
+ * Describe which resources an authorization covers, e.g. to verify the
+ * scope of a token before handing it out.
+ *
+ * @param {Object} authorization An
+ * [authorization object]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#authorization-object}.
+ * @return {Object} An object with the following properties: `userId`,
+ * `note`, `expiresAt` (`Date` or `null` when the authorization does not
+ * expire), `unrestricted` (`true` when the authorization lists no resources
+ * and so grants everything its user can access), `users` (objects with
+ * `userId` and `permissions`), `feeds` (objects with `feedId` and
+ * `permissions`) and `streams` (objects with `streamId` and
+ * `permissions`). Resources of other types are left out.
+ */
+function getAuthorizationScope(authorization) {
+  const resources = Array.isArray(authorization.resources) ? authorization.resources : [];
+  const ofType = type => resources.filter(resource => resource.type === type);
+
+  return {
+    userId: authorization.user_id,
+    note: authorization.note !== undefined ? authorization.note : null,
+    expiresAt: parseExpiration(authorization.expires_at),
+    unrestricted: !Array.isArray(authorization.resources),
+    users: ofType('user').map(resource => ({
+      userId: resource.name,
+      permissions: resource.permissions
+    })),
+    feeds: ofType('feed').map(resource => ({
+      feedId: resource.name,
+      permissions: resource.permissions
+    })),
+    streams: ofType('stream').map(resource => ({
+      streamId: resource.name,
+      permissions: resource.permissions
+    }))
+  };
+}
+
+/**
+ * Decide whether an authorization grants a permission to a user, a feed or
+ * a stream. A stream is covered by its own resource or by its feed’s one.
+ * Expiration is not checked.
+ *
+ * @param {Object} authorization An
+ * [authorization object]{@link https://developers.energomonitor.com/api/endpoints/authorization.html#authorization-object}.
+ * @param {Object} target What to check: an object with `userId`, `feedId`,
+ * or `feedId` and `streamId` properties. A stream without its `feedId` is
+ * only covered by its own resource.
+ * @param {string} [permission = r] The permission: `r` or `w`.
+ * @return {boolean} Whether the authorization covers the target.
+ */
+function authorizationCovers(authorization, target, permission = 'r') {
+  if (!Array.isArray(authorization.resources)) {
+    return true;
+  }
+
+  const names = [];
+  if (target.userId !== undefined) {
+    names.push(`user:${target.userId}`);
+  }
+  if (target.feedId !== undefined) {
+    names.push(`feed:${target.feedId}`);
+  }
+  if (target.streamId !== undefined) {
+    names.push(`stream:${target.streamId}`);
+  }
+
+  return authorization.resources.some(
+    resource =>
+      names.indexOf(`${resource.type}:${resource.name}`) !== -1 &&
+      Array.isArray(resource.permissions) &&
+      resource.permissions.indexOf(permission) !== -1
+  );
+}
+
+/**
+ * Validate the resources of an authorization (see `parseArguments`): an
+ * array of user, feed and stream resources or a `ResourceBuilder`.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Object[]} The resource objects.
+ */
+function validateResources(value, name) {
+  const resources = value instanceof ResourceBuilder ? value.build() : value;
+
+  if (!Array.isArray(resources)) {
+    throw new InvalidArgumentError(
+      `${name} must be an array of resources or a ResourceBuilder.`,
+      name
+    );
+  }
+  resources.forEach((resource, index) => {
+    const prefix = `${name}[${index}]`;
+
+    if (
+      resource === null ||
+      typeof resource !== 'object' ||
+      RESOURCE_TYPES.indexOf(resource.type) === -1
+    ) {
+      throw new InvalidArgumentError(
+        `${prefix}.type must be one of ${RESOURCE_TYPES.join(', ')}.`,
+        name
+      );
+    }
+    validateString(resource.name, `${prefix}.name`);
+    validatePermissions(resource.permissions, `${prefix}.permissions`);
+  });
+
+  return resources;
+}
+
+/**
+ * Validate the resources of a scoped token: like `validateResources`, but at
+ * least one resource is required.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Object[]} The resource objects.
+ */
+function validateScopedResources(value, name) {
+  const resources = validateResources(value, name);
+
+  if (resources.length === 0) {
+    throw new InvalidArgumentError(
+      `${name} must be a non-empty array of resources or a ResourceBuilder.`,
+      name
+    );
+  }
+
+  return resources;
+}
+
+/**
+ * Throw an `InvalidArgumentError` when permissions are not a non-empty
+ * array of known permissions.
+ *
+ * @private
+ * @param {*} permissions The permissions.
+ * @param {string} name Name of the argument.
+ */
+function validatePermissions(permissions, name) {
+  if (
+    !Array.isArray(permissions) ||
+    permissions.length === 0 ||
+    permissions.some(permission => PERMISSIONS.indexOf(permission) === -1)
+  ) {
+    throw new InvalidArgumentError(
+      `${name} must be a non-empty array of ${PERMISSIONS.join(' and ')}.`,
+      name
+    );
+  }
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  PERMISSIONS,
+  ResourceBuilder,
+  getAuthorizationScope,
+  authorizationCovers,
+  validateResources,
+  validateScopedResources
+};
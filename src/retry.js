@@ -0,0 +1,116 @@
+const { NetworkError, MissingTokenError } = require('./errors.js');
+const { delay } = require('./utils.js');
+
+// Retry policy used when retries are enabled without specifying some (or
+// all) of the options.
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.5,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  respectRetryAfter: true,
+  retryUpdates: false
+};
+
+/**
+ * Build a complete retry policy from user-supplied options.
+ *
+ * @param {(boolean|Object)} [options] `true` to enable retries with the
+ * default policy, an object to override some of its options, `false` or
+ * `undefined` to disable retries.
+ * @return {Object|null} The retry policy or `null` when retries are disabled.
+ */
+function normalizeRetryOptions(options) {
+  if (options === undefined || options === false || options === null) {
+    return null;
+  }
+
+  return Object.assign({}, DEFAULT_RETRY_OPTIONS, options === true ? {} : options);
+}
+
+/**
+ * Decide whether a failed request may be repeated.
+ *
+ * @param {Error} error The error the request failed with.
+ * @param {Object} policy Retry policy.
+ * @return {boolean} `true` when the request should be repeated.
+ */
+function isRetryableError(error, policy) {
+  if (error instanceof MissingTokenError) {
+    return false;
+  }
+  if (error instanceof NetworkError) {
+    return policy.retryNetworkErrors;
+  }
+
+  return error.status !== undefined && policy.retryStatuses.indexOf(error.status) !== -1;
+}
+
+/**
+ * Compute how long to wait before the next attempt. The delay grows
+ * exponentially with each attempt, is randomly shortened by up to `jitter`
+ * (a fraction of the delay) and never exceeds `maxDelay`. When the API asked
+ * for a longer delay using the `Retry-After` header and the policy respects
+ * it, that delay is used instead (still capped by `maxDelay`).
+ *
+ * @param {integer} attempt Number of the attempt that failed (starting at 1).
+ * @param {Error} error The error the attempt failed with.
+ * @param {Object} policy Retry policy.
+ * @param {Function} [random] Random number generator returning values from
+ * `[0, 1)`.
+ * @return {integer} The delay in milliseconds.
+ */
+function computeRetryDelay(attempt, error, policy, random = Math.random) {
+  const exponentialDelay = policy.baseDelay * Math.pow(2, attempt - 1);
+  let result = exponentialDelay * (1 - policy.jitter * random());
+
+  if (policy.respectRetryAfter && error.retryAfter !== undefined) {
+    result = Math.max(result, error.retryAfter);
+  }
+
+  return Math.round(Math.min(result, policy.maxDelay));
+}
+
+/**
+ * Run a function returning a promise and run it again (after a delay) each
+ * time the promise is rejected with a retryable error, until the policy's
+ * `maxAttempts` is reached.
+ *
+ * @param {Function} f The function to be run. It receives the attempt number
+ * (starting at 1).
+ * @param {Object} policy Retry policy.
+ * @param {Function} [onRetry] Called before waiting for each repeated attempt
+ * with an object with `attempt` (number of the upcoming attempt), `delay`
+ * (in milliseconds) and `error` (the error the previous attempt failed with)
+ * properties.
+ * @return {Promise} A promise that resolves to the result of the first
+ * successful attempt or is rejected with the error of the last attempt.
+ */
+async function withRetry(f, policy, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await f(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryableError(error, policy)) {
+        throw error;
+      }
+
+      const retryDelay = computeRetryDelay(attempt, error, policy);
+      if (onRetry !== undefined) {
+        onRetry({ attempt: attempt + 1, delay: retryDelay, error });
+      }
+
+      await delay(retryDelay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  normalizeRetryOptions,
+  isRetryableError,
+  computeRetryDelay,
+  withRetry
+};
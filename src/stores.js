@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A key-value store keeping values in memory. Values are lost when the
+ * process exits.
+ *
+ * All stores used by the client implement the same asynchronous interface
+ * (`get`, `set` and `delete` methods returning promises), so a custom store
+ * (e.g. backed by a database) can be passed wherever a store is accepted.
+ */
+class MemoryStore {
+  /**
+   * Create a new instance of `MemoryStore`.
+   */
+  constructor() {
+    this._values = new Map();
+  }
+
+  /**
+   * Retrieve a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to the value or `undefined`
+   * when there is no value with this key.
+   */
+  get(key) {
+    return Promise.resolve(this._values.get(key));
+  }
+
+  /**
+   * Save a value.
+   *
+   * @param {string} key Key of the value.
+   * @param {*} value The value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is saved.
+   */
+  set(key, value) {
+    this._values.set(key, value);
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is deleted.
+   */
+  delete(key) {
+    this._values.delete(key);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * A key-value store keeping a limited number of values in memory. When the
+ * limit is exceeded, the least recently used value is evicted.
+ */
+class LruStore {
+  /**
+   * Create a new instance of `LruStore`.
+   *
+   * @param {Object} [options] Options.
+   * @param {integer} [options.maxEntries = 1000] Maximum number of stored
+   * values.
+   */
+  constructor(options = {}) {
+    this._maxEntries = options.maxEntries !== undefined ? options.maxEntries : 1000;
+    // `Map` iterates in insertion order, so the least recently used value is
+    // always the first one.
+    this._values = new Map();
+  }
+
+  /**
+   * Retrieve a value and mark it as recently used.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to the value or `undefined`
+   * when there is no value with this key.
+   */
+  get(key) {
+    if (!this._values.has(key)) {
+      return Promise.resolve(undefined);
+    }
+
+    const value = this._values.get(key);
+    this._values.delete(key);
+    this._values.set(key, value);
+    return Promise.resolve(value);
+  }
+
+  /**
+   * Save a value, evicting the least recently used value when the store is
+   * full.
+   *
+   * @param {string} key Key of the value.
+   * @param {*} value The value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is saved.
+   */
+  set(key, value) {
+    this._values.delete(key);
+    this._values.set(key, value);
+
+    while (this._values.size > this._maxEntries) {
+      this._values.delete(this._values.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is deleted.
+   */
+  delete(key) {
+    this._values.delete(key);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * A key-value store keeping values in a JSON file, so they survive process
+ * restarts. Values must be serializable to JSON. The file is created (together
+ * with its directory) on the first write.
+ */
+class JsonFileStore {
+  /**
+   * Create a new instance of `JsonFileStore`.
+   *
+   * @param {string} filename Path to the JSON file.
+   */
+  constructor(filename) {
+    this._filename = filename;
+    // Operations are serialized so that concurrent writes cannot overwrite
+    // each other's changes.
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Retrieve a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to the value or `undefined`
+   * when there is no value with this key.
+   */
+  get(key) {
+    return this._enqueue(() => this._read().then(values => values[key]));
+  }
+
+  /**
+   * Save a value.
+   *
+   * @param {string} key Key of the value.
+   * @param {*} value The value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is saved.
+   */
+  set(key, value) {
+    return this._enqueue(() =>
+      this._read().then(values => {
+        values[key] = value;
+        return this._write(values);
+      })
+    );
+  }
+
+  /**
+   * Delete a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is deleted.
+   */
+  delete(key) {
+    return this._enqueue(() =>
+      this._read().then(values => {
+        delete values[key];
+        return this._write(values);
+      })
+    );
+  }
+
+  /**
+   * Run an operation once all previously enqueued operations finish.
+   *
+   * @private
+   * @param {Function} operation A function returning a promise.
+   * @return {Promise} A promise that resolves to the result of the operation.
+   */
+  _enqueue(operation) {
+    const result = this._queue.then(operation);
+    this._queue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Read all values from the file.
+   *
+   * @private
+   * @return {Promise} A promise that resolves to an object with the values
+   * (an empty object when the file does not exist).
+   */
+  _read() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this._filename, 'utf8', (error, content) => {
+        if (error) {
+          return error.code === 'ENOENT' ? resolve({}) : reject(error);
+        }
+
+        try {
+          resolve(JSON.parse(content));
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Write all values to the file.
+   *
+   * @private
+   * @param {Object} values An object with the values.
+   * @return {Promise} A promise that resolves to `undefined` once the file is
+   * written.
+   */
+  _write(values) {
+    // Write to a temporary file first and rename it, so that a crash in the
+    // middle of writing cannot leave a truncated file behind.
+    const temporaryFilename = `${this._filename}.${process.pid}.tmp`;
+    const content = JSON.stringify(values, null, 2) + '\n';
+
+    return makeDirectory(path.dirname(this._filename))
+      .then(() => callNodeFunction(fs.writeFile, temporaryFilename, content, { mode: 0o600 }))
+      .then(() => callNodeFunction(fs.rename, temporaryFilename, this._filename));
+  }
+}
+
+/**
+ * A key-value store keeping each value in a separate JSON file in a
+ * directory. Unlike `JsonFileStore`, a write does not rewrite other values,
+ * which makes it suitable for many or large values (e.g. cached data points).
+ * Values must be serializable to JSON. The directory is created on the first
+ * write.
+ */
+class DirectoryStore {
+  /**
+   * Create a new instance of `DirectoryStore`.
+   *
+   * @param {string} directory Path to the directory.
+   */
+  constructor(directory) {
+    this._directory = directory;
+    this._writes = 0;
+  }
+
+  /**
+   * Retrieve a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to the value or `undefined`
+   * when there is no value with this key.
+   */
+  get(key) {
+    return callNodeFunction(fs.readFile, this._getFilename(key), 'utf8').then(
+      content => JSON.parse(content),
+      error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    );
+  }
+
+  /**
+   * Save a value.
+   *
+   * @param {string} key Key of the value.
+   * @param {*} value The value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is saved.
+   */
+  set(key, value) {
+    const filename = this._getFilename(key);
+    // Each write uses its own temporary file, so that concurrent writes of
+    // the same key cannot mix.
+    const temporaryFilename = `${filename}.${process.pid}.${this._writes++}.tmp`;
+
+    return makeDirectory(this._directory)
+      .then(() =>
+        callNodeFunction(fs.writeFile, temporaryFilename, JSON.stringify(value), { mode: 0o600 })
+      )
+      .then(() => callNodeFunction(fs.rename, temporaryFilename, filename));
+  }
+
+  /**
+   * Delete a value.
+   *
+   * @param {string} key Key of the value.
+   * @return {Promise} A promise that resolves to `undefined` once the value
+   * is deleted.
+   */
+  delete(key) {
+    return callNodeFunction(fs.unlink, this._getFilename(key)).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Return the path to the file of a value. Keys are hashed, so they may
+   * contain any characters.
+   *
+   * @private
+   * @param {string} key Key of the value.
+   * @return {string} Path to the file.
+   */
+  _getFilename(key) {
+    const hash = crypto
+      .createHash('sha1')
+      .update(key)
+      .digest('hex');
+
+    return path.join(this._directory, `${hash}.json`);
+  }
+}
+
+/**
+ * Call a Node.js callback-style function and return a promise of its result.
+ *
+ * @param {Function} f The function to be called.
+ * @param {...*} args Arguments for the function (without the callback).
+ * @return {Promise} A promise that resolves to the result of the function.
+ */
+function callNodeFunction(f, ...args) {
+  return new Promise((resolve, reject) => {
+    f(...args, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+/**
+ * Create a directory including its missing parents.
+ *
+ * @param {string} directory Path to the directory.
+ * @return {Promise} A promise that resolves to `undefined` once the directory
+ * exists.
+ */
+function makeDirectory(directory) {
+  return callNodeFunction(fs.stat, directory).then(
+    () => undefined,
+    error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      return makeDirectory(path.dirname(directory))
+        .then(() => callNodeFunction(fs.mkdir, directory))
+        .catch(mkdirError => {
+          if (mkdirError.code !== 'EEXIST') {
+            throw mkdirError;
+          }
+        });
+    }
+  );
+}
+
+module.exports = {
+  MemoryStore,
+  LruStore,
+  JsonFileStore,
+  DirectoryStore,
+  callNodeFunction,
+  makeDirectory
+};
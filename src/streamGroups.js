@@ -0,0 +1,148 @@
+const { getCurrentConfig } = require('./consumption.js');
+
+/**
+ * Identify the role of a group of related streams from their metadata:
+ *
+ *   * `phases` — processed streams measuring the same medium in the same
+ *     unit on different channels, e.g. the phases of a three-phase meter.
+ *     One of them may be `combined` (the sum of the others).
+ *   * `powerEnergy` — a power stream paired with an energy stream.
+ *
+ * @param {Object[]} streams
+ * [Stream objects]{@link https://developers.energomonitor.com/api/endpoints/feeds-streams.html#stream-object}
+ * of the group.
+ * @return {(string|null)} The role or `null` when it cannot be identified.
+ */
+function identifyGroupRole(streams) {
+  const configs = streams.map(stream => getCurrentConfig(stream) || {});
+  const mediums = configs.map(config => config.medium);
+
+  if (streams.length === 2 && mediums.indexOf('power') !== -1 && mediums.indexOf('energy') !== -1) {
+    return 'powerEnergy';
+  }
+
+  const channels = streams.filter(stream => !stream.combined).map(stream => stream.channel);
+  const isPhases =
+    streams.length >= 2 &&
+    streams.every(stream => stream.type === 'processed') &&
+    mediums[0] !== undefined &&
+    configs.every(config => config.medium === mediums[0] && config.unit === configs[0].unit) &&
+    channels.length >= 2 &&
+    new Set(channels).size === channels.length &&
+    streams.filter(stream => stream.combined).length <= 1;
+
+  return isPhases ? 'phases' : null;
+}
+
+/**
+ * Describe a group of related streams.
+ *
+ * @param {Object[]} streams Stream objects of the group.
+ * @return {Object} The group with `role`, `streams` and `combined`
+ * properties, see {@link resolveStreamGroups}.
+ */
+function describeStreamGroup(streams) {
+  const role = identifyGroupRole(streams);
+  const combined = role === 'phases' ? streams.find(stream => stream.combined) : undefined;
+
+  return { role, streams, combined: combined !== undefined ? combined : null };
+}
+
+/**
+ * Find streams whose values are already included in other streams: the
+ * `combined` stream of each `phases` group whose phases are also listed.
+ * Summing both would count the same energy twice.
+ *
+ * @param {Object[]} groups Groups of stream objects (see
+ * {@link resolveStreamGroups}).
+ * @param {string[]} streamIds IDs of the streams to be summed.
+ * @return {string[]} IDs of the redundant streams.
+ */
+function findRedundantStreams(groups, streamIds) {
+  return groups
+    .filter(
+      group =>
+        group.combined !== null &&
+        streamIds.indexOf(group.combined.id) !== -1 &&
+        group.streams.some(
+          stream => stream !== group.combined && streamIds.indexOf(stream.id) !== -1
+        )
+    )
+    .map(group => group.combined.id);
+}
+
+/**
+ * Resolve groups of related stream IDs (as returned by
+ * `Energomonitor#getRelatedStreams`) into groups of stream objects.
+ *
+ * @param {Array[]} groups Groups of stream IDs.
+ * @param {Object[]} streams Stream objects of the feed.
+ * @return {Object[]} The groups, each with the following properties:
+ * `streams` (stream objects of the group in the original order; IDs of
+ * unknown streams are left out), `role` (see {@link identifyGroupRole}) and
+ * `combined` (the stream with the sum of the phases in a `phases` group,
+ * otherwise `null`).
+ */
+function resolveStreamGroups(groups, streams) {
+  const streamsById = new Map(streams.map(stream => [stream.id, stream]));
+
+  return groups.map(streamIds =>
+    describeStreamGroup(
+      streamIds
+        .filter(streamId => streamsById.has(streamId))
+        .map(streamId => streamsById.get(streamId))
+    )
+  );
+}
+
+/**
+ * Align data points of several streams by their timestamps.
+ *
+ * @param {Array[]} series Data points of each stream, in chronological
+ * order.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.total = false] Append the sum of the values to
+ * each row. The sum is `null` when a value is missing.
+ * @param {integer[]} [options.exclude = []] Indexes of series left out of
+ * the total.
+ * @return {Array[]} Rows in chronological order, one per timestamp present
+ * in any of the series: the timestamp followed by the value of each stream
+ * (`null` when the stream has no data point with the timestamp) and the
+ * total.
+ */
+function alignDataPoints(series, options = {}) {
+  const rows = new Map();
+
+  series.forEach((dataPoints, index) => {
+    dataPoints.forEach(([timestamp, value]) => {
+      if (!rows.has(timestamp)) {
+        rows.set(timestamp, [timestamp].concat(series.map(() => null)));
+      }
+      rows.get(timestamp)[index + 1] = value;
+    });
+  });
+
+  return Array.from(rows.values())
+    .sort((a, b) => a[0] - b[0])
+    .map(row => {
+      if (!options.total) {
+        return row;
+      }
+
+      const exclude = options.exclude || [];
+      const values = row.slice(1).filter((value, index) => exclude.indexOf(index) === -1);
+      const total = values.some(value => value === null)
+        ? null
+        : values.reduce((sum, value) => sum + value, 0);
+
+      return row.concat([total]);
+    });
+}
+
+module.exports = {
+  identifyGroupRole,
+  describeStreamGroup,
+  findRedundantStreams,
+  resolveStreamGroups,
+  alignDataPoints
+};
@@ -0,0 +1,181 @@
+const { getLocalTime, fromLocalTime, isValidTimeZone } = require('./timezone.js');
+const { dateToTimestamp } = require('./utils.js');
+
+const CALENDAR_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Matches names of time ranges, see `parseTimeRange`.
+const RANGE_NAME_REGEXP = /^(?:(today|yesterday)|(this|last)-([a-z]+)|last-(\d+)-([a-z]+)s)$/;
+
+/**
+ * Compute the start of the calendar period a timestamp belongs to: local
+ * midnight of the day, of Monday of the ISO week or of the first day of the
+ * month, quarter or year.
+ *
+ * @param {integer} timestamp A Unix timestamp.
+ * @param {string} unit Calendar unit: `day`, `week`, `month`, `quarter` or
+ * `year`.
+ * @param {string} [timeZone = UTC] An IANA timezone name.
+ * @return {integer} Start of the period as a Unix timestamp.
+ */
+function getPeriodStart(timestamp, unit, timeZone = 'UTC') {
+  validateUnit(unit);
+
+  const { year, month, day } = getLocalTime(timestamp, timeZone);
+
+  switch (unit) {
+    case 'day':
+      return fromLocalTime({ year, month, day }, timeZone);
+    case 'week': {
+      // Days since Monday.
+      const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+
+      return fromLocalTime({ year, month, day: day - weekday }, timeZone);
+    }
+    case 'month':
+      return fromLocalTime({ year, month, day: 1 }, timeZone);
+    case 'quarter':
+      return fromLocalTime({ year, month: month - (month - 1) % 3, day: 1 }, timeZone);
+    case 'year':
+      return fromLocalTime({ year, month: 1, day: 1 }, timeZone);
+  }
+}
+
+/**
+ * Move the start of a calendar period by a number of periods. Days are
+ * counted in local dates, so a day containing a DST transition is 23 or 25
+ * hours long.
+ *
+ * @param {integer} periodStart Start of a period as a Unix timestamp (see
+ * {@link getPeriodStart}).
+ * @param {string} unit Calendar unit, see {@link getPeriodStart}.
+ * @param {integer} count Number of periods (negative to move backwards).
+ * @param {string} [timeZone = UTC] An IANA timezone name.
+ * @return {integer} Start of the resulting period as a Unix timestamp.
+ */
+function addPeriods(periodStart, unit, count, timeZone = 'UTC') {
+  validateUnit(unit);
+
+  const { year, month, day } = getLocalTime(periodStart, timeZone);
+
+  switch (unit) {
+    case 'day':
+      return fromLocalTime({ year, month, day: day + count }, timeZone);
+    case 'week':
+      return fromLocalTime({ year, month, day: day + 7 * count }, timeZone);
+    case 'month':
+      return fromLocalTime({ year, month: month + count, day }, timeZone);
+    case 'quarter':
+      return fromLocalTime({ year, month: month + 3 * count, day }, timeZone);
+    case 'year':
+      return fromLocalTime({ year: year + count, month, day }, timeZone);
+  }
+}
+
+/**
+ * Compute a time range covering whole calendar periods in a timezone.
+ *
+ * @example
+ * // Yesterday in Prague.
+ * getCalendarRange('day', { timeZone: 'Europe/Prague', offset: -1 });
+ * // The previous 3 ISO weeks.
+ * getCalendarRange('week', { offset: -3, count: 3 });
+ *
+ * @param {string} unit Calendar unit: `day`, `week` (ISO, starting on
+ * Monday), `month`, `quarter` or `year`.
+ * @param {Object} [options] Options.
+ * @param {string} [options.timeZone = UTC] IANA timezone of the calendar.
+ * @param {Date} [options.date = now] A time in the period the range is
+ * relative to.
+ * @param {integer} [options.offset = 0] Number of periods between that
+ * period and the first period of the range (negative for past periods).
+ * @param {integer} [options.count = 1] Number of periods in the range.
+ * @return {Object} The range: an object with `from` (inclusive) and `to`
+ * (exclusive) `Date` properties.
+ */
+function getCalendarRange(unit, options = {}) {
+  const { timeZone = 'UTC', date = new Date(), offset = 0, count = 1 } = options;
+
+  validateUnit(unit);
+  if (!isValidTimeZone(timeZone)) {
+    throw new TypeError(`Unknown timezone: ${timeZone}.`);
+  }
+  if (!Number.isInteger(offset) || !Number.isInteger(count) || count < 1) {
+    throw new TypeError('The offset must be an integer and the count a positive integer.');
+  }
+
+  const from = addPeriods(
+    getPeriodStart(dateToTimestamp(date), unit, timeZone),
+    unit,
+    offset,
+    timeZone
+  );
+  const to = addPeriods(from, unit, count, timeZone);
+
+  return { from: new Date(from * 1000), to: new Date(to * 1000) };
+}
+
+/**
+ * Compute a time range from its name. Supported names:
+ *
+ *   * `today`, `yesterday`,
+ *   * `this-<unit>` — the current period, e.g. `this-month`,
+ *   * `last-<unit>` — the previous period, e.g. `last-week`,
+ *   * `last-<n>-<unit>s` — the `n` whole periods before the current one, e.g.
+ *     `last-7-days` (not including today),
+ *
+ * where the unit is `day`, `week`, `month`, `quarter` or `year`.
+ *
+ * @param {string} name Name of the range.
+ * @param {Object} [options] Options.
+ * @param {string} [options.timeZone = UTC] IANA timezone of the calendar.
+ * @param {Date} [options.date = now] The time the range is relative to.
+ * @return {Object} The range: an object with `from` (inclusive) and `to`
+ * (exclusive) `Date` properties, see {@link getCalendarRange}.
+ */
+function parseTimeRange(name, options = {}) {
+  const match = typeof name === 'string' ? RANGE_NAME_REGEXP.exec(name) : null;
+  let unit = 'day';
+  let offset;
+  let count = 1;
+
+  if (match === null) {
+    throw new TypeError(`Unknown time range: ${name}.`);
+  } else if (match[1] !== undefined) {
+    offset = match[1] === 'today' ? 0 : -1;
+  } else if (match[2] !== undefined) {
+    unit = match[3];
+    offset = match[2] === 'this' ? 0 : -1;
+  } else {
+    unit = match[5];
+    count = parseInt(match[4], 10);
+    offset = -count;
+  }
+
+  if (CALENDAR_UNITS.indexOf(unit) === -1 || count < 1) {
+    throw new TypeError(`Unknown time range: ${name}.`);
+  }
+
+  return getCalendarRange(unit, Object.assign({}, options, { offset, count }));
+}
+
+/**
+ * Throw a `TypeError` when a calendar unit is not supported.
+ *
+ * @private
+ * @param {*} unit The unit to be checked.
+ */
+function validateUnit(unit) {
+  if (CALENDAR_UNITS.indexOf(unit) === -1) {
+    throw new TypeError(
+      `Unknown calendar unit: ${unit}. Use one of: ${CALENDAR_UNITS.join(', ')}.`
+    );
+  }
+}
+
+module.exports = {
+  CALENDAR_UNITS,
+  getPeriodStart,
+  addPeriods,
+  getCalendarRange,
+  parseTimeRange
+};
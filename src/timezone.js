@@ -0,0 +1,175 @@
+// `Intl.DateTimeFormat` instances are expensive to create, so they are cached
+// per timezone.
+const formatters = new Map();
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Return a formatter producing numeric date and time parts in a timezone.
+ *
+ * @private
+ * @param {string} timeZone An IANA timezone name (e.g. `Europe/Prague`).
+ * @return {Intl.DateTimeFormat} The formatter.
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    );
+  }
+
+  return formatters.get(timeZone);
+}
+
+/**
+ * Compute the local date and time of a Unix timestamp in a timezone.
+ *
+ * @param {integer} timestamp A Unix timestamp.
+ * @param {string} timeZone An IANA timezone name (e.g. `Europe/Prague`).
+ * @return {Object} An object with numeric `year`, `month` (1–12), `day`,
+ * `hour`, `minute` and `second` properties.
+ */
+function getLocalTime(timestamp, timeZone) {
+  const parts = {};
+
+  getFormatter(timeZone)
+    .formatToParts(new Date(timestamp * 1000))
+    .forEach(part => {
+      if (part.type !== 'literal') {
+        parts[part.type] = parseInt(part.value, 10);
+      }
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    // Some implementations format midnight as 24:00.
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Compute the offset of a timezone from UTC at a given time.
+ *
+ * @param {integer} timestamp A Unix timestamp.
+ * @param {string} timeZone An IANA timezone name (e.g. `Europe/Prague`).
+ * @return {integer} The offset in seconds (positive east of UTC).
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+  const local = getLocalTime(timestamp, timeZone);
+  const localAsUTC =
+    Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) / 1000;
+
+  return localAsUTC - Math.floor(timestamp);
+}
+
+/**
+ * Convert a local date and time in a timezone to a Unix timestamp.
+ *
+ * Out-of-range values are normalized like `Date.UTC` does, e.g. day 0 is the
+ * last day of the previous month. A local time that occurs twice (when the
+ * clocks go back) resolves to the earlier occurrence; a local time that does
+ * not exist (when the clocks go forward) is shifted forward by the length of
+ * the gap.
+ *
+ * @param {Object} local The local date and time.
+ * @param {integer} local.year Year.
+ * @param {integer} local.month Month (1–12).
+ * @param {integer} local.day Day of the month.
+ * @param {integer} [local.hour = 0] Hour.
+ * @param {integer} [local.minute = 0] Minute.
+ * @param {integer} [local.second = 0] Second.
+ * @param {string} timeZone An IANA timezone name (e.g. `Europe/Prague`).
+ * @return {integer} The Unix timestamp.
+ */
+function fromLocalTime(local, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = local;
+  const localAsUTC = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+
+  // Timezones change their offsets at most once a day, so the offsets a day
+  // before and after cover all possible interpretations of the local time.
+  const offsets = [
+    getTimezoneOffset(localAsUTC - DAY, timeZone),
+    getTimezoneOffset(localAsUTC + DAY, timeZone)
+  ];
+  const candidates = offsets
+    .map(offset => localAsUTC - offset)
+    .filter(timestamp => getTimezoneOffset(timestamp, timeZone) === localAsUTC - timestamp);
+
+  return candidates.length > 0 ? Math.min(...candidates) : localAsUTC - offsets[0];
+}
+
+/**
+ * Check whether a timezone name is supported.
+ *
+ * @param {*} timeZone The timezone name.
+ * @return {boolean} Whether the name is a supported IANA timezone name.
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Format a Unix timestamp as an ISO 8601 string in the local time of a
+ * timezone, e.g. `2017-04-22T18:30:00+02:00`. UTC times are formatted with
+ * the `Z` suffix.
+ *
+ * @param {integer} timestamp A Unix timestamp.
+ * @param {string} [timeZone = UTC] An IANA timezone name.
+ * @return {string} The formatted time.
+ */
+function formatISOTime(timestamp, timeZone = 'UTC') {
+  const offset = getTimezoneOffset(timestamp, timeZone);
+  const local = new Date((Math.floor(timestamp) + offset) * 1000).toISOString().slice(0, 19);
+
+  if (offset === 0) {
+    return `${local}Z`;
+  }
+
+  const absoluteOffset = Math.abs(offset) / 60;
+  const hours = pad(Math.floor(absoluteOffset / 60));
+  const minutes = pad(absoluteOffset % 60);
+
+  return `${local}${offset > 0 ? '+' : '-'}${hours}:${minutes}`;
+}
+
+/**
+ * Pad a number with a leading zero to two digits.
+ *
+ * @private
+ * @param {integer} number The number.
+ * @return {string} The padded number.
+ */
+function pad(number) {
+  return number < 10 ? `0${number}` : String(number);
+}
+
+module.exports = {
+  getLocalTime,
+  getTimezoneOffset,
+  fromLocalTime,
+  isValidTimeZone,
+  formatISOTime
+};
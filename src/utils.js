@@ -1,3 +1,5 @@
+const { MissingTokenError } = require('./errors.js');
+
 /**
  * Prepare headers for authorized requests.
  *
@@ -21,26 +23,84 @@ function dateToTimestamp(date) {
   return Math.round(date.getTime() / 1000);
 }
 
+/**
+ * Convert a token expiration time to a `Date` object.
+ *
+ * @param {(Date|string|null)} [expiresAt] Expiration time as a `Date` object
+ * or an ISO 8601 string.
+ * @return {Date|null} The expiration time or `null` when it is unknown.
+ */
+function parseExpiration(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) {
+    return null;
+  }
+
+  return expiresAt instanceof Date ? expiresAt : new Date(expiresAt);
+}
+
 /**
  * Return a rejected promise in case a token is undefined. Otherwise run a
  * function and return its result.
  *
  * @param {string|undefined} token A token to be checked.
  * @param {Function} f A function to be run.
- * @return {*} A rejected promise or result of the function.
+ * @param {Object} [details] Details about the request (`endpoint`, `method`)
+ * attached to the rejection error.
+ * @return {*} A promise rejected with `MissingTokenError` or result of the
+ * function.
  */
-function authorizedApiRequest(token, f) {
+function authorizedApiRequest(token, f, details) {
   if (token === undefined) {
-    return Promise.reject(
-      'Cannot call this method without setting the authorization token ' +
-        '(in the constructor or using the authorize method).'
-    );
+    return Promise.reject(new MissingTokenError(details));
   }
   return f();
 }
 
+/**
+ * Infer the sampling period of a series as the median of differences between
+ * timestamps of consecutive data points.
+ *
+ * @param {Array[]} dataPoints Data points in chronological order.
+ * @return {number|undefined} The sampling period in seconds or `undefined`
+ * when there are less than two distinct timestamps.
+ */
+function inferSamplingPeriod(dataPoints) {
+  const differences = [];
+
+  for (let i = 1; i < dataPoints.length; i++) {
+    const difference = dataPoints[i][0] - dataPoints[i - 1][0];
+    if (difference > 0) {
+      differences.push(difference);
+    }
+  }
+
+  if (differences.length === 0) {
+    return undefined;
+  }
+
+  differences.sort((a, b) => a - b);
+  const middle = Math.floor(differences.length / 2);
+
+  return differences.length % 2 === 1
+    ? differences[middle]
+    : (differences[middle - 1] + differences[middle]) / 2;
+}
+
+/**
+ * Return a promise that resolves after a given time.
+ *
+ * @param {integer} ms The time to wait, in milliseconds.
+ * @return {Promise} A promise that resolves to `undefined`.
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = {
   buildAuthorizedRequestHeaders,
   dateToTimestamp,
-  authorizedApiRequest
+  parseExpiration,
+  authorizedApiRequest,
+  inferSamplingPeriod,
+  delay
 };
@@ -0,0 +1,612 @@
+const { InvalidArgumentError } = require('./errors.js');
+const { INTERVALS, AGGREGATIONS } = require('./resample.js');
+const { isValidTimeZone } = require('./timezone.js');
+const { parseTimeRange } = require('./timeRanges.js');
+
+// Matches the date part of ISO 8601 strings. `Date.parse` alone accepts
+// strings like "1" or "May 5".
+const ISO_DATE_REGEXP = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Resolve arguments of a method that accepts them either positionally or as
+ * a single options object, and validate them.
+ *
+ * The signature lists the positional parameters in order, each as a pair of
+ * the parameter name and a validator: a function receiving the value and the
+ * name, returning the (possibly normalized) value and throwing an
+ * `InvalidArgumentError` when the value is invalid. A parameter named
+ * `options` must be the last one; in the options-object form it receives all
+ * properties not named by other parameters. Checks involving more arguments
+ * (e.g. `timeRange`) run after all arguments are validated.
+ *
+ * A method whose signature has the `range` property accepts a time range
+ * (see `validateTimeRange`) in place of a pair of time parameters: either
+ * positionally in place of the first of them or as the `range` property of
+ * the options object. The range is converted to the inclusive times the API
+ * expects, i.e. its end is moved one second back.
+ *
+ * @param {Array} args The arguments the method was called with, in the
+ * order of the positional parameters.
+ * @param {Object} signature The signature of the method.
+ * @param {Array[]} signature.parameters The parameters.
+ * @param {Function[]} [signature.checks] Functions receiving the validated
+ * arguments by name and throwing an `InvalidArgumentError` when they are
+ * invalid.
+ * @param {string[]} [signature.range] Names of the start and end parameters
+ * a time range is converted to.
+ * @param {Object} [context] Context of the call.
+ * @param {string} [context.timeZone = UTC] IANA timezone in which names of
+ * time ranges are resolved.
+ * @return {Object} Validated arguments by parameter name.
+ * @throws {InvalidArgumentError} When an argument is invalid or the options
+ * object contains an unknown property.
+ */
+function parseArguments(args, signature, context = {}) {
+  const { parameters, checks = [], range } = signature;
+  const names = parameters.map(([name]) => name);
+  const hasOptions = names[names.length - 1] === 'options';
+  const values = {};
+
+  if (isPlainObject(args[0]) && args.slice(1).every(arg => arg === undefined)) {
+    const object = args[0];
+    const options = {};
+
+    Object.keys(object).forEach(key => {
+      if (
+        (names.indexOf(key) !== -1 && key !== 'options') ||
+        (key === 'range' && range !== undefined)
+      ) {
+        values[key] = object[key];
+      } else if (hasOptions) {
+        options[key] = object[key];
+      } else {
+        throw new InvalidArgumentError(`Unknown argument: ${key}.`, key);
+      }
+    });
+
+    if (hasOptions) {
+      values.options = options;
+    }
+  } else {
+    names.forEach((name, index) => {
+      values[name] = args[index];
+    });
+  }
+
+  if (range !== undefined) {
+    expandTimeRange(values, range, context.timeZone);
+  }
+
+  const result = {};
+  parameters.forEach(([name, validate]) => {
+    result[name] = validate(values[name], name);
+  });
+  checks.forEach(check => check(result));
+
+  return result;
+}
+
+/**
+ * Make a validator accept `undefined` too.
+ *
+ * @param {Function} validate The validator.
+ * @return {Function} A validator returning `undefined` for `undefined` and
+ * delegating to `validate` otherwise.
+ */
+function optional(validate) {
+  return (value, name) => (value === undefined ? undefined : validate(value, name));
+}
+
+/**
+ * Validate an ID of a notification, which the API returns as a number.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {(string|integer)} The ID.
+ */
+function validateNotificationId(value, name) {
+  if (!(typeof value === 'string' && value !== '') && !isNonNegativeInteger(value)) {
+    throw invalid(name, 'a non-empty string or a non-negative integer', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a non-empty string, e.g. an ID of a user, a feed or a stream.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {string} The string.
+ */
+function validateString(value, name) {
+  if (typeof value !== 'string' || value === '') {
+    throw invalid(name, 'a non-empty string', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a time.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Date} The time. ISO 8601 strings are converted to `Date` objects.
+ */
+function validateTime(value, name) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value;
+  }
+  if (typeof value === 'string' && ISO_DATE_REGEXP.test(value) && !isNaN(Date.parse(value))) {
+    return new Date(value);
+  }
+
+  throw invalid(name, 'a valid Date or an ISO 8601 string', value);
+}
+
+/**
+ * Validate a time range: an object with `from` (inclusive) and `to`
+ * (exclusive) times or a name like `last-7-days` (see `parseTimeRange`).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @param {string} [timeZone = UTC] IANA timezone in which names are
+ * resolved.
+ * @return {Object} The range with `from` and `to` `Date` properties.
+ */
+function validateTimeRange(value, name, timeZone = 'UTC') {
+  if (typeof value === 'string') {
+    try {
+      return parseTimeRange(value, { timeZone });
+    } catch (e) {
+      throw invalid(name, 'a time range name (e.g. last-7-days) or an object', value);
+    }
+  }
+  if (!isPlainObject(value)) {
+    throw invalid(name, 'a time range name (e.g. last-7-days) or an object', value);
+  }
+
+  const from = validateTime(value.from, `${name}.from`);
+  const to = validateTime(value.to, `${name}.to`);
+  if (from >= to) {
+    throw new InvalidArgumentError(`${name}.from must be earlier than ${name}.to.`, name);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Create a check that a time range does not end before it starts.
+ *
+ * @param {string} fromName Name of the argument with the start of the range.
+ * @param {string} toName Name of the argument with the end of the range.
+ * @return {Function} The check (see `parseArguments`).
+ */
+function timeRange(fromName, toName) {
+  return values => {
+    const timeFrom = values[fromName];
+    const timeTo = values[toName];
+
+    if (timeFrom !== undefined && timeTo !== undefined && timeFrom > timeTo) {
+      throw new InvalidArgumentError(`${fromName} must not be later than ${toName}.`, fromName);
+    }
+  };
+}
+
+/**
+ * Validate a positive integer.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {integer} The integer.
+ */
+function validatePositiveInteger(value, name) {
+  if (!isNonNegativeInteger(value) || value === 0) {
+    throw invalid(name, 'a positive integer', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a positive number, e.g. a duration. `Infinity` is allowed.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {number} The number.
+ */
+function validatePositiveNumber(value, name) {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw invalid(name, 'a positive number', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a finite number, e.g. a priority.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {number} The number.
+ */
+function validateNumber(value, name) {
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw invalid(name, 'a finite number', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a non-negative integer, e.g. a Unix timestamp.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {integer} The integer.
+ */
+function validateNonNegativeInteger(value, name) {
+  if (!isNonNegativeInteger(value)) {
+    throw invalid(name, 'a non-negative integer', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a string or an array of strings (e.g. stream types).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {(string|string[])} The value.
+ */
+function validateStrings(value, name) {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (values.some(item => typeof item !== 'string' || item === '')) {
+    throw invalid(name, 'a non-empty string or an array of them', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a non-empty array of non-empty strings (e.g. stream IDs).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {string[]} The array.
+ */
+function validateStringArray(value, name) {
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some(item => typeof item !== 'string' || item === '')
+  ) {
+    throw invalid(name, 'a non-empty array of non-empty strings', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a boolean.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {boolean} The boolean.
+ */
+function validateBoolean(value, name) {
+  if (typeof value !== 'boolean') {
+    throw invalid(name, 'a boolean', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an integer or an array of integers (e.g. channels).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {(integer|integer[])} The value.
+ */
+function validateIntegers(value, name) {
+  const values = Array.isArray(value) ? value : [value];
+
+  if (values.some(item => !isNonNegativeInteger(item))) {
+    throw invalid(name, 'a non-negative integer or an array of them', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an array.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Array} The array.
+ */
+function validateArray(value, name) {
+  if (!Array.isArray(value)) {
+    throw invalid(name, 'an array', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a store, an object with `get` and `set` methods (e.g. an instance
+ * of `MemoryStore`).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Object} The store.
+ */
+function validateStore(value, name) {
+  if (
+    typeof value !== 'object' ||
+    value === null ||
+    typeof value.get !== 'function' ||
+    typeof value.set !== 'function'
+  ) {
+    throw invalid(name, 'a store with get and set methods', value);
+  }
+
+  return value;
+}
+
+/**
+ * Validate a list of streams, objects with `feedId` and `streamId`
+ * properties.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Object[]} The list.
+ */
+function validateStreamReferences(value, name) {
+  validateArray(value, name);
+  value.forEach((stream, index) => {
+    if (!isPlainObject(stream)) {
+      throw invalid(`${name}[${index}]`, 'an object', stream);
+    }
+    validateString(stream.feedId, `${name}[${index}].feedId`);
+    validateString(stream.streamId, `${name}[${index}].streamId`);
+  });
+
+  return value;
+}
+
+/**
+ * Validate resampling options (see `resample`).
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {Object} The options.
+ */
+function validateResampleOptions(value, name) {
+  if (!isPlainObject(value)) {
+    throw invalid(name, 'an object', value);
+  }
+
+  const { interval, aggregation, timeZone } = value;
+  const validInterval =
+    INTERVALS.indexOf(interval) !== -1 ||
+    (typeof interval === 'number' && interval > 0 && Number.isInteger(interval));
+  if (!validInterval) {
+    throw invalid(
+      `${name}.interval`,
+      `one of ${INTERVALS.join(', ')} or a positive number of seconds`,
+      interval
+    );
+  }
+  if (aggregation !== undefined && AGGREGATIONS.indexOf(aggregation) === -1) {
+    throw invalid(`${name}.aggregation`, `one of ${AGGREGATIONS.join(', ')}`, aggregation);
+  }
+  if (timeZone !== undefined) {
+    validateTimeZone(timeZone, `${name}.timeZone`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an IANA timezone name.
+ *
+ * @param {*} value The value.
+ * @param {string} name Name of the argument.
+ * @return {string} The timezone name.
+ */
+function validateTimeZone(value, name) {
+  if (!isValidTimeZone(value)) {
+    throw invalid(name, 'an IANA timezone name', value);
+  }
+
+  return value;
+}
+
+/**
+ * Create a validator of an options object.
+ *
+ * @param {Object} [validators] Validators of the options, by option name.
+ * They are only called for options that are set.
+ * @return {Function} The validator. It returns an empty object for
+ * `undefined` and throws an `InvalidArgumentError` for options without a
+ * validator.
+ */
+function optionsOf(validators = {}) {
+  return (value, name) => {
+    if (value === undefined) {
+      return {};
+    }
+    if (!isPlainObject(value)) {
+      throw invalid(name, 'an object', value);
+    }
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(validators, key)) {
+        throw new InvalidArgumentError(`Unknown option: ${key}.`, `${name}.${key}`);
+      }
+      result[key] =
+        value[key] !== undefined ? validators[key](value[key], `${name}.${key}`) : undefined;
+    });
+
+    return result;
+  };
+}
+
+/**
+ * Create a validator of an object with boolean properties, such as the data
+ * of a notification update.
+ *
+ * @param {string[]} properties Allowed properties.
+ * @return {Function} The validator. It accepts `undefined` too.
+ */
+function booleanProperties(properties) {
+  return (value, name) => {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!isPlainObject(value)) {
+      throw invalid(name, 'an object', value);
+    }
+
+    Object.keys(value).forEach(key => {
+      if (properties.indexOf(key) === -1) {
+        throw new InvalidArgumentError(
+          `${name} must only contain ${properties.join(' or ')}, got ${key}.`,
+          name
+        );
+      }
+      if (typeof value[key] !== 'boolean') {
+        throw invalid(`${name}.${key}`, 'a boolean', value[key]);
+      }
+    });
+
+    return value;
+  };
+}
+
+/**
+ * Replace a time range among unvalidated arguments with its start and end
+ * (see `parseArguments`).
+ *
+ * @private
+ * @param {Object} values Arguments by parameter name, modified in place.
+ * @param {string[]} names Names of the start and end parameters.
+ * @param {string} [timeZone] IANA timezone in which names are resolved.
+ */
+function expandTimeRange(values, [fromName, toName], timeZone) {
+  let value = values.range;
+  let name = 'range';
+
+  // ISO 8601 strings are times, other strings are names of ranges.
+  const from = values[fromName];
+  if (
+    value === undefined &&
+    (isPlainObject(from) || (typeof from === 'string' && !ISO_DATE_REGEXP.test(from)))
+  ) {
+    value = from;
+    name = fromName;
+    values[fromName] = undefined;
+  }
+
+  if (value === undefined) {
+    return;
+  }
+  if (values[fromName] !== undefined || values[toName] !== undefined) {
+    throw new InvalidArgumentError(
+      `${name} must not be combined with ${fromName} or ${toName}.`,
+      name
+    );
+  }
+
+  const range = validateTimeRange(value, name, timeZone);
+  values[fromName] = range.from;
+  // The end is exclusive: use the last whole second before it (timestamps of
+  // the API have a resolution of seconds).
+  values[toName] = new Date((Math.ceil(range.to.getTime() / 1000) - 1) * 1000);
+}
+
+/**
+ * Create an error describing an invalid argument.
+ *
+ * @private
+ * @param {string} name Name of the argument.
+ * @param {string} expected Description of the expected value.
+ * @param {*} value The invalid value.
+ * @return {InvalidArgumentError} The error.
+ */
+function invalid(name, expected, value) {
+  return new InvalidArgumentError(`${name} must be ${expected}, got ${describe(value)}.`, name);
+}
+
+/**
+ * Describe a value for an error message.
+ *
+ * @private
+ * @param {*} value The value.
+ * @return {string} The description.
+ */
+function describe(value) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (value instanceof Date) {
+    return 'an invalid Date';
+  }
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+  if (value !== null && typeof value === 'object') {
+    return 'an object';
+  }
+
+  return String(value);
+}
+
+/**
+ * Decide whether a value is a plain object (not an array, a date etc.).
+ *
+ * @private
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Decide whether a value is a non-negative integer.
+ *
+ * @private
+ */
+function isNonNegativeInteger(value) {
+  return typeof value === 'number' && Number.isInteger(value) && value >= 0;
+}
+
+module.exports = {
+  parseArguments,
+  optional,
+  validateNotificationId,
+  validateString,
+  validateTime,
+  validateTimeRange,
+  validateTimeZone,
+  timeRange,
+  validatePositiveInteger,
+  validateNonNegativeInteger,
+  validatePositiveNumber,
+  validateNumber,
+  validateStrings,
+  validateStringArray,
+  validateBoolean,
+  validateIntegers,
+  validateArray,
+  validateStore,
+  validateStreamReferences,
+  validateResampleOptions,
+  optionsOf,
+  booleanProperties
+};